@@ -15,19 +15,43 @@ import { apiKeyRoutes } from './src/routes/apikey.routes.js';
 import { metricConfigRoutes } from './src/routes/metricconfig.routes.js';
 import { codeGenerationRoutes } from './src/routes/codeGeneration.routes.js';
 import { metricsRoutes } from './src/routes/metrics.routes.js';
+import { otlpRoutes } from './src/routes/otlp.routes.js';
+import { remoteWriteRoutes } from './src/routes/remoteWrite.routes.js';
 import { sitesRoutes } from './src/routes/sites.routes.js';
 import { dashboardWidgetsRoutes } from './src/routes/dashboardWidgets.routes.js';
 import { healthRoutes } from './src/routes/health.routes.js';
 import { trackerRoutes } from './src/routes/tracker.routes.js';
+import { usageRoutes } from './src/routes/usage.routes.js';
+import { cardinalityRoutes } from './src/routes/cardinality.routes.js';
+import { webhooksRoutes } from './src/routes/webhooks.routes.js';
+import { alertsRoutes } from './src/routes/alerts.routes.js';
+import { notificationChannelsRoutes } from './src/routes/notificationChannels.routes.js';
 import {
   grafanaRoutes,
   grafanaProxyMiddleware,
   setupGrafanaWebSocketProxy,
 } from './src/routes/grafana.routes.js';
-import { initDatabase } from './src/database/connection.js';
+import pool, { initDatabase } from './src/database/connection.js';
 import { config, validateConfig } from './src/config.js';
 import { logger } from './src/logger.js';
-import { startCounterHeartbeat, stopCounterHeartbeat } from './src/services/mimir.service.js';
+import {
+  setSeriesStateStore,
+  startCounterHeartbeat,
+  stopCounterHeartbeat,
+} from './src/services/mimir.service.js';
+import { createSeriesStateStore } from './src/services/seriesState.service.js';
+import {
+  startIngestBufferDrain,
+  stopIngestBufferDrain,
+} from './src/services/ingestBuffer.service.js';
+import { startStatsdListeners, stopStatsdListeners } from './src/services/statsd.service.js';
+import { startUsageMaintenance, stopUsageMaintenance } from './src/services/quota.service.js';
+import { startWebhookDelivery, stopWebhookDelivery } from './src/services/webhook.service.js';
+import { startAlertEvaluation, stopAlertEvaluation } from './src/services/alert.service.js';
+import {
+  startNotificationDispatch,
+  stopNotificationDispatch,
+} from './src/services/notification.service.js';
 import pinoHttp from 'pino-http';
 
 // Fail fast if required env is missing (production requires JWT_SECRET)
@@ -96,6 +120,8 @@ const allowedMetricsOrigins = config.cors.allowedMetricsOrigins;
 // Public API paths use API key auth; dashboard uses JWT and needs Authorization header
 const isPublicApiPath = (path) =>
   (path.startsWith('/api/v1/metrics') && !path.includes('/dashboard')) ||
+  path.startsWith('/api/v1/otlp/') ||
+  path === '/api/v1/remote-write' ||
   path === '/api/v1/metric-configs/by-api-key' ||
   path === '/api/v1/tracker.js';
 
@@ -111,6 +137,11 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', allowOrigin || allowedMetricsOrigins[0] || '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+    res.setHeader(
+      'Access-Control-Expose-Headers',
+      'Retry-After, X-Quota-Plan, X-Quota-Requests-Remaining, X-Quota-Requests-Reset, ' +
+        'X-Quota-Samples-Remaining, X-Quota-Samples-Reset, X-Quota-Series-Remaining'
+    );
     if (req.method === 'OPTIONS') return res.status(204).end();
     return next();
   }
@@ -155,6 +186,13 @@ app.use('/api/v1/code-generation', codeGenerationRoutes);
 app.use('/api/v1/sites', sitesRoutes);
 app.use('/api/v1/dashboard-widgets', dashboardWidgetsRoutes);
 app.use('/api/v1/metrics', metricsRoutes);
+app.use('/api/v1/otlp', otlpRoutes);
+app.use('/api/v1/remote-write', remoteWriteRoutes);
+app.use('/api/v1/usage', usageRoutes);
+app.use('/api/v1/cardinality', cardinalityRoutes);
+app.use('/api/v1/webhooks', webhooksRoutes);
+app.use('/api/v1/alerts', alertsRoutes);
+app.use('/api/v1/notification-channels', notificationChannelsRoutes);
 app.use('/api/v1', trackerRoutes);
 app.use('/api/v1/grafana', grafanaRoutes);
 app.use('/grafana', grafanaProxyMiddleware);
@@ -190,7 +228,14 @@ const server = app.listen(PORT, () => {
 
 setupGrafanaWebSocketProxy(server);
 
+setSeriesStateStore(createSeriesStateStore(config.metrics.stateStore, pool));
 startCounterHeartbeat(config.metrics.heartbeatIntervalMs);
+startIngestBufferDrain(config.ingestBuffer.drainIntervalMs);
+startStatsdListeners(config.statsd);
+startUsageMaintenance();
+startWebhookDelivery(config.webhooks.deliveryIntervalMs);
+startAlertEvaluation(config.alerts.evaluationIntervalMs);
+startNotificationDispatch(config.notifications.dispatchIntervalMs);
 
 // ---------------------------------------------------------------------------
 // Graceful shutdown — drain connections on SIGTERM/SIGINT (Docker, K8s)
@@ -198,9 +243,14 @@ startCounterHeartbeat(config.metrics.heartbeatIntervalMs);
 const shutdown = async (signal) => {
   logger.info({ signal }, 'Shutdown signal received, draining…');
   stopCounterHeartbeat();
+  stopIngestBufferDrain();
+  await stopStatsdListeners();
+  stopUsageMaintenance();
+  stopWebhookDelivery();
+  stopAlertEvaluation();
+  stopNotificationDispatch();
   server.close(async () => {
     try {
-      const pool = (await import('./src/database/connection.js')).default;
       await pool.end();
       logger.info('Database pool closed');
     } catch (err) {
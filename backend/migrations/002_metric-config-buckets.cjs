@@ -0,0 +1,15 @@
+/**
+ * Histogram bucket boundaries and summary quantile objectives per metric config.
+ * NULL means the built-in defaults (see src/utils/metricShape.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('metric_configs', {
+    buckets: { type: 'jsonb', default: null },
+    quantiles: { type: 'jsonb', default: null },
+  }, { ifNotExists: true });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('metric_configs', ['buckets', 'quantiles'], { ifExists: true });
+};
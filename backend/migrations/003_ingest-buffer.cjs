@@ -0,0 +1,22 @@
+/**
+ * Durable ingest buffer — validated metric batches held while Mimir is unavailable
+ * and drained in the background (see src/services/ingestBuffer.service.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.createTable('ingest_buffer', {
+    id: { type: 'bigserial', primaryKey: true },
+    tenant_id: { type: 'varchar(64)', notNull: true },
+    metrics: { type: 'jsonb', notNull: true },
+    attempts: { type: 'integer', notNull: true, default: 0 },
+    last_error: { type: 'text' },
+    locked_until: { type: 'timestamp' },
+    created_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('ingest_buffer', 'created_at', { ifNotExists: true, name: 'idx_ingest_buffer_created_at' });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('ingest_buffer', { ifExists: true });
+};
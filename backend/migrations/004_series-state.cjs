@@ -0,0 +1,23 @@
+/**
+ * Cumulative series state for Mimir remote-write (counter totals, histogram/summary
+ * components, summary windows) — see src/services/seriesState.service.js.
+ */
+
+exports.up = (pgm) => {
+  pgm.createTable('series_state', {
+    state_key: { type: 'text', primaryKey: true },
+    tenant_id: { type: 'varchar(64)', notNull: true },
+    labels: { type: 'jsonb' },
+    value: { type: 'double precision' },
+    observations: { type: 'jsonb' },
+    heartbeat_eligible: { type: 'boolean', notNull: true, default: false },
+    sample_timestamp: { type: 'bigint' },
+    updated_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('series_state', 'tenant_id', { ifNotExists: true, name: 'idx_series_state_tenant_id' });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('series_state', { ifExists: true });
+};
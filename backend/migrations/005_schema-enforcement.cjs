@@ -0,0 +1,19 @@
+/**
+ * Per-user metric schema enforcement on ingest: off, warn or strict
+ * (see src/utils/metricSchema.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('users', {
+    schema_enforcement: {
+      type: 'varchar(10)',
+      notNull: true,
+      default: 'off',
+      check: "schema_enforcement IN ('off', 'warn', 'strict')",
+    },
+  }, { ifNotExists: true });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('users', ['schema_enforcement'], { ifExists: true });
+};
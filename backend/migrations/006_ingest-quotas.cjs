@@ -0,0 +1,42 @@
+/**
+ * Ingestion quotas: plan per user and usage accounting (daily samples and requests,
+ * per-minute request counters, active series) — see src/services/quota.service.js.
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('users', {
+    plan: { type: 'varchar(32)', default: null },
+  }, { ifNotExists: true });
+
+  pgm.createTable('usage_daily', {
+    tenant_id: { type: 'varchar(64)', notNull: true, primaryKey: true },
+    day: { type: 'date', notNull: true, primaryKey: true },
+    samples: { type: 'bigint', notNull: true, default: 0 },
+    rejected_samples: { type: 'bigint', notNull: true, default: 0 },
+    requests: { type: 'bigint', notNull: true, default: 0 },
+  }, { ifNotExists: true });
+
+  pgm.createTable('usage_requests', {
+    scope: { type: 'varchar(80)', notNull: true, primaryKey: true },
+    window_start: { type: 'timestamp', notNull: true, primaryKey: true },
+    requests: { type: 'integer', notNull: true, default: 0 },
+  }, { ifNotExists: true });
+
+  pgm.createTable('usage_series', {
+    tenant_id: { type: 'varchar(64)', notNull: true, primaryKey: true },
+    series_key: { type: 'varchar(64)', notNull: true, primaryKey: true },
+    last_seen: { type: 'timestamp', notNull: true },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('usage_series', ['tenant_id', 'last_seen'], {
+    ifNotExists: true,
+    name: 'idx_usage_series_tenant_last_seen',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('usage_series', { ifExists: true });
+  pgm.dropTable('usage_requests', { ifExists: true });
+  pgm.dropTable('usage_daily', { ifExists: true });
+  pgm.dropColumns('users', ['plan'], { ifExists: true });
+};
@@ -0,0 +1,22 @@
+/**
+ * Shared rate limit counters for RATE_LIMIT_STORE=postgres
+ * (see src/services/rateLimitStore.service.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.createTable('rate_limit_hits', {
+    key: { type: 'varchar(64)', notNull: true, primaryKey: true },
+    window_start: { type: 'bigint', notNull: true, primaryKey: true },
+    hits: { type: 'integer', notNull: true, default: 0 },
+    expires_at: { type: 'bigint', notNull: true },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('rate_limit_hits', 'expires_at', {
+    ifNotExists: true,
+    name: 'idx_rate_limit_hits_expires_at',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('rate_limit_hits', { ifExists: true });
+};
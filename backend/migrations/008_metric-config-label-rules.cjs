@@ -0,0 +1,14 @@
+/**
+ * Label allow/deny lists and value rewrites per metric config.
+ * NULL means no rules (see src/utils/labelRules.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('metric_configs', {
+    label_rules: { type: 'jsonb', default: null },
+  }, { ifNotExists: true });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('metric_configs', ['label_rules'], { ifExists: true });
+};
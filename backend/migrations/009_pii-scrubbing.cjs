@@ -0,0 +1,19 @@
+/**
+ * PII scrubbing of ingested label values: per-user settings (NULL means mask with
+ * every built-in detector) and a per-metric opt-out of IP address scrubbing
+ * (see src/utils/piiScrubber.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('users', {
+    pii_scrubbing: { type: 'jsonb', default: null },
+  }, { ifNotExists: true });
+  pgm.addColumns('metric_configs', {
+    anonymize_ip: { type: 'boolean', notNull: true, default: true },
+  }, { ifNotExists: true });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('metric_configs', ['anonymize_ip'], { ifExists: true });
+  pgm.dropColumns('users', ['pii_scrubbing'], { ifExists: true });
+};
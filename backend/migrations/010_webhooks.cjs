@@ -0,0 +1,49 @@
+/**
+ * Real-time webhooks: HTTPS endpoints per metric config and the outbox of signed
+ * deliveries retried with backoff (see src/services/webhook.service.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.createTable('webhooks', {
+    id: { type: 'serial', primaryKey: true },
+    user_id: { type: 'integer', notNull: true, references: 'users', onDelete: 'CASCADE' },
+    metric_config_id: { type: 'integer', notNull: true, references: 'metric_configs', onDelete: 'CASCADE' },
+    url: { type: 'text', notNull: true },
+    secret: { type: 'varchar(80)', notNull: true },
+    enabled: { type: 'boolean', notNull: true, default: true },
+    created_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+    updated_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('webhooks', 'user_id', { ifNotExists: true, name: 'idx_webhooks_user_id' });
+  pgm.createIndex('webhooks', 'metric_config_id', { ifNotExists: true, name: 'idx_webhooks_metric_config_id' });
+
+  pgm.createTable('webhook_deliveries', {
+    id: { type: 'bigserial', primaryKey: true },
+    webhook_id: { type: 'integer', notNull: true, references: 'webhooks', onDelete: 'CASCADE' },
+    payload: { type: 'jsonb', notNull: true },
+    sample_count: { type: 'integer', notNull: true, default: 0 },
+    status: { type: 'varchar(16)', notNull: true, default: 'pending', check: "status IN ('pending', 'delivered', 'failed')" },
+    attempts: { type: 'integer', notNull: true, default: 0 },
+    response_status: { type: 'integer' },
+    last_error: { type: 'text' },
+    next_attempt_at: { type: 'timestamp', notNull: true, default: pgm.func('CURRENT_TIMESTAMP') },
+    locked_until: { type: 'timestamp' },
+    delivered_at: { type: 'timestamp' },
+    created_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('webhook_deliveries', ['status', 'next_attempt_at'], {
+    ifNotExists: true,
+    name: 'idx_webhook_deliveries_due',
+  });
+  pgm.createIndex('webhook_deliveries', ['webhook_id', 'created_at'], {
+    ifNotExists: true,
+    name: 'idx_webhook_deliveries_webhook_created_at',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('webhook_deliveries', { ifExists: true });
+  pgm.dropTable('webhooks', { ifExists: true });
+};
@@ -0,0 +1,53 @@
+/**
+ * Threshold alert rules on tenant metrics (PromQL or dashboard widget), their
+ * evaluation state and the firing/resolved history (see src/services/alert.service.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.createTable('alert_rules', {
+    id: { type: 'serial', primaryKey: true },
+    user_id: { type: 'integer', notNull: true, references: 'users', onDelete: 'CASCADE' },
+    name: { type: 'varchar(255)', notNull: true },
+    source: { type: 'varchar(16)', notNull: true, check: "source IN ('promql', 'widget')" },
+    promql: { type: 'text' },
+    widget_id: { type: 'integer', references: 'dashboard_widgets', onDelete: 'CASCADE' },
+    operator: { type: 'varchar(2)', notNull: true, check: "operator IN ('>', '>=', '<', '<=', '==', '!=')" },
+    threshold: { type: 'double precision', notNull: true },
+    for_seconds: { type: 'integer', notNull: true, default: 0 },
+    severity: { type: 'varchar(16)', notNull: true, default: 'warning', check: "severity IN ('info', 'warning', 'critical')" },
+    enabled: { type: 'boolean', notNull: true, default: true },
+    state: { type: 'varchar(16)', notNull: true, default: 'inactive', check: "state IN ('inactive', 'pending', 'firing')" },
+    pending_since: { type: 'timestamp' },
+    last_value: { type: 'double precision' },
+    last_error: { type: 'text' },
+    last_evaluated_at: { type: 'timestamp' },
+    next_evaluation_at: { type: 'timestamp', notNull: true, default: pgm.func('CURRENT_TIMESTAMP') },
+    created_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+    updated_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('alert_rules', 'user_id', { ifNotExists: true, name: 'idx_alert_rules_user_id' });
+  pgm.createIndex('alert_rules', 'next_evaluation_at', {
+    ifNotExists: true,
+    name: 'idx_alert_rules_due',
+    where: 'enabled',
+  });
+
+  pgm.createTable('alert_events', {
+    id: { type: 'bigserial', primaryKey: true },
+    rule_id: { type: 'integer', notNull: true, references: 'alert_rules', onDelete: 'CASCADE' },
+    status: { type: 'varchar(16)', notNull: true, check: "status IN ('firing', 'resolved')" },
+    value: { type: 'double precision' },
+    created_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('alert_events', ['rule_id', 'created_at'], {
+    ifNotExists: true,
+    name: 'idx_alert_events_rule_created_at',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('alert_events', { ifExists: true });
+  pgm.dropTable('alert_rules', { ifExists: true });
+};
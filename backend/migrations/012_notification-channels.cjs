@@ -0,0 +1,49 @@
+/**
+ * Notification channels for alert transitions (email, Slack-compatible webhook,
+ * generic JSON webhook) and the per-channel outbox of pending notifications
+ * (see src/services/notification.service.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.createTable('notification_channels', {
+    id: { type: 'serial', primaryKey: true },
+    user_id: { type: 'integer', notNull: true, references: 'users', onDelete: 'CASCADE' },
+    name: { type: 'varchar(255)', notNull: true },
+    type: { type: 'varchar(16)', notNull: true, check: "type IN ('email', 'slack', 'webhook')" },
+    config: { type: 'jsonb', notNull: true, default: pgm.func("'{}'::jsonb") },
+    min_severity: { type: 'varchar(16)', notNull: true, default: 'info', check: "min_severity IN ('info', 'warning', 'critical')" },
+    enabled: { type: 'boolean', notNull: true, default: true },
+    last_notified_at: { type: 'timestamp' },
+    locked_until: { type: 'timestamp' },
+    created_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+    updated_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('notification_channels', 'user_id', { ifNotExists: true, name: 'idx_notification_channels_user_id' });
+
+  pgm.createTable('alert_notifications', {
+    id: { type: 'bigserial', primaryKey: true },
+    channel_id: { type: 'integer', notNull: true, references: 'notification_channels', onDelete: 'CASCADE' },
+    event_id: { type: 'bigint', notNull: true, references: 'alert_events', onDelete: 'CASCADE' },
+    status: { type: 'varchar(16)', notNull: true, default: 'pending', check: "status IN ('pending', 'sent', 'failed')" },
+    attempts: { type: 'integer', notNull: true, default: 0 },
+    last_error: { type: 'text' },
+    next_attempt_at: { type: 'timestamp', notNull: true, default: pgm.func('CURRENT_TIMESTAMP') },
+    sent_at: { type: 'timestamp' },
+    created_at: { type: 'timestamp', default: pgm.func('CURRENT_TIMESTAMP') },
+  }, { ifNotExists: true });
+
+  pgm.createIndex('alert_notifications', ['channel_id', 'status', 'next_attempt_at'], {
+    ifNotExists: true,
+    name: 'idx_alert_notifications_channel_due',
+  });
+  pgm.createIndex('alert_notifications', 'event_id', {
+    ifNotExists: true,
+    name: 'idx_alert_notifications_event_id',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('alert_notifications', { ifExists: true });
+  pgm.dropTable('notification_channels', { ifExists: true });
+};
@@ -0,0 +1,17 @@
+/**
+ * Optional anomaly mode per dashboard widget: the value is compared with the same hour
+ * over the previous `anomaly_baseline_days` days and flagged beyond
+ * `anomaly_z_threshold` (see src/utils/anomaly.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('dashboard_widgets', {
+    anomaly_detection: { type: 'boolean', notNull: true, default: false },
+    anomaly_baseline_days: { type: 'integer', notNull: true, default: 7, check: 'anomaly_baseline_days BETWEEN 3 AND 28' },
+    anomaly_z_threshold: { type: 'double precision', notNull: true, default: 3, check: 'anomaly_z_threshold BETWEEN 1 AND 10' },
+  }, { ifNotExists: true });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('dashboard_widgets', ['anomaly_detection', 'anomaly_baseline_days', 'anomaly_z_threshold'], { ifExists: true });
+};
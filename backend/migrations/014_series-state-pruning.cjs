@@ -0,0 +1,19 @@
+/**
+ * Indexes for the counter heartbeat: idle series state is pruned by `updated_at` and
+ * heartbeat-eligible series are claimed in pages ordered by `sample_timestamp`
+ * (see src/services/seriesState.service.js).
+ */
+
+exports.up = (pgm) => {
+  pgm.createIndex('series_state', 'updated_at', { ifNotExists: true, name: 'idx_series_state_updated_at' });
+  pgm.createIndex('series_state', 'sample_timestamp', {
+    ifNotExists: true,
+    name: 'idx_series_state_heartbeat',
+    where: 'heartbeat_eligible',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('series_state', 'sample_timestamp', { ifExists: true, name: 'idx_series_state_heartbeat' });
+  pgm.dropIndex('series_state', 'updated_at', { ifExists: true, name: 'idx_series_state_updated_at' });
+};
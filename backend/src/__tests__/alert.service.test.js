@@ -0,0 +1,204 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const setupService = async ({ enabled = true } = {}) => {
+  vi.resetModules();
+
+  const queryMock = vi.fn();
+  const queryScalarMock = vi.fn();
+  const recordAlertEvaluationMock = vi.fn();
+  const enqueueAlertNotificationsMock = vi.fn().mockResolvedValue(1);
+
+  vi.doMock('../database/connection.js', () => ({ query: queryMock }));
+
+  vi.doMock('../services/mimirQuery.service.js', () => ({ queryScalar: queryScalarMock }));
+
+  vi.doMock('../services/notification.service.js', () => ({
+    enqueueAlertNotifications: enqueueAlertNotificationsMock,
+  }));
+
+  vi.doMock('../middleware/appMetrics.js', () => ({
+    recordAlertEvaluation: recordAlertEvaluationMock,
+  }));
+
+  vi.doMock('../config.js', () => ({
+    config: {
+      alerts: {
+        enabled,
+        evaluationIntervalMs: 60_000,
+        evaluationBatchSize: 10,
+        eventRetentionMs: 2_592_000_000,
+      },
+    },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const service = await import('../services/alert.service.js');
+  return {
+    service,
+    mocks: { queryMock, queryScalarMock, recordAlertEvaluationMock, enqueueAlertNotificationsMock },
+  };
+};
+
+const promqlRule = (overrides = {}) => ({
+  id: 3,
+  user_id: 42,
+  name: 'Checkout errors',
+  source: 'promql',
+  promql: 'sum(rate(user_metric_checkout_errors{ {user_filter} }[5m]))',
+  operator: '>',
+  threshold: 5,
+  for_seconds: 0,
+  severity: 'critical',
+  state: 'inactive',
+  pending_seconds: null,
+  ...overrides,
+});
+
+describe('alert.service', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('compares values with every operator', async () => {
+    const { service } = await setupService();
+
+    expect(service.compareThreshold(6, '>', 5)).toBe(true);
+    expect(service.compareThreshold(5, '>', 5)).toBe(false);
+    expect(service.compareThreshold(5, '>=', 5)).toBe(true);
+    expect(service.compareThreshold(4, '<', 5)).toBe(true);
+    expect(service.compareThreshold(5, '<=', 5)).toBe(true);
+    expect(service.compareThreshold(5, '==', 5)).toBe(true);
+    expect(service.compareThreshold(5, '!=', 5)).toBe(false);
+    expect(service.compareThreshold(5, '~', 5)).toBe(false);
+  });
+
+  it('goes pending, fires after the for duration and resolves', async () => {
+    const { service } = await setupService();
+    const rule = { operator: '>', threshold: 5, for_seconds: 300 };
+
+    expect(service.nextAlertState({ ...rule, state: 'inactive' }, 9)).toEqual({
+      state: 'pending',
+      transition: null,
+    });
+    expect(service.nextAlertState({ ...rule, state: 'pending', pending_seconds: 120 }, 9)).toEqual({
+      state: 'pending',
+      transition: null,
+    });
+    expect(service.nextAlertState({ ...rule, state: 'pending', pending_seconds: 300 }, 9)).toEqual({
+      state: 'firing',
+      transition: 'firing',
+    });
+    expect(service.nextAlertState({ ...rule, state: 'firing' }, 9)).toEqual({
+      state: 'firing',
+      transition: null,
+    });
+    expect(service.nextAlertState({ ...rule, state: 'firing' }, 1)).toEqual({
+      state: 'inactive',
+      transition: 'resolved',
+    });
+    expect(service.nextAlertState({ ...rule, state: 'pending' }, 1)).toEqual({
+      state: 'inactive',
+      transition: null,
+    });
+    expect(service.nextAlertState({ ...rule, for_seconds: 0, state: 'inactive' }, 9)).toEqual({
+      state: 'firing',
+      transition: 'firing',
+    });
+  });
+
+  it('builds the query from PromQL or the rule widget', async () => {
+    const { service } = await setupService();
+
+    expect(service.alertRuleQuery(promqlRule())).toBe(
+      'sum(rate(user_metric_checkout_errors{ user_id=~"^42$" }[5m]))'
+    );
+    expect(
+      service.alertRuleQuery({
+        source: 'widget',
+        user_id: 42,
+        metric_name: 'orders_completed',
+        query_kind: 'increase_24h',
+        widget_site_id: 7,
+      })
+    ).toBe(
+      'sum(increase(user_metric_orders_completed{user_id=~"^42$",site_id=~"^7$"}[24h])) or vector(0)'
+    );
+    expect(service.alertRuleQuery({ source: 'widget', user_id: 42, metric_name: null })).toBeNull();
+  });
+
+  it('evaluates due rules under the owner tenant and records transitions', async () => {
+    const { service, mocks } = await setupService();
+    mocks.queryMock
+      .mockResolvedValueOnce({
+        rows: [promqlRule(), promqlRule({ id: 4, state: 'firing', threshold: 100 })],
+      })
+      .mockResolvedValue({ rows: [{ id: 500 }] });
+    mocks.queryScalarMock.mockResolvedValueOnce(12).mockResolvedValueOnce(12);
+
+    const outcome = await service.evaluateAlertRules();
+
+    expect(outcome).toEqual({ evaluated: 2, fired: 1, resolved: 1, errors: 0 });
+    expect(mocks.queryMock.mock.calls[0][1]).toEqual([10, 60_000]);
+    expect(mocks.queryScalarMock).toHaveBeenCalledWith(
+      '42',
+      'sum(rate(user_metric_checkout_errors{ user_id=~"^42$" }[5m]))',
+      { queryKind: 'alert' }
+    );
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE alert_rules SET state = $2'),
+      [3, 'firing', 12]
+    );
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO alert_events'),
+      [3, 'firing', 12]
+    );
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO alert_events'),
+      [4, 'resolved', 12]
+    );
+    expect(mocks.enqueueAlertNotificationsMock).toHaveBeenCalledWith({
+      eventId: 500,
+      userId: 42,
+      severity: 'critical',
+    });
+    expect(mocks.recordAlertEvaluationMock).toHaveBeenCalledWith('ok', 'firing');
+  });
+
+  it('keeps the transition when notifications cannot be queued', async () => {
+    const { service, mocks } = await setupService();
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [promqlRule()] })
+      .mockResolvedValue({ rows: [{ id: 501 }] });
+    mocks.queryScalarMock.mockResolvedValueOnce(12);
+    mocks.enqueueAlertNotificationsMock.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(service.evaluateAlertRules()).resolves.toMatchObject({ fired: 1 });
+  });
+
+  it('keeps the state and records the error when the query fails', async () => {
+    const { service, mocks } = await setupService();
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [promqlRule({ state: 'firing' })] })
+      .mockResolvedValue({ rows: [] });
+    mocks.queryScalarMock.mockResolvedValueOnce(null);
+
+    const outcome = await service.evaluateAlertRules();
+
+    expect(outcome).toEqual({ evaluated: 0, fired: 0, resolved: 0, errors: 1 });
+    expect(mocks.queryMock).toHaveBeenCalledTimes(2);
+    expect(mocks.queryMock).toHaveBeenLastCalledWith(expect.stringContaining('last_error = $2'), [
+      3,
+      'Query failed',
+    ]);
+    expect(mocks.recordAlertEvaluationMock).toHaveBeenCalledWith('error');
+  });
+
+  it('does not start the scheduler when alerting is disabled', async () => {
+    const { service } = await setupService({ enabled: false });
+
+    expect(service.startAlertEvaluation(60_000)).toBeUndefined();
+  });
+});
@@ -0,0 +1,178 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+const setupApp = async () => {
+  vi.resetModules();
+
+  const queryMock = vi.fn();
+  const enqueueAlertNotificationsMock = vi.fn().mockResolvedValue(1);
+
+  vi.doMock('../database/connection.js', () => ({ query: queryMock }));
+
+  vi.doMock('../middleware/auth.middleware.js', () => ({
+    authenticate: (req, res, next) => {
+      req.user = { id: 88 };
+      next();
+    },
+  }));
+
+  vi.doMock('../middleware/rateLimiter.js', () => ({
+    apiLimiter: (req, res, next) => next(),
+  }));
+
+  vi.doMock('../services/mimirQuery.service.js', () => ({ queryScalar: vi.fn() }));
+
+  vi.doMock('../services/notification.service.js', () => ({
+    enqueueAlertNotifications: enqueueAlertNotificationsMock,
+  }));
+
+  vi.doMock('../middleware/appMetrics.js', () => ({ recordAlertEvaluation: vi.fn() }));
+
+  vi.doMock('../config.js', () => ({
+    config: { isProduction: false, alerts: { enabled: true } },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const { alertsRoutes } = await import('../routes/alerts.routes.js');
+  const { errorHandler } = await import('../middleware/errorHandler.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/alerts', alertsRoutes);
+  app.use(errorHandler);
+
+  return { app, mocks: { queryMock, enqueueAlertNotificationsMock } };
+};
+
+const promqlRule = {
+  name: 'Checkout errors',
+  source: 'promql',
+  promql: 'sum(rate(user_metric_checkout_errors{ {user_filter} }[5m]))',
+  operator: '>',
+  threshold: 5,
+  for_seconds: 300,
+  severity: 'critical',
+};
+
+describe('alerts.routes integration', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('POST /api/v1/alerts creates a PromQL rule', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ id: 1, state: 'inactive' }] });
+
+    const res = await request(app).post('/api/v1/alerts').send(promqlRule);
+
+    expect(res.status).toBe(201);
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO alert_rules'),
+      [88, 'Checkout errors', 'promql', promqlRule.promql, null, '>', 5, 300, 'critical', true]
+    );
+  });
+
+  it('POST /api/v1/alerts validates the condition', async () => {
+    const { app, mocks } = await setupApp();
+
+    const badOperator = await request(app)
+      .post('/api/v1/alerts')
+      .send({ ...promqlRule, operator: '=~' });
+    expect(badOperator.status).toBe(400);
+
+    const missingPromql = await request(app)
+      .post('/api/v1/alerts')
+      .send({ ...promqlRule, promql: '  ' });
+    expect(missingPromql.status).toBe(400);
+    expect(missingPromql.body.error).toBe('promql is required when source is promql');
+
+    const missingWidget = await request(app)
+      .post('/api/v1/alerts')
+      .send({ ...promqlRule, source: 'widget', promql: undefined });
+    expect(missingWidget.status).toBe(400);
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+  });
+
+  it('POST /api/v1/alerts returns 404 for a widget of another user', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post('/api/v1/alerts')
+      .send({ ...promqlRule, source: 'widget', promql: undefined, widget_id: 9 });
+
+    expect(res.status).toBe(404);
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('FROM dashboard_widgets'),
+      [9, 88]
+    );
+    expect(mocks.queryMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('PATCH /api/v1/alerts/:id resets a firing rule when its threshold changes', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock
+      .mockResolvedValueOnce({
+        rows: [{ id: 1, source: 'promql', state: 'firing', enabled: true, last_value: 12 }],
+      })
+      .mockResolvedValueOnce({ rows: [{ id: 1, state: 'inactive', severity: 'warning' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 31 }] });
+
+    const res = await request(app).patch('/api/v1/alerts/1').send({ threshold: 20 });
+
+    expect(res.status).toBe(200);
+    expect(mocks.queryMock.mock.calls[1][0]).toContain("state = 'inactive'");
+    expect(mocks.queryMock.mock.calls[1][1]).toEqual([20, 1, 88]);
+    expect(mocks.queryMock).toHaveBeenLastCalledWith(
+      expect.stringContaining('INSERT INTO alert_events'),
+      [1, 'resolved', 12]
+    );
+    expect(mocks.enqueueAlertNotificationsMock).toHaveBeenCalledWith({
+      eventId: 31,
+      userId: 88,
+      severity: 'warning',
+    });
+  });
+
+  it('PATCH /api/v1/alerts/:id keeps the state when only the name changes', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock
+      .mockResolvedValueOnce({
+        rows: [{ id: 1, source: 'promql', state: 'firing', enabled: true, last_value: 12 }],
+      })
+      .mockResolvedValueOnce({ rows: [{ id: 1, state: 'firing' }] });
+
+    const res = await request(app).patch('/api/v1/alerts/1').send({ name: 'Renamed' });
+
+    expect(res.status).toBe(200);
+    expect(mocks.queryMock.mock.calls[1][0]).not.toContain('state =');
+    expect(mocks.queryMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('GET /api/v1/alerts/events lists the history of one rule', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ id: 5, status: 'firing' }] });
+
+    const res = await request(app).get('/api/v1/alerts/events?rule_id=1&limit=10');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([{ id: 5, status: 'firing' }]);
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('r.user_id = $1 AND e.rule_id = $2'),
+      [88, 1, 10]
+    );
+  });
+
+  it('DELETE /api/v1/alerts/:id returns 404 for unknown rules', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).delete('/api/v1/alerts/77');
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { baselineSamples, scoreAnomaly, seasonalBaselineWindow } from '../utils/anomaly.js';
+
+const options = { baselineDays: 7, zThreshold: 3 };
+
+describe('anomaly scoring', () => {
+  it('samples the same hour on each previous day', () => {
+    const now = Date.UTC(2026, 0, 10, 14, 35) / 1000;
+    const window = seasonalBaselineWindow(now, 3);
+    const hour = Date.UTC(2026, 0, 10, 14) / 1000;
+
+    expect(window.times).toEqual([hour - 86400, hour - 2 * 86400, hour - 3 * 86400]);
+    expect(window).toMatchObject({ start: hour - 3 * 86400, end: hour - 86400, step: 3600 });
+  });
+
+  it('sums series at the sampled hours and skips days without data', () => {
+    const times = [3 * 86400, 2 * 86400, 86400];
+    const series = [
+      {
+        values: [
+          [86400, '2'],
+          [86400 + 3600, '100'],
+          [3 * 86400, '4'],
+        ],
+      },
+      {
+        values: [
+          [86400, '1.5'],
+          [3 * 86400, 'NaN'],
+        ],
+      },
+    ];
+
+    expect(baselineSamples(series, times)).toEqual([4, 3.5]);
+    expect(baselineSamples([], times)).toEqual([]);
+  });
+
+  it('flags values beyond the z-score threshold in either direction', () => {
+    const samples = [100, 110, 90, 105, 95];
+
+    expect(scoreAnomaly(104, samples, options)).toEqual({
+      status: 'normal',
+      direction: null,
+      zScore: 0.51,
+      expected: 100,
+      stdDev: 7.9057,
+      baselineSamples: 5,
+      baselineDays: 7,
+      zThreshold: 3,
+    });
+    expect(scoreAnomaly(130, samples, options)).toMatchObject({
+      status: 'anomalous',
+      direction: 'above',
+      zScore: 3.79,
+    });
+    expect(scoreAnomaly(70, samples, { ...options, zThreshold: 4 })).toMatchObject({
+      status: 'normal',
+    });
+    expect(scoreAnomaly(60, samples, options)).toMatchObject({
+      status: 'anomalous',
+      direction: 'below',
+    });
+  });
+
+  it('needs a few days of baseline and handles a flat one', () => {
+    expect(scoreAnomaly(5, [1, 2], options)).toMatchObject({
+      status: 'insufficient_data',
+      zScore: null,
+      baselineSamples: 2,
+    });
+    expect(scoreAnomaly(0, [0, 0, 0], options)).toMatchObject({ status: 'normal', zScore: 0 });
+    expect(scoreAnomaly(1, [0, 0, 0], options)).toMatchObject({
+      status: 'anomalous',
+      direction: 'above',
+      zScore: null,
+    });
+  });
+});
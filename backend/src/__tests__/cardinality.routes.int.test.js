@@ -0,0 +1,87 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+const setupApp = async () => {
+  vi.resetModules();
+
+  const getCardinality = vi.fn();
+
+  vi.doMock('../services/cardinality.service.js', () => ({ getCardinality }));
+
+  vi.doMock('../middleware/auth.middleware.js', () => ({
+    authenticate: (req, res, next) => {
+      req.user = { id: 55 };
+      next();
+    },
+  }));
+
+  vi.doMock('../middleware/rateLimiter.js', () => ({
+    apiLimiter: (req, res, next) => next(),
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: {
+      warn: vi.fn(),
+      info: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn(),
+    },
+  }));
+
+  const { cardinalityRoutes } = await import('../routes/cardinality.routes.js');
+  const { errorHandler, AppError } = await import('../middleware/errorHandler.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/cardinality', cardinalityRoutes);
+  app.use(errorHandler);
+
+  return { app, AppError, mocks: { getCardinality } };
+};
+
+describe('cardinality.routes integration', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('GET /api/v1/cardinality returns the breakdown for the user and site', async () => {
+    const { app, mocks } = await setupApp();
+    const data = { totalSeries: 3, metrics: [], labels: [], growth: { total: [], metrics: [] } };
+    mocks.getCardinality.mockResolvedValue(data);
+
+    const res = await request(app).get('/api/v1/cardinality?site_id=3&days=14');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, data });
+    expect(mocks.getCardinality).toHaveBeenCalledWith(55, { siteId: '3', days: 14 });
+  });
+
+  it('GET /api/v1/cardinality defaults to a week of growth across all sites', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.getCardinality.mockResolvedValue({});
+
+    await request(app).get('/api/v1/cardinality');
+
+    expect(mocks.getCardinality).toHaveBeenCalledWith(55, { siteId: null, days: 7 });
+  });
+
+  it('GET /api/v1/cardinality rejects an out-of-range growth window', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app).get('/api/v1/cardinality?days=90');
+
+    expect(res.status).toBe(400);
+    expect(mocks.getCardinality).not.toHaveBeenCalled();
+  });
+
+  it('GET /api/v1/cardinality reports an unreachable Mimir as 502', async () => {
+    const { app, AppError, mocks } = await setupApp();
+    mocks.getCardinality.mockRejectedValue(new AppError('Could not load series from Mimir', 502));
+
+    const res = await request(app).get('/api/v1/cardinality');
+
+    expect(res.status).toBe(502);
+    expect(res.body.success).toBe(false);
+  });
+});
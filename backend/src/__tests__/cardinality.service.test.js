@@ -0,0 +1,144 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const series = (name, labels = {}) => ({
+  __name__: `user_metric_${name}`,
+  user_id: '7',
+  ...labels,
+});
+
+const setupService = async ({ seriesList = [], labelValues = {}, configs = [] } = {}) => {
+  vi.resetModules();
+
+  const queryMimirApi = vi.fn(async (tenantId, path) => {
+    if (path === '/series') return seriesList;
+    if (path === '/labels') return ['__name__', 'user_id', ...Object.keys(labelValues)];
+    const label = decodeURIComponent(path.split('/')[2]);
+    return labelValues[label] ?? null;
+  });
+  const queryRange = vi.fn(async () => []);
+  const queryMock = vi.fn(async () => ({ rows: configs }));
+
+  vi.doMock('../config.js', () => ({
+    config: { metrics: { maxSeriesPerUser: 100 } },
+  }));
+  vi.doMock('../database/connection.js', () => ({ query: queryMock }));
+  vi.doMock('../services/dashboardWidget.service.js', () => ({
+    buildTenantLabelFilter: vi.fn(
+      (userId, siteId) => `user_id=~"^${userId}$"${siteId ? `,site_id=~"^${siteId}$"` : ''}`
+    ),
+  }));
+  vi.doMock('../services/mimirQuery.service.js', () => ({ queryMimirApi, queryRange }));
+
+  const service = await import('../services/cardinality.service.js');
+  return { service, mocks: { queryMimirApi, queryRange, queryMock } };
+};
+
+describe('cardinality.service', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('counts series per metric, folding histogram components into their metric', async () => {
+    const seriesList = [
+      ...['0.1', '1', '+Inf'].map((le) => series('latency_bucket', { le, route: '/a' })),
+      series('latency_sum', { route: '/a' }),
+      series('latency_count', { route: '/a' }),
+      ...Array.from({ length: 12 }, (_, i) => series('signups', { session: `s${i}` })),
+      series('checkout_count', { plan: 'pro' }),
+    ];
+    const { service, mocks } = await setupService({
+      seriesList,
+      configs: [{ id: 4, metric_name: 'signups' }],
+    });
+
+    const data = await service.getCardinality(7, { now: Date.UTC(2026, 2, 1) });
+
+    expect(data.totalSeries).toBe(18);
+    expect(data.metrics.map((m) => [m.name, m.seriesCount])).toEqual([
+      ['signups', 12],
+      ['latency', 5],
+      ['checkout_count', 1],
+    ]);
+    expect(data.metrics[0]).toMatchObject({
+      offender: true,
+      configId: 4,
+      topLabels: [{ label: 'session', distinctValues: 12 }],
+    });
+    expect(data.metrics[1]).toMatchObject({ offender: false, configId: null });
+    expect(data.metrics[1].topLabels).toEqual([{ label: 'route', distinctValues: 1 }]);
+
+    const seriesCall = mocks.queryMimirApi.mock.calls.find(([, path]) => path === '/series');
+    expect(seriesCall[0]).toBe('7');
+    expect(seriesCall[2]).toContainEqual([
+      'match[]',
+      '{__name__=~"user_metric_.+",user_id=~"^7$"}',
+    ]);
+    expect(mocks.queryMock.mock.calls[0][1]).toEqual([7, ['latency', 'signups', 'checkout_count']]);
+  });
+
+  it('ranks label keys by their distinct values across metrics', async () => {
+    const { service } = await setupService({
+      seriesList: [
+        series('signups', { session: 's1', plan: 'pro' }),
+        series('orders', { plan: 'free' }),
+      ],
+      labelValues: {
+        session: Array.from({ length: 150 }, (_, i) => `s${i}`),
+        plan: ['free', 'pro'],
+      },
+    });
+
+    const { labels } = await service.getCardinality(7);
+
+    expect(labels).toEqual([
+      { label: 'session', distinctValues: 150, metrics: ['signups'], offender: true },
+      { label: 'plan', distinctValues: 2, metrics: ['signups', 'orders'], offender: false },
+    ]);
+  });
+
+  it('scopes label value lookups to the selected site', async () => {
+    const { service, mocks } = await setupService({
+      seriesList: [series('signups', { session: 's1', site_id: 'shop' })],
+      labelValues: { session: ['s1'] },
+    });
+    mocks.queryMimirApi.mockClear();
+
+    await service.getCardinality(7, { siteId: 'shop' });
+
+    const selector = '{__name__=~"user_metric_.+",user_id=~"^7$",site_id=~"^shop$"}';
+    const metadataCalls = mocks.queryMimirApi.mock.calls.filter(([, path]) =>
+      /^\/(series|labels|label\/)/.test(path)
+    );
+    expect(metadataCalls.map(([, path]) => path)).toContain('/label/session/values');
+    for (const [, , params] of metadataCalls) {
+      expect(params).toContainEqual(['match[]', selector]);
+    }
+  });
+
+  it('sums the growth of histogram components per metric', async () => {
+    const { service, mocks } = await setupService({
+      seriesList: [series('latency_bucket', { le: '+Inf' }), series('latency_count')],
+    });
+    mocks.queryRange.mockImplementation(async (tenantId, promql) =>
+      promql.startsWith('count by')
+        ? [
+            { metric: { __name__: 'user_metric_latency_bucket' }, values: [[100, '3']] },
+            { metric: { __name__: 'user_metric_latency_count' }, values: [[100, '1']] },
+          ]
+        : [{ metric: {}, values: [[100, '4']] }]
+    );
+
+    const { growth } = await service.getCardinality(7, { days: 7 });
+
+    expect(growth.stepSeconds).toBe(3600);
+    expect(growth.total).toEqual([{ time: 100, value: 4 }]);
+    expect(growth.metrics).toEqual([{ name: 'latency', values: [{ time: 100, value: 4 }] }]);
+  });
+
+  it('fails with 502 when Mimir cannot list the series', async () => {
+    const { service, mocks } = await setupService();
+    mocks.queryMimirApi.mockResolvedValue(null);
+
+    await expect(service.getCardinality(7)).rejects.toMatchObject({ status: 502 });
+  });
+});
@@ -0,0 +1,175 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const setupService = async ({ enabled = true, canAttempt = true } = {}) => {
+  vi.resetModules();
+
+  const queryMock = vi.fn();
+  const pushMetricsToMimirMock = vi.fn();
+  const recordIngestBufferEventMock = vi.fn();
+
+  vi.doMock('../database/connection.js', () => ({ query: queryMock }));
+
+  vi.doMock('../services/mimir.service.js', () => ({
+    canAttemptMimirWrite: () => canAttempt,
+    pushMetricsToMimir: pushMetricsToMimirMock,
+  }));
+
+  vi.doMock('../middleware/appMetrics.js', () => ({
+    recordIngestBufferEvent: recordIngestBufferEventMock,
+    recordIngestBufferState: vi.fn(),
+  }));
+
+  vi.doMock('../config.js', () => ({
+    config: {
+      metrics: { maxSampleAgeMs: 3_600_000 },
+      ingestBuffer: { enabled, drainBatchSize: 10, maxAgeMs: 86_400_000 },
+    },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const service = await import('../services/ingestBuffer.service.js');
+  return {
+    service,
+    mocks: { queryMock, pushMetricsToMimirMock, recordIngestBufferEventMock },
+  };
+};
+
+const bufferRow = (
+  id,
+  metrics = [{ name: 'orders', type: 'counter', value: 1, userId: '5', timestamp: Date.now() }]
+) => ({
+  id,
+  tenant_id: '5',
+  metrics,
+});
+
+describe('ingestBuffer.service', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('buffers only transient failures while enabled', async () => {
+    const { service } = await setupService();
+    const failure = (retryable) => ({ details: { failedTenants: [{ tenantId: '5', retryable }] } });
+
+    expect(service.shouldBufferFailure(failure(true))).toBe(true);
+    expect(service.shouldBufferFailure(failure(false))).toBe(false);
+    expect(service.shouldBufferFailure(new Error('MIMIR_URL is not configured'))).toBe(false);
+
+    const disabled = await setupService({ enabled: false });
+    expect(disabled.service.shouldBufferFailure(failure(true))).toBe(false);
+  });
+
+  it('stamps metrics without a client timestamp with the receive time', async () => {
+    const { service, mocks } = await setupService();
+    mocks.queryMock.mockResolvedValue({ rows: [{ id: 3 }] });
+
+    await service.bufferMetrics('5', [{ name: 'a' }, { name: 'b', timestamp: 100 }], 5_000);
+
+    const [, params] = mocks.queryMock.mock.calls[0];
+    expect(params[0]).toBe('5');
+    expect(JSON.parse(params[1])).toEqual([
+      { name: 'a', timestamp: 5_000 },
+      { name: 'b', timestamp: 100 },
+    ]);
+    expect(mocks.recordIngestBufferEventMock).toHaveBeenCalledWith('buffered');
+  });
+
+  it('drains batches in order and deletes delivered rows', async () => {
+    const { service, mocks } = await setupService();
+    mocks.queryMock
+      .mockResolvedValueOnce({ rowCount: 0, rows: [] }) // expire
+      .mockResolvedValueOnce({ rows: [bufferRow(2), bufferRow(1)] }) // claim
+      .mockResolvedValue({ rowCount: 1, rows: [] });
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, failedTenants: [] });
+
+    const outcome = await service.drainIngestBuffer();
+
+    expect(outcome).toEqual({ drained: 2, dropped: 0, failed: false });
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith(
+      [expect.objectContaining({ name: 'orders', timestamp: expect.any(Number) })],
+      { mode: 'drain', throwOnFailure: false }
+    );
+    const deletes = mocks.queryMock.mock.calls.filter(([sql]) => sql.startsWith('DELETE FROM'));
+    expect(deletes.slice(1).map(([, params]) => params[0])).toEqual([1, 2]);
+  });
+
+  it('drops expired samples instead of moving them to the edge of the window', async () => {
+    const { service, mocks } = await setupService();
+    const now = Date.now();
+    const sample = (timestamp) => ({ name: 'orders', type: 'counter', value: 1, timestamp });
+    mocks.queryMock
+      .mockResolvedValueOnce({ rowCount: 0, rows: [] })
+      .mockResolvedValueOnce({
+        rows: [
+          bufferRow(1, [sample(now - 7_200_000), sample(now - 60_000)]),
+          bufferRow(2, [sample(now - 7_200_000), sample(now - 5_400_000)]),
+        ],
+      })
+      .mockResolvedValue({ rowCount: 1, rows: [] });
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, failedTenants: [] });
+
+    const outcome = await service.drainIngestBuffer();
+
+    expect(outcome).toEqual({ drained: 1, dropped: 1, failed: false });
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledTimes(1);
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith([sample(now - 60_000)], {
+      mode: 'drain',
+      throwOnFailure: false,
+    });
+    expect(mocks.recordIngestBufferEventMock).toHaveBeenCalledWith('expired');
+    // Batches are expired by age within the sample window, not the longer buffer setting
+    expect(mocks.queryMock.mock.calls[0][1]).toEqual([3_600_000]);
+  });
+
+  it('stops draining and releases claims when Mimir is still failing', async () => {
+    const { service, mocks } = await setupService();
+    mocks.queryMock
+      .mockResolvedValueOnce({ rowCount: 0, rows: [] })
+      .mockResolvedValueOnce({ rows: [bufferRow(1), bufferRow(2)] })
+      .mockResolvedValue({ rowCount: 1, rows: [] });
+    mocks.pushMetricsToMimirMock.mockResolvedValue({
+      ok: false,
+      failedTenants: [{ tenantId: '5', error: 'Mimir remote-write returned 503', retryable: true }],
+    });
+
+    const outcome = await service.drainIngestBuffer();
+
+    expect(outcome.failed).toBe(true);
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledTimes(1);
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('attempts = attempts + 1'),
+      [1, 'Mimir remote-write returned 503']
+    );
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      'UPDATE ingest_buffer SET locked_until = NULL WHERE id = ANY($1)',
+      [[2]]
+    );
+  });
+
+  it('drops batches Mimir rejects and does not claim rows while the breaker is open', async () => {
+    const rejected = await setupService();
+    rejected.mocks.queryMock
+      .mockResolvedValueOnce({ rowCount: 0, rows: [] })
+      .mockResolvedValueOnce({ rows: [bufferRow(1)] })
+      .mockResolvedValue({ rowCount: 1, rows: [] });
+    rejected.mocks.pushMetricsToMimirMock.mockResolvedValue({
+      ok: false,
+      failedTenants: [{ tenantId: '5', error: 'returned 400', retryable: false }],
+    });
+    expect(await rejected.service.drainIngestBuffer()).toEqual({
+      drained: 0,
+      dropped: 1,
+      failed: false,
+    });
+
+    const open = await setupService({ canAttempt: false });
+    open.mocks.queryMock.mockResolvedValue({ rowCount: 0, rows: [] });
+    await open.service.drainIngestBuffer();
+    expect(open.mocks.queryMock).toHaveBeenCalledTimes(1);
+    expect(open.mocks.pushMetricsToMimirMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyLabelRules,
+  applyMetricLabelRules,
+  compileLabelRules,
+  parseLabelRules,
+} from '../utils/labelRules.js';
+
+describe('label rules', () => {
+  it('keeps only allowed keys and drops denied ones', () => {
+    const labels = { page: '/cart', url: 'https://shop/cart', plan: 'pro', element_text: 'Buy' };
+
+    expect(applyLabelRules(labels, compileLabelRules({ allow: ['page', 'plan'] }))).toEqual({
+      page: '/cart',
+      plan: 'pro',
+    });
+    expect(applyLabelRules(labels, compileLabelRules({ deny: ['url', 'element_text'] }))).toEqual({
+      page: '/cart',
+      plan: 'pro',
+    });
+  });
+
+  it('rewrites values in order and drops labels rewritten to nothing', () => {
+    const rules = compileLabelRules({
+      rewrite: [
+        { label: 'page', pattern: '\\?.*$', replacement: '' },
+        { label: 'page', pattern: '/[0-9]+(?=/|$)', replacement: '/:id' },
+        { label: 'referrer', pattern: '^.*$', replacement: '' },
+      ],
+    });
+
+    expect(
+      applyLabelRules({ page: '/orders/123/items/9?ref=mail', referrer: 'https://x' }, rules)
+    ).toEqual({ page: '/orders/:id/items/:id' });
+    // The compiled regexes are global; a second run must not depend on lastIndex
+    expect(applyLabelRules({ page: '/orders/5' }, rules)).toEqual({ page: '/orders/:id' });
+  });
+
+  it('normalizes rules and rejects invalid or unsafe ones', () => {
+    expect(parseLabelRules({ deny: [' url', 'url'] })).toEqual({
+      allow: [],
+      deny: ['url'],
+      rewrite: [],
+    });
+    expect(() => parseLabelRules({ allow: ['page'], deny: ['page'] })).toThrow(
+      'page cannot be both allowed and denied'
+    );
+    expect(() => parseLabelRules({ deny: ['not-a-label'] })).toThrow('invalid label key in deny');
+    expect(() => parseLabelRules({ rewrite: [{ label: 'page', pattern: '(a+)+$' }] })).toThrow(
+      'nested quantifiers'
+    );
+    expect(() => parseLabelRules({ rewrite: [{ label: 'page', pattern: '[' }] })).toThrow(
+      'pattern is invalid'
+    );
+    expect(() => parseLabelRules([])).toThrow('Label rules must be an object');
+  });
+
+  it('ignores empty or unparseable stored rules', () => {
+    expect(compileLabelRules(null)).toBeNull();
+    expect(compileLabelRules({ allow: [], deny: [], rewrite: [] })).toBeNull();
+    expect(compileLabelRules({ rewrite: [{ label: 'page', pattern: '[' }] })).toBeNull();
+  });
+
+  it('applies the rules of the metric config only', () => {
+    const schema = {
+      configs: new Map([['page_view', { labelRules: compileLabelRules({ deny: ['url'] }) }]]),
+    };
+    const other = { name: 'orders', labels: { url: '/x' } };
+
+    expect(applyMetricLabelRules({ name: 'page_view', labels: { url: '/x' } }, schema)).toEqual({
+      name: 'page_view',
+      labels: {},
+    });
+    expect(applyMetricLabelRules(other, schema)).toBe(other);
+  });
+});
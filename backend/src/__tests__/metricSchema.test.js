@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { declaredLabelKeys, enforceMetricSchema } from '../utils/metricSchema.js';
+
+const schema = (enforcement, configs = {}) => ({
+  enforcement,
+  configs: new Map(Object.entries(configs)),
+});
+
+describe('enforceMetricSchema', () => {
+  it('passes metrics through untouched when enforcement is off', () => {
+    const metric = { name: 'anything', type: 'gauge', value: 1, labels: { a: '1' } };
+
+    expect(enforceMetricSchema(metric, schema('off'))).toEqual({ metric, warnings: [] });
+  });
+
+  it('rejects paused and draft metrics in warn and strict mode', () => {
+    const configs = {
+      old: { type: 'counter', status: 'paused', labels: [] },
+      wip: { type: 'counter', status: 'draft', labels: [] },
+    };
+
+    expect(() =>
+      enforceMetricSchema({ name: 'old', type: 'counter' }, schema('warn', configs))
+    ).toThrow('Metric "old" is paused');
+    expect(() =>
+      enforceMetricSchema({ name: 'wip', type: 'counter' }, schema('strict', configs))
+    ).toThrow('Metric "wip" is draft');
+  });
+
+  it('coerces the type and keeps increment semantics for counters sent to a gauge', () => {
+    const { metric, warnings } = enforceMetricSchema(
+      { name: 'cart', type: 'counter', value: 2, labels: {} },
+      schema('warn', { cart: { type: 'gauge', status: 'active', labels: [] } })
+    );
+
+    expect(metric).toEqual({
+      name: 'cart',
+      type: 'gauge',
+      operation: 'increment',
+      value: 2,
+      labels: {},
+    });
+    expect(warnings).toEqual(['Type coerced from counter to configured gauge']);
+  });
+
+  it('drops the gauge operation when coercing to another type', () => {
+    const { metric } = enforceMetricSchema(
+      { name: 'orders', type: 'gauge', operation: 'set', value: 2 },
+      schema('warn', { orders: { type: 'counter', status: 'active', labels: [] } })
+    );
+
+    expect(metric).toEqual({ name: 'orders', type: 'counter', value: 2 });
+  });
+
+  it('rejects undeclared label keys in strict mode and drops them in warn mode', () => {
+    const configs = { orders: { type: 'counter', status: 'active', labels: ['plan'] } };
+    const metric = { name: 'orders', type: 'counter', value: 1, labels: { plan: 'pro', ip: 'x' } };
+
+    expect(() => enforceMetricSchema(metric, schema('strict', configs))).toThrow(
+      'Undeclared label keys: ip'
+    );
+    expect(enforceMetricSchema(metric, schema('warn', configs))).toEqual({
+      metric: { ...metric, labels: { plan: 'pro' } },
+      warnings: ['Dropped undeclared label keys: ip'],
+    });
+  });
+});
+
+describe('declaredLabelKeys', () => {
+  it('reads array and legacy object label definitions', () => {
+    expect(declaredLabelKeys([{ name: 'plan', value: '' }, { value: 'x' }])).toEqual(['plan']);
+    expect(declaredLabelKeys({ region: 'eu' })).toEqual(['region']);
+    expect(declaredLabelKeys(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_HISTOGRAM_BUCKETS,
+  DEFAULT_SUMMARY_QUANTILES,
+  parseBuckets,
+  parseQuantiles,
+  resolveBuckets,
+  resolveQuantiles,
+} from '../utils/metricShape.js';
+
+describe('parseBuckets', () => {
+  it('sorts and de-duplicates boundaries', () => {
+    expect(parseBuckets([10, '2.5', 1, 10])).toEqual([1, 2.5, 10]);
+  });
+
+  it('rejects empty lists and non-finite values', () => {
+    expect(() => parseBuckets([])).toThrow(/non-empty/);
+    expect(() => parseBuckets([1, Infinity])).toThrow(/finite/);
+    expect(() => parseBuckets([1, 'abc'])).toThrow(/finite/);
+  });
+});
+
+describe('parseQuantiles', () => {
+  it('accepts values strictly between 0 and 1', () => {
+    expect(parseQuantiles([0.99, 0.5])).toEqual([0.5, 0.99]);
+    expect(() => parseQuantiles([0])).toThrow(/between 0 and 1/);
+    expect(() => parseQuantiles([1])).toThrow(/between 0 and 1/);
+  });
+});
+
+describe('resolveBuckets / resolveQuantiles', () => {
+  it('fall back to the defaults when nothing valid is configured', () => {
+    expect(resolveBuckets(null)).toEqual(DEFAULT_HISTOGRAM_BUCKETS);
+    expect(resolveQuantiles(['x'])).toEqual(DEFAULT_SUMMARY_QUANTILES);
+    expect(resolveBuckets([5, 1])).toEqual([1, 5]);
+  });
+});
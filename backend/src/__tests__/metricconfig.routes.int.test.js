@@ -149,4 +149,207 @@ describe('metricconfig.routes integration', () => {
     expect(res.body.success).toBe(false);
     expect(res.body.error).toBe('No fields to update');
   });
+
+  it('POST /api/v1/metric-configs stores sorted histogram buckets', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({
+      rows: [{ id: 16, metric_type: 'histogram', metric_name: 'api_latency', buckets: [5, 50] }],
+    });
+
+    const res = await request(app)
+      .post('/api/v1/metric-configs')
+      .send({
+        name: 'API Latency',
+        metric_type: 'histogram',
+        metric_name: 'api_latency',
+        buckets: [50, 5, 50],
+      });
+
+    expect(res.status).toBe(201);
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO metric_configs'),
+      expect.arrayContaining(['histogram', '[5,50]', null])
+    );
+  });
+
+  it('POST /api/v1/metric-configs rejects invalid quantiles', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app)
+      .post('/api/v1/metric-configs')
+      .send({
+        name: 'Checkout Time',
+        metric_type: 'summary',
+        metric_name: 'checkout_time',
+        quantiles: [0.5, 1.5],
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details[0].msg).toMatch(/between 0 and 1/);
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+  });
+
+  it('PATCH /api/v1/metric-configs/:id stores normalized label rules', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [{ id: 10, metric_type: 'counter' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 10 }] });
+
+    const res = await request(app)
+      .patch('/api/v1/metric-configs/10')
+      .send({
+        label_rules: {
+          deny: ['url', ' referrer', 'url'],
+          rewrite: [{ label: 'page', pattern: '\\?.*$' }],
+        },
+      });
+
+    expect(res.status).toBe(200);
+    expect(mocks.queryMock).toHaveBeenLastCalledWith(expect.stringContaining('label_rules = $1'), [
+      JSON.stringify({
+        allow: [],
+        deny: ['url', 'referrer'],
+        rewrite: [{ label: 'page', pattern: '\\?.*$', replacement: '' }],
+      }),
+      '10',
+      88,
+    ]);
+  });
+
+  it('POST /api/v1/metric-configs rejects label rewrites that cannot be compiled', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app)
+      .post('/api/v1/metric-configs')
+      .send({
+        name: 'Page views',
+        metric_type: 'counter',
+        metric_name: 'page_view',
+        label_rules: { rewrite: [{ label: 'page', pattern: '([0-9]+' }] },
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toMatch(/rewrite 1 pattern is invalid/);
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+  });
+
+  it('PUT /api/v1/metric-configs/pii-scrubbing stores normalized settings', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ id: 88 }] });
+
+    const res = await request(app)
+      .put('/api/v1/metric-configs/pii-scrubbing')
+      .send({ action: 'hash', custom: [{ name: 'order_id', pattern: 'ORD-[0-9]+' }] });
+
+    const settings = {
+      action: 'hash',
+      detectors: ['email', 'ip', 'jwt', 'card', 'secret'],
+      custom: [{ name: 'order_id', pattern: 'ORD-[0-9]+' }],
+    };
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(settings);
+    expect(mocks.queryMock).toHaveBeenCalledWith(expect.stringContaining('pii_scrubbing = $1'), [
+      JSON.stringify(settings),
+      88,
+    ]);
+  });
+
+  it('PUT /api/v1/metric-configs/pii-scrubbing rejects unknown detectors', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app)
+      .put('/api/v1/metric-configs/pii-scrubbing')
+      .send({ detectors: ['phone'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toMatch(/PII detectors must be a list of/);
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+  });
+
+  it('PATCH /api/v1/metric-configs/:id stores the anonymize_ip toggle', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [{ id: 10, metric_type: 'counter' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 10, anonymize_ip: false }] });
+
+    const res = await request(app).patch('/api/v1/metric-configs/10').send({ anonymize_ip: false });
+
+    expect(res.status).toBe(200);
+    expect(mocks.queryMock).toHaveBeenLastCalledWith(expect.stringContaining('anonymize_ip = $1'), [
+      false,
+      '10',
+      88,
+    ]);
+  });
+
+  it('PATCH /api/v1/metric-configs/:id rejects buckets on a non-histogram metric', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ id: 10, metric_type: 'counter' }] });
+
+    const res = await request(app)
+      .patch('/api/v1/metric-configs/10')
+      .send({ buckets: [1, 2, 3] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Buckets can only be set on histogram metrics');
+  });
+
+  it('GET /api/v1/metric-configs/by-api-key includes histogram buckets', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ user_id: 88 }] }).mockResolvedValueOnce({
+      rows: [
+        { metric_name: 'api_latency', metric_type: 'histogram', labels: [], buckets: [5, 50] },
+        { metric_name: 'orders', metric_type: 'counter', labels: [], buckets: null },
+      ],
+    });
+
+    const res = await request(app)
+      .get('/api/v1/metric-configs/by-api-key')
+      .set('x-api-key', 'mk_valid');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      api_latency: { type: 'histogram', labels: {}, buckets: [5, 50] },
+      orders: { type: 'counter', labels: {} },
+    });
+  });
+
+  it('PUT /api/v1/metric-configs/enforcement updates the mode', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ schema_enforcement: 'strict' }] });
+
+    const res = await request(app)
+      .put('/api/v1/metric-configs/enforcement')
+      .send({ mode: 'strict' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ mode: 'strict' });
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE users SET schema_enforcement'),
+      ['strict', 88]
+    );
+  });
+
+  it('PUT /api/v1/metric-configs/enforcement rejects unknown modes', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app)
+      .put('/api/v1/metric-configs/enforcement')
+      .send({ mode: 'loose' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('Mode must be one of: off, warn, strict');
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+  });
+
+  it('GET /api/v1/metric-configs/enforcement returns the current mode', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ schema_enforcement: 'warn' }] });
+
+    const res = await request(app).get('/api/v1/metric-configs/enforcement');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ mode: 'warn' });
+  });
 });
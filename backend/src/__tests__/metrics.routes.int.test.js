@@ -1,14 +1,33 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
 import express from 'express';
 import request from 'supertest';
+import { compileLabelRules } from '../utils/labelRules.js';
 
 const setupApp = async () => {
   vi.resetModules();
 
   const recordMetricMock = vi.fn();
+  const reserveSeriesMock = vi.fn();
   const pushMetricsToMimirMock = vi.fn();
+  const pushRawSamplesToMimirMock = vi.fn();
   const fetchDashboardMetricsMock = vi.fn();
   const recordMetricsIngestMock = vi.fn();
+  const getMetricSchemaMock = vi.fn().mockResolvedValue({ enforcement: 'off', configs: new Map() });
+  const bufferMetricsMock = vi.fn().mockResolvedValue(1);
+  const shouldBufferFailureMock = vi.fn().mockReturnValue(false);
+  const consumeRequestQuotaMock = vi.fn().mockResolvedValue({
+    plan: 'free',
+    remaining: { requests: 299, samples: 999_000, series: 900 },
+    reset: { requests: 1_700_000_060, samples: 1_700_006_400 },
+    exceeded: null,
+  });
+  const partitionBySeriesQuotaMock = vi.fn(async (userId, items) => ({
+    allowed: items,
+    overQuota: [],
+    error: null,
+  }));
+  const recordUsageMock = vi.fn();
+  const enqueueWebhookDeliveriesMock = vi.fn().mockResolvedValue(0);
 
   vi.doMock('../middleware/auth.middleware.js', () => ({
     authenticateApiKey: (req, res, next) => {
@@ -32,22 +51,53 @@ const setupApp = async () => {
 
   vi.doMock('../services/metrics.service.js', () => ({
     recordMetric: recordMetricMock,
+    reserveSeries: reserveSeriesMock,
+    validateAndSanitizeLabels: (labels) => {
+      if (Object.keys(labels).length > 2) throw new Error('Too many labels: max 2');
+      return { ...labels };
+    },
+  }));
+
+  vi.doMock('../services/quota.service.js', () => ({
+    consumeRequestQuota: consumeRequestQuotaMock,
+    isQuotaEnforced: () => true,
+    partitionBySeriesQuota: partitionBySeriesQuotaMock,
+    recordUsage: recordUsageMock,
+    seriesQuotaKey: (name, labels) => `${name}${JSON.stringify(labels)}`,
   }));
 
   vi.doMock('../services/mimir.service.js', () => ({
     pushMetricsToMimir: pushMetricsToMimirMock,
+    pushRawSamplesToMimir: pushRawSamplesToMimirMock,
   }));
 
   vi.doMock('../services/mimirQuery.service.js', () => ({
     fetchDashboardMetrics: fetchDashboardMetricsMock,
   }));
 
+  vi.doMock('../services/ingestBuffer.service.js', () => ({
+    bufferMetrics: bufferMetricsMock,
+    shouldBufferFailure: shouldBufferFailureMock,
+  }));
+
+  vi.doMock('../services/metricConfig.service.js', () => ({
+    getMetricSchema: getMetricSchemaMock,
+  }));
+
+  vi.doMock('../services/webhook.service.js', () => ({
+    enqueueWebhookDeliveries: enqueueWebhookDeliveriesMock,
+  }));
+
   vi.doMock('../config.js', () => ({
     config: {
       urls: {
         grafana: 'http://grafana:3001',
         mimir: 'http://mimir:9009',
       },
+      metrics: {
+        maxSampleAgeMs: 3_600_000,
+        maxClockSkewMs: 300_000,
+      },
     },
   }));
 
@@ -72,9 +122,18 @@ const setupApp = async () => {
     app,
     mocks: {
       recordMetricMock,
+      reserveSeriesMock,
       pushMetricsToMimirMock,
+      pushRawSamplesToMimirMock,
       fetchDashboardMetricsMock,
       recordMetricsIngestMock,
+      getMetricSchemaMock,
+      bufferMetricsMock,
+      shouldBufferFailureMock,
+      consumeRequestQuotaMock,
+      partitionBySeriesQuotaMock,
+      recordUsageMock,
+      enqueueWebhookDeliveriesMock,
     },
   };
 };
@@ -156,6 +215,343 @@ describe('metrics.routes integration', () => {
     );
   });
 
+  it('POST /api/v1/metrics forwards client timestamps to Mimir', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+    const eventTime = Date.now() - 30_000;
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [
+          { name: 'orders_completed', type: 'counter', value: 1, timestamp: eventTime },
+          {
+            name: 'cart_value',
+            type: 'gauge',
+            value: 12,
+            timestamp: new Date(eventTime).toISOString(),
+          },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith(
+      [
+        expect.objectContaining({ name: 'orders_completed', timestamp: eventTime }),
+        expect.objectContaining({ name: 'cart_value', timestamp: eventTime }),
+      ],
+      { mode: 'ingest', throwOnFailure: true }
+    );
+  });
+
+  it('POST /api/v1/metrics rejects timestamps outside the accepted window', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [
+          { name: 'stale', type: 'counter', value: 1, timestamp: Date.now() - 2 * 3_600_000 },
+          { name: 'future', type: 'counter', value: 1, timestamp: Date.now() + 600_000 },
+          { name: 'fresh', type: 'counter', value: 1 },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.processed).toBe(1);
+    expect(res.body.data.errors).toEqual([
+      expect.objectContaining({ index: 0, error: expect.stringMatching(/older than/) }),
+      expect.objectContaining({ index: 1, error: expect.stringMatching(/in the future/) }),
+    ]);
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith(
+      [expect.objectContaining({ name: 'fresh', timestamp: undefined })],
+      { mode: 'ingest', throwOnFailure: true }
+    );
+  });
+
+  it('POST /api/v1/metrics returns 400 for unparseable timestamps', async () => {
+    const { app } = await setupApp();
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [{ name: 'orders_completed', type: 'counter', value: 1, timestamp: 'yesterday' }],
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Validation failed/);
+  });
+
+  it('POST /api/v1/metrics applies configured histogram buckets', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+    mocks.getMetricSchemaMock.mockResolvedValue({
+      enforcement: 'off',
+      configs: new Map([['api_latency', { type: 'histogram', buckets: [5, 50], quantiles: null }]]),
+    });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({ metrics: [{ name: 'api_latency', type: 'histogram', value: 12 }] });
+
+    expect(res.status).toBe(200);
+    expect(mocks.getMetricSchemaMock).toHaveBeenCalledWith(42);
+    expect(mocks.recordMetricMock).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'api_latency', buckets: [5, 50] }),
+      42
+    );
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith(
+      [expect.objectContaining({ name: 'api_latency', buckets: [5, 50] })],
+      { mode: 'ingest', throwOnFailure: true }
+    );
+  });
+
+  it('POST /api/v1/metrics forwards the count of pre-aggregated observations', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [
+          { name: 'api_latency', type: 'histogram', value: 0.2, count: 3 },
+          { name: 'orders_completed', type: 'counter', value: 1, count: 3 },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.errors).toEqual([
+      { index: 1, error: 'count is only allowed on histogram and summary metrics' },
+    ]);
+    expect(mocks.recordMetricMock).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'api_latency', count: 3 }),
+      42
+    );
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith(
+      [expect.objectContaining({ name: 'api_latency', value: 0.2, count: 3 })],
+      { mode: 'ingest', throwOnFailure: true }
+    );
+  });
+
+  it('POST /api/v1/metrics returns 400 for an observation count out of range', async () => {
+    const { app } = await setupApp();
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({ metrics: [{ name: 'api_latency', type: 'histogram', value: 0.2, count: 0 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Validation failed/);
+  });
+
+  it('POST /api/v1/metrics applies label rules before strict schema checks', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+    mocks.getMetricSchemaMock.mockResolvedValue({
+      enforcement: 'strict',
+      configs: new Map([
+        [
+          'page_view',
+          {
+            type: 'counter',
+            status: 'active',
+            labels: ['page'],
+            labelRules: compileLabelRules({
+              deny: ['url', 'referrer'],
+              rewrite: [
+                { label: 'page', pattern: '\\?.*$', replacement: '' },
+                { label: 'page', pattern: '/\\d+', replacement: '/:id' },
+              ],
+            }),
+          },
+        ],
+      ]),
+    });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [
+          {
+            name: 'page_view',
+            type: 'counter',
+            value: 1,
+            labels: {
+              page: '/orders/123?tab=items',
+              url: 'https://shop/orders/123',
+              referrer: 'x',
+            },
+          },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.processed).toBe(1);
+    expect(mocks.recordMetricMock).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'page_view', labels: { page: '/orders/:id', site_id: '7' } }),
+      42
+    );
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith(
+      [
+        expect.objectContaining({
+          labels: { page: '/orders/:id', site_id: '7', user_id: '42' },
+        }),
+      ],
+      { mode: 'ingest', throwOnFailure: true }
+    );
+  });
+
+  it('POST /api/v1/metrics scrubs PII from label values before recording', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [
+          {
+            name: 'js_error',
+            type: 'counter',
+            value: 1,
+            labels: {
+              message: 'No account for jane@example.com',
+              url: '/reset?token=abc123&lang=en',
+            },
+          },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(mocks.recordMetricMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        labels: {
+          message: 'No account for [email]',
+          url: '/reset?token=[secret]&lang=en',
+          site_id: '7',
+        },
+      }),
+      42
+    );
+  });
+
+  it('POST /api/v1/metrics queues accepted samples for webhook delivery', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+    const schema = {
+      enforcement: 'off',
+      configs: new Map([['signup', { type: 'counter', webhookIds: [3] }]]),
+    };
+    mocks.getMetricSchemaMock.mockResolvedValue(schema);
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [{ name: 'signup', type: 'counter', value: 1, labels: { plan: 'pro' } }],
+      });
+
+    expect(res.status).toBe(200);
+    expect(mocks.enqueueWebhookDeliveriesMock).toHaveBeenCalledWith(schema.configs, [
+      {
+        name: 'signup',
+        type: 'counter',
+        value: 1,
+        labels: { plan: 'pro', site_id: '7' },
+        timestamp: expect.any(Number),
+      },
+    ]);
+  });
+
+  it('POST /api/v1/metrics still succeeds when queueing webhook deliveries fails', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+    mocks.enqueueWebhookDeliveriesMock.mockRejectedValue(new Error('db down'));
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({ metrics: [{ name: 'signup', type: 'counter', value: 1 }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.processed).toBe(1);
+  });
+
+  it('POST /api/v1/metrics rejects metrics that do not match the schema in strict mode', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+    mocks.getMetricSchemaMock.mockResolvedValue({
+      enforcement: 'strict',
+      configs: new Map([
+        ['orders_completed', { type: 'counter', status: 'active', labels: ['plan'] }],
+        ['legacy_visits', { type: 'counter', status: 'paused', labels: [] }],
+      ]),
+    });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [
+          { name: 'orders_completed', type: 'counter', value: 1, labels: { plan: 'pro' } },
+          { name: 'orders_completed', type: 'gauge', value: 1 },
+          { name: 'orders_completed', type: 'counter', value: 1, labels: { coupon: 'x' } },
+          { name: 'legacy_visits', type: 'counter', value: 1 },
+          { name: 'made_up', type: 'counter', value: 1 },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.processed).toBe(1);
+    expect(res.body.data.errors).toEqual([
+      { index: 1, error: 'Metric "orders_completed" is configured as counter, got gauge' },
+      { index: 2, error: 'Undeclared label keys: coupon' },
+      { index: 3, error: 'Metric "legacy_visits" is paused' },
+      { index: 4, error: 'Metric "made_up" is not configured' },
+    ]);
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith(
+      [
+        expect.objectContaining({
+          name: 'orders_completed',
+          labels: { plan: 'pro', site_id: '7', user_id: '42' },
+        }),
+      ],
+      { mode: 'ingest', throwOnFailure: true }
+    );
+  });
+
+  it('POST /api/v1/metrics coerces types and drops undeclared labels in warn mode', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+    mocks.getMetricSchemaMock.mockResolvedValue({
+      enforcement: 'warn',
+      configs: new Map([['cart_size', { type: 'gauge', status: 'active', labels: [] }]]),
+    });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [
+          { name: 'cart_size', type: 'counter', value: 2, labels: { session: 'abc' } },
+          { name: 'made_up', type: 'counter', value: 1 },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.processed).toBe(2);
+    expect(res.body.data.errors).toBeUndefined();
+    expect(res.body.data.warnings).toEqual([
+      { index: 0, warning: 'Type coerced from counter to configured gauge' },
+      { index: 0, warning: 'Dropped undeclared label keys: session' },
+      { index: 1, warning: 'Metric "made_up" is not configured' },
+    ]);
+    expect(mocks.pushMetricsToMimirMock.mock.calls[0][0][0]).toEqual(
+      expect.objectContaining({
+        name: 'cart_size',
+        type: 'gauge',
+        operation: 'increment',
+        labels: { site_id: '7', user_id: '42' },
+      })
+    );
+  });
+
   it('GET /api/v1/metrics/dashboard returns dashboard payload', async () => {
     const { app, mocks } = await setupApp();
     mocks.fetchDashboardMetricsMock.mockResolvedValue({
@@ -199,4 +595,225 @@ describe('metrics.routes integration', () => {
       })
     );
   });
+
+  it('POST /api/v1/metrics buffers the batch and returns 202 when Mimir is unavailable', async () => {
+    const { app, mocks } = await setupApp();
+    const breakerError = new Error('Mimir circuit breaker is open');
+    breakerError.status = 503;
+    mocks.pushMetricsToMimirMock.mockRejectedValue(breakerError);
+    mocks.shouldBufferFailureMock.mockReturnValue(true);
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({ metrics: [{ name: 'orders_completed', type: 'counter', value: 1 }] });
+
+    expect(res.status).toBe(202);
+    expect(res.body.data).toEqual(
+      expect.objectContaining({ processed: 1, mimirAccepted: false, buffered: true })
+    );
+    expect(mocks.shouldBufferFailureMock).toHaveBeenCalledWith(breakerError);
+    expect(mocks.bufferMetricsMock).toHaveBeenCalledWith(
+      '42',
+      [expect.objectContaining({ name: 'orders_completed', userId: '42' })],
+      expect.any(Number)
+    );
+    expect(mocks.recordMetricsIngestMock).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: 'buffered' })
+    );
+  });
+
+  it('POST /api/v1/metrics returns the Mimir error when buffering fails', async () => {
+    const { app, mocks } = await setupApp();
+    const breakerError = new Error('Mimir circuit breaker is open');
+    breakerError.status = 503;
+    mocks.pushMetricsToMimirMock.mockRejectedValue(breakerError);
+    mocks.shouldBufferFailureMock.mockReturnValue(true);
+    mocks.bufferMetricsMock.mockRejectedValue(new Error('db down'));
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({ metrics: [{ name: 'orders_completed', type: 'counter', value: 1 }] });
+
+    expect(res.status).toBe(503);
+    expect(res.body.error).toBe('Mimir circuit breaker is open');
+  });
+
+  it('POST /api/v1/metrics reports remaining quota and records usage', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({ metrics: [{ name: 'orders_completed', type: 'counter', value: 1 }] });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-quota-plan']).toBe('free');
+    expect(res.headers['x-quota-requests-remaining']).toBe('299');
+    expect(res.headers['x-quota-samples-remaining']).toBe('999000');
+    expect(res.headers['x-quota-series-remaining']).toBe('900');
+    expect(mocks.recordUsageMock).toHaveBeenCalledWith(42, { samples: 1, rejected: 0 });
+  });
+
+  it('POST /api/v1/metrics returns 429 with Retry-After when a quota is exceeded', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.consumeRequestQuotaMock.mockResolvedValue({
+      plan: 'free',
+      remaining: { requests: 0, samples: 999_000, series: 900 },
+      reset: { requests: 1_700_000_060, samples: 1_700_006_400 },
+      exceeded: {
+        message: 'Request quota exceeded: max 600 requests per minute',
+        retryAfterSeconds: 17,
+      },
+    });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({ metrics: [{ name: 'orders_completed', type: 'counter', value: 1 }] });
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('17');
+    expect(res.headers['x-quota-requests-remaining']).toBe('0');
+    expect(res.body.error).toBe('Request quota exceeded: max 600 requests per minute');
+    expect(mocks.pushMetricsToMimirMock).not.toHaveBeenCalled();
+  });
+
+  it('POST /api/v1/metrics lets requests through when the quota check fails', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.consumeRequestQuotaMock.mockRejectedValue(new Error('db down'));
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({ metrics: [{ name: 'orders_completed', type: 'counter', value: 1 }] });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-quota-plan']).toBeUndefined();
+  });
+
+  it('POST /api/v1/metrics rejects new series over the active series quota', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushMetricsToMimirMock.mockResolvedValue({ ok: true, durationMs: 5 });
+    mocks.partitionBySeriesQuotaMock.mockImplementation(async (userId, items, keyOf) => ({
+      allowed: items.filter((item) => keyOf(item).startsWith('known')),
+      overQuota: items.filter((item) => !keyOf(item).startsWith('known')),
+      error: 'Active series quota exceeded: max 1 series',
+    }));
+
+    const res = await request(app)
+      .post('/api/v1/metrics')
+      .send({
+        metrics: [
+          { name: 'new_series', type: 'counter', value: 1 },
+          { name: 'known_series', type: 'counter', value: 1 },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.processed).toBe(1);
+    expect(res.body.data.errors).toEqual([
+      { index: 0, error: 'Active series quota exceeded: max 1 series' },
+    ]);
+    expect(mocks.recordMetricMock).toHaveBeenCalledTimes(1);
+    expect(mocks.recordUsageMock).toHaveBeenCalledWith(42, { samples: 1, rejected: 1 });
+  });
+
+  it('POST /api/v1/metrics/prometheus forwards exposition samples unchanged', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushRawSamplesToMimirMock.mockResolvedValue({ ok: true, durationMs: 9 });
+
+    const res = await request(app)
+      .post('/api/v1/metrics/prometheus')
+      .set('Content-Type', 'text/plain; version=0.0.4')
+      .send(
+        [
+          '# HELP http_requests_total Requests',
+          '# TYPE http_requests_total counter',
+          'http_requests_total{route="/api"} 1027',
+          '# TYPE latency_seconds histogram',
+          'latency_seconds_bucket{le="0.5",route="/api"} 3',
+          'latency_seconds_bucket{le="+Inf",route="/api"} 4',
+          'latency_seconds_count{route="/api"} 4',
+          'latency_seconds_sum{route="/api"} 1.5',
+        ].join('\n')
+      );
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(
+      expect.objectContaining({ processed: 5, total: 5, mimirAccepted: true })
+    );
+    const [tenantId, samples, options] = mocks.pushRawSamplesToMimirMock.mock.calls[0];
+    expect(tenantId).toBe('42');
+    expect(options).toEqual({ mode: 'exposition', throwOnFailure: true });
+    expect(samples[0]).toEqual({
+      labels: {
+        route: '/api',
+        site_id: '7',
+        user_id: '42',
+        __name__: 'user_metric_http_requests_total',
+      },
+      value: 1027,
+      timestamp: expect.any(Number),
+    });
+    expect(samples[1].labels).toEqual(
+      expect.objectContaining({ le: '0.5', __name__: 'user_metric_latency_seconds_bucket' })
+    );
+    expect(mocks.reserveSeriesMock).toHaveBeenCalledWith(42, 'latency_seconds', {
+      route: '/api',
+      site_id: '7',
+    });
+  });
+
+  it('POST /api/v1/metrics/prometheus reports invalid lines and samples by line number', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.pushRawSamplesToMimirMock.mockResolvedValue({ ok: true, durationMs: 9 });
+
+    const res = await request(app)
+      .post('/api/v1/metrics/prometheus')
+      .set('Content-Type', 'text/plain')
+      .send(
+        [
+          '# TYPE jobs_total counter',
+          'jobs_total -1',
+          'queue_depth{a="1",b="2",c="3"} 4',
+          'broken{ 1',
+          'cpu_usage 0.5',
+        ].join('\n')
+      );
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.processed).toBe(1);
+    expect(res.body.data.errors).toEqual(
+      expect.arrayContaining([
+        { line: 2, error: 'Invalid value for counter metric' },
+        { line: 3, error: 'Too many labels: max 2' },
+        expect.objectContaining({ line: 4 }),
+      ])
+    );
+  });
+
+  it('POST /api/v1/metrics/prometheus returns 400 for a non-text body', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app).post('/api/v1/metrics/prometheus').send({ metrics: [] });
+
+    expect(res.status).toBe(400);
+    expect(mocks.pushRawSamplesToMimirMock).not.toHaveBeenCalled();
+  });
+
+  it('POST /api/v1/metrics/prometheus returns the Mimir error when the push fails', async () => {
+    const { app, mocks } = await setupApp();
+    const pushError = new Error('Mimir remote-write returned 500');
+    pushError.status = 502;
+    mocks.pushRawSamplesToMimirMock.mockRejectedValue(pushError);
+
+    const res = await request(app)
+      .post('/api/v1/metrics/prometheus')
+      .set('Content-Type', 'text/plain')
+      .send('cpu_usage 0.5\n');
+
+    expect(res.status).toBe(502);
+    expect(mocks.recordMetricsIngestMock).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: 'error' })
+    );
+  });
 });
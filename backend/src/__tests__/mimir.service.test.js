@@ -1,4 +1,5 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_HISTOGRAM_BUCKETS } from '../utils/metricShape.js';
 
 const setupService = async ({
   mimirUrl = 'http://mimir:9009',
@@ -138,6 +139,275 @@ describe('mimir.service', () => {
     expect(secondSeries.samples[0].value).toBe(5);
   });
 
+  it('writes client timestamps as sample timestamps', async () => {
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+    const eventTime = Date.now() - 60_000;
+
+    await service.pushMetricsToMimir([
+      {
+        name: 'cart_value',
+        type: 'gauge',
+        operation: 'set',
+        value: 42,
+        labels: {},
+        userId: '12',
+        timestamp: eventTime,
+      },
+    ]);
+
+    expect(pushImpl.mock.calls[0][0][0].samples).toEqual([{ value: 42, timestamp: eventTime }]);
+  });
+
+  it('accumulates repeated counter updates in one batch into a single ordered series', async () => {
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+    const base = Date.now() - 60_000;
+
+    await service.pushMetricsToMimir([
+      { name: 'clicks', type: 'counter', value: 1, labels: {}, userId: '13', timestamp: base },
+      { name: 'clicks', type: 'counter', value: 2, labels: {}, userId: '13', timestamp: base },
+      { name: 'clicks', type: 'counter', value: 1, labels: {}, userId: '13', timestamp: base - 5 },
+    ]);
+
+    const series = pushImpl.mock.calls[0][0];
+    expect(series).toHaveLength(1);
+    expect(series[0].samples).toEqual([
+      { value: 1, timestamp: base },
+      { value: 3, timestamp: base + 1 },
+      { value: 4, timestamp: base + 2 },
+    ]);
+  });
+
+  it('never writes a counter sample before the last one already pushed', async () => {
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+    const base = Date.now() - 60_000;
+
+    await service.pushMetricsToMimir([
+      { name: 'signups', type: 'counter', value: 1, labels: {}, userId: '14', timestamp: base },
+    ]);
+    await service.pushMetricsToMimir([
+      {
+        name: 'signups',
+        type: 'counter',
+        value: 1,
+        labels: {},
+        userId: '14',
+        timestamp: base - 30_000,
+      },
+    ]);
+
+    expect(pushImpl.mock.calls[1][0][0].samples).toEqual([{ value: 2, timestamp: base + 1 }]);
+  });
+
+  it('writes histograms as cumulative bucket, count and sum series', async () => {
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+
+    await service.pushMetricsToMimir([
+      {
+        name: 'latency',
+        type: 'histogram',
+        value: 0.3,
+        labels: { page: '/' },
+        buckets: [1, 0.5],
+        userId: '15',
+      },
+      {
+        name: 'latency',
+        type: 'histogram',
+        value: 2,
+        labels: { page: '/' },
+        buckets: [1, 0.5],
+        userId: '15',
+      },
+    ]);
+
+    const byName = Object.fromEntries(
+      pushImpl.mock.calls[0][0].map((series) => [
+        `${series.labels.__name__}${series.labels.le ? `{le=${series.labels.le}}` : ''}`,
+        series.samples.at(-1).value,
+      ])
+    );
+    expect(byName).toEqual({
+      'user_metric_latency_bucket{le=0.5}': 1,
+      'user_metric_latency_bucket{le=1}': 1,
+      'user_metric_latency_bucket{le=+Inf}': 2,
+      user_metric_latency_count: 2,
+      user_metric_latency_sum: 2.3,
+    });
+    expect(pushImpl.mock.calls[0][0][0].labels.page).toBe('/');
+  });
+
+  it('adds a pre-aggregated histogram observation count times', async () => {
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+
+    await service.pushMetricsToMimir([
+      {
+        name: 'resource_duration_seconds',
+        type: 'histogram',
+        value: 0.25,
+        count: 4,
+        labels: {},
+        buckets: [0.1, 0.5],
+        userId: '15',
+      },
+    ]);
+
+    const byName = Object.fromEntries(
+      pushImpl.mock.calls[0][0].map((series) => [
+        `${series.labels.__name__}${series.labels.le ? `{le=${series.labels.le}}` : ''}`,
+        series.samples.at(-1).value,
+      ])
+    );
+    expect(byName).toEqual({
+      'user_metric_resource_duration_seconds_bucket{le=0.1}': 0,
+      'user_metric_resource_duration_seconds_bucket{le=0.5}': 4,
+      'user_metric_resource_duration_seconds_bucket{le=+Inf}': 4,
+      user_metric_resource_duration_seconds_count: 4,
+      user_metric_resource_duration_seconds_sum: 1,
+    });
+  });
+
+  it('writes summaries as quantile, count and sum series', async () => {
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+
+    await service.pushMetricsToMimir(
+      [10, 20, 30, 40].map((value) => ({
+        name: 'checkout_ms',
+        type: 'summary',
+        value,
+        labels: {},
+        quantiles: [0.5, 0.99],
+        userId: '16',
+      }))
+    );
+
+    const series = pushImpl.mock.calls[0][0];
+    const latest = (name, quantile) =>
+      series
+        .find((s) => s.labels.__name__ === name && s.labels.quantile === quantile)
+        ?.samples.at(-1).value;
+    expect(latest('user_metric_checkout_ms', '0.5')).toBe(20);
+    expect(latest('user_metric_checkout_ms', '0.99')).toBe(40);
+    expect(latest('user_metric_checkout_ms_count')).toBe(4);
+    expect(latest('user_metric_checkout_ms_sum')).toBe(100);
+  });
+
+  it('continues histogram counts from committed state on the next push', async () => {
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+    const observe = () =>
+      service.pushMetricsToMimir([
+        { name: 'ttfb', type: 'histogram', value: 0.2, labels: {}, userId: '17' },
+      ]);
+
+    await observe();
+    await observe();
+
+    const count = pushImpl.mock.calls[1][0].find(
+      (s) => s.labels.__name__ === 'user_metric_ttfb_count'
+    );
+    const buckets = pushImpl.mock.calls[1][0].filter(
+      (s) => s.labels.__name__ === 'user_metric_ttfb_bucket'
+    );
+    expect(count.samples[0].value).toBe(2);
+    expect(buckets).toHaveLength(DEFAULT_HISTOGRAM_BUCKETS.length + 1);
+  });
+
+  it('undoes reserved counter state when the push fails', async () => {
+    const pushImpl = vi
+      .fn()
+      .mockResolvedValueOnce(undefined)
+      .mockRejectedValueOnce(new Error('mimir down'))
+      .mockResolvedValueOnce(undefined);
+    const { service } = await setupService({ pushImpl });
+    const push = () =>
+      service.pushMetricsToMimir([
+        { name: 'refunds', type: 'counter', value: 1, labels: {}, userId: '18' },
+      ]);
+
+    await push();
+    await push();
+    await push();
+
+    expect(pushImpl.mock.calls[2][0][0].samples[0].value).toBe(2);
+  });
+
+  it('continues counters from a store shared with another instance', async () => {
+    const { createMemorySeriesStateStore } = await import('../services/seriesState.service.js');
+    const store = createMemorySeriesStateStore();
+    const first = await setupService();
+    first.service.setSeriesStateStore(store);
+    await first.service.pushMetricsToMimir([
+      { name: 'orders', type: 'counter', value: 4, labels: {}, userId: '19' },
+    ]);
+
+    const second = await setupService();
+    second.service.setSeriesStateStore(store);
+    await second.service.pushMetricsToMimir([
+      { name: 'orders', type: 'counter', value: 1, labels: {}, userId: '19' },
+    ]);
+
+    expect(second.pushImpl.mock.calls[0][0][0].samples[0].value).toBe(5);
+  });
+
+  it('fails the tenant without opening the circuit breaker when series state is unavailable', async () => {
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+    service.setSeriesStateStore({
+      update: vi.fn().mockRejectedValue(new Error('db down')),
+    });
+
+    for (let i = 0; i < 6; i += 1) {
+      const result = await service.pushMetricsToMimir([
+        { name: 'orders', type: 'counter', value: 1, labels: {}, userId: '22' },
+      ]);
+      expect(result.failedTenants[0]).toEqual(
+        expect.objectContaining({ tenantId: '22', retryable: true })
+      );
+    }
+
+    expect(pushImpl).not.toHaveBeenCalled();
+    expect(service.getMimirCircuitState()).toBe('CLOSED');
+  });
+
+  it('heartbeats claimed series page by page after pruning idle state', async () => {
+    vi.useFakeTimers();
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+    const entry = (i) => ({
+      stateKey: `1::${i}`,
+      tenantId: '1',
+      labels: { __name__: 'user_metric_orders', n: String(i) },
+      value: i,
+    });
+    const store = {
+      pruneIdle: vi.fn().mockResolvedValue(0),
+      claimHeartbeat: vi
+        .fn()
+        .mockResolvedValueOnce(Array.from({ length: 5000 }, (_, i) => entry(i)))
+        .mockResolvedValueOnce([entry(5000)]),
+    };
+    service.setSeriesStateStore(store);
+
+    try {
+      service.startCounterHeartbeat(15000);
+      await vi.advanceTimersByTimeAsync(15000);
+    } finally {
+      service.stopCounterHeartbeat();
+      vi.useRealTimers();
+    }
+
+    expect(store.pruneIdle).toHaveBeenCalledWith(604_800_000, 5000);
+    expect(store.claimHeartbeat).toHaveBeenCalledTimes(2);
+    expect(store.claimHeartbeat.mock.calls[0][2]).toEqual({ limit: 5000, idleMs: 604_800_000 });
+    expect(pushImpl.mock.calls.map(([timeseries]) => timeseries.length)).toEqual([5000, 1]);
+  });
+
   it('opens circuit breaker after repeated failures and rejects subsequent attempts', async () => {
     const pushImpl = vi.fn().mockRejectedValue(new Error('mimir down'));
     const { service } = await setupService({ pushImpl });
@@ -158,4 +428,80 @@ describe('mimir.service', () => {
     expect(blocked.failedTenants[0].error).toMatch(/Circuit breaker OPEN/);
     expect(pushImpl).toHaveBeenCalledTimes(5);
   });
+
+  it('treats non-2xx remote-write responses as failures', async () => {
+    const pushImpl = vi
+      .fn()
+      .mockResolvedValue({ status: 500, statusText: 'Internal', errorMessage: 'ingester down' });
+    const { service } = await setupService({ pushImpl });
+
+    const result = await service.pushMetricsToMimir([
+      { name: 'orders', type: 'counter', value: 1, labels: {}, userId: '20' },
+    ]);
+
+    expect(result.ok).toBe(false);
+    expect(result.failedTenants[0]).toEqual(
+      expect.objectContaining({ status: 500, retryable: true })
+    );
+    expect(result.failedTenants[0].error).toMatch(/returned 500: ingester down/);
+  });
+
+  it('does not open the circuit breaker when Mimir rejects samples with a 4xx', async () => {
+    const pushImpl = vi
+      .fn()
+      .mockResolvedValue({ status: 400, statusText: 'Bad Request', errorMessage: 'too old' });
+    const { service } = await setupService({ pushImpl });
+
+    for (let i = 0; i < 6; i += 1) {
+      const result = await service.pushMetricsToMimir([
+        { name: 'orders', type: 'counter', value: 1, labels: {}, userId: '21' },
+      ]);
+      expect(result.failedTenants[0].retryable).toBe(false);
+    }
+
+    expect(service.getMimirCircuitState()).toBe('CLOSED');
+  });
+
+  it('pushes raw samples unchanged, one series per label set', async () => {
+    const pushImpl = vi.fn().mockResolvedValue(undefined);
+    const { service } = await setupService({ pushImpl });
+    const labels = { __name__: 'user_metric_http_requests_total', user_id: '23' };
+
+    const result = await service.pushRawSamplesToMimir(
+      '23',
+      [
+        { labels, value: 10, timestamp: 2000 },
+        { labels, value: 7, timestamp: 1000 },
+      ],
+      { mode: 'exposition' }
+    );
+
+    expect(result.ok).toBe(true);
+    expect(pushImpl.mock.calls[0][0]).toEqual([
+      {
+        labels,
+        samples: [
+          { value: 7, timestamp: 1000 },
+          { value: 10, timestamp: 2000 },
+        ],
+      },
+    ]);
+    expect(pushImpl.mock.calls[0][1].headers['X-Scope-OrgID']).toBe('23');
+  });
+
+  it('throws a 400 when Mimir rejects a raw push and throwOnFailure is enabled', async () => {
+    const pushImpl = vi
+      .fn()
+      .mockResolvedValue({ status: 400, statusText: 'Bad Request', errorMessage: 'too old' });
+    const { service } = await setupService({ pushImpl });
+
+    await expect(
+      service.pushRawSamplesToMimir(
+        '24',
+        [{ labels: { __name__: 'user_metric_up' }, value: 1, timestamp: 1000 }],
+        { throwOnFailure: true }
+      )
+    ).rejects.toMatchObject({ status: 400, message: expect.stringMatching(/returned 400/) });
+    expect(service.getMimirCircuitState()).toBe('CLOSED');
+  });
 });
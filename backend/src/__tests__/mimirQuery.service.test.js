@@ -1,4 +1,4 @@
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
 const setupService = async () => {
   vi.resetModules();
@@ -49,6 +49,10 @@ describe('mimirQuery.service', () => {
     vi.restoreAllMocks();
   });
 
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
   it('recommends step sizes based on query range duration', async () => {
     const { service } = await setupService();
 
@@ -162,4 +166,118 @@ describe('mimirQuery.service', () => {
     const mode = await service.detectDashboardVertical(5);
     expect(mode).toBe('movie');
   });
+
+  it('scores anomaly widgets against the same hour on previous days', async () => {
+    const { service } = await setupService();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-01-10T14:35:00Z'));
+    const hour = Date.UTC(2026, 0, 10, 14) / 1000;
+    const baseline = [100, 110, 90, 105, 95, 100, 100];
+    const fetchMock = vi.fn(async (url) => ({
+      ok: true,
+      json: async () =>
+        url.includes('/query_range?')
+          ? {
+              status: 'success',
+              data: {
+                result: [{ values: baseline.map((v, i) => [hour - (i + 1) * 86400, String(v)]) }],
+              },
+            }
+          : { status: 'success', data: { resultType: 'scalar', result: [hour, '150'] } },
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+    const widgets = [
+      { id: 1, title: 'Orders', metric_name: 'orders_completed', query_kind: 'increase_24h' },
+      {
+        id: 2,
+        title: 'Orders (anomaly)',
+        metric_name: 'orders_completed',
+        query_kind: 'increase_24h',
+        anomaly_detection: true,
+        anomaly_baseline_days: 7,
+        anomaly_z_threshold: 3,
+      },
+    ];
+
+    const result = await service.fetchConfigDrivenDashboardMetrics(5, null, widgets);
+
+    expect(result.widgets[0].anomaly).toBeNull();
+    expect(result.widgets[1]).toMatchObject({
+      value: 150,
+      anomaly: {
+        status: 'anomalous',
+        direction: 'above',
+        expected: 100,
+        baselineSamples: 7,
+        baselineDays: 7,
+      },
+    });
+    const rangeUrls = fetchMock.mock.calls.map(([url]) => url).filter((u) => u.includes('range'));
+    expect(rangeUrls).toHaveLength(1);
+    expect(rangeUrls[0]).toContain(`start=${hour - 7 * 86400}`);
+    expect(rangeUrls[0]).toContain(`end=${hour - 86400}`);
+    expect(rangeUrls[0]).toContain('step=3600');
+
+    // The baseline is reused within the hour
+    await service.fetchConfigDrivenDashboardMetrics(5, null, widgets);
+    expect(fetchMock.mock.calls.filter(([url]) => url.includes('range'))).toHaveLength(1);
+  });
+
+  it('reports INP alongside legacy FID in detailed performance stats', async () => {
+    const { service } = await setupService();
+    const timings = { inp: '180.4', fid: '12', cls: '95', lcp: '200000' };
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url) => {
+        const query = decodeURIComponent(url.split('query=')[1]);
+        const metric = Object.keys(timings).find((name) => query.includes(`user_metric_${name}{`));
+        return {
+          ok: true,
+          json: async () => ({
+            status: 'success',
+            data: { resultType: 'scalar', result: [1, metric ? timings[metric] : '0'] },
+          }),
+        };
+      })
+    );
+
+    const result = await service.fetchLegacyDashboardMetrics(5, null, { includeDetails: true });
+
+    expect(result.stats).toMatchObject({ inp: 180, fid: 12, cls: 95, lcp: 0 });
+  });
+
+  it('derives session averages and bounce rate from the session counters', async () => {
+    const { service } = await setupService();
+    const counters = [
+      ['session_start{user_id=~"^5$",visitor="new"}', '30'],
+      ['session_start{', '40'],
+      ['session_duration{', '4800'],
+      ['pages_per_session{', '110'],
+      ['session_engaged{', '26'],
+    ];
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url) => {
+        const query = decodeURIComponent(url.split('query=')[1]);
+        const match = counters.find(([selector]) => query.includes(`user_metric_${selector}`));
+        return {
+          ok: true,
+          json: async () => ({
+            status: 'success',
+            data: { resultType: 'scalar', result: [1, match ? match[1] : '0'] },
+          }),
+        };
+      })
+    );
+
+    const result = await service.fetchLegacyDashboardMetrics(5);
+
+    expect(result.stats).toMatchObject({
+      sessions: 40,
+      newVisitors: 30,
+      avgSessionDuration: 120,
+      pagesPerSession: 2.75,
+      bounceRate: 35,
+    });
+  });
 });
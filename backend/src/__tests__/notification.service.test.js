@@ -0,0 +1,289 @@
+import http from 'http';
+import net from 'net';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const setupService = async ({ smtp = {} } = {}) => {
+  vi.resetModules();
+
+  const queryMock = vi.fn();
+  const recordAlertNotificationMock = vi.fn();
+
+  vi.doMock('../database/connection.js', () => ({ query: queryMock }));
+
+  vi.doMock('../middleware/appMetrics.js', () => ({
+    recordAlertNotification: recordAlertNotificationMock,
+    recordWebhookDelivery: vi.fn(),
+  }));
+
+  vi.doMock('../config.js', () => ({
+    config: {
+      cors: { frontendUrl: 'https://app.vizme.test/' },
+      webhooks: { allowInsecureUrls: true, allowPrivateNetworks: true },
+      notifications: {
+        enabled: true,
+        minIntervalMs: 60_000,
+        maxAlertsPerMessage: 50,
+        timeoutMs: 2_000,
+        maxAttempts: 3,
+        retryBaseDelayMs: 30_000,
+        smtp: {
+          host: '',
+          port: 587,
+          secure: false,
+          user: '',
+          password: '',
+          from: 'Vizme Alerts <alerts@vizme.test>',
+          ...smtp,
+        },
+      },
+    },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const service = await import('../services/notification.service.js');
+  return { service, mocks: { queryMock, recordAlertNotificationMock } };
+};
+
+// Local HTTP stand-in that records requests and answers with the next queued status
+const startHttpStub = async (statuses = []) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return { url, requests, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+// Minimal SMTP stand-in: accepts every command and records each message's envelope and data
+const startSmtpStub = async () => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    let envelope = { from: null, to: [] };
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, data: data.join('\n') });
+            data = null;
+            envelope = { from: null, to: [] };
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 stub\r\n');
+        else if (command === 'MAIL') {
+          envelope.from = line.slice(10);
+          socket.write('250 ok\r\n');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.slice(8));
+          socket.write('250 ok\r\n');
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+const queuedRow = (overrides = {}) => ({
+  id: 1,
+  attempts: 0,
+  rule_id: 3,
+  status: 'firing',
+  value: 12,
+  created_at: new Date('2026-01-01T00:00:00Z'),
+  rule_name: 'Checkout errors',
+  severity: 'critical',
+  operator: '>',
+  threshold: 5,
+  metric: 'checkout_errors',
+  ...overrides,
+});
+
+describe('notification.service', () => {
+  let stub = null;
+  let service = null;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterEach(async () => {
+    service?.stopNotificationDispatch();
+    service = null;
+    await stub?.close();
+    stub = null;
+  });
+
+  it('validates channel settings per type', async () => {
+    const unconfigured = await setupService();
+    expect(unconfigured.service.parseChannelConfig('email', { to: ['ops@example.com'] })).toEqual({
+      problem: 'Email is unavailable: SMTP is not configured',
+    });
+    expect(unconfigured.service.parseChannelConfig('slack', { url: 'ftp://x' })).toEqual({
+      problem: 'URL must use https',
+    });
+    expect(
+      unconfigured.service.parseChannelConfig('webhook', { url: ' https://hooks.example.com/a ' })
+    ).toEqual({ config: { url: 'https://hooks.example.com/a' } });
+
+    ({ service } = await setupService({ smtp: { host: 'smtp.example.com' } }));
+    expect(service.parseChannelConfig('email', { to: 'ops@example.com' })).toEqual({
+      config: { to: ['ops@example.com'] },
+    });
+    expect(service.parseChannelConfig('email', { to: ['ops@example.com', 'nope'] })).toEqual({
+      problem: 'Invalid email address: nope',
+    });
+    expect(service.parseChannelConfig('pager', {}).problem).toMatch(/^type must be one of/);
+  });
+
+  it('groups repeated transitions per rule and renders a message with dashboard links', async () => {
+    ({ service } = await setupService());
+
+    const alerts = service.groupAlerts([
+      queuedRow({ rule_id: 4, rule_name: 'Low traffic', severity: 'info', status: 'firing' }),
+      queuedRow({ id: 2 }),
+      queuedRow({ id: 3, status: 'resolved', value: 2 }),
+      queuedRow({ id: 4, value: 14 }),
+    ]);
+
+    expect(alerts.map((a) => [a.rule_name, a.status, a.value, a.occurrences])).toEqual([
+      ['Checkout errors', 'firing', 14, 3],
+      ['Low traffic', 'firing', 12, 1],
+    ]);
+
+    const message = service.renderNotification(alerts);
+    expect(message.subject).toBe('[Vizme] 2 alerts: 2 firing');
+    expect(message.text).toContain(
+      'FIRING [critical] Checkout errors: value 14 (> 5), metric checkout_errors (3 transitions)'
+    );
+    expect(message.text).toContain('Dashboard: https://app.vizme.test/');
+    expect(message.markdown).toContain('<https://app.vizme.test/alerts|Alert rules>');
+    expect(message.payload).toMatchObject({
+      event: 'alerts.notification',
+      dashboard_url: 'https://app.vizme.test/',
+      alerts: [{ rule_id: 3, occurrences: 3 }, { rule_id: 4 }],
+    });
+  });
+
+  it('posts Slack-style text and generic JSON to local endpoints', async () => {
+    ({ service } = await setupService());
+    stub = await startHttpStub([200, 500]);
+    const alerts = service.groupAlerts([queuedRow()]);
+
+    await service.sendToChannel({ type: 'slack', config: { url: stub.url } }, alerts);
+    await expect(
+      service.sendToChannel({ type: 'webhook', config: { url: stub.url } }, alerts)
+    ).rejects.toThrow('HTTP 500');
+
+    expect(JSON.parse(stub.requests[0].body)).toEqual({
+      text: expect.stringContaining('FIRING [critical] *Checkout errors*'),
+    });
+    expect(JSON.parse(stub.requests[1].body)).toMatchObject({
+      event: 'alerts.notification',
+      alerts: [{ rule_name: 'Checkout errors', value: 12, threshold: 5 }],
+    });
+  });
+
+  it('sends email through a local SMTP server', async () => {
+    stub = await startSmtpStub();
+    ({ service } = await setupService({ smtp: { host: '127.0.0.1', port: stub.port } }));
+
+    const result = await service.sendTestNotification({
+      name: 'On-call',
+      type: 'email',
+      config: { to: ['ops@example.com'] },
+    });
+
+    expect(result).toEqual({ ok: true, error: null });
+    expect(stub.messages).toHaveLength(1);
+    expect(stub.messages[0].to).toEqual(['<ops@example.com>']);
+    expect(stub.messages[0].data).toContain('To: ops@example.com');
+    expect(stub.messages[0].data).toContain(
+      'FIRING [info] Test notification for "On-call": value 1 (> 0)'
+    );
+  });
+
+  it('queues events for channels at or above the rule severity', async () => {
+    let mocks;
+    ({ service, mocks } = await setupService());
+    mocks.queryMock.mockResolvedValueOnce({ rowCount: 2 });
+
+    await expect(
+      service.enqueueAlertNotifications({ eventId: 9, userId: 42, severity: 'warning' })
+    ).resolves.toBe(2);
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO alert_notifications'),
+      [9, 42, ['info', 'warning', 'critical'], 'warning']
+    );
+  });
+
+  it('dispatches one grouped message per channel and retries failed sends', async () => {
+    let mocks;
+    ({ service, mocks } = await setupService());
+    stub = await startHttpStub([200, 503]);
+    mocks.queryMock.mockImplementation(async (sql, params) => {
+      if (sql.includes('UPDATE notification_channels c SET locked_until')) {
+        return {
+          rows: [
+            { id: 1, type: 'webhook', config: { url: stub.url } },
+            { id: 2, type: 'slack', config: { url: stub.url } },
+          ],
+        };
+      }
+      if (sql.includes('FROM alert_notifications n')) {
+        return params[0] === 1
+          ? { rows: [queuedRow({ id: 10 }), queuedRow({ id: 11, status: 'resolved' })] }
+          : { rows: [queuedRow({ id: 12, attempts: 2 })] };
+      }
+      return { rows: [] };
+    });
+
+    const outcome = await service.dispatchNotifications();
+
+    expect(outcome).toEqual({ sent: 1, retried: 0, failed: 1 });
+    expect(stub.requests).toHaveLength(2);
+    expect(JSON.parse(stub.requests[0].body).alerts).toHaveLength(1);
+    expect(mocks.queryMock).toHaveBeenCalledWith(expect.stringContaining("status = 'sent'"), [
+      [10, 11],
+    ]);
+    expect(mocks.queryMock).toHaveBeenCalledWith(expect.stringContaining('last_notified_at'), [1]);
+    expect(mocks.queryMock).toHaveBeenCalledWith(expect.stringContaining("THEN 'failed'"), [
+      [12],
+      'HTTP 503',
+      3,
+      30_000,
+      3_600_000,
+    ]);
+    expect(mocks.recordAlertNotificationMock).toHaveBeenCalledWith('slack', 'failed');
+  });
+});
@@ -0,0 +1,145 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+const setupApp = async ({ smtpHost = '' } = {}) => {
+  vi.resetModules();
+
+  const queryMock = vi.fn();
+  const sendTestNotificationMock = vi.fn();
+
+  vi.doMock('../database/connection.js', () => ({ query: queryMock }));
+
+  vi.doMock('../middleware/auth.middleware.js', () => ({
+    authenticate: (req, res, next) => {
+      req.user = { id: 88 };
+      next();
+    },
+  }));
+
+  vi.doMock('../middleware/rateLimiter.js', () => ({
+    apiLimiter: (req, res, next) => next(),
+  }));
+
+  vi.doMock('../services/mimirQuery.service.js', () => ({ queryScalar: vi.fn() }));
+
+  vi.doMock('../config.js', () => ({
+    config: {
+      isProduction: false,
+      webhooks: { allowInsecureUrls: false },
+      alerts: { enabled: true },
+      notifications: { enabled: true, smtp: { host: smtpHost } },
+    },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  vi.doUnmock('../services/notification.service.js');
+  const notificationService = await import('../services/notification.service.js');
+  vi.doMock('../services/notification.service.js', () => ({
+    ...notificationService,
+    sendTestNotification: sendTestNotificationMock,
+  }));
+
+  const { notificationChannelsRoutes } = await import('../routes/notificationChannels.routes.js');
+  const { errorHandler } = await import('../middleware/errorHandler.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/notification-channels', notificationChannelsRoutes);
+  app.use(errorHandler);
+
+  return { app, mocks: { queryMock, sendTestNotificationMock } };
+};
+
+const slackUrl = 'https://hooks.slack.com/services/T000/B000/secrettoken1234';
+
+describe('notificationChannels.routes integration', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('POST creates a Slack channel and masks its URL in the response', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockImplementationOnce(async (sql, params) => ({
+      rows: [{ id: 1, type: 'slack', config: JSON.parse(params[3]), min_severity: params[4] }],
+    }));
+
+    const res = await request(app)
+      .post('/api/v1/notification-channels')
+      .send({ name: 'Ops', type: 'slack', config: { url: slackUrl }, min_severity: 'warning' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.config.url).toBe('https://hooks.slack.com/••••1234');
+    expect(mocks.queryMock.mock.calls[0][1]).toEqual([
+      88,
+      'Ops',
+      'slack',
+      JSON.stringify({ url: slackUrl }),
+      'warning',
+      true,
+    ]);
+  });
+
+  it('POST rejects email channels while SMTP is not configured', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app)
+      .post('/api/v1/notification-channels')
+      .send({ name: 'On-call', type: 'email', config: { to: ['ops@example.com'] } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Email is unavailable: SMTP is not configured');
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+
+    const configured = await setupApp({ smtpHost: 'smtp.example.com' });
+    configured.mocks.queryMock.mockResolvedValueOnce({ rows: [{ id: 2, config: {} }] });
+    const ok = await request(configured.app)
+      .post('/api/v1/notification-channels')
+      .send({ name: 'On-call', type: 'email', config: { to: ['ops@example.com'] } });
+    expect(ok.status).toBe(201);
+  });
+
+  it('PATCH validates a new config against the stored channel type', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ type: 'webhook' }] });
+
+    const res = await request(app)
+      .patch('/api/v1/notification-channels/1')
+      .send({ config: { url: 'http://plain.example.com/hook' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('URL must use https');
+    expect(mocks.queryMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('POST /:id/test sends a sample alert and reports sender errors as 502', async () => {
+    const { app, mocks } = await setupApp();
+    const channel = { id: 1, name: 'Ops', type: 'slack', config: { url: slackUrl } };
+    mocks.queryMock.mockResolvedValue({ rows: [channel] });
+    mocks.sendTestNotificationMock
+      .mockResolvedValueOnce({ ok: true, error: null })
+      .mockResolvedValueOnce({ ok: false, error: 'HTTP 404' });
+
+    const ok = await request(app).post('/api/v1/notification-channels/1/test');
+    expect(ok.status).toBe(200);
+    expect(mocks.sendTestNotificationMock).toHaveBeenCalledWith(channel);
+    expect(mocks.queryMock).toHaveBeenCalledWith(expect.any(String), [1, 88]);
+
+    const failed = await request(app).post('/api/v1/notification-channels/1/test');
+    expect(failed.status).toBe(502);
+    expect(failed.body.message).toBe('HTTP 404');
+  });
+
+  it('POST /:id/test returns 404 for a channel of another user', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).post('/api/v1/notification-channels/9/test');
+
+    expect(res.status).toBe(404);
+    expect(mocks.sendTestNotificationMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,313 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+const setupApp = async () => {
+  vi.resetModules();
+
+  const reserveSeriesMock = vi.fn();
+  const pushMetricsToMimirMock = vi.fn().mockResolvedValue({ ok: true, durationMs: 3 });
+  const pushRawSamplesToMimirMock = vi.fn().mockResolvedValue({ ok: true, durationMs: 4 });
+  const recordMetricsIngestMock = vi.fn();
+  const bufferMetricsMock = vi.fn().mockResolvedValue(1);
+  const shouldBufferFailureMock = vi.fn().mockReturnValue(false);
+  const getMetricSchemaMock = vi.fn().mockResolvedValue({ enforcement: 'off', configs: new Map() });
+
+  vi.doMock('../middleware/auth.middleware.js', () => ({
+    authenticateApiKey: (req, res, next) => {
+      req.user = { id: 42 };
+      req.apiKey = { site_id: null };
+      next();
+    },
+  }));
+
+  vi.doMock('../middleware/rateLimiter.js', () => ({
+    metricsLimiter: (req, res, next) => next(),
+  }));
+
+  vi.doMock('../middleware/appMetrics.js', () => ({
+    recordMetricsIngest: recordMetricsIngestMock,
+  }));
+
+  vi.doMock('../services/metrics.service.js', () => ({
+    reserveSeries: reserveSeriesMock,
+    validateAndSanitizeLabels: (labels) => ({ ...labels }),
+  }));
+
+  vi.doMock('../services/quota.service.js', () => ({
+    consumeRequestQuota: vi.fn().mockResolvedValue({
+      plan: 'free',
+      remaining: { requests: null, samples: null, series: null },
+      reset: {},
+      exceeded: null,
+    }),
+    isQuotaEnforced: () => true,
+    partitionBySeriesQuota: async (userId, items) => ({
+      allowed: items,
+      overQuota: [],
+      error: null,
+    }),
+    recordUsage: vi.fn(),
+    seriesQuotaKey: (name, labels) => `${name}${JSON.stringify(labels)}`,
+  }));
+
+  vi.doMock('../services/mimir.service.js', () => ({
+    pushMetricsToMimir: pushMetricsToMimirMock,
+    pushRawSamplesToMimir: pushRawSamplesToMimirMock,
+  }));
+
+  vi.doMock('../services/ingestBuffer.service.js', () => ({
+    bufferMetrics: bufferMetricsMock,
+    shouldBufferFailure: shouldBufferFailureMock,
+  }));
+
+  vi.doMock('../services/metricConfig.service.js', () => ({
+    getMetricSchema: getMetricSchemaMock,
+  }));
+
+  vi.doMock('../config.js', () => ({
+    config: { metrics: { maxSampleAgeMs: 3_600_000, maxClockSkewMs: 300_000 } },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const { otlpRoutes } = await import('../routes/otlp.routes.js');
+  const { errorHandler } = await import('../middleware/errorHandler.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/otlp', otlpRoutes);
+  app.use(errorHandler);
+
+  return {
+    app,
+    mocks: {
+      reserveSeriesMock,
+      pushMetricsToMimirMock,
+      pushRawSamplesToMimirMock,
+      recordMetricsIngestMock,
+      bufferMetricsMock,
+      shouldBufferFailureMock,
+      getMetricSchemaMock,
+    },
+  };
+};
+
+const nowNanos = () => `${Date.now()}000000`;
+
+const exportRequest = (metrics) => ({
+  resourceMetrics: [
+    {
+      resource: { attributes: [{ key: 'service.name', value: { stringValue: 'api' } }] },
+      scopeMetrics: [{ metrics }],
+    },
+  ],
+});
+
+describe('otlp.routes integration', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('writes cumulative points unchanged and adds delta points to cumulative state', async () => {
+    const { app, mocks } = await setupApp();
+    const time = nowNanos();
+
+    const res = await request(app)
+      .post('/api/v1/otlp/v1/metrics')
+      .send(
+        exportRequest([
+          { name: 'memory.used', gauge: { dataPoints: [{ asDouble: 512, timeUnixNano: time }] } },
+          {
+            name: 'jobs.done',
+            sum: {
+              aggregationTemporality: 1,
+              isMonotonic: true,
+              dataPoints: [{ asInt: '3', timeUnixNano: time }],
+            },
+          },
+        ])
+      );
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({});
+    expect(mocks.pushRawSamplesToMimirMock).toHaveBeenCalledWith(
+      '42',
+      [
+        {
+          labels: { service_name: 'api', user_id: '42', __name__: 'user_metric_memory_used' },
+          value: 512,
+          timestamp: Number(time.slice(0, -6)),
+        },
+      ],
+      { mode: 'otlp', throwOnFailure: true }
+    );
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith(
+      [
+        expect.objectContaining({
+          name: 'jobs_done',
+          type: 'counter',
+          value: 3,
+          userId: '42',
+          labels: { service_name: 'api', user_id: '42' },
+        }),
+      ],
+      { mode: 'otlp', throwOnFailure: true }
+    );
+    expect(mocks.reserveSeriesMock).toHaveBeenCalledWith(42, 'jobs_done', {
+      service_name: 'api',
+    });
+  });
+
+  it('scrubs PII from attribute values before writing', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.getMetricSchemaMock.mockRejectedValue(new Error('db down'));
+
+    const res = await request(app)
+      .post('/api/v1/otlp/v1/metrics')
+      .send(
+        exportRequest([
+          {
+            name: 'logins',
+            gauge: {
+              dataPoints: [
+                {
+                  asDouble: 1,
+                  timeUnixNano: nowNanos(),
+                  attributes: [
+                    { key: 'user', value: { stringValue: 'jane@example.com' } },
+                    { key: 'client', value: { stringValue: '10.1.2.3' } },
+                  ],
+                },
+              ],
+            },
+          },
+        ])
+      );
+
+    expect(res.status).toBe(200);
+    expect(mocks.pushRawSamplesToMimirMock).toHaveBeenCalledWith(
+      '42',
+      [
+        expect.objectContaining({
+          labels: {
+            service_name: 'api',
+            user: '[email]',
+            client: '[ip]',
+            user_id: '42',
+            __name__: 'user_metric_logins',
+          },
+        }),
+      ],
+      { mode: 'otlp', throwOnFailure: true }
+    );
+  });
+
+  it('reports rejected data points as partial success', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app)
+      .post('/api/v1/otlp/v1/metrics')
+      .send(
+        exportRequest([
+          { name: 'ok', gauge: { dataPoints: [{ asDouble: 1, timeUnixNano: nowNanos() }] } },
+          { name: 'stale', gauge: { dataPoints: [{ asDouble: 1, timeUnixNano: '1000000000' }] } },
+          { name: 'exp', exponentialHistogram: { dataPoints: [{}] } },
+        ])
+      );
+
+    expect(res.status).toBe(200);
+    expect(res.body.partialSuccess.rejectedDataPoints).toBe(2);
+    expect(res.body.partialSuccess.errorMessage).toMatch(/exp: Exponential histograms/);
+    expect(res.body.partialSuccess.errorMessage).toMatch(/stale: Metric timestamp is older/);
+    expect(mocks.pushRawSamplesToMimirMock.mock.calls[0][1]).toHaveLength(1);
+  });
+
+  it('rejects a whole histogram point when the series limit is reached', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.reserveSeriesMock.mockImplementation(() => {
+      throw new Error('Cardinality limit exceeded: max 1000 series per user');
+    });
+
+    const res = await request(app)
+      .post('/api/v1/otlp/v1/metrics')
+      .send(
+        exportRequest([
+          {
+            name: 'latency',
+            histogram: {
+              aggregationTemporality: 2,
+              dataPoints: [{ count: '1', sum: 0.2, bucketCounts: ['1', '0'], explicitBounds: [1] }],
+            },
+          },
+        ])
+      );
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      'latency: Cardinality limit exceeded: max 1000 series per user',
+    ]);
+    expect(mocks.pushRawSamplesToMimirMock).not.toHaveBeenCalled();
+  });
+
+  it('buffers delta points when Mimir is unavailable', async () => {
+    const { app, mocks } = await setupApp();
+    const breakerError = new Error('Mimir circuit breaker is open');
+    breakerError.status = 503;
+    mocks.pushMetricsToMimirMock.mockRejectedValue(breakerError);
+    mocks.shouldBufferFailureMock.mockReturnValue(true);
+
+    const res = await request(app)
+      .post('/api/v1/otlp/v1/metrics')
+      .send(
+        exportRequest([
+          {
+            name: 'jobs',
+            sum: { aggregationTemporality: 1, isMonotonic: true, dataPoints: [{ asInt: '1' }] },
+          },
+        ])
+      );
+
+    expect(res.status).toBe(200);
+    expect(mocks.bufferMetricsMock).toHaveBeenCalledWith(
+      '42',
+      [expect.objectContaining({ name: 'jobs', userId: '42' })],
+      expect.any(Number)
+    );
+    expect(mocks.recordMetricsIngestMock).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: 'buffered' })
+    );
+  });
+
+  it('accepts protobuf bodies and answers in protobuf', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app)
+      .post('/api/v1/otlp/v1/metrics')
+      .set('Content-Type', 'application/x-protobuf')
+      .send(Buffer.alloc(0));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/x-protobuf/);
+    expect(mocks.pushRawSamplesToMimirMock).toHaveBeenCalledWith('42', [], expect.any(Object));
+  });
+
+  it('returns 400 for malformed protobuf and unsupported content types', async () => {
+    const { app } = await setupApp();
+
+    const malformed = await request(app)
+      .post('/api/v1/otlp/v1/metrics')
+      .set('Content-Type', 'application/x-protobuf')
+      .send(Buffer.from([0x0a, 0xff, 0xff]));
+    const text = await request(app)
+      .post('/api/v1/otlp/v1/metrics')
+      .set('Content-Type', 'text/plain')
+      .send('up 1');
+
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error).toMatch(/Invalid OTLP protobuf payload/);
+    expect(text.status).toBe(400);
+  });
+});
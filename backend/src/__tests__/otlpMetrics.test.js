@@ -0,0 +1,193 @@
+import { describe, expect, it } from 'vitest';
+import protobuf from 'protobufjs';
+import {
+  decodeOtlpMetricsRequest,
+  encodeOtlpMetricsResponse,
+  flattenOtlpMetrics,
+} from '../utils/otlpMetrics.js';
+
+const NOW_NANOS = '1712345678901000000';
+
+const attr = (key, stringValue) => ({ key, value: { stringValue } });
+
+const request = (metrics, resourceAttributes = [attr('service.name', 'checkout')]) => ({
+  resourceMetrics: [
+    {
+      resource: { attributes: resourceAttributes },
+      scopeMetrics: [{ scope: { name: 'test' }, metrics }],
+    },
+  ],
+});
+
+describe('flattenOtlpMetrics', () => {
+  it('maps gauges and sums with resource attributes as labels', () => {
+    const { entries, errors } = flattenOtlpMetrics(
+      request([
+        {
+          name: 'queue.depth',
+          gauge: { dataPoints: [{ asInt: '4', timeUnixNano: NOW_NANOS, attributes: [] }] },
+        },
+        {
+          name: 'http.requests',
+          sum: {
+            aggregationTemporality: 2,
+            isMonotonic: true,
+            dataPoints: [
+              {
+                asDouble: 12,
+                timeUnixNano: NOW_NANOS,
+                attributes: [attr('http.route', '/pay'), attr('service.name', 'override')],
+              },
+            ],
+          },
+        },
+      ])
+    );
+
+    expect(errors).toEqual([]);
+    expect(entries).toEqual([
+      expect.objectContaining({
+        name: 'queue_depth',
+        type: 'gauge',
+        temporality: 'cumulative',
+        labels: { service_name: 'checkout' },
+        value: 4,
+        timestamp: 1712345678901,
+      }),
+      expect.objectContaining({
+        name: 'http_requests',
+        type: 'counter',
+        labels: { service_name: 'override', http_route: '/pay' },
+        value: 12,
+      }),
+    ]);
+  });
+
+  it('expands histograms into cumulative buckets, count and sum', () => {
+    const { entries } = flattenOtlpMetrics(
+      request(
+        [
+          {
+            name: 'latency',
+            histogram: {
+              aggregationTemporality: 'AGGREGATION_TEMPORALITY_DELTA',
+              dataPoints: [
+                {
+                  count: '6',
+                  sum: 3.5,
+                  bucketCounts: ['1', '2', '3'],
+                  explicitBounds: [0.1, 1],
+                  timeUnixNano: NOW_NANOS,
+                },
+              ],
+            },
+          },
+        ],
+        []
+      )
+    );
+
+    expect(
+      entries.map((e) => [e.name, e.structural.le ?? null, e.value, e.type, e.temporality])
+    ).toEqual([
+      ['latency_bucket', '0.1', 1, 'counter', 'delta'],
+      ['latency_bucket', '1', 3, 'counter', 'delta'],
+      ['latency_bucket', '+Inf', 6, 'counter', 'delta'],
+      ['latency_count', null, 6, 'counter', 'delta'],
+      ['latency_sum', null, 3.5, 'histogram', 'delta'],
+    ]);
+    expect(new Set(entries.map((e) => e.point)).size).toBe(1);
+  });
+
+  it('reports unsupported metrics and skips points without a recorded value', () => {
+    const { entries, errors } = flattenOtlpMetrics(
+      request([
+        { name: 'exp', exponentialHistogram: { dataPoints: [{}, {}] } },
+        { name: 'legacy', sum: { aggregationTemporality: 0, dataPoints: [{ asInt: '1' }] } },
+        { name: 'gap', gauge: { dataPoints: [{ asDouble: 1, flags: 1 }] } },
+      ])
+    );
+
+    expect(entries).toEqual([]);
+    expect(errors).toEqual([
+      { metric: 'exp', error: 'Exponential histograms are not supported', points: 2 },
+      {
+        metric: 'legacy',
+        error: 'Sum aggregation temporality must be delta or cumulative',
+        points: 1,
+      },
+    ]);
+  });
+});
+
+describe('OTLP protobuf encoding', () => {
+  // Independent schema with the upstream opentelemetry-proto field numbers
+  const upstream = protobuf.parse(`
+    syntax = "proto3";
+    message Req { repeated RM resource_metrics = 1; }
+    message RM { Res resource = 1; repeated SM scope_metrics = 2; }
+    message Res { repeated KV attributes = 1; }
+    message KV { string key = 1; AV value = 2; }
+    message AV { oneof value { string string_value = 1; int64 int_value = 3; } }
+    message SM { repeated M metrics = 2; }
+    message M { string name = 1; S sum = 7; }
+    message S { repeated NDP data_points = 1; int32 aggregation_temporality = 2; bool is_monotonic = 3; }
+    message NDP { repeated KV attributes = 7; fixed64 time_unix_nano = 3; sfixed64 as_int = 6; }
+    message Resp { PS partial_success = 1; }
+    message PS { int64 rejected_data_points = 1; string error_message = 2; }
+  `).root;
+
+  it('decodes an ExportMetricsServiceRequest into the OTLP/JSON shape', () => {
+    const Req = upstream.lookupType('Req');
+    const buffer = Req.encode(
+      Req.fromObject({
+        resourceMetrics: [
+          {
+            resource: { attributes: [{ key: 'service.name', value: { stringValue: 'api' } }] },
+            scopeMetrics: [
+              {
+                metrics: [
+                  {
+                    name: 'jobs',
+                    sum: {
+                      aggregationTemporality: 1,
+                      isMonotonic: true,
+                      dataPoints: [{ asInt: 3, timeUnixNano: NOW_NANOS }],
+                    },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      })
+    ).finish();
+
+    const { entries } = flattenOtlpMetrics(decodeOtlpMetricsRequest(Buffer.from(buffer)));
+
+    expect(entries).toEqual([
+      expect.objectContaining({
+        name: 'jobs',
+        type: 'counter',
+        temporality: 'delta',
+        labels: { service_name: 'api' },
+        value: 3,
+        timestamp: 1712345678901,
+      }),
+    ]);
+  });
+
+  it('encodes partial success responses', () => {
+    const Resp = upstream.lookupType('Resp');
+    const decoded = Resp.toObject(
+      Resp.decode(
+        encodeOtlpMetricsResponse({
+          partialSuccess: { rejectedDataPoints: 2, errorMessage: 'bad' },
+        })
+      ),
+      { longs: Number }
+    );
+
+    expect(decoded).toEqual({ partialSuccess: { rejectedDataPoints: 2, errorMessage: 'bad' } });
+  });
+});
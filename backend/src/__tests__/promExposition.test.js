@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { parsePrometheusText } from '../utils/promExposition.js';
+
+describe('parsePrometheusText', () => {
+  it('parses prom-client output into samples with family and type', () => {
+    const { samples, errors } = parsePrometheusText(
+      [
+        '# HELP http_duration_seconds Request duration',
+        '# TYPE http_duration_seconds histogram',
+        'http_duration_seconds_bucket{le="0.1",method="GET"} 5',
+        'http_duration_seconds_bucket{le="+Inf",method="GET"} 7',
+        'http_duration_seconds_sum{method="GET"} 0.92',
+        'http_duration_seconds_count{method="GET"} 7',
+        '# TYPE up gauge',
+        'up 1 1712345678901',
+      ].join('\n')
+    );
+
+    expect(errors).toEqual([]);
+    expect(samples).toHaveLength(5);
+    expect(samples[0]).toEqual({
+      name: 'http_duration_seconds_bucket',
+      family: 'http_duration_seconds',
+      type: 'histogram',
+      labels: { le: '0.1', method: 'GET' },
+      value: 5,
+      timestamp: null,
+      line: 3,
+    });
+    expect(samples[4]).toEqual(
+      expect.objectContaining({ family: 'up', type: 'gauge', value: 1, timestamp: 1712345678901 })
+    );
+  });
+
+  it('unescapes label values and accepts special float values', () => {
+    const { samples } = parsePrometheusText(
+      'msg{text="say \\"hi\\"\\nnow",path="C:\\\\tmp",} NaN\nlimit +Inf'
+    );
+
+    expect(samples[0].labels).toEqual({ text: 'say "hi"\nnow', path: 'C:\\tmp' });
+    expect(samples[0].value).toBeNaN();
+    expect(samples[0].type).toBe('untyped');
+    expect(samples[1].value).toBe(Infinity);
+  });
+
+  it('reports invalid lines by line number and keeps parsing', () => {
+    const { samples, errors } = parsePrometheusText(
+      [
+        '# TYPE lat histogram',
+        'lat_bucket{path="/"} 1',
+        'bad{__name__="x"} 1',
+        'value_only abc',
+        'unterminated{a="1} 2',
+        'ok 3',
+        '# TYPE thing exotic',
+      ].join('\n')
+    );
+
+    expect(samples.map((s) => s.name)).toEqual(['ok']);
+    expect(errors).toEqual([
+      { line: 2, error: 'Histogram bucket is missing the le label' },
+      { line: 3, error: 'Label name "__name__" is reserved' },
+      { line: 4, error: 'Invalid sample value "abc"' },
+      { line: 5, error: 'Unterminated label value' },
+      { line: 7, error: 'Unsupported metric type "exotic"' },
+    ]);
+  });
+});
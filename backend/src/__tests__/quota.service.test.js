@@ -0,0 +1,211 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const PLANS = {
+  free: { requestsPerMinute: 3, requestsPerMinutePerKey: 2, samplesPerDay: 100, activeSeries: 2 },
+  unlimited: { requestsPerMinute: 0, samplesPerDay: 0, activeSeries: 0 },
+};
+
+const setupService = async ({ enabled = true, plan = null } = {}) => {
+  vi.resetModules();
+
+  const queryMock = vi.fn(async (sql) => {
+    if (sql.includes('SELECT plan FROM users')) return { rows: [{ plan }] };
+    return { rows: [] };
+  });
+  const clientQueryMock = vi.fn(async () => ({ rows: [] }));
+  const releaseMock = vi.fn();
+
+  vi.doMock('../database/connection.js', () => ({
+    default: { connect: async () => ({ query: clientQueryMock, release: releaseMock }) },
+    query: queryMock,
+  }));
+  vi.doMock('../config.js', () => ({
+    config: {
+      quotas: { enabled, defaultPlan: 'free', plans: PLANS, activeSeriesWindowMs: 3_600_000 },
+    },
+  }));
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const service = await import('../services/quota.service.js');
+  return { service, mocks: { queryMock, clientQueryMock, releaseMock } };
+};
+
+/** Answer the three counter queries of consumeRequestQuota. */
+const mockCounters = (queryMock, { tenant, key, samples = 0, active = 0 }) => {
+  queryMock.mockImplementation(async (sql) => {
+    if (sql.includes('SELECT plan FROM users')) return { rows: [{ plan: null }] };
+    if (sql.includes('INSERT INTO usage_requests')) {
+      return {
+        rows: [
+          { scope: 'tenant:5', requests: tenant },
+          { scope: 'key:9', requests: key },
+        ],
+      };
+    }
+    if (sql.includes('INSERT INTO usage_daily')) return { rows: [{ samples: String(samples) }] };
+    if (sql.includes('FROM usage_series')) return { rows: [{ active }] };
+    return { rows: [] };
+  });
+};
+
+// 2026-03-01T10:00:30Z
+const NOW = Date.UTC(2026, 2, 1, 10, 0, 30);
+
+describe('quota.service', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('falls back to the default plan and treats zero limits as unlimited', async () => {
+    const { service } = await setupService();
+
+    expect(service.resolvePlan('missing')).toEqual({
+      plan: 'free',
+      limits: {
+        requestsPerMinute: 3,
+        requestsPerMinutePerKey: 2,
+        samplesPerDay: 100,
+        activeSeries: 2,
+      },
+    });
+    expect(service.resolvePlan('unlimited').limits).toEqual({
+      requestsPerMinute: null,
+      requestsPerMinutePerKey: null,
+      samplesPerDay: null,
+      activeSeries: null,
+    });
+  });
+
+  it('caches the plan per user until invalidated', async () => {
+    const { service, mocks } = await setupService({ plan: 'unlimited' });
+
+    expect((await service.getUserPlan(5)).plan).toBe('unlimited');
+    await service.getUserPlan(5);
+    expect(mocks.queryMock).toHaveBeenCalledTimes(1);
+
+    service.invalidateUserPlan(5);
+    await service.getUserPlan(5);
+    expect(mocks.queryMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('counts the request per tenant and key and reports the remaining quota', async () => {
+    const { service, mocks } = await setupService();
+    mockCounters(mocks.queryMock, { tenant: 1, key: 1, samples: 40, active: 1 });
+
+    const status = await service.consumeRequestQuota({ userId: 5, apiKeyId: 9 }, NOW);
+
+    expect(status).toEqual({
+      plan: 'free',
+      limits: expect.any(Object),
+      remaining: { requests: 1, samples: 60, series: 1 },
+      reset: {
+        requests: Date.UTC(2026, 2, 1, 10, 1) / 1000,
+        samples: Date.UTC(2026, 2, 2) / 1000,
+      },
+      exceeded: null,
+    });
+    const rateCall = mocks.queryMock.mock.calls.find(([sql]) => sql.includes('usage_requests'));
+    expect(rateCall[1]).toEqual([['tenant:5', 'key:9'], new Date(Date.UTC(2026, 2, 1, 10))]);
+  });
+
+  it('reports the per-key request limit until the minute window ends', async () => {
+    const { service, mocks } = await setupService();
+    mockCounters(mocks.queryMock, { tenant: 3, key: 3 });
+
+    const { exceeded } = await service.consumeRequestQuota({ userId: 5, apiKeyId: 9 }, NOW);
+
+    expect(exceeded).toEqual({
+      message: 'API key request quota exceeded: max 2 requests per minute',
+      retryAfterSeconds: 30,
+    });
+  });
+
+  it('reports the daily sample limit until midnight UTC', async () => {
+    const { service, mocks } = await setupService();
+    mockCounters(mocks.queryMock, { tenant: 1, key: 1, samples: 100 });
+
+    const { exceeded, remaining } = await service.consumeRequestQuota(
+      { userId: 5, apiKeyId: 9 },
+      NOW
+    );
+
+    expect(remaining.samples).toBe(0);
+    expect(exceeded).toEqual({
+      message: 'Daily sample quota exceeded: max 100 samples per day',
+      retryAfterSeconds: 14 * 3600 - 30,
+    });
+  });
+
+  it('admits active and new series up to the active series limit', async () => {
+    const { service, mocks } = await setupService();
+    mocks.clientQueryMock.mockImplementation(async (sql) => {
+      if (sql.startsWith('UPDATE usage_series')) return { rows: [{ series_key: 'a' }] };
+      if (sql.includes('COUNT(*)')) return { rows: [{ active: 1 }] };
+      return { rows: [] };
+    });
+
+    const { allowed, overQuota, error } = await service.partitionBySeriesQuota(
+      5,
+      ['a', 'b', 'c'],
+      (key) => key
+    );
+
+    expect(allowed).toEqual(['a', 'b']);
+    expect(overQuota).toEqual(['c']);
+    expect(error).toBe('Active series quota exceeded: max 2 series');
+    const insert = mocks.clientQueryMock.mock.calls.find(([sql]) =>
+      sql.includes('INSERT INTO usage_series')
+    );
+    expect(insert[1][1]).toEqual(['b']);
+    expect(mocks.clientQueryMock).toHaveBeenCalledWith('COMMIT');
+    expect(mocks.releaseMock).toHaveBeenCalled();
+  });
+
+  it('records series without limiting them while quotas are not enforced', async () => {
+    const { service, mocks } = await setupService({ enabled: false });
+
+    const { rejected } = await service.reserveActiveSeries(5, ['a', 'b', 'c']);
+
+    expect(rejected.size).toBe(0);
+    const insert = mocks.clientQueryMock.mock.calls.find(([sql]) =>
+      sql.includes('INSERT INTO usage_series')
+    );
+    expect(insert[1][1]).toEqual(['a', 'b', 'c']);
+  });
+
+  it('allows series when the quota check fails', async () => {
+    const { service, mocks } = await setupService();
+    mocks.clientQueryMock.mockImplementation(async (sql) => {
+      if (sql.startsWith('UPDATE usage_series')) throw new Error('db down');
+      return { rows: [] };
+    });
+
+    const { rejected } = await service.reserveActiveSeries(5, ['a']);
+
+    expect(rejected.size).toBe(0);
+    expect(mocks.clientQueryMock).toHaveBeenCalledWith('ROLLBACK');
+    expect(mocks.releaseMock).toHaveBeenCalled();
+  });
+
+  it('gives equal label sets the same series key regardless of order', async () => {
+    const { service } = await setupService();
+
+    expect(service.seriesQuotaKey('orders', { a: '1', b: '2' })).toBe(
+      service.seriesQuotaKey('orders', { b: '2', a: '1' })
+    );
+    expect(service.seriesQuotaKey('orders', { a: '1' })).not.toBe(
+      service.seriesQuotaKey('refunds', { a: '1' })
+    );
+  });
+
+  it('never throws when usage cannot be recorded', async () => {
+    const { service, mocks } = await setupService();
+    mocks.queryMock.mockRejectedValue(new Error('db down'));
+
+    await expect(service.recordUsage(5, { samples: 3, rejected: 1 })).resolves.toBeUndefined();
+    await service.recordUsage(5, { samples: 0, rejected: 0 });
+    expect(mocks.queryMock).toHaveBeenCalledTimes(1);
+  });
+});
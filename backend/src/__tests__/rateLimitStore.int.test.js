@@ -0,0 +1,142 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import rateLimit from 'express-rate-limit';
+import pg from 'pg';
+import { config } from '../config.js';
+import { createPostgresRateLimitStore } from '../services/rateLimitStore.service.js';
+
+// Runs against the local test database (docker-compose.test.yml); skipped when none is reachable
+const db = new pg.Pool({
+  host: config.db.host,
+  port: config.db.port,
+  database: config.db.database,
+  user: config.db.user,
+  password: config.db.password,
+  max: 4,
+  connectionTimeoutMillis: 2_000,
+});
+db.on('error', () => {});
+const dbAvailable = await db.query('SELECT 1').then(
+  () => true,
+  () => false
+);
+
+const WINDOW_MS = 60_000;
+// 2026-03-01T10:00:00Z, the start of a window
+const WINDOW_START = Date.UTC(2026, 2, 1, 10);
+
+const createClock = (at) => {
+  const clock = { at, now: () => clock.at };
+  return clock;
+};
+
+/** One limiter as a replica would build it, sharing the table with the others. */
+const createApp = (store, limit = 3) => {
+  const app = express();
+  app.use(
+    rateLimit({
+      windowMs: WINDOW_MS,
+      max: limit,
+      standardHeaders: true,
+      legacyHeaders: false,
+      store,
+      keyGenerator: (req) => req.headers['x-api-key'],
+    })
+  );
+  app.get('/', (req, res) => res.json({ success: true }));
+  return app;
+};
+
+describe.skipIf(!dbAvailable)('postgres rate limit store', () => {
+  beforeAll(async () => {
+    await db.query(`CREATE TABLE IF NOT EXISTS rate_limit_hits (
+      key VARCHAR(64) NOT NULL,
+      window_start BIGINT NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0,
+      expires_at BIGINT NOT NULL,
+      PRIMARY KEY (key, window_start)
+    )`);
+  });
+
+  beforeEach(async () => {
+    await db.query('DELETE FROM rate_limit_hits');
+  });
+
+  afterAll(async () => {
+    await db.query('DELETE FROM rate_limit_hits');
+  });
+
+  it('shares one limit between replicas', async () => {
+    const clock = createClock(WINDOW_START + 1_000);
+    const replicaA = createApp(
+      createPostgresRateLimitStore(db, { prefix: 'test:', now: clock.now })
+    );
+    const replicaB = createApp(
+      createPostgresRateLimitStore(db, { prefix: 'test:', now: clock.now })
+    );
+
+    const statuses = [];
+    for (const app of [replicaA, replicaB, replicaA, replicaB]) {
+      const res = await request(app).get('/').set('X-API-Key', 'mk_shared');
+      statuses.push(res.status);
+    }
+
+    expect(statuses).toEqual([200, 200, 200, 429]);
+    const other = await request(replicaA).get('/').set('X-API-Key', 'mk_other');
+    expect(other.status).toBe(200);
+  });
+
+  it('keeps limiters with different prefixes apart', async () => {
+    const clock = createClock(WINDOW_START + 1_000);
+    const auth = createApp(
+      createPostgresRateLimitStore(db, { prefix: 'auth:', now: clock.now }),
+      1
+    );
+    const api = createApp(createPostgresRateLimitStore(db, { prefix: 'api:', now: clock.now }), 1);
+
+    expect((await request(auth).get('/').set('X-API-Key', 'k')).status).toBe(200);
+    expect((await request(api).get('/').set('X-API-Key', 'k')).status).toBe(200);
+    expect((await request(auth).get('/').set('X-API-Key', 'k')).status).toBe(429);
+  });
+
+  it('weights the previous window by its overlap with the sliding window', async () => {
+    const clock = createClock(WINDOW_START + 30_000);
+    const store = createPostgresRateLimitStore(db, { prefix: 'test:', now: clock.now });
+    store.init({ windowMs: WINDOW_MS });
+
+    for (let i = 0; i < 4; i++) await store.increment('client');
+
+    // 15 s into the next window, 75% of the previous 4 hits still count
+    clock.at = WINDOW_START + WINDOW_MS + 15_000;
+    const { totalHits, resetTime } = await store.increment('client');
+    expect(totalHits).toBe(1 + 3);
+    expect(resetTime).toEqual(new Date(WINDOW_START + 2 * WINDOW_MS));
+
+    // Two windows later nothing from the first window is left
+    clock.at = WINDOW_START + 2 * WINDOW_MS + 59_000;
+    expect((await store.get('client')).totalHits).toBe(0);
+  });
+
+  it('stores client keys hashed and supports decrement and reset', async () => {
+    const clock = createClock(WINDOW_START + 1_000);
+    const store = createPostgresRateLimitStore(db, { prefix: 'metrics:', now: clock.now });
+    store.init({ windowMs: WINDOW_MS });
+
+    await store.increment('mk_secret_key');
+    await store.increment('mk_secret_key');
+    await store.decrement('mk_secret_key');
+    expect((await store.get('mk_secret_key')).totalHits).toBe(1);
+
+    const { rows } = await db.query('SELECT key FROM rate_limit_hits');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].key).toMatch(/^[0-9a-f]{64}$/);
+
+    await store.resetKey('mk_secret_key');
+    expect((await store.get('mk_secret_key')).totalHits).toBe(0);
+  });
+});
+
+afterAll(async () => {
+  await db.end();
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  createPostgresRateLimitStore,
+  createRateLimitStore,
+} from '../services/rateLimitStore.service.js';
+
+// 2026-03-01T10:00:00Z, the start of a window
+const WINDOW_START = Date.UTC(2026, 2, 1, 10);
+
+describe('postgres rate limit store', () => {
+  const setupStore = ({ current = 1, previous = null, at = WINDOW_START } = {}) => {
+    const db = {
+      query: vi.fn(async (sql) =>
+        sql.includes('INSERT INTO rate_limit_hits') ? { rows: [{ current, previous }] } : {}
+      ),
+    };
+    const store = createPostgresRateLimitStore(db, { prefix: 'api:', now: () => at });
+    store.init({ windowMs: 60_000 });
+    return { db, store };
+  };
+
+  it('adds the overlapping share of the previous window to the current hits', async () => {
+    const { db, store } = setupStore({ current: 2, previous: 10, at: WINDOW_START + 45_000 });
+
+    const result = await store.increment('1.2.3.4');
+
+    expect(result).toEqual({ totalHits: 2 + 2, resetTime: new Date(WINDOW_START + 60_000) });
+    const increment = db.query.mock.calls.find(([sql]) => sql.includes('INSERT'));
+    expect(increment[1]).toEqual([
+      expect.stringMatching(/^[0-9a-f]{64}$/),
+      WINDOW_START,
+      WINDOW_START - 60_000,
+      WINDOW_START + 120_000,
+    ]);
+  });
+
+  it('counts only the current window when the previous one is empty', async () => {
+    const { store } = setupStore({ current: 3, previous: null });
+
+    expect((await store.increment('1.2.3.4')).totalHits).toBe(3);
+  });
+
+  it('hashes the prefixed key', async () => {
+    const { db, store } = setupStore();
+    const other = createPostgresRateLimitStore(db, { prefix: 'auth:', now: () => WINDOW_START });
+    other.init({ windowMs: 60_000 });
+
+    await store.resetKey('1.2.3.4');
+    await other.resetKey('1.2.3.4');
+
+    const [apiKey, authKey] = db.query.mock.calls.map(([, params]) => params[0]);
+    expect(apiKey).not.toBe(authKey);
+    expect(apiKey).not.toContain('1.2.3.4');
+  });
+
+  it('falls back to the memory store unless postgres is selected', () => {
+    expect(createRateLimitStore('memory', {}, 'api:')).toBeUndefined();
+    expect(createRateLimitStore('postgres', {}, 'api:')).toEqual(
+      expect.objectContaining({ prefix: 'api:', localKeys: false })
+    );
+  });
+});
@@ -0,0 +1,304 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import protobuf from 'protobufjs';
+import SnappyJS from 'snappyjs';
+
+const WriteRequest = protobuf
+  .parse(
+    `syntax = "proto3";
+    package prometheus;
+    message WriteRequest { repeated TimeSeries timeseries = 1; }
+    message TimeSeries {
+      repeated Label labels = 1;
+      repeated Sample samples = 2;
+      repeated Histogram histograms = 4;
+    }
+    message Label { string name = 1; string value = 2; }
+    message Sample { double value = 1; int64 timestamp = 2; }
+    message Histogram { uint64 count_int = 1; int64 timestamp = 15; }`
+  )
+  .root.lookupType('prometheus.WriteRequest');
+
+const encode = (timeseries) =>
+  Buffer.from(
+    SnappyJS.compress(WriteRequest.encode(WriteRequest.fromObject({ timeseries })).finish())
+  );
+
+const series = (labels, samples) => ({
+  labels: Object.entries(labels).map(([name, value]) => ({ name, value })),
+  samples,
+});
+
+const setupApp = async () => {
+  vi.resetModules();
+
+  const reserveSeriesMock = vi.fn();
+  const pushRawSamplesToMimirMock = vi.fn().mockResolvedValue({ ok: true, durationMs: 4 });
+  const recordMetricsIngestMock = vi.fn();
+  const getMetricSchemaMock = vi.fn().mockResolvedValue({ enforcement: 'off', configs: new Map() });
+
+  vi.doMock('../middleware/auth.middleware.js', () => ({
+    authenticateApiKey: (req, res, next) => {
+      req.user = { id: 42 };
+      req.apiKey = { site_id: 7 };
+      next();
+    },
+  }));
+
+  vi.doMock('../middleware/rateLimiter.js', () => ({
+    metricsLimiter: (req, res, next) => next(),
+  }));
+
+  vi.doMock('../middleware/appMetrics.js', () => ({
+    recordMetricsIngest: recordMetricsIngestMock,
+  }));
+
+  vi.doMock('../services/metrics.service.js', () => ({
+    reserveSeries: reserveSeriesMock,
+    validateAndSanitizeLabels: (labels) => {
+      if (Object.keys(labels).length > 2) throw new Error('Too many labels: max 2');
+      return { ...labels };
+    },
+  }));
+
+  vi.doMock('../services/quota.service.js', () => ({
+    consumeRequestQuota: vi.fn().mockResolvedValue({
+      plan: 'free',
+      remaining: { requests: null, samples: null, series: null },
+      reset: {},
+      exceeded: null,
+    }),
+    isQuotaEnforced: () => true,
+    partitionBySeriesQuota: async (userId, items) => ({
+      allowed: items,
+      overQuota: [],
+      error: null,
+    }),
+    recordUsage: vi.fn(),
+    seriesQuotaKey: (name, labels) => `${name}${JSON.stringify(labels)}`,
+  }));
+
+  vi.doMock('../services/mimir.service.js', () => ({
+    pushRawSamplesToMimir: pushRawSamplesToMimirMock,
+  }));
+
+  vi.doMock('../services/metricConfig.service.js', () => ({
+    getMetricSchema: getMetricSchemaMock,
+  }));
+
+  vi.doMock('../config.js', () => ({
+    config: { metrics: { maxSampleAgeMs: 3_600_000, maxClockSkewMs: 300_000 } },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const { remoteWriteRoutes } = await import('../routes/remoteWrite.routes.js');
+  const { errorHandler } = await import('../middleware/errorHandler.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/remote-write', remoteWriteRoutes);
+  app.use(errorHandler);
+
+  return {
+    app,
+    mocks: {
+      reserveSeriesMock,
+      pushRawSamplesToMimirMock,
+      recordMetricsIngestMock,
+      getMetricSchemaMock,
+    },
+  };
+};
+
+const remoteWrite = (app, body) =>
+  request(app)
+    .post('/api/v1/remote-write')
+    .set('Content-Type', 'application/x-protobuf')
+    .set('Content-Encoding', 'snappy')
+    .set('X-Prometheus-Remote-Write-Version', '0.1.0')
+    .send(body);
+
+describe('remoteWrite.routes integration', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("re-labels series into the caller's tenant and writes them unchanged", async () => {
+    const { app, mocks } = await setupApp();
+    const now = Date.now();
+
+    const res = await remoteWrite(
+      app,
+      encode([
+        series(
+          {
+            __name__: 'http_requests_total',
+            route: '/api',
+            user_id: '1',
+            site_id: '99',
+            __meta_job: 'node',
+          },
+          [{ value: 1027, timestamp: now }]
+        ),
+        series({ __name__: 'latency_bucket', le: '0.5', route: '/api' }, [
+          { value: 12, timestamp: now },
+        ]),
+      ])
+    );
+
+    expect(res.status).toBe(204);
+    expect(mocks.pushRawSamplesToMimirMock).toHaveBeenCalledWith(
+      '42',
+      [
+        {
+          labels: {
+            route: '/api',
+            site_id: '7',
+            user_id: '42',
+            __name__: 'user_metric_http_requests_total',
+          },
+          value: 1027,
+          timestamp: now,
+        },
+        {
+          labels: {
+            route: '/api',
+            site_id: '7',
+            le: '0.5',
+            user_id: '42',
+            __name__: 'user_metric_latency_bucket',
+          },
+          value: 12,
+          timestamp: now,
+        },
+      ],
+      { mode: 'remote_write', throwOnFailure: true }
+    );
+    expect(mocks.reserveSeriesMock).toHaveBeenCalledWith(42, 'http_requests_total', {
+      route: '/api',
+      site_id: '7',
+    });
+  });
+
+  it("scrubs PII from label values with the metric config's IP setting", async () => {
+    const { app, mocks } = await setupApp();
+    const now = Date.now();
+    mocks.getMetricSchemaMock.mockResolvedValue({
+      enforcement: 'off',
+      configs: new Map([['peer_bytes', { type: 'counter', anonymizeIp: false }]]),
+    });
+    const labels = { instance: '10.0.0.5:9100', path: '/reset?token=abc123' };
+
+    const res = await remoteWrite(
+      app,
+      encode([
+        series({ __name__: 'requests_total', ...labels }, [{ value: 1, timestamp: now }]),
+        series({ __name__: 'peer_bytes', ...labels }, [{ value: 2, timestamp: now }]),
+      ])
+    );
+
+    expect(res.status).toBe(204);
+    const written = mocks.pushRawSamplesToMimirMock.mock.calls[0][1].map((s) => s.labels);
+    expect(written[0]).toMatchObject({ instance: '[ip]:9100', path: '/reset?token=[secret]' });
+    expect(written[1]).toMatchObject({
+      instance: '10.0.0.5:9100',
+      path: '/reset?token=[secret]',
+    });
+  });
+
+  it('writes valid series and reports rejected ones with 400', async () => {
+    const { app, mocks } = await setupApp();
+    const now = Date.now();
+    mocks.reserveSeriesMock.mockImplementation((userId, name) => {
+      if (name === 'over_limit') {
+        throw new Error('Cardinality limit exceeded: max 1000 series per user');
+      }
+    });
+
+    const res = await remoteWrite(
+      app,
+      encode([
+        series({ __name__: 'ok' }, [{ value: 1, timestamp: now }]),
+        series({ __name__: 'over_limit' }, [{ value: 1, timestamp: now }]),
+        series({ __name__: 'old' }, [{ value: 1, timestamp: now - 7_200_000 }]),
+        series({ __name__: 'wide', a: '1', b: '2', c: '3' }, [{ value: 1, timestamp: now }]),
+        { labels: [{ name: '__name__', value: 'native' }], histograms: [{ countInt: 1 }] },
+      ])
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      { series: 'over_limit', error: 'Cardinality limit exceeded: max 1000 series per user' },
+      { series: 'old', error: expect.stringMatching(/older than the accepted window/) },
+      { series: 'wide', error: 'Too many labels: max 2' },
+      { series: 'native', error: 'Native histograms are not supported' },
+    ]);
+    expect(mocks.pushRawSamplesToMimirMock.mock.calls[0][1]).toEqual([
+      expect.objectContaining({ labels: expect.objectContaining({ __name__: 'user_metric_ok' }) }),
+    ]);
+  });
+
+  it('passes NaN staleness markers through', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await remoteWrite(
+      app,
+      encode([series({ __name__: 'up' }, [{ value: NaN, timestamp: Date.now() }])])
+    );
+
+    expect(res.status).toBe(204);
+    expect(mocks.pushRawSamplesToMimirMock.mock.calls[0][1][0].value).toBeNaN();
+  });
+
+  it('surfaces Mimir unavailability as a retryable 5xx', async () => {
+    const { app, mocks } = await setupApp();
+    const writeError = new Error('Circuit breaker OPEN — Mimir unavailable');
+    writeError.status = 503;
+    mocks.pushRawSamplesToMimirMock.mockRejectedValue(writeError);
+
+    const res = await remoteWrite(
+      app,
+      encode([series({ __name__: 'up' }, [{ value: 1, timestamp: Date.now() }])])
+    );
+
+    expect(res.status).toBe(503);
+    expect(mocks.recordMetricsIngestMock).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: 'error' })
+    );
+  });
+
+  it('rejects malformed payloads, remote-write 2.0 and other encodings', async () => {
+    const { app, mocks } = await setupApp();
+
+    const malformed = await remoteWrite(app, Buffer.from('not snappy'));
+    expect(malformed.status).toBe(400);
+
+    const v2 = await request(app)
+      .post('/api/v1/remote-write')
+      .set('Content-Type', 'application/x-protobuf;proto=io.prometheus.write.v2.Request')
+      .set('Content-Encoding', 'snappy')
+      .send(encode([]));
+    expect(v2.status).toBe(415);
+
+    const gzip = await request(app)
+      .post('/api/v1/remote-write')
+      .set('Content-Type', 'application/x-protobuf')
+      .set('Content-Encoding', 'gzip')
+      .send(encode([]));
+    expect(gzip.status).toBe(415);
+
+    expect(mocks.pushRawSamplesToMimirMock).not.toHaveBeenCalled();
+  });
+
+  it('rejects oversized bodies before authentication', async () => {
+    const { app } = await setupApp();
+
+    const res = await remoteWrite(app, Buffer.alloc(1024 * 1024 + 1));
+
+    expect(res.status).toBe(413);
+  });
+});
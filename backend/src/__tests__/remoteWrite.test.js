@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import protobuf from 'protobufjs';
+import SnappyJS from 'snappyjs';
+import { decodeRemoteWriteRequest } from '../utils/remoteWrite.js';
+
+const WriteRequest = protobuf
+  .parse(
+    `syntax = "proto3";
+    package prometheus;
+    message WriteRequest { repeated TimeSeries timeseries = 1; }
+    message TimeSeries {
+      repeated Label labels = 1;
+      repeated Sample samples = 2;
+      repeated Histogram histograms = 4;
+    }
+    message Label { string name = 1; string value = 2; }
+    message Sample { double value = 1; int64 timestamp = 2; }
+    message Histogram { uint64 count_int = 1; int64 timestamp = 15; }`
+  )
+  .root.lookupType('prometheus.WriteRequest');
+
+const encode = (timeseries) =>
+  Buffer.from(
+    SnappyJS.compress(WriteRequest.encode(WriteRequest.fromObject({ timeseries })).finish())
+  );
+
+const LIMITS = { maxUncompressedBytes: 1024 * 1024 };
+
+describe('decodeRemoteWriteRequest', () => {
+  it('decodes series labels and samples', () => {
+    const series = decodeRemoteWriteRequest(
+      encode([
+        {
+          labels: [
+            { name: '__name__', value: 'http_requests_total' },
+            { name: 'route', value: '/api' },
+          ],
+          samples: [
+            { value: 3, timestamp: 1712345678901 },
+            { value: 5, timestamp: 1712345693901 },
+          ],
+        },
+      ]),
+      LIMITS
+    );
+
+    expect(series).toEqual([
+      {
+        labels: { __name__: 'http_requests_total', route: '/api' },
+        samples: [
+          { value: 3, timestamp: 1712345678901 },
+          { value: 5, timestamp: 1712345693901 },
+        ],
+        histogramCount: 0,
+      },
+    ]);
+  });
+
+  it('keeps NaN staleness markers and counts native histograms', () => {
+    const [series] = decodeRemoteWriteRequest(
+      encode([
+        {
+          labels: [{ name: '__name__', value: 'up' }],
+          samples: [{ value: NaN, timestamp: 1712345678901 }],
+          histograms: [{ countInt: 2, timestamp: 1712345678901 }],
+        },
+      ]),
+      LIMITS
+    );
+
+    expect(series.samples[0].value).toBeNaN();
+    expect(series.histogramCount).toBe(1);
+  });
+
+  it('rejects payloads that are not snappy-compressed protobuf', () => {
+    expect(() =>
+      decodeRemoteWriteRequest(Buffer.from([0xff, 0xff, 0xff, 0xff, 0xff]), LIMITS)
+    ).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() =>
+      decodeRemoteWriteRequest(Buffer.from(SnappyJS.compress(Buffer.from([0x0a, 0x05]))), LIMITS)
+    ).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('rejects payloads whose uncompressed size exceeds the limit before decompressing', () => {
+    const body = encode([
+      {
+        labels: [{ name: '__name__', value: 'x'.repeat(2048) }],
+        samples: [{ value: 1, timestamp: 1 }],
+      },
+    ]);
+
+    expect(() => decodeRemoteWriteRequest(body, { maxUncompressedBytes: 1024 })).toThrow(
+      expect.objectContaining({ status: 413 })
+    );
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  createMemorySeriesStateStore,
+  createPostgresSeriesStateStore,
+} from '../services/seriesState.service.js';
+
+const counterEntry = (value, timestamp) => ({
+  value,
+  labels: { __name__: 'user_metric_orders' },
+  tenantId: '1',
+  heartbeatEligible: true,
+  timestamp,
+});
+
+describe('memory series state store', () => {
+  it('passes existing entries to the mutator and stores its changes', async () => {
+    const store = createMemorySeriesStateStore();
+    await store.update(['1::a'], () => new Map([['1::a', counterEntry(2, 100)]]));
+
+    let seen;
+    await store.update(['1::a', '1::b'], (current) => {
+      seen = current;
+      return new Map([['1::a', counterEntry(5, 200)]]);
+    });
+
+    expect([...seen.keys()]).toEqual(['1::a']);
+    expect(seen.get('1::a').value).toBe(2);
+    const claimed = await store.claimHeartbeat(300, 250);
+    expect(claimed).toEqual([expect.objectContaining({ stateKey: '1::a', value: 5 })]);
+  });
+
+  it('reverts additive deltas', async () => {
+    const store = createMemorySeriesStateStore();
+    await store.update(['1::a'], () => new Map([['1::a', counterEntry(5, 100)]]));
+    await store.revert([{ stateKey: '1::a', delta: 3 }]);
+
+    const [entry] = await store.claimHeartbeat(300, 250);
+    expect(entry.value).toBe(2);
+  });
+
+  it('only claims heartbeat-eligible series not written since staleBefore', async () => {
+    const store = createMemorySeriesStateStore();
+    await store.update(
+      ['1::old', '1::fresh', '1::gauge'],
+      () =>
+        new Map([
+          ['1::old', counterEntry(1, 100)],
+          ['1::fresh', counterEntry(1, 900)],
+          ['1::gauge', { ...counterEntry(1, 100), heartbeatEligible: false }],
+        ])
+    );
+
+    const claimed = await store.claimHeartbeat(1000, 500);
+    expect(claimed.map((entry) => entry.stateKey)).toEqual(['1::old']);
+    // Claimed series are stamped so the next tick skips them
+    expect(await store.claimHeartbeat(1001, 500)).toEqual([]);
+  });
+
+  it('claims at most limit series, oldest sample first', async () => {
+    const store = createMemorySeriesStateStore();
+    await store.update(
+      ['1::b', '1::a', '1::new'],
+      () =>
+        new Map([
+          ['1::b', counterEntry(1, 200)],
+          ['1::a', counterEntry(1, 100)],
+          ['1::new', counterEntry(1, undefined)],
+        ])
+    );
+
+    const first = await store.claimHeartbeat(1000, 500, { limit: 2 });
+    expect(first.map((entry) => entry.stateKey)).toEqual(['1::new', '1::a']);
+    const second = await store.claimHeartbeat(1000, 500, { limit: 2 });
+    expect(second.map((entry) => entry.stateKey)).toEqual(['1::b']);
+  });
+
+  it('skips and prunes series no ingest has written for idleMs', async () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(10_000);
+    const store = createMemorySeriesStateStore();
+    await store.update(['1::idle'], () => new Map([['1::idle', counterEntry(1, 100)]]));
+    now.mockReturnValue(20_000);
+    await store.update(['1::live'], () => new Map([['1::live', counterEntry(1, 100)]]));
+
+    // Heartbeat claims do not count as writes
+    now.mockReturnValue(25_000);
+    const claimed = await store.claimHeartbeat(25_000, 24_000, { idleMs: 10_000 });
+    expect(claimed.map((entry) => entry.stateKey)).toEqual(['1::live']);
+    expect(await store.pruneIdle(10_000)).toBe(1);
+    now.mockReturnValue(40_000);
+    expect(await store.pruneIdle(10_000, 5)).toBe(1);
+    expect(await store.claimHeartbeat(40_000, 39_000)).toEqual([]);
+    now.mockRestore();
+  });
+
+  it('clears every key of one tenant', async () => {
+    const store = createMemorySeriesStateStore();
+    await store.update(
+      ['1::a', '2::a'],
+      () =>
+        new Map([
+          ['1::a', counterEntry(1, 100)],
+          ['2::a', { ...counterEntry(1, 100), tenantId: '2' }],
+        ])
+    );
+    await store.clearTenant('1');
+
+    const claimed = await store.claimHeartbeat(1000, 500);
+    expect(claimed.map((entry) => entry.stateKey)).toEqual(['2::a']);
+  });
+});
+
+describe('postgres series state store', () => {
+  const setupPool = (selectRows = []) => {
+    const client = {
+      query: vi.fn(async (sql) => (sql.trim().startsWith('SELECT') ? { rows: selectRows } : {})),
+      release: vi.fn(),
+    };
+    const db = { connect: vi.fn().mockResolvedValue(client), query: vi.fn() };
+    return { db, client };
+  };
+
+  it('locks rows in key order, mutates and writes changes in one transaction', async () => {
+    const { db, client } = setupPool([
+      {
+        state_key: '1::a',
+        tenant_id: '1',
+        labels: { __name__: 'user_metric_orders' },
+        value: 4,
+        observations: null,
+        heartbeat_eligible: true,
+        sample_timestamp: '100',
+      },
+    ]);
+    const store = createPostgresSeriesStateStore(db);
+
+    let seen;
+    await store.update(['1::b', '1::a'], (current) => {
+      seen = current;
+      return new Map([['1::a', counterEntry(6, 200)]]);
+    });
+
+    expect(seen.get('1::a')).toEqual(counterEntry(4, 100));
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+    expect(statements).toEqual(['BEGIN', 'INSERT', 'SELECT', 'UPDATE', 'COMMIT']);
+    expect(client.query.mock.calls[1][1]).toEqual([['1::a', '1::b']]);
+    expect(client.query.mock.calls[2][0]).toMatch(/FOR UPDATE/);
+    expect(JSON.parse(client.query.mock.calls[3][1][0])).toEqual([
+      expect.objectContaining({ state_key: '1::a', value: 6, sample_timestamp: 200 }),
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('treats placeholder rows as missing state', async () => {
+    const { db } = setupPool([
+      {
+        state_key: '1::a',
+        tenant_id: '1',
+        labels: null,
+        value: null,
+        observations: null,
+        heartbeat_eligible: false,
+        sample_timestamp: null,
+      },
+    ]);
+    const store = createPostgresSeriesStateStore(db);
+
+    let seen;
+    await store.update(['1::a'], (current) => {
+      seen = current;
+      return new Map();
+    });
+
+    expect(seen.size).toBe(0);
+  });
+
+  it('rolls back and releases the client when the mutation fails', async () => {
+    const { db, client } = setupPool();
+    const store = createPostgresSeriesStateStore(db);
+
+    await expect(
+      store.update(['1::a'], () => {
+        throw new Error('boom');
+      })
+    ).rejects.toThrow('boom');
+
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('claims stale heartbeat series with a single update', async () => {
+    const { db } = setupPool();
+    db.query.mockResolvedValue({
+      rows: [
+        {
+          state_key: '1::a',
+          tenant_id: '1',
+          labels: { __name__: 'user_metric_orders' },
+          value: 3,
+          observations: null,
+          heartbeat_eligible: true,
+          sample_timestamp: '1000',
+        },
+      ],
+    });
+    const store = createPostgresSeriesStateStore(db);
+
+    const claimed = await store.claimHeartbeat(1000, 500);
+
+    expect(db.query).toHaveBeenCalledWith(expect.stringMatching(/sample_timestamp < \$2/), [
+      1000,
+      500,
+      null,
+      null,
+    ]);
+    expect(claimed).toEqual([{ stateKey: '1::a', ...counterEntry(3, 1000) }]);
+
+    await store.claimHeartbeat(1000, 500, { limit: 100, idleMs: 60_000 });
+    expect(db.query).toHaveBeenLastCalledWith(
+      expect.stringMatching(/ORDER BY sample_timestamp NULLS FIRST\s+LIMIT \$4/),
+      [1000, 500, 60_000, 100]
+    );
+  });
+
+  it('prunes a bounded batch of idle rows', async () => {
+    const { db } = setupPool();
+    db.query.mockResolvedValue({ rows: [], rowCount: 3 });
+    const store = createPostgresSeriesStateStore(db);
+
+    expect(await store.pruneIdle(60_000, 500)).toBe(3);
+    expect(db.query).toHaveBeenCalledWith(
+      expect.stringMatching(/DELETE FROM series_state[\s\S]*updated_at < NOW\(\)[\s\S]*LIMIT \$2/),
+      [60_000, 500]
+    );
+  });
+});
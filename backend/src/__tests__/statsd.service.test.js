@@ -0,0 +1,167 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const setupService = async ({ apiKeyRow = { user_id: 5, site_id: null } } = {}) => {
+  vi.resetModules();
+
+  const findActiveApiKeyMock = vi.fn().mockResolvedValue(apiKeyRow);
+  const recordMetricMock = vi.fn();
+  const pushMetricsToMimirMock = vi.fn().mockResolvedValue({ ok: true });
+  const bufferMetricsMock = vi.fn().mockResolvedValue(1);
+  const shouldBufferFailureMock = vi.fn().mockReturnValue(false);
+  const recordMetricsIngestMock = vi.fn();
+
+  vi.doMock('../middleware/auth.middleware.js', () => ({
+    findActiveApiKey: findActiveApiKeyMock,
+  }));
+  vi.doMock('../middleware/appMetrics.js', () => ({
+    recordMetricsIngest: recordMetricsIngestMock,
+  }));
+  vi.doMock('../services/metrics.service.js', () => ({ recordMetric: recordMetricMock }));
+  vi.doMock('../services/mimir.service.js', () => ({
+    pushMetricsToMimir: pushMetricsToMimirMock,
+  }));
+  vi.doMock('../services/ingestBuffer.service.js', () => ({
+    bufferMetrics: bufferMetricsMock,
+    shouldBufferFailure: shouldBufferFailureMock,
+  }));
+  vi.doMock('../services/metricConfig.service.js', () => ({
+    getMetricSchema: vi.fn().mockResolvedValue({
+      enforcement: 'off',
+      configs: new Map([['db_query', { type: 'histogram', buckets: [0.01, 0.1] }]]),
+    }),
+  }));
+  vi.doMock('../services/quota.service.js', () => ({
+    partitionBySeriesQuota: async (userId, items) => ({
+      allowed: items,
+      overQuota: [],
+      error: null,
+    }),
+    recordUsage: vi.fn(),
+    seriesQuotaKey: (name, labels) => `${name}${JSON.stringify(labels)}`,
+  }));
+  vi.doMock('../config.js', () => ({ config: { statsd: { enabled: false } } }));
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const service = await import('../services/statsd.service.js');
+  return {
+    listener: service.createStatsdListener({ port: 8125, apiKey: 'mk_test' }),
+    mocks: {
+      findActiveApiKeyMock,
+      recordMetricMock,
+      pushMetricsToMimirMock,
+      bufferMetricsMock,
+      shouldBufferFailureMock,
+      recordMetricsIngestMock,
+    },
+  };
+};
+
+const pushedBatch = (mocks) => mocks.pushMetricsToMimirMock.mock.calls[0][0];
+
+describe('statsd.service', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('aggregates counters, gauges and sets per series over the flush interval', async () => {
+    const { listener, mocks } = await setupService();
+
+    listener.ingest(Buffer.from('jobs:1|c|#queue:a\njobs:2|c|@0.5|#queue:a\njobs:4|c|#queue:b'));
+    listener.ingest('depth:10|g\ndepth:+3|g\ndepth:-1|g');
+    listener.ingest('visitors:alice|s\nvisitors:bob|s\nvisitors:alice|s');
+
+    const outcome = await listener.flush();
+
+    expect(outcome).toEqual({ processed: 5, rejected: 0, dropped: 0, buffered: false });
+    expect(mocks.findActiveApiKeyMock).toHaveBeenCalledWith('mk_test');
+    expect(pushedBatch(mocks)).toEqual([
+      expect.objectContaining({
+        name: 'jobs',
+        type: 'counter',
+        value: 5,
+        labels: { queue: 'a', user_id: '5' },
+        userId: '5',
+      }),
+      expect.objectContaining({ name: 'jobs', value: 4, labels: { queue: 'b', user_id: '5' } }),
+      expect.objectContaining({ name: 'depth', type: 'gauge', operation: 'set', value: 10 }),
+      expect.objectContaining({ name: 'depth', type: 'gauge', operation: 'increment', value: 2 }),
+      expect.objectContaining({ name: 'visitors', type: 'gauge', operation: 'set', value: 2 }),
+    ]);
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledWith(expect.any(Array), {
+      mode: 'statsd',
+      throwOnFailure: true,
+    });
+
+    // The next interval starts empty
+    expect(await listener.flush()).toEqual({
+      processed: 0,
+      rejected: 0,
+      dropped: 0,
+      buffered: false,
+    });
+    expect(mocks.pushMetricsToMimirMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('records timer observations in seconds with the configured buckets', async () => {
+    const { listener, mocks } = await setupService({ apiKeyRow: { user_id: 5, site_id: 9 } });
+
+    listener.ingest('db.query:20:50|ms');
+    await listener.flush();
+
+    expect(pushedBatch(mocks)).toEqual([
+      expect.objectContaining({
+        name: 'db_query',
+        type: 'histogram',
+        value: 0.02,
+        buckets: [0.01, 0.1],
+        labels: { site_id: '9', user_id: '5' },
+      }),
+      expect.objectContaining({ value: 0.05 }),
+    ]);
+  });
+
+  it('drops metrics rejected by ingest validation and writes the rest', async () => {
+    const { listener, mocks } = await setupService();
+    mocks.recordMetricMock.mockImplementation((metric) => {
+      if (metric.name === 'wide') throw new Error('Too many labels: max 10, got 11');
+    });
+
+    listener.ingest('refunds:-2|c\nwide:1|c\nok:1|c');
+    const outcome = await listener.flush();
+
+    expect(outcome).toEqual(expect.objectContaining({ processed: 1, rejected: 2 }));
+    expect(pushedBatch(mocks)).toEqual([expect.objectContaining({ name: 'ok' })]);
+  });
+
+  it('drops the interval when the API key is no longer active', async () => {
+    const { listener, mocks } = await setupService({ apiKeyRow: null });
+
+    listener.ingest('jobs:1|c');
+    await listener.flush();
+
+    expect(mocks.pushMetricsToMimirMock).not.toHaveBeenCalled();
+    expect(mocks.recordMetricsIngestMock).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: 'error' })
+    );
+  });
+
+  it('buffers the flushed batch while Mimir is unavailable', async () => {
+    const { listener, mocks } = await setupService();
+    mocks.pushMetricsToMimirMock.mockRejectedValue(
+      Object.assign(new Error('down'), { status: 503 })
+    );
+    mocks.shouldBufferFailureMock.mockReturnValue(true);
+
+    listener.ingest('jobs:1|c');
+    const outcome = await listener.flush();
+
+    expect(outcome.buffered).toBe(true);
+    expect(mocks.bufferMetricsMock).toHaveBeenCalledWith(
+      '5',
+      [expect.objectContaining({ name: 'jobs', userId: '5' })],
+      expect.any(Number)
+    );
+  });
+});
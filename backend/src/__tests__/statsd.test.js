@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { parseStatsdLine, parseStatsdPacket } from '../utils/statsd.js';
+
+describe('parseStatsdLine', () => {
+  it('parses plain StatsD counters, gauges and timers', () => {
+    expect(parseStatsdLine('api.requests:1|c|@0.5')).toEqual({
+      name: 'api_requests',
+      type: 'c',
+      values: [1],
+      delta: false,
+      sampleRate: 0.5,
+      tags: {},
+    });
+    expect(parseStatsdLine('queue.depth:-3|g')).toEqual(
+      expect.objectContaining({ name: 'queue_depth', values: [-3], delta: true })
+    );
+    expect(parseStatsdLine('queue.depth:42|g')).toEqual(
+      expect.objectContaining({ values: [42], delta: false })
+    );
+    expect(parseStatsdLine('db.query:12.5|ms').values).toEqual([12.5]);
+  });
+
+  it('parses DogStatsD tags and multi-value packets', () => {
+    expect(parseStatsdLine('page.load:120:80|h|#env:prod,region:eu-west,canary')).toEqual({
+      name: 'page_load',
+      type: 'h',
+      values: [120, 80],
+      delta: false,
+      sampleRate: 1,
+      tags: { env: 'prod', region: 'eu-west' },
+    });
+    expect(parseStatsdLine('users.unique:abc|s|#__name__:x').tags).toEqual({ tag__name__: 'x' });
+    expect(parseStatsdLine('users.unique:abc|s').values).toEqual(['abc']);
+  });
+
+  it('skips events and service checks', () => {
+    expect(parseStatsdLine('_e{5,4}:title|text')).toBeNull();
+    expect(parseStatsdLine('_sc|redis.up|0')).toBeNull();
+  });
+
+  it('rejects malformed lines', () => {
+    expect(() => parseStatsdLine('no_value|c')).toThrow(/Expected <name>:<value>/);
+    expect(() => parseStatsdLine('x:1|q')).toThrow(/Unsupported metric type "q"/);
+    expect(() => parseStatsdLine('x:abc|c')).toThrow(/Invalid value "abc"/);
+    expect(() => parseStatsdLine('x:1|c|@2')).toThrow(/Invalid sample rate/);
+  });
+});
+
+describe('parseStatsdPacket', () => {
+  it('collects metrics and per-line errors from a datagram', () => {
+    const { metrics, errors } = parseStatsdPacket('a:1|c\n\nbroken\nb:2|g\n');
+
+    expect(metrics.map((m) => m.name)).toEqual(['a', 'b']);
+    expect(errors).toEqual([{ line: 'broken', error: 'Expected <name>:<value>' }]);
+  });
+});
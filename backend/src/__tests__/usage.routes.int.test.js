@@ -0,0 +1,134 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+const setupApp = async () => {
+  vi.resetModules();
+
+  const queryMock = vi.fn();
+
+  vi.doMock('../database/connection.js', () => ({
+    default: { connect: vi.fn() },
+    query: queryMock,
+  }));
+
+  vi.doMock('../middleware/auth.middleware.js', () => ({
+    authenticate: (req, res, next) => {
+      req.user = { id: 55 };
+      next();
+    },
+  }));
+
+  vi.doMock('../middleware/rateLimiter.js', () => ({
+    apiLimiter: (req, res, next) => next(),
+  }));
+
+  vi.doMock('../config.js', () => ({
+    config: {
+      quotas: {
+        enabled: true,
+        defaultPlan: 'free',
+        plans: {
+          free: { requestsPerMinute: 600, samplesPerDay: 1_000_000, activeSeries: 1_000 },
+          pro: { requestsPerMinute: 6_000, samplesPerDay: 0, activeSeries: 50_000 },
+        },
+        activeSeriesWindowMs: 3_600_000,
+      },
+    },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: {
+      warn: vi.fn(),
+      info: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn(),
+    },
+  }));
+
+  const { usageRoutes } = await import('../routes/usage.routes.js');
+  const { errorHandler } = await import('../middleware/errorHandler.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/usage', usageRoutes);
+  app.use(errorHandler);
+
+  return { app, mocks: { queryMock } };
+};
+
+describe('usage.routes integration', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('GET /api/v1/usage returns the plan, limits and usage of the user', async () => {
+    vi.useFakeTimers({ now: Date.UTC(2026, 2, 2, 8, 30), toFake: ['Date'] });
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT plan FROM users')) return { rows: [{ plan: 'pro' }] };
+      if (sql.includes('FROM usage_daily')) {
+        return {
+          rows: [
+            { day: '2026-03-01', samples: '5000', rejected_samples: '12', requests: '90' },
+            { day: '2026-03-02', samples: '1200', rejected_samples: '0', requests: '30' },
+          ],
+        };
+      }
+      if (sql.includes('FROM usage_series')) return { rows: [{ active: 321 }] };
+      if (sql.includes('FROM usage_requests')) return { rows: [{ requests: 4 }] };
+      return { rows: [] };
+    });
+
+    const res = await request(app).get('/api/v1/usage');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      plan: 'pro',
+      enforced: true,
+      limits: {
+        requestsPerMinute: 6_000,
+        requestsPerMinutePerKey: null,
+        samplesPerDay: null,
+        activeSeries: 50_000,
+      },
+      usage: {
+        samplesToday: 1200,
+        rejectedSamplesToday: 0,
+        requestsToday: 30,
+        requestsThisMinute: 4,
+        activeSeries: 321,
+      },
+      activeSeriesWindowMs: 3_600_000,
+      resetsAt: '2026-03-03T00:00:00.000Z',
+      history: [
+        { day: '2026-03-01', samples: 5000, rejectedSamples: 12, requests: 90 },
+        { day: '2026-03-02', samples: 1200, rejectedSamples: 0, requests: 30 },
+      ],
+    });
+    expect(mocks.queryMock).toHaveBeenCalledWith(expect.stringContaining('FROM usage_daily'), [
+      '55',
+      '2026-03-02',
+      30,
+    ]);
+  });
+
+  it('GET /api/v1/usage reports zero usage for a new user', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValue({ rows: [] });
+
+    const res = await request(app).get('/api/v1/usage');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.plan).toBe('free');
+    expect(res.body.data.usage).toEqual({
+      samplesToday: 0,
+      rejectedSamplesToday: 0,
+      requestsToday: 0,
+      requestsThisMinute: 0,
+      activeSeries: 0,
+    });
+    expect(res.body.data.history).toEqual([]);
+  });
+});
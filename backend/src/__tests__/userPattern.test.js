@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_USER_PATTERN_INPUT_LENGTH,
+  userPatternInput,
+  userPatternProblem,
+} from '../utils/userPattern.js';
+
+describe('userPattern', () => {
+  it('accepts patterns without ambiguous repetition', () => {
+    for (const pattern of [
+      '\\?.*$',
+      '/\\d+',
+      '[a-z0-9._%+-]+@example\\.com',
+      '(?:foo|bar)',
+      '(\\d{3}-)+\\d{4}',
+      '(?<id>[0-9a-f]{8})',
+      '(a|b)?c',
+      '[(|+]+',
+    ]) {
+      expect(userPatternProblem(pattern)).toBeNull();
+    }
+  });
+
+  it('rejects groups that can match the same text in more than one way when repeated', () => {
+    for (const pattern of [
+      '(a+)+',
+      '(a|aa)*',
+      '(\\w|\\d)+$',
+      '(?:x*y?)+',
+      '((ab)*c)*',
+      '(a|b){2,}',
+      '(?<word>\\w+)*',
+      '(a)\\1',
+    ]) {
+      expect(userPatternProblem(pattern)).toMatch('nested quantifiers');
+    }
+  });
+
+  it('reports invalid and overlong patterns', () => {
+    expect(userPatternProblem('(')).toMatch('is invalid');
+    expect(userPatternProblem('a'.repeat(201))).toBe('is longer than 200 characters');
+  });
+
+  it('caps the input user patterns run on', () => {
+    expect(userPatternInput(42)).toBe('42');
+    expect(userPatternInput('x'.repeat(5000))).toHaveLength(MAX_USER_PATTERN_INPUT_LENGTH);
+  });
+});
@@ -0,0 +1,281 @@
+import crypto from 'crypto';
+import http from 'http';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const setupService = async ({
+  enabled = true,
+  allowInsecureUrls = true,
+  allowPrivateNetworks = true,
+} = {}) => {
+  vi.resetModules();
+
+  const queryMock = vi.fn();
+  const recordWebhookDeliveryMock = vi.fn();
+
+  vi.doMock('../database/connection.js', () => ({ query: queryMock }));
+
+  vi.doMock('../middleware/appMetrics.js', () => ({
+    recordWebhookDelivery: recordWebhookDeliveryMock,
+  }));
+
+  vi.doMock('../config.js', () => ({
+    config: {
+      webhooks: {
+        enabled,
+        deliveryBatchSize: 10,
+        timeoutMs: 2_000,
+        maxAttempts: 3,
+        retryBaseDelayMs: 10_000,
+        maxRetryDelayMs: 60_000,
+        retentionMs: 604_800_000,
+        allowInsecureUrls,
+        allowPrivateNetworks,
+      },
+    },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const service = await import('../services/webhook.service.js');
+  return { service, mocks: { queryMock, recordWebhookDeliveryMock } };
+};
+
+// Local HTTP stub that records requests and answers with the next queued status
+const startStub = async (statuses) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return { url, requests, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+const deliveryRow = (id, url, attempts = 0) => ({
+  id,
+  payload: { metrics: [{ name: 'signup', type: 'counter', value: 1, labels: {}, timestamp: 1 }] },
+  attempts,
+  created_at: new Date('2026-01-01T00:00:00Z'),
+  url,
+  secret: 'whsec_test',
+});
+
+describe('webhook.service', () => {
+  let stub = null;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterEach(async () => {
+    await stub?.close();
+    stub = null;
+  });
+
+  it('signs the timestamp and raw body with the endpoint secret', async () => {
+    const { service } = await setupService();
+
+    const digest = crypto
+      .createHmac('sha256', 'whsec_test')
+      .update('1700000000.{"a":1}')
+      .digest('hex');
+
+    expect(service.signWebhookPayload('whsec_test', 1700000000, '{"a":1}')).toBe(
+      `t=1700000000,v1=${digest}`
+    );
+    expect(service.generateWebhookSecret()).toMatch(/^whsec_[0-9a-f]{48}$/);
+  });
+
+  it('accepts https endpoints and http only when insecure URLs are allowed', async () => {
+    const { service } = await setupService({ allowInsecureUrls: false });
+
+    expect(service.webhookUrlProblem('https://hooks.example.com/x')).toBeNull();
+    expect(service.webhookUrlProblem('http://localhost:4000/x')).toBe('URL must use https');
+    expect(service.webhookUrlProblem('ftp://example.com')).toBe('URL must use https');
+    expect(service.webhookUrlProblem('not a url')).toBe('URL is invalid');
+
+    const dev = await setupService({ allowInsecureUrls: true });
+    expect(dev.service.webhookUrlProblem('http://localhost:4000/x')).toBeNull();
+  });
+
+  it('refuses private and reserved hosts unless private networks are allowed', async () => {
+    const { service } = await setupService({ allowPrivateNetworks: false });
+    const refused = 'URL resolves to a private or reserved address';
+
+    for (const url of [
+      'https://169.254.169.254/latest/meta-data',
+      'https://10.0.0.8/hook',
+      'https://192.168.1.1/hook',
+      'https://[::1]/hook',
+      'https://[::ffff:127.0.0.1]/hook',
+      'https://localhost/hook',
+      'https://api.localhost/hook',
+    ]) {
+      expect(service.webhookUrlProblem(url)).toBe(refused);
+    }
+    expect(service.webhookUrlProblem('https://93.184.215.14/hook')).toBeNull();
+
+    const dev = await setupService({ allowPrivateNetworks: true });
+    expect(dev.service.webhookUrlProblem('https://10.0.0.8/hook')).toBeNull();
+  });
+
+  it('backs off exponentially up to the maximum delay', async () => {
+    const { service } = await setupService();
+
+    expect([1, 2, 3, 4, 10].map(service.retryDelayMs)).toEqual([
+      10_000, 20_000, 40_000, 60_000, 60_000,
+    ]);
+  });
+
+  it('queues one delivery per webhook with the samples of its metric', async () => {
+    const { service, mocks } = await setupService();
+    mocks.queryMock.mockResolvedValue({ rows: [] });
+    const configs = new Map([
+      ['signup', { webhookIds: [1, 2] }],
+      ['orders', { webhookIds: [2] }],
+      ['page_view', { webhookIds: [] }],
+    ]);
+    const signup = { name: 'signup', type: 'counter', value: 1, labels: {}, timestamp: 1 };
+    const orders = { name: 'orders', type: 'counter', value: 2, labels: {}, timestamp: 1 };
+    const pageView = { name: 'page_view', type: 'counter', value: 1, labels: {}, timestamp: 1 };
+
+    await expect(
+      service.enqueueWebhookDeliveries(configs, [signup, orders, pageView])
+    ).resolves.toBe(2);
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO webhook_deliveries'),
+      [
+        [1, 2],
+        [JSON.stringify({ metrics: [signup] }), JSON.stringify({ metrics: [signup, orders] })],
+        [1, 2],
+      ]
+    );
+
+    mocks.queryMock.mockClear();
+    await expect(service.enqueueWebhookDeliveries(configs, [pageView])).resolves.toBe(0);
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+
+    const disabled = await setupService({ enabled: false });
+    await expect(disabled.service.enqueueWebhookDeliveries(configs, [signup])).resolves.toBe(0);
+    expect(disabled.mocks.queryMock).not.toHaveBeenCalled();
+  });
+
+  it('POSTs signed deliveries to a local endpoint and marks them delivered', async () => {
+    const { service, mocks } = await setupService();
+    stub = await startStub([204]);
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [deliveryRow(7, stub.url)] })
+      .mockResolvedValue({ rows: [] });
+
+    const outcome = await service.deliverWebhooks();
+
+    expect(outcome).toEqual({ delivered: 1, retried: 0, failed: 0 });
+    expect(stub.requests).toHaveLength(1);
+    const [{ headers, body }] = stub.requests;
+    expect(JSON.parse(body)).toEqual({
+      id: '7',
+      event: 'metrics.ingested',
+      created_at: '2026-01-01T00:00:00.000Z',
+      metrics: deliveryRow(7, stub.url).payload.metrics,
+    });
+    expect(headers['x-vizme-delivery']).toBe('7');
+    const timestamp = headers['x-vizme-signature'].match(/^t=(\d+),/)[1];
+    expect(headers['x-vizme-signature']).toBe(
+      service.signWebhookPayload('whsec_test', Number(timestamp), body)
+    );
+    expect(mocks.queryMock).toHaveBeenLastCalledWith(
+      expect.stringContaining("status = 'delivered'"),
+      [7, 1, 204]
+    );
+    expect(mocks.recordWebhookDeliveryMock).toHaveBeenCalledWith('delivered');
+  });
+
+  it('schedules a retry with backoff and gives up after the last attempt', async () => {
+    const { service, mocks } = await setupService();
+    stub = await startStub([500, 503]);
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [deliveryRow(8, stub.url, 0), deliveryRow(9, stub.url, 2)] })
+      .mockResolvedValue({ rows: [] });
+
+    const outcome = await service.deliverWebhooks();
+
+    expect(outcome).toEqual({ delivered: 0, retried: 1, failed: 1 });
+    expect(mocks.queryMock).toHaveBeenCalledWith(expect.stringContaining('next_attempt_at'), [
+      8,
+      1,
+      500,
+      'HTTP 500',
+      10_000,
+    ]);
+    expect(mocks.queryMock).toHaveBeenCalledWith(expect.stringContaining("status = 'failed'"), [
+      9,
+      3,
+      503,
+      'HTTP 503',
+    ]);
+  });
+
+  it('does not connect to endpoints that resolve to private addresses', async () => {
+    const { service, mocks } = await setupService({ allowPrivateNetworks: false });
+    stub = await startStub([204, 204]);
+    const byName = stub.url.replace('127.0.0.1', 'localhost');
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [deliveryRow(11, stub.url), deliveryRow(12, byName)] })
+      .mockResolvedValue({ rows: [] });
+
+    const outcome = await service.deliverWebhooks();
+
+    expect(outcome.retried).toBe(2);
+    expect(stub.requests).toHaveLength(0);
+    const errors = mocks.queryMock.mock.calls
+      .filter(([sql]) => sql.startsWith('UPDATE webhook_deliveries SET attempts'))
+      .map(([, params]) => params[3]);
+    expect(errors).toEqual([
+      'URL resolves to a private or reserved address',
+      'URL resolves to a private or reserved address',
+    ]);
+  });
+
+  it('does not follow redirects', async () => {
+    const { service, mocks } = await setupService();
+    stub = await startStub([302]);
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [deliveryRow(13, stub.url)] })
+      .mockResolvedValue({ rows: [] });
+
+    const outcome = await service.deliverWebhooks();
+
+    expect(outcome.retried).toBe(1);
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  it('records connection errors as retryable failures', async () => {
+    const { service, mocks } = await setupService();
+    stub = await startStub([]);
+    const url = stub.url;
+    await stub.close();
+    stub = null;
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [deliveryRow(10, url)] })
+      .mockResolvedValue({ rows: [] });
+
+    const outcome = await service.deliverWebhooks();
+
+    expect(outcome.retried).toBe(1);
+    expect(mocks.queryMock).toHaveBeenLastCalledWith(expect.stringContaining('next_attempt_at'), [
+      10,
+      1,
+      null,
+      expect.any(String),
+      10_000,
+    ]);
+  });
+});
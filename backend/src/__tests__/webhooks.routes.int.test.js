@@ -0,0 +1,198 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+const setupApp = async ({ allowInsecureUrls = false, allowPrivateNetworks = false } = {}) => {
+  vi.resetModules();
+
+  const queryMock = vi.fn();
+  const invalidateMetricSchemaMock = vi.fn();
+
+  vi.doMock('../database/connection.js', () => ({ query: queryMock }));
+
+  vi.doMock('../middleware/auth.middleware.js', () => ({
+    authenticate: (req, res, next) => {
+      req.user = { id: 88 };
+      next();
+    },
+  }));
+
+  vi.doMock('../middleware/rateLimiter.js', () => ({
+    apiLimiter: (req, res, next) => next(),
+  }));
+
+  vi.doMock('../middleware/appMetrics.js', () => ({
+    recordWebhookDelivery: vi.fn(),
+  }));
+
+  vi.doMock('../services/metricConfig.service.js', () => ({
+    invalidateMetricSchema: invalidateMetricSchemaMock,
+  }));
+
+  vi.doMock('../config.js', () => ({
+    config: {
+      isProduction: false,
+      webhooks: { enabled: true, allowInsecureUrls, allowPrivateNetworks },
+    },
+  }));
+
+  vi.doMock('../logger.js', () => ({
+    logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn(), debug: vi.fn() },
+  }));
+
+  const { webhooksRoutes } = await import('../routes/webhooks.routes.js');
+  const { errorHandler } = await import('../middleware/errorHandler.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/webhooks', webhooksRoutes);
+  app.use(errorHandler);
+
+  return { app, mocks: { queryMock, invalidateMetricSchemaMock } };
+};
+
+describe('webhooks.routes integration', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('GET /api/v1/webhooks masks secrets', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({
+      rows: [
+        {
+          id: 1,
+          metric_config_id: 4,
+          url: 'https://hooks.example.com/a',
+          secret: 'whsec_0123456789abcdef',
+          enabled: true,
+          metric_name: 'signup',
+          pending_deliveries: 2,
+          failed_deliveries: 0,
+          last_delivery_status: 'delivered',
+        },
+      ],
+    });
+
+    const res = await request(app).get('/api/v1/webhooks');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].secret).toBe('whsec_••••cdef');
+    expect(mocks.queryMock.mock.calls[0][1]).toEqual([88]);
+  });
+
+  it('POST /api/v1/webhooks registers an endpoint for an owned metric config', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock
+      .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 1, metric_config_id: 4, secret: 'whsec_new' }] });
+
+    const res = await request(app)
+      .post('/api/v1/webhooks')
+      .send({ metric_config_id: 4, url: ' https://hooks.example.com/a ' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.secret).toBe('whsec_new');
+    expect(mocks.queryMock).toHaveBeenLastCalledWith(
+      expect.stringContaining('INSERT INTO webhooks'),
+      [88, 4, 'https://hooks.example.com/a', expect.stringMatching(/^whsec_[0-9a-f]{48}$/)]
+    );
+    expect(mocks.invalidateMetricSchemaMock).toHaveBeenCalledWith(88);
+  });
+
+  it('POST /api/v1/webhooks rejects http endpoints unless insecure URLs are allowed', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app)
+      .post('/api/v1/webhooks')
+      .send({ metric_config_id: 4, url: 'http://localhost:4000/hook' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('URL must use https');
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+
+    const dev = await setupApp({ allowInsecureUrls: true, allowPrivateNetworks: true });
+    dev.mocks.queryMock
+      .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+    const devRes = await request(dev.app)
+      .post('/api/v1/webhooks')
+      .send({ metric_config_id: 4, url: 'http://localhost:4000/hook' });
+    expect(devRes.status).toBe(201);
+  });
+
+  it('POST /api/v1/webhooks rejects endpoints on private addresses', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app)
+      .post('/api/v1/webhooks')
+      .send({ metric_config_id: 4, url: 'https://169.254.169.254/latest/meta-data' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('URL resolves to a private or reserved address');
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+  });
+
+  it('POST /api/v1/webhooks returns 404 for a metric config of another user', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post('/api/v1/webhooks')
+      .send({ metric_config_id: 5, url: 'https://hooks.example.com/a' });
+
+    expect(res.status).toBe(404);
+    expect(mocks.queryMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('PATCH /api/v1/webhooks/:id disables an endpoint', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ id: 1, enabled: false }] });
+
+    const res = await request(app).patch('/api/v1/webhooks/1').send({ enabled: false });
+
+    expect(res.status).toBe(200);
+    expect(mocks.queryMock).toHaveBeenCalledWith(expect.stringContaining('enabled = $1'), [
+      false,
+      1,
+      88,
+    ]);
+    expect(mocks.invalidateMetricSchemaMock).toHaveBeenCalledWith(88);
+  });
+
+  it('GET /api/v1/webhooks/deliveries filters the history by webhook and status', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [{ id: 12, status: 'failed' }] });
+
+    const res = await request(app).get('/api/v1/webhooks/deliveries?webhook_id=1&status=failed');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([{ id: 12, status: 'failed' }]);
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining('w.user_id = $1 AND d.webhook_id = $2 AND d.status = $3'),
+      [88, 1, 'failed', 50]
+    );
+  });
+
+  it('GET /api/v1/webhooks/deliveries rejects unknown statuses', async () => {
+    const { app, mocks } = await setupApp();
+
+    const res = await request(app).get('/api/v1/webhooks/deliveries?status=lost');
+
+    expect(res.status).toBe(400);
+    expect(mocks.queryMock).not.toHaveBeenCalled();
+  });
+
+  it('POST /api/v1/webhooks/deliveries/:id/retry requeues only failed deliveries', async () => {
+    const { app, mocks } = await setupApp();
+    mocks.queryMock.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).post('/api/v1/webhooks/deliveries/12/retry');
+
+    expect(res.status).toBe(404);
+    expect(mocks.queryMock).toHaveBeenCalledWith(
+      expect.stringContaining("d.status = 'failed'"),
+      [12, 88]
+    );
+  });
+});
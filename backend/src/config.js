@@ -18,6 +18,54 @@ function getEnv(key, defaultValue) {
   return defaultValue;
 }
 
+/** Parse `port=apiKey` pairs, e.g. `8125=mk_abc,8126=mk_def`. */
+function parseStatsdListeners(value) {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf('=');
+      return {
+        port: parseInt(entry.slice(0, separator), 10),
+        apiKey: entry.slice(separator + 1).trim(),
+      };
+    })
+    .filter(({ port, apiKey }) => port > 0 && port < 65536 && apiKey);
+}
+
+/**
+ * Plan limits: built-in plans, optionally overridden or extended by the QUOTA_PLANS
+ * JSON (e.g. `{"pro":{"samplesPerDay":100000000}}`). A limit of 0 means unlimited.
+ */
+function parseQuotaPlans(value) {
+  const plans = {
+    free: {
+      requestsPerMinute: 600,
+      requestsPerMinutePerKey: 300,
+      samplesPerDay: 1_000_000,
+      activeSeries: 1_000,
+    },
+    pro: {
+      requestsPerMinute: 6_000,
+      requestsPerMinutePerKey: 3_000,
+      samplesPerDay: 50_000_000,
+      activeSeries: 50_000,
+    },
+  };
+  if (!value) return plans;
+  let overrides;
+  try {
+    overrides = JSON.parse(value);
+  } catch {
+    throw new Error('QUOTA_PLANS must be a JSON object of plan name to limits');
+  }
+  for (const [name, limits] of Object.entries(overrides ?? {})) {
+    plans[name] = { ...plans[name], ...limits };
+  }
+  return plans;
+}
+
 function validateEnv() {
   const required = isProduction ? requiredProduction : requiredAll;
   const missing = required.filter((key) => !process.env[key] || process.env[key] === '');
@@ -116,6 +164,111 @@ export const config = {
     authMax: parseInt(getEnv('AUTH_RATE_LIMIT_MAX', '5'), 10),
     apiMax: parseInt(getEnv('API_RATE_LIMIT_MAX', '100'), 10),
     grafanaEmbedMax: parseInt(getEnv('GRAFANA_EMBED_RATE_LIMIT_MAX', '30'), 10),
+    /**
+     * memory: per-process counters (reset on restart, multiplied by the replica count);
+     * postgres: sliding-window counters shared by every replica.
+     */
+    store: getEnv('RATE_LIMIT_STORE', 'memory') === 'postgres' ? 'postgres' : 'memory',
+  },
+
+  /**
+   * Server-side buffer for validated ingest batches while Mimir is unavailable.
+   * Batches are stored in Postgres, acknowledged with 202, and drained once the circuit closes.
+   */
+  ingestBuffer: {
+    enabled: getEnv('INGEST_BUFFER_ENABLED', 'true') === 'true',
+    drainIntervalMs: parseInt(getEnv('INGEST_BUFFER_DRAIN_INTERVAL_MS', '5000'), 10),
+    drainBatchSize: parseInt(getEnv('INGEST_BUFFER_DRAIN_BATCH_SIZE', '50'), 10),
+    /**
+     * Buffered batches older than this are dropped instead of replayed. Capped at
+     * METRICS_MAX_SAMPLE_AGE_MS: Mimir rejects samples outside its out-of-order window.
+     */
+    maxAgeMs: parseInt(
+      getEnv('INGEST_BUFFER_MAX_AGE_MS', getEnv('METRICS_MAX_SAMPLE_AGE_MS', '3600000')),
+      10
+    ),
+  },
+
+  /**
+   * Ingestion quotas per plan (users.plan, falling back to defaultPlan). Usage is always
+   * accounted in Postgres; limits are only enforced when enabled.
+   */
+  quotas: {
+    enabled: getEnv('QUOTAS_ENABLED', 'true') === 'true',
+    defaultPlan: getEnv('QUOTA_DEFAULT_PLAN', 'free'),
+    plans: parseQuotaPlans(getEnv('QUOTA_PLANS', '')),
+    /** A series counts as active while it received a sample within this window. */
+    activeSeriesWindowMs: parseInt(getEnv('QUOTA_ACTIVE_SERIES_WINDOW_MS', '3600000'), 10),
+  },
+
+  /**
+   * Real-time webhooks: ingested samples are queued in a Postgres outbox per endpoint
+   * and POSTed in the background, retried with exponential backoff until maxAttempts.
+   */
+  webhooks: {
+    enabled: getEnv('WEBHOOKS_ENABLED', 'true') === 'true',
+    deliveryIntervalMs: parseInt(getEnv('WEBHOOK_DELIVERY_INTERVAL_MS', '2000'), 10),
+    deliveryBatchSize: parseInt(getEnv('WEBHOOK_DELIVERY_BATCH_SIZE', '20'), 10),
+    timeoutMs: parseInt(getEnv('WEBHOOK_TIMEOUT_MS', '10000'), 10),
+    maxAttempts: parseInt(getEnv('WEBHOOK_MAX_ATTEMPTS', '8'), 10),
+    /** First retry delay; doubles per attempt up to maxRetryDelayMs. */
+    retryBaseDelayMs: parseInt(getEnv('WEBHOOK_RETRY_BASE_DELAY_MS', '10000'), 10),
+    maxRetryDelayMs: parseInt(getEnv('WEBHOOK_MAX_RETRY_DELAY_MS', '3600000'), 10),
+    /** Delivered and failed deliveries are kept this long for the history page. */
+    retentionMs: parseInt(getEnv('WEBHOOK_RETENTION_MS', '604800000'), 10),
+    /** Plain http:// endpoints (local stubs); never in production. */
+    allowInsecureUrls: !isProduction && getEnv('WEBHOOK_ALLOW_INSECURE_URLS', 'true') === 'true',
+    /**
+     * Webhook and alert-channel URLs on loopback, private or reserved addresses (local
+     * stubs); never in production.
+     */
+    allowPrivateNetworks:
+      !isProduction && getEnv('WEBHOOK_ALLOW_PRIVATE_NETWORKS', 'false') === 'true',
+  },
+
+  /**
+   * Threshold alert rules: each enabled rule is evaluated against Mimir under its
+   * owner's tenant every evaluationIntervalMs; state and history live in Postgres.
+   */
+  alerts: {
+    enabled: getEnv('ALERTS_ENABLED', 'true') === 'true',
+    evaluationIntervalMs: parseInt(getEnv('ALERT_EVALUATION_INTERVAL_MS', '60000'), 10),
+    evaluationBatchSize: parseInt(getEnv('ALERT_EVALUATION_BATCH_SIZE', '50'), 10),
+    /** Firing/resolved events are kept this long for the alerts page. */
+    eventRetentionMs: parseInt(getEnv('ALERT_EVENT_RETENTION_MS', '2592000000'), 10),
+  },
+
+  /**
+   * Alert notifications: transitions are queued per channel and sent in the
+   * background. A channel gets at most one message per minIntervalMs; alerts that
+   * arrive in the meantime are grouped into the next one.
+   */
+  notifications: {
+    enabled: getEnv('NOTIFICATIONS_ENABLED', 'true') === 'true',
+    dispatchIntervalMs: parseInt(getEnv('NOTIFICATION_DISPATCH_INTERVAL_MS', '5000'), 10),
+    minIntervalMs: parseInt(getEnv('NOTIFICATION_MIN_INTERVAL_MS', '60000'), 10),
+    maxAlertsPerMessage: parseInt(getEnv('NOTIFICATION_MAX_ALERTS_PER_MESSAGE', '50'), 10),
+    timeoutMs: parseInt(getEnv('NOTIFICATION_TIMEOUT_MS', '10000'), 10),
+    maxAttempts: parseInt(getEnv('NOTIFICATION_MAX_ATTEMPTS', '5'), 10),
+    retryBaseDelayMs: parseInt(getEnv('NOTIFICATION_RETRY_BASE_DELAY_MS', '30000'), 10),
+    /** Email channels are unavailable until SMTP_HOST is set. */
+    smtp: {
+      host: getEnv('SMTP_HOST', ''),
+      port: parseInt(getEnv('SMTP_PORT', '587'), 10),
+      /** Implicit TLS (port 465); otherwise STARTTLS is used when the server offers it. */
+      secure: getEnv('SMTP_SECURE', 'false') === 'true',
+      user: getEnv('SMTP_USER', ''),
+      password: getEnv('SMTP_PASSWORD', ''),
+      from: getEnv('SMTP_FROM', 'Vizme Alerts <alerts@localhost>'),
+    },
+  },
+
+  /** StatsD/DogStatsD UDP listeners; each port ingests into the tenant of its API key. */
+  statsd: {
+    enabled: getEnv('STATSD_ENABLED', 'false') === 'true',
+    host: getEnv('STATSD_HOST', '0.0.0.0'),
+    listeners: parseStatsdListeners(getEnv('STATSD_LISTENERS', '')),
+    flushIntervalMs: parseInt(getEnv('STATSD_FLUSH_INTERVAL_MS', '10000'), 10),
   },
 
   /** Optional basic auth for /metrics (Prometheus scrape). Set both to enable. */
@@ -130,7 +283,17 @@ export const config = {
     maxLabelValueLength: parseInt(getEnv('METRICS_MAX_LABEL_VALUE_LENGTH', '128'), 10),
     maxSeriesPerUser: parseInt(getEnv('METRICS_MAX_SERIES_PER_USER', '1000'), 10),
     heartbeatIntervalMs: parseInt(getEnv('METRICS_HEARTBEAT_INTERVAL_MS', '15000'), 10),
+    /** Where cumulative counter/histogram state lives: 'postgres' (shared by replicas, survives restarts) or 'memory'. */
+    stateStore: getEnv('METRICS_STATE_STORE', 'postgres') === 'memory' ? 'memory' : 'postgres',
+    /** Series state no ingest has written for this long stops being heartbeated and is deleted (default 7 days). */
+    stateIdleTtlMs: parseInt(getEnv('METRICS_STATE_IDLE_TTL_MS', '604800000'), 10),
+    /** Oldest client-supplied sample timestamp accepted at ingest (keep within Mimir's out-of-order window). */
+    maxSampleAgeMs: parseInt(getEnv('METRICS_MAX_SAMPLE_AGE_MS', '3600000'), 10),
+    /** How far ahead of server time a client timestamp may be (client clock skew). */
+    maxClockSkewMs: parseInt(getEnv('METRICS_MAX_CLOCK_SKEW_MS', '300000'), 10),
     healthTenantId: getEnv('METRICS_HEALTH_TENANT_ID', '1'),
+    /** HMAC key for label values that PII scrubbing hashes instead of masking (defaults to JWT_SECRET). */
+    piiHashSecret: process.env.PII_HASH_SECRET || process.env.JWT_SECRET || ephemeralDevSecret,
   },
 };
 
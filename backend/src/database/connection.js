@@ -144,6 +144,30 @@ const runMigrations = async () => {
       END IF;
     END $$`,
 
+    // Histogram bucket boundaries / summary quantile objectives per metric (NULL = defaults)
+    `DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'metric_configs' AND column_name = 'buckets') THEN
+        ALTER TABLE metric_configs ADD COLUMN buckets JSONB DEFAULT NULL;
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'metric_configs' AND column_name = 'quantiles') THEN
+        ALTER TABLE metric_configs ADD COLUMN quantiles JSONB DEFAULT NULL;
+      END IF;
+    END $$`,
+
+    // Label allow/deny lists and value rewrites per metric (NULL = no rules)
+    `DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'metric_configs' AND column_name = 'label_rules') THEN
+        ALTER TABLE metric_configs ADD COLUMN label_rules JSONB DEFAULT NULL;
+      END IF;
+    END $$`,
+
+    // Per-metric opt-out of IP address scrubbing (see src/utils/piiScrubber.js)
+    `DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'metric_configs' AND column_name = 'anonymize_ip') THEN
+        ALTER TABLE metric_configs ADD COLUMN anonymize_ip BOOLEAN NOT NULL DEFAULT TRUE;
+      END IF;
+    END $$`,
+
     // Add metric_config_id column to api_keys (idempotent) — links key to a specific metric configuration
     `DO $$ BEGIN
       IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'api_keys' AND column_name = 'metric_config_id') THEN
@@ -204,6 +228,15 @@ const runMigrations = async () => {
     `CREATE INDEX IF NOT EXISTS idx_dashboard_widgets_user_id ON dashboard_widgets(user_id)`,
     `CREATE INDEX IF NOT EXISTS idx_dashboard_widgets_site_id ON dashboard_widgets(site_id)`,
 
+    // Optional anomaly mode per widget (see src/utils/anomaly.js)
+    `DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'dashboard_widgets' AND column_name = 'anomaly_detection') THEN
+        ALTER TABLE dashboard_widgets ADD COLUMN anomaly_detection BOOLEAN NOT NULL DEFAULT false;
+        ALTER TABLE dashboard_widgets ADD COLUMN anomaly_baseline_days INTEGER NOT NULL DEFAULT 7 CHECK (anomaly_baseline_days BETWEEN 3 AND 28);
+        ALTER TABLE dashboard_widgets ADD COLUMN anomaly_z_threshold DOUBLE PRECISION NOT NULL DEFAULT 3 CHECK (anomaly_z_threshold BETWEEN 1 AND 10);
+      END IF;
+    END $$`,
+
     // Indexes
     `CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`,
     `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)`,
@@ -228,6 +261,199 @@ const runMigrations = async () => {
     `CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)`,
     `CREATE INDEX IF NOT EXISTS idx_api_keys_api_key ON api_keys(api_key)`,
     `CREATE INDEX IF NOT EXISTS idx_metric_configs_user_id ON metric_configs(user_id)`,
+
+    // Durable ingest buffer — validated batches held while Mimir is unavailable
+    `CREATE TABLE IF NOT EXISTS ingest_buffer (
+      id BIGSERIAL PRIMARY KEY,
+      tenant_id VARCHAR(64) NOT NULL,
+      metrics JSONB NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      locked_until TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_ingest_buffer_created_at ON ingest_buffer(created_at)`,
+
+    // Cumulative series state for Mimir remote-write — shared by replicas, survives restarts
+    `CREATE TABLE IF NOT EXISTS series_state (
+      state_key TEXT PRIMARY KEY,
+      tenant_id VARCHAR(64) NOT NULL,
+      labels JSONB,
+      value DOUBLE PRECISION,
+      observations JSONB,
+      heartbeat_eligible BOOLEAN NOT NULL DEFAULT false,
+      sample_timestamp BIGINT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_series_state_tenant_id ON series_state(tenant_id)`,
+
+    `CREATE INDEX IF NOT EXISTS idx_series_state_updated_at ON series_state(updated_at)`,
+
+    `CREATE INDEX IF NOT EXISTS idx_series_state_heartbeat ON series_state(sample_timestamp) WHERE heartbeat_eligible`,
+
+    // Ingestion quotas: plan per user, usage counters per tenant/API key
+    `DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'plan') THEN
+        ALTER TABLE users ADD COLUMN plan VARCHAR(32) DEFAULT NULL;
+      END IF;
+    END $$`,
+
+    `CREATE TABLE IF NOT EXISTS usage_daily (
+      tenant_id VARCHAR(64) NOT NULL,
+      day DATE NOT NULL,
+      samples BIGINT NOT NULL DEFAULT 0,
+      rejected_samples BIGINT NOT NULL DEFAULT 0,
+      requests BIGINT NOT NULL DEFAULT 0,
+      PRIMARY KEY (tenant_id, day)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS usage_requests (
+      scope VARCHAR(80) NOT NULL,
+      window_start TIMESTAMP NOT NULL,
+      requests INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (scope, window_start)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS usage_series (
+      tenant_id VARCHAR(64) NOT NULL,
+      series_key VARCHAR(64) NOT NULL,
+      last_seen TIMESTAMP NOT NULL,
+      PRIMARY KEY (tenant_id, series_key)
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_usage_series_tenant_last_seen ON usage_series(tenant_id, last_seen)`,
+
+    // Shared rate limit counters (RATE_LIMIT_STORE=postgres): one row per key and fixed window
+    `CREATE TABLE IF NOT EXISTS rate_limit_hits (
+      key VARCHAR(64) NOT NULL,
+      window_start BIGINT NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0,
+      expires_at BIGINT NOT NULL,
+      PRIMARY KEY (key, window_start)
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_expires_at ON rate_limit_hits(expires_at)`,
+
+    // Per-user metric schema enforcement on ingest (off | warn | strict)
+    `DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'schema_enforcement') THEN
+        ALTER TABLE users ADD COLUMN schema_enforcement VARCHAR(10) NOT NULL DEFAULT 'off' CHECK (schema_enforcement IN ('off', 'warn', 'strict'));
+      END IF;
+    END $$`,
+
+    // Per-user PII scrubbing settings for label values (NULL = mask with every built-in detector)
+    `DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'pii_scrubbing') THEN
+        ALTER TABLE users ADD COLUMN pii_scrubbing JSONB DEFAULT NULL;
+      END IF;
+    END $$`,
+
+    // Real-time webhooks per metric config and their delivery outbox (see src/services/webhook.service.js)
+    `CREATE TABLE IF NOT EXISTS webhooks (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      metric_config_id INTEGER NOT NULL REFERENCES metric_configs(id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      secret VARCHAR(80) NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id)`,
+
+    `CREATE INDEX IF NOT EXISTS idx_webhooks_metric_config_id ON webhooks(metric_config_id)`,
+
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      payload JSONB NOT NULL,
+      sample_count INTEGER NOT NULL DEFAULT 0,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_until TIMESTAMP,
+      delivered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`,
+
+    `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_created_at ON webhook_deliveries(webhook_id, created_at)`,
+
+    // Threshold alert rules on tenant metrics and their firing/resolved history (see src/services/alert.service.js)
+    `CREATE TABLE IF NOT EXISTS alert_rules (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      source VARCHAR(16) NOT NULL CHECK (source IN ('promql', 'widget')),
+      promql TEXT,
+      widget_id INTEGER REFERENCES dashboard_widgets(id) ON DELETE CASCADE,
+      operator VARCHAR(2) NOT NULL CHECK (operator IN ('>', '>=', '<', '<=', '==', '!=')),
+      threshold DOUBLE PRECISION NOT NULL,
+      for_seconds INTEGER NOT NULL DEFAULT 0,
+      severity VARCHAR(16) NOT NULL DEFAULT 'warning' CHECK (severity IN ('info', 'warning', 'critical')),
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      state VARCHAR(16) NOT NULL DEFAULT 'inactive' CHECK (state IN ('inactive', 'pending', 'firing')),
+      pending_since TIMESTAMP,
+      last_value DOUBLE PRECISION,
+      last_error TEXT,
+      last_evaluated_at TIMESTAMP,
+      next_evaluation_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_alert_rules_user_id ON alert_rules(user_id)`,
+
+    `CREATE INDEX IF NOT EXISTS idx_alert_rules_due ON alert_rules(next_evaluation_at) WHERE enabled`,
+
+    `CREATE TABLE IF NOT EXISTS alert_events (
+      id BIGSERIAL PRIMARY KEY,
+      rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+      status VARCHAR(16) NOT NULL CHECK (status IN ('firing', 'resolved')),
+      value DOUBLE PRECISION,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_alert_events_rule_created_at ON alert_events(rule_id, created_at)`,
+
+    // Notification channels for alert transitions and their outbox (see src/services/notification.service.js)
+    `CREATE TABLE IF NOT EXISTS notification_channels (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      type VARCHAR(16) NOT NULL CHECK (type IN ('email', 'slack', 'webhook')),
+      config JSONB NOT NULL DEFAULT '{}'::jsonb,
+      min_severity VARCHAR(16) NOT NULL DEFAULT 'info' CHECK (min_severity IN ('info', 'warning', 'critical')),
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      last_notified_at TIMESTAMP,
+      locked_until TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_notification_channels_user_id ON notification_channels(user_id)`,
+
+    `CREATE TABLE IF NOT EXISTS alert_notifications (
+      id BIGSERIAL PRIMARY KEY,
+      channel_id INTEGER NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+      event_id BIGINT NOT NULL REFERENCES alert_events(id) ON DELETE CASCADE,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_alert_notifications_channel_due ON alert_notifications(channel_id, status, next_attempt_at)`,
+
+    `CREATE INDEX IF NOT EXISTS idx_alert_notifications_event_id ON alert_notifications(event_id)`,
   ];
 
   for (const migration of migrations) {
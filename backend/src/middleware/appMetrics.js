@@ -106,11 +106,52 @@ const metricsPipelineLastDurationSeconds = new Gauge({
   registers: [appRegistry],
 });
 
+const ingestBufferDepth = new Gauge({
+  name: 'vizme_ingest_buffer_depth',
+  help: 'Ingest batches waiting in the durable buffer for Mimir.',
+  registers: [appRegistry],
+});
+
+const ingestBufferOldestAgeSeconds = new Gauge({
+  name: 'vizme_ingest_buffer_oldest_age_seconds',
+  help: 'Age of the oldest batch in the durable ingest buffer (0 when empty).',
+  registers: [appRegistry],
+});
+
+const ingestBufferBatchesTotal = new Counter({
+  name: 'vizme_ingest_buffer_batches_total',
+  help: 'Ingest buffer batch events (buffered, drained, retried, dropped).',
+  labelNames: ['event'],
+  registers: [appRegistry],
+});
+
+const webhookDeliveriesTotal = new Counter({
+  name: 'vizme_webhook_deliveries_total',
+  help: 'Webhook delivery attempts by outcome (delivered, retried, failed).',
+  labelNames: ['outcome'],
+  registers: [appRegistry],
+});
+
+const alertEvaluationsTotal = new Counter({
+  name: 'vizme_alert_evaluations_total',
+  help: 'Alert rule evaluations by outcome (ok, error) and resulting transition.',
+  labelNames: ['outcome', 'transition'],
+  registers: [appRegistry],
+});
+
+const alertNotificationsTotal = new Counter({
+  name: 'vizme_alert_notifications_total',
+  help: 'Alert notification messages by channel type and outcome (sent, retried, failed).',
+  labelNames: ['channel_type', 'outcome'],
+  registers: [appRegistry],
+});
+
 const pipelineSnapshot = {
   ingest: null,
   mimirWrite: {},
   mimirQuery: {},
   grafanaDatasource: {},
+  ingestBuffer: null,
 };
 
 function roundNumber(value, digits = 3) {
@@ -270,6 +311,35 @@ export function recordGrafanaDatasourceHealth({
   });
 }
 
+export function recordIngestBufferState({ depth = 0, oldestAgeSeconds = 0 } = {}) {
+  const safeDepth = Math.max(Number(depth) || 0, 0);
+  const safeAge = Math.max(Number(oldestAgeSeconds) || 0, 0);
+  ingestBufferDepth.set(safeDepth);
+  ingestBufferOldestAgeSeconds.set(safeAge);
+  pipelineSnapshot.ingestBuffer = {
+    ...(pipelineSnapshot.ingestBuffer || {}),
+    depth: safeDepth,
+    oldestAgeSeconds: roundNumber(safeAge, 1),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export function recordIngestBufferEvent(event, count = 1) {
+  ingestBufferBatchesTotal.inc({ event }, Math.max(Number(count) || 0, 0));
+}
+
+export function recordWebhookDelivery(outcome) {
+  webhookDeliveriesTotal.inc({ outcome });
+}
+
+export function recordAlertEvaluation(outcome, transition = 'none') {
+  alertEvaluationsTotal.inc({ outcome, transition });
+}
+
+export function recordAlertNotification(channelType, outcome) {
+  alertNotificationsTotal.inc({ channel_type: channelType, outcome });
+}
+
 export function getPipelineTelemetrySnapshot() {
   return JSON.parse(JSON.stringify(pipelineSnapshot));
 }
@@ -75,6 +75,19 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Look up an active API key by its plaintext value (also used by the StatsD listener,
+ * which has no HTTP request to authenticate).
+ * @returns {Promise<Object|null>} - api_keys row with user_id and email, or null
+ */
+export const findActiveApiKey = async (apiKey) => {
+  const result = await query(
+    'SELECT ak.*, u.id as user_id, u.email FROM api_keys ak JOIN users u ON ak.user_id = u.id WHERE ak.api_key = $1 AND ak.is_active = true',
+    [sha256(apiKey)]
+  );
+  return result.rows[0] ?? null;
+};
+
 export const authenticateApiKey = async (req, res, next) => {
   try {
     const apiKey = req.headers['x-api-key'] || req.query.api_key;
@@ -83,18 +96,13 @@ export const authenticateApiKey = async (req, res, next) => {
       throw new UnauthorizedError('API key required');
     }
 
-    const keyHash = sha256(apiKey);
-    const result = await query(
-      'SELECT ak.*, u.id as user_id, u.email FROM api_keys ak JOIN users u ON ak.user_id = u.id WHERE ak.api_key = $1 AND ak.is_active = true',
-      [keyHash]
-    );
-
-    if (result.rows.length === 0) {
+    const key = await findActiveApiKey(apiKey);
+    if (!key) {
       throw new UnauthorizedError('Invalid or inactive API key');
     }
 
-    req.apiKey = result.rows[0];
-    req.user = { id: result.rows[0].user_id, email: result.rows[0].email };
+    req.apiKey = key;
+    req.user = { id: key.user_id, email: key.email };
     next();
   } catch (error) {
     next(error);
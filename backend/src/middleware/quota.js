@@ -0,0 +1,39 @@
+import { logger } from '../logger.js';
+import { consumeRequestQuota, isQuotaEnforced } from '../services/quota.service.js';
+
+const setQuotaHeaders = (res, status) => {
+  res.setHeader('X-Quota-Plan', status.plan);
+  if (status.remaining.requests !== null) {
+    res.setHeader('X-Quota-Requests-Remaining', String(status.remaining.requests));
+    res.setHeader('X-Quota-Requests-Reset', String(status.reset.requests));
+  }
+  if (status.remaining.samples !== null) {
+    res.setHeader('X-Quota-Samples-Remaining', String(status.remaining.samples));
+    res.setHeader('X-Quota-Samples-Reset', String(status.reset.samples));
+  }
+  if (status.remaining.series !== null) {
+    res.setHeader('X-Quota-Series-Remaining', String(status.remaining.series));
+  }
+};
+
+/**
+ * Per-tenant and per-API-key ingestion quotas (see quota.service.js). Runs after
+ * authenticateApiKey; sets the X-Quota-* headers and answers 429 with Retry-After
+ * once a request or daily sample limit is exceeded.
+ */
+export const ingestQuota = async (req, res, next) => {
+  let status;
+  try {
+    status = await consumeRequestQuota({ userId: req.user.id, apiKeyId: req.apiKey?.id });
+  } catch (err) {
+    logger.warn({ err, userId: req.user?.id }, 'Quota check failed; allowing request');
+    return next();
+  }
+
+  setQuotaHeaders(res, status);
+  if (status.exceeded && isQuotaEnforced()) {
+    res.setHeader('Retry-After', String(status.exceeded.retryAfterSeconds));
+    return res.status(429).json({ success: false, error: status.exceeded.message });
+  }
+  next();
+};
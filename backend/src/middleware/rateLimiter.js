@@ -1,5 +1,14 @@
 import rateLimit from 'express-rate-limit';
+import pool from '../database/connection.js';
 import { config } from '../config.js';
+import { createRateLimitStore } from '../services/rateLimitStore.service.js';
+
+// RATE_LIMIT_STORE=postgres shares counters between replicas; each limiter needs its own store
+const storeOptions = (prefix) => {
+  const store = createRateLimitStore(config.rateLimit.store, pool, prefix);
+  // A database outage should not lock everyone out of the API
+  return store ? { store, passOnStoreError: true } : {};
+};
 
 // Auth endpoints: configurable (default 5/min)
 export const authLimiter = rateLimit({
@@ -11,6 +20,7 @@ export const authLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  ...storeOptions('auth:'),
 });
 
 // Metrics ingestion: configurable per API key (default 500/min for production)
@@ -23,6 +33,7 @@ export const metricsLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  ...storeOptions('metrics:'),
   keyGenerator: (req) => {
     return req.headers['x-api-key'] || req.query.api_key || req.ip;
   },
@@ -38,6 +49,7 @@ export const apiLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  ...storeOptions('api:'),
 });
 
 // Grafana embed URL: configurable (default 30/min per user)
@@ -50,4 +62,5 @@ export const grafanaEmbedLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  ...storeOptions('grafana-embed:'),
 });
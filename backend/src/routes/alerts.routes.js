@@ -0,0 +1,299 @@
+import express from 'express';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import { query } from '../database/connection.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import {
+  ALERT_OPERATORS,
+  ALERT_SEVERITIES,
+  ALERT_SOURCES,
+  MAX_FOR_SECONDS,
+  recordAlertEvent,
+} from '../services/alert.service.js';
+
+const router = express.Router();
+router.use(authenticate);
+router.use(apiLimiter);
+
+const MAX_PROMQL_LENGTH = 4000;
+const RULE_COLUMN_NAMES = [
+  'id',
+  'name',
+  'source',
+  'promql',
+  'widget_id',
+  'operator',
+  'threshold',
+  'for_seconds',
+  'severity',
+  'enabled',
+  'state',
+  'pending_since',
+  'last_value',
+  'last_error',
+  'last_evaluated_at',
+  'created_at',
+  'updated_at',
+];
+const RULE_COLUMNS = RULE_COLUMN_NAMES.join(', ');
+// Changing any of these restarts the rule from `inactive`
+const CONDITION_FIELDS = ['source', 'promql', 'widget_id', 'operator', 'threshold', 'for_seconds'];
+
+const ruleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('name is required'),
+    field('source')
+      .isIn(ALERT_SOURCES)
+      .withMessage(`source must be one of: ${ALERT_SOURCES.join(', ')}`),
+    body('promql')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: MAX_PROMQL_LENGTH })
+      .withMessage(`promql must be at most ${MAX_PROMQL_LENGTH} characters`),
+    body('widget_id')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('widget_id must be an id'),
+    field('operator')
+      .isIn(ALERT_OPERATORS)
+      .withMessage(`operator must be one of: ${ALERT_OPERATORS.join(' ')}`),
+    field('threshold').isFloat().withMessage('threshold must be a number'),
+    body('for_seconds')
+      .optional()
+      .isInt({ min: 0, max: MAX_FOR_SECONDS })
+      .withMessage(`for_seconds must be between 0 and ${MAX_FOR_SECONDS}`),
+    body('severity')
+      .optional()
+      .isIn(ALERT_SEVERITIES)
+      .withMessage(`severity must be one of: ${ALERT_SEVERITIES.join(', ')}`),
+    body('enabled').optional().isBoolean({ strict: true }).withMessage('enabled must be a boolean'),
+  ];
+};
+
+const parseId = (value) => {
+  const id = parseInt(value, 10);
+  if (Number.isNaN(id)) throw new BadRequestError('Invalid id');
+  return id;
+};
+
+/**
+ * The condition columns for `source`: the PromQL text for promql rules, the widget
+ * (which must belong to the user) for widget rules.
+ */
+async function resolveCondition(userId, source, promql, widgetId) {
+  if (source === 'promql') {
+    const text = String(promql ?? '').trim();
+    if (!text) throw new BadRequestError('promql is required when source is promql');
+    return { promql: text, widget_id: null };
+  }
+  if (widgetId == null) throw new BadRequestError('widget_id is required when source is widget');
+  const owned = await query('SELECT id FROM dashboard_widgets WHERE id = $1 AND user_id = $2', [
+    parseInt(widgetId, 10),
+    userId,
+  ]);
+  if (owned.rows.length === 0) throw new NotFoundError('Widget not found');
+  return { promql: null, widget_id: owned.rows[0].id };
+}
+
+/**
+ * GET /api/v1/alerts
+ *
+ * The user's alert rules with their current state and, for widget rules, the widget title.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const r = await query(
+      `SELECT ${RULE_COLUMN_NAMES.map((c) => `r.${c}`).join(', ')}, w.title AS widget_title
+       FROM alert_rules r
+       LEFT JOIN dashboard_widgets w ON w.id = r.widget_id
+       WHERE r.user_id = $1
+       ORDER BY r.created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ success: true, data: r.rows });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/v1/alerts
+ *
+ * Create a rule. `promql` may use `{user_filter}` for the tenant label matcher, like
+ * custom dashboard widgets. The rule is evaluated on the scheduler's next tick.
+ */
+router.post('/', ruleValidators(false), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new BadRequestError('Validation failed', errors.array());
+
+    const condition = await resolveCondition(
+      req.user.id,
+      req.body.source,
+      req.body.promql,
+      req.body.widget_id
+    );
+    const r = await query(
+      `INSERT INTO alert_rules (user_id, name, source, promql, widget_id, operator, threshold,
+         for_seconds, severity, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING ${RULE_COLUMNS}`,
+      [
+        req.user.id,
+        req.body.name.trim(),
+        req.body.source,
+        condition.promql,
+        condition.widget_id,
+        req.body.operator,
+        parseFloat(req.body.threshold),
+        req.body.for_seconds != null ? parseInt(req.body.for_seconds, 10) : 0,
+        req.body.severity ?? 'warning',
+        req.body.enabled ?? true,
+      ]
+    );
+    res.status(201).json({ success: true, data: r.rows[0] });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /api/v1/alerts/events?rule_id=&limit=
+ *
+ * Firing/resolved history, newest first (default 50, at most 200). Events are kept for
+ * ALERT_EVENT_RETENTION_MS.
+ */
+router.get(
+  '/events',
+  [
+    queryParam('rule_id').optional().isInt({ min: 1 }).withMessage('rule_id must be an id'),
+    queryParam('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('limit must be between 1 and 200'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) throw new BadRequestError('Validation failed', errors.array());
+
+      const conditions = ['r.user_id = $1'];
+      const values = [req.user.id];
+      if (req.query.rule_id) {
+        values.push(parseInt(req.query.rule_id, 10));
+        conditions.push(`e.rule_id = $${values.length}`);
+      }
+      values.push(req.query.limit ? parseInt(req.query.limit, 10) : 50);
+
+      const r = await query(
+        `SELECT e.id, e.rule_id, r.name AS rule_name, r.severity, e.status, e.value, e.created_at
+         FROM alert_events e
+         JOIN alert_rules r ON r.id = e.rule_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY e.id DESC
+         LIMIT $${values.length}`,
+        values
+      );
+      res.json({ success: true, data: r.rows });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/**
+ * PATCH /api/v1/alerts/:id
+ *
+ * Changing the condition or enabling/disabling a rule resets it to `inactive` and
+ * schedules it right away; a rule that was firing gets a `resolved` event.
+ */
+router.patch('/:id', ruleValidators(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new BadRequestError('Validation failed', errors.array());
+
+    const id = parseId(req.params.id);
+    const existing = await query(
+      'SELECT id, source, promql, widget_id, state, enabled, last_value FROM alert_rules WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+    if (existing.rows.length === 0) throw new NotFoundError('Alert rule not found');
+    const rule = existing.rows[0];
+
+    const fields = {};
+    if (req.body.name !== undefined) fields.name = req.body.name.trim();
+    if (req.body.operator !== undefined) fields.operator = req.body.operator;
+    if (req.body.threshold !== undefined) fields.threshold = parseFloat(req.body.threshold);
+    if (req.body.for_seconds !== undefined) {
+      fields.for_seconds = parseInt(req.body.for_seconds, 10);
+    }
+    if (req.body.severity !== undefined) fields.severity = req.body.severity;
+    if (req.body.enabled !== undefined) fields.enabled = req.body.enabled;
+    if (
+      req.body.source !== undefined ||
+      req.body.promql !== undefined ||
+      req.body.widget_id !== undefined
+    ) {
+      const source = req.body.source ?? rule.source;
+      Object.assign(
+        fields,
+        { source },
+        await resolveCondition(
+          req.user.id,
+          source,
+          req.body.promql !== undefined ? req.body.promql : rule.promql,
+          req.body.widget_id !== undefined ? req.body.widget_id : rule.widget_id
+        )
+      );
+    }
+    if (Object.keys(fields).length === 0) throw new BadRequestError('No fields to update');
+
+    const reset =
+      CONDITION_FIELDS.some((name) => req.body[name] !== undefined) ||
+      (fields.enabled !== undefined && fields.enabled !== rule.enabled);
+
+    const updates = [];
+    const values = [];
+    for (const [name, value] of Object.entries(fields)) {
+      values.push(value);
+      updates.push(`${name} = $${values.length}`);
+    }
+    if (reset) {
+      updates.push(`state = 'inactive'`, 'pending_since = NULL', 'next_evaluation_at = NOW()');
+    }
+
+    values.push(id, req.user.id);
+    const r = await query(
+      `UPDATE alert_rules SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length - 1} AND user_id = $${values.length}
+       RETURNING ${RULE_COLUMNS}`,
+      values
+    );
+    if (r.rows.length === 0) throw new NotFoundError('Alert rule not found');
+    if (reset && rule.state === 'firing') {
+      await recordAlertEvent({ ...r.rows[0], user_id: req.user.id }, 'resolved', rule.last_value);
+    }
+    res.json({ success: true, data: r.rows[0] });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const r = await query('DELETE FROM alert_rules WHERE id = $1 AND user_id = $2 RETURNING id', [
+      id,
+      req.user.id,
+    ]);
+    if (r.rows.length === 0) throw new NotFoundError('Alert rule not found');
+    res.json({ success: true, message: 'Alert rule deleted' });
+  } catch (e) {
+    next(e);
+  }
+});
+
+export { router as alertsRoutes };
@@ -0,0 +1,46 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { BadRequestError } from '../middleware/errorHandler.js';
+import { getCardinality } from '../services/cardinality.service.js';
+
+const router = express.Router();
+router.use(authenticate);
+router.use(apiLimiter);
+
+/**
+ * GET /api/v1/cardinality?site_id=&days=
+ *
+ * Series count per metric, label keys by distinct values and the series count over
+ * the last `days` (default 7), with the metrics and labels that drive cardinality
+ * flagged as offenders.
+ */
+router.get(
+  '/',
+  [
+    query('site_id').optional().isInt({ min: 1 }).withMessage('site_id must be a site id'),
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 30 })
+      .withMessage('days must be between 1 and 30'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new BadRequestError('Validation failed', errors.array());
+      }
+
+      const data = await getCardinality(req.user.id, {
+        siteId: req.query.site_id ?? null,
+        days: req.query.days ? parseInt(req.query.days, 10) : 7,
+      });
+      res.json({ success: true, data });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+export { router as cardinalityRoutes };
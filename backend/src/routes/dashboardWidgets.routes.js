@@ -8,6 +8,14 @@ import {
   assertSafeMetricName,
   ensureSiteOwnedByUser,
 } from '../services/dashboardWidget.service.js';
+import {
+  DEFAULT_BASELINE_DAYS,
+  DEFAULT_Z_THRESHOLD,
+  MAX_BASELINE_DAYS,
+  MAX_Z_THRESHOLD,
+  MIN_BASELINE_DAYS,
+  MIN_Z_THRESHOLD,
+} from '../utils/anomaly.js';
 
 const router = express.Router();
 router.use(authenticate);
@@ -16,11 +24,24 @@ router.use(apiLimiter);
 const QUERY_KINDS = ['increase_24h', 'max_latest', 'custom'];
 const FORMATS = ['currency', 'number', 'percent', 'integer'];
 
+const anomalyValidators = () => [
+  body('anomaly_detection').optional().isBoolean(),
+  body('anomaly_baseline_days')
+    .optional()
+    .isInt({ min: MIN_BASELINE_DAYS, max: MAX_BASELINE_DAYS })
+    .withMessage(`anomaly_baseline_days must be ${MIN_BASELINE_DAYS}-${MAX_BASELINE_DAYS}`),
+  body('anomaly_z_threshold')
+    .optional()
+    .isFloat({ min: MIN_Z_THRESHOLD, max: MAX_Z_THRESHOLD })
+    .withMessage(`anomaly_z_threshold must be ${MIN_Z_THRESHOLD}-${MAX_Z_THRESHOLD}`),
+];
+
 router.get('/', async (req, res, next) => {
   try {
     const siteId = req.query.site_id;
     let sql = `SELECT id, user_id, site_id, metric_name, query_kind, promql_custom, title, subtitle,
               section, sort_order, format, currency_code, include_in_multi_chart, featured_chart,
+              anomaly_detection, anomaly_baseline_days, anomaly_z_threshold,
               created_at, updated_at
        FROM dashboard_widgets WHERE user_id = $1`;
     const params = [req.user.id];
@@ -49,6 +70,7 @@ router.get('/:id', async (req, res, next) => {
     const r = await query(
       `SELECT id, user_id, site_id, metric_name, query_kind, promql_custom, title, subtitle,
               section, sort_order, format, currency_code, include_in_multi_chart, featured_chart,
+              anomaly_detection, anomaly_baseline_days, anomaly_z_threshold,
               created_at, updated_at
        FROM dashboard_widgets WHERE id = $1 AND user_id = $2`,
       [id, req.user.id]
@@ -75,6 +97,7 @@ router.post(
     body('featured_chart').optional().isBoolean(),
     body('promql_custom').optional().isString(),
     body('site_id').optional({ nullable: true }),
+    ...anomalyValidators(),
   ],
   async (req, res, next) => {
     try {
@@ -99,10 +122,12 @@ router.post(
       const r = await query(
         `INSERT INTO dashboard_widgets (
            user_id, site_id, metric_name, query_kind, promql_custom, title, subtitle, section, sort_order,
-           format, currency_code, include_in_multi_chart, featured_chart
-         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+           format, currency_code, include_in_multi_chart, featured_chart, anomaly_detection,
+           anomaly_baseline_days, anomaly_z_threshold
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
          RETURNING id, user_id, site_id, metric_name, query_kind, promql_custom, title, subtitle,
                    section, sort_order, format, currency_code, include_in_multi_chart, featured_chart,
+                   anomaly_detection, anomaly_baseline_days, anomaly_z_threshold,
                    created_at, updated_at`,
         [
           req.user.id,
@@ -118,6 +143,9 @@ router.post(
           (req.body.currency_code ?? 'USD').trim(),
           req.body.include_in_multi_chart ?? false,
           req.body.featured_chart ?? false,
+          req.body.anomaly_detection ?? false,
+          req.body.anomaly_baseline_days ?? DEFAULT_BASELINE_DAYS,
+          req.body.anomaly_z_threshold ?? DEFAULT_Z_THRESHOLD,
         ]
       );
       res.status(201).json({ success: true, data: r.rows[0] });
@@ -146,6 +174,7 @@ router.patch(
       .custom(
         (v) => v === null || v === undefined || Number.isInteger(v) || /^\d+$/.test(String(v))
       ),
+    ...anomalyValidators(),
   ],
   async (req, res, next) => {
     try {
@@ -179,6 +208,9 @@ router.patch(
         'currency_code',
         'include_in_multi_chart',
         'featured_chart',
+        'anomaly_detection',
+        'anomaly_baseline_days',
+        'anomaly_z_threshold',
       ];
 
       for (const f of fields) {
@@ -218,6 +250,7 @@ router.patch(
          WHERE id = $${n++} AND user_id = $${n++}
          RETURNING id, user_id, site_id, metric_name, query_kind, promql_custom, title, subtitle,
                    section, sort_order, format, currency_code, include_in_multi_chart, featured_chart,
+                   anomaly_detection, anomaly_baseline_days, anomaly_z_threshold,
                    created_at, updated_at`,
         values
       );
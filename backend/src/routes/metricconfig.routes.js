@@ -5,6 +5,11 @@ import { authenticate } from '../middleware/auth.middleware.js';
 import { apiLimiter } from '../middleware/rateLimiter.js';
 import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
 import { sha256 } from '../utils/crypto.js';
+import { parseBuckets, parseQuantiles } from '../utils/metricShape.js';
+import { parseLabelRules } from '../utils/labelRules.js';
+import { DEFAULT_PII_SETTINGS, parsePiiSettings } from '../utils/piiScrubber.js';
+import { ENFORCEMENT_MODES } from '../utils/metricSchema.js';
+import { invalidateMetricSchema } from '../services/metricConfig.service.js';
 
 const router = express.Router();
 
@@ -38,7 +43,7 @@ router.get('/by-api-key', async (req, res, next) => {
 
     // Get all metric configurations for this user
     const result = await query(
-      'SELECT metric_name, metric_type, labels FROM metric_configs WHERE user_id = $1',
+      'SELECT metric_name, metric_type, labels, buckets, quantiles FROM metric_configs WHERE user_id = $1',
       [userId]
     );
 
@@ -66,6 +71,12 @@ router.get('/by-api-key', async (req, res, next) => {
           type: config.metric_type,
           labels: labelsObj,
         };
+        if (config.metric_type === 'histogram' && config.buckets) {
+          configs[config.metric_name].buckets = config.buckets;
+        }
+        if (config.metric_type === 'summary' && config.quantiles) {
+          configs[config.metric_name].quantiles = config.quantiles;
+        }
       }
     });
 
@@ -84,11 +95,46 @@ router.use(apiLimiter);
 
 const METRIC_TYPES = ['counter', 'gauge', 'histogram', 'summary'];
 
+// Histogram buckets / summary quantiles: null clears back to the defaults
+const shapeValidators = [
+  body('buckets')
+    .optional({ nullable: true })
+    .custom((value) => parseBuckets(value) && true),
+  body('quantiles')
+    .optional({ nullable: true })
+    .custom((value) => parseQuantiles(value) && true),
+];
+
+// Label allow/deny lists and value rewrites (see utils/labelRules.js); null clears them
+const labelRulesValidator = body('label_rules')
+  .optional({ nullable: true })
+  .custom((value) => parseLabelRules(value) && true);
+
+// false keeps IP addresses in this metric's labels (see utils/piiScrubber.js)
+const anonymizeIpValidator = body('anonymize_ip')
+  .optional()
+  .isBoolean({ strict: true })
+  .withMessage('anonymize_ip must be a boolean');
+
+/**
+ * Reject buckets/quantiles on metric types that cannot use them.
+ * @param {string} metricType - Effective metric type after the request
+ * @param {Object} body - Request body
+ */
+const assertShapeMatchesType = (metricType, { buckets, quantiles }) => {
+  if (buckets != null && metricType !== 'histogram') {
+    throw new BadRequestError('Buckets can only be set on histogram metrics');
+  }
+  if (quantiles != null && metricType !== 'summary') {
+    throw new BadRequestError('Quantiles can only be set on summary metrics');
+  }
+};
+
 // Get all metric configs for user
 router.get('/', async (req, res, next) => {
   try {
     const result = await query(
-      'SELECT id, name, description, metric_type, metric_name, labels, help_text, status, created_at, updated_at FROM metric_configs WHERE user_id = $1 ORDER BY created_at DESC',
+      'SELECT id, name, description, metric_type, metric_name, labels, help_text, status, buckets, quantiles, label_rules, anonymize_ip, created_at, updated_at FROM metric_configs WHERE user_id = $1 ORDER BY created_at DESC',
       [req.user.id]
     );
 
@@ -101,13 +147,122 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * GET/PUT /api/v1/metric-configs/enforcement
+ *
+ * Schema enforcement mode for metrics ingested with the user's API keys:
+ * `off`, `warn` (coerce and report) or `strict` (reject). See utils/metricSchema.js.
+ */
+router.get('/enforcement', async (req, res, next) => {
+  try {
+    const result = await query('SELECT schema_enforcement FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({
+      success: true,
+      data: { mode: result.rows[0].schema_enforcement },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put(
+  '/enforcement',
+  [
+    body('mode')
+      .isIn(ENFORCEMENT_MODES)
+      .withMessage(`Mode must be one of: ${ENFORCEMENT_MODES.join(', ')}`),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new BadRequestError('Validation failed', errors.array());
+      }
+
+      const result = await query(
+        'UPDATE users SET schema_enforcement = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING schema_enforcement',
+        [req.body.mode, req.user.id]
+      );
+      if (result.rows.length === 0) {
+        throw new NotFoundError('User not found');
+      }
+      invalidateMetricSchema(req.user.id);
+
+      res.json({
+        success: true,
+        data: { mode: result.rows[0].schema_enforcement },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET/PUT /api/v1/metric-configs/pii-scrubbing
+ *
+ * How PII in label values is scrubbed before metrics are recorded: `action` (`off`,
+ * `mask` or `hash`), the built-in `detectors` and `custom` patterns. Users who never
+ * saved settings get the defaults. See utils/piiScrubber.js.
+ */
+router.get('/pii-scrubbing', async (req, res, next) => {
+  try {
+    const result = await query('SELECT pii_scrubbing FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    const stored = result.rows[0].pii_scrubbing;
+    res.json({
+      success: true,
+      data: stored == null ? DEFAULT_PII_SETTINGS : parsePiiSettings(stored),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put(
+  '/pii-scrubbing',
+  [body().custom((value) => parsePiiSettings(value) && true)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new BadRequestError('Validation failed', errors.array());
+      }
+
+      const settings = parsePiiSettings(req.body);
+      const result = await query(
+        'UPDATE users SET pii_scrubbing = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id',
+        [JSON.stringify(settings), req.user.id]
+      );
+      if (result.rows.length === 0) {
+        throw new NotFoundError('User not found');
+      }
+      invalidateMetricSchema(req.user.id);
+
+      res.json({
+        success: true,
+        data: settings,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Get single metric config
 router.get('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
 
     const result = await query(
-      'SELECT id, name, description, metric_type, metric_name, labels, help_text, status, created_at, updated_at FROM metric_configs WHERE id = $1 AND user_id = $2',
+      'SELECT id, name, description, metric_type, metric_name, labels, help_text, status, buckets, quantiles, label_rules, anonymize_ip, created_at, updated_at FROM metric_configs WHERE id = $1 AND user_id = $2',
       [id, req.user.id]
     );
 
@@ -143,6 +298,9 @@ router.post(
     body('labels.*.name').optional().trim().isLength({ min: 1 }),
     body('labels.*.value').optional().trim(),
     body('status').optional().isIn(['active', 'paused', 'draft']),
+    ...shapeValidators,
+    labelRulesValidator,
+    anonymizeIpValidator,
   ],
   async (req, res, next) => {
     try {
@@ -152,6 +310,8 @@ router.post(
       }
 
       const { name, description, metric_type, metric_name, labels, help_text, status } = req.body;
+      const { buckets, quantiles, label_rules, anonymize_ip } = req.body;
+      assertShapeMatchesType(metric_type, req.body);
       const statusValue =
         status && ['active', 'paused', 'draft'].includes(status) ? status : 'active';
 
@@ -161,9 +321,9 @@ router.post(
       }
 
       const result = await query(
-        `INSERT INTO metric_configs (user_id, name, description, metric_type, metric_name, labels, help_text, status)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-         RETURNING id, name, description, metric_type, metric_name, labels, help_text, status, created_at, updated_at`,
+        `INSERT INTO metric_configs (user_id, name, description, metric_type, metric_name, labels, help_text, status, buckets, quantiles, label_rules, anonymize_ip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING id, name, description, metric_type, metric_name, labels, help_text, status, buckets, quantiles, label_rules, anonymize_ip, created_at, updated_at`,
         [
           req.user.id,
           name,
@@ -173,8 +333,13 @@ router.post(
           JSON.stringify(labels || []),
           help_text || null,
           statusValue,
+          buckets == null ? null : JSON.stringify(parseBuckets(buckets)),
+          quantiles == null ? null : JSON.stringify(parseQuantiles(quantiles)),
+          label_rules == null ? null : JSON.stringify(parseLabelRules(label_rules)),
+          anonymize_ip ?? true,
         ]
       );
+      invalidateMetricSchema(req.user.id);
 
       res.status(201).json({
         success: true,
@@ -217,6 +382,9 @@ router.patch(
       .optional()
       .isIn(STATUS_VALUES)
       .withMessage(`Status must be one of: ${STATUS_VALUES.join(', ')}`),
+    ...shapeValidators,
+    labelRulesValidator,
+    anonymizeIpValidator,
   ],
   async (req, res, next) => {
     try {
@@ -227,6 +395,7 @@ router.patch(
 
       const { id } = req.params;
       let { name, description, help_text, labels, metric_type, metric_name, status } = req.body;
+      const { buckets, quantiles, label_rules, anonymize_ip } = req.body;
 
       // Normalize metric_type to lowercase for DB (frontend may send "Counter" etc.)
       if (metric_type !== undefined && typeof metric_type === 'string') {
@@ -237,15 +406,17 @@ router.patch(
       }
 
       // Verify ownership
-      const existing = await query('SELECT id FROM metric_configs WHERE id = $1 AND user_id = $2', [
-        id,
-        req.user.id,
-      ]);
+      const existing = await query(
+        'SELECT id, metric_type FROM metric_configs WHERE id = $1 AND user_id = $2',
+        [id, req.user.id]
+      );
 
       if (existing.rows.length === 0) {
         throw new NotFoundError('Metric config not found');
       }
 
+      assertShapeMatchesType(metric_type ?? existing.rows[0].metric_type, req.body);
+
       if (
         metric_name !== undefined &&
         !/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(String(metric_name).trim())
@@ -293,6 +464,26 @@ router.patch(
         values.push(status);
       }
 
+      if (buckets !== undefined) {
+        updates.push(`buckets = $${paramCount++}`);
+        values.push(buckets === null ? null : JSON.stringify(parseBuckets(buckets)));
+      }
+
+      if (quantiles !== undefined) {
+        updates.push(`quantiles = $${paramCount++}`);
+        values.push(quantiles === null ? null : JSON.stringify(parseQuantiles(quantiles)));
+      }
+
+      if (label_rules !== undefined) {
+        updates.push(`label_rules = $${paramCount++}`);
+        values.push(label_rules === null ? null : JSON.stringify(parseLabelRules(label_rules)));
+      }
+
+      if (anonymize_ip !== undefined) {
+        updates.push(`anonymize_ip = $${paramCount++}`);
+        values.push(anonymize_ip);
+      }
+
       if (updates.length === 0) {
         throw new BadRequestError('No fields to update');
       }
@@ -302,9 +493,10 @@ router.patch(
 
       const whereClause = `WHERE id = $${paramCount++} AND user_id = $${paramCount++}`;
       const result = await query(
-        `UPDATE metric_configs SET ${updates.join(', ')} ${whereClause} RETURNING id, name, description, metric_type, metric_name, labels, help_text, status, created_at, updated_at`,
+        `UPDATE metric_configs SET ${updates.join(', ')} ${whereClause} RETURNING id, name, description, metric_type, metric_name, labels, help_text, status, buckets, quantiles, label_rules, anonymize_ip, created_at, updated_at`,
         values
       );
+      invalidateMetricSchema(req.user.id);
 
       res.json({
         success: true,
@@ -329,6 +521,7 @@ router.delete('/:id', async (req, res, next) => {
     if (result.rows.length === 0) {
       throw new NotFoundError('Metric config not found');
     }
+    invalidateMetricSchema(req.user.id);
 
     res.json({
       success: true,
@@ -2,38 +2,39 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { authenticateApiKey, authenticate } from '../middleware/auth.middleware.js';
 import { metricsLimiter } from '../middleware/rateLimiter.js';
+import { ingestQuota } from '../middleware/quota.js';
 import { BadRequestError } from '../middleware/errorHandler.js';
 import { recordMetricsIngest } from '../middleware/appMetrics.js';
-import { recordMetric } from '../services/metrics.service.js';
-import { pushMetricsToMimir } from '../services/mimir.service.js';
+import {
+  recordMetric,
+  reserveSeries,
+  validateAndSanitizeLabels,
+} from '../services/metrics.service.js';
+import { pushMetricsToMimir, pushRawSamplesToMimir } from '../services/mimir.service.js';
+import { bufferMetrics, shouldBufferFailure } from '../services/ingestBuffer.service.js';
 import { fetchDashboardMetrics } from '../services/mimirQuery.service.js';
+import { getMetricSchema } from '../services/metricConfig.service.js';
+import { enqueueWebhookDeliveries } from '../services/webhook.service.js';
+import { partitionBySeriesQuota, recordUsage, seriesQuotaKey } from '../services/quota.service.js';
+import { parsePrometheusText } from '../utils/promExposition.js';
+import { applyMetricLabelRules } from '../utils/labelRules.js';
+import { scrubLabels, scrubMetricLabels, DEFAULT_PII_SCRUBBER } from '../utils/piiScrubber.js';
+import { enforceMetricSchema } from '../utils/metricSchema.js';
+import {
+  checkTimestampWindow,
+  MAX_OBSERVATION_COUNT,
+  OBSERVATION_TYPES,
+  parseMetricTimestamp,
+  splitStructuralLabels,
+  validateMetricValue,
+} from '../utils/metricIngest.js';
 import { config } from '../config.js';
+import { logger } from '../logger.js';
 
 const router = express.Router();
 
 const METRIC_TYPES = ['counter', 'gauge', 'histogram', 'summary'];
 
-/**
- * Validate metric value based on type
- * @param {any} value - Metric value to validate
- * @param {string} type - Metric type
- * @returns {boolean} - True if valid
- */
-const validateMetricValue = (value, type) => {
-  const numValue = typeof value === 'number' ? value : parseFloat(value);
-
-  if (isNaN(numValue)) {
-    return false;
-  }
-
-  // Prometheus counters must be non-negative
-  if (type === 'counter' && numValue < 0) {
-    return false;
-  }
-
-  return true;
-};
-
 /**
  * POST /api/v1/metrics
  *
@@ -49,10 +50,31 @@ const validateMetricValue = (value, type) => {
  *       "name": "request_count",
  *       "type": "counter",
  *       "value": 1,
- *       "labels": { "endpoint": "/api/users" }
+ *       "labels": { "endpoint": "/api/users" },
+ *       "timestamp": 1712345678901
  *     }
  *   ]
  * }
+ *
+ * `timestamp` is optional (ms since epoch or ISO 8601) and becomes the sample
+ * timestamp in Mimir; omitted timestamps default to the time of the write.
+ *
+ * Histogram and summary metrics may carry a `count` (1-1000, default 1): the value was
+ * observed that many times, so clients can send repeated observations pre-aggregated.
+ *
+ * When the user enables schema enforcement (warn or strict), each metric is checked
+ * against its metric config (see utils/metricSchema.js); rejections are listed in
+ * `errors` and coercions in `warnings`, both by index.
+ *
+ * Responds 200 once Mimir accepted the batch, or 202 with `buffered: true` when Mimir
+ * is unavailable and the batch was stored for background delivery.
+ *
+ * Plan quotas apply (see services/quota.service.js): request and daily sample limits
+ * answer 429 with Retry-After, new series over the active-series limit are listed in
+ * `errors`. Remaining quota is reported in the X-Quota-* response headers.
+ *
+ * Accepted samples of metrics with webhooks are queued for delivery to those endpoints
+ * (see services/webhook.service.js).
  */
 
 const METRICS_BODY_LIMIT = 256 * 1024; // 256 KB
@@ -71,6 +93,7 @@ router.post(
   },
   authenticateApiKey,
   metricsLimiter,
+  ingestQuota,
   [
     body('metrics')
       .isArray({ min: 1, max: 100 })
@@ -86,7 +109,19 @@ router.post(
       }
       return true;
     }),
+    body('metrics.*.count')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: MAX_OBSERVATION_COUNT })
+      .withMessage(`Metric count must be an integer from 1 to ${MAX_OBSERVATION_COUNT}`),
     body('metrics.*.labels').optional().isObject(),
+    body('metrics.*.timestamp')
+      .optional({ nullable: true })
+      .custom((value) => {
+        if (parseMetricTimestamp(value) === null) {
+          throw new Error('Metric timestamp must be milliseconds since epoch or an ISO 8601 date');
+        }
+        return true;
+      }),
   ],
   async (req, res, next) => {
     const ingestStartedAt = Date.now();
@@ -104,9 +139,33 @@ router.post(
       // Validate and process each metric
       const validMetrics = [];
       const errors_list = [];
+      const warnings_list = [];
+      const receivedAt = Date.now();
+
+      // The user's metric configs: schema enforcement, histogram buckets / summary quantiles,
+      // label rules and PII scrubbing (the default scrubber when the lookup fails)
+      let schema = { enforcement: 'off', configs: new Map() };
+      try {
+        schema = await getMetricSchema(userId);
+      } catch (err) {
+        logger.warn({ err, userId }, 'Metric config lookup failed; using default buckets');
+      }
 
+      // Metrics that passed validation, before the series quota and registry checks
+      const candidates = [];
       for (let i = 0; i < metrics.length; i++) {
-        const metric = metrics[i];
+        let metric;
+        try {
+          // Label rules first, so labels they drop do not count as undeclared; PII is
+          // scrubbed before anything is recorded or counted as a series
+          const scrubbed = scrubMetricLabels(applyMetricLabelRules(metrics[i], schema), schema);
+          const enforced = enforceMetricSchema(scrubbed, schema);
+          metric = enforced.metric;
+          enforced.warnings.forEach((warning) => warnings_list.push({ index: i, warning }));
+        } catch (error) {
+          errors_list.push({ index: i, error: error.message });
+          continue;
+        }
 
         // Validate metric value
         if (!validateMetricValue(metric.value, metric.type)) {
@@ -116,14 +175,49 @@ router.post(
           });
           continue;
         }
+        if (metric.count != null && !OBSERVATION_TYPES.includes(metric.type)) {
+          errors_list.push({
+            index: i,
+            error: `count is only allowed on ${OBSERVATION_TYPES.join(' and ')} metrics`,
+          });
+          continue;
+        }
 
-        // Record metric in Prometheus registry + Mimir (labels must match for cardinality)
-        try {
-          const mergedLabels = { ...(metric.labels || {}) };
-          if (req.apiKey.site_id != null) {
-            mergedLabels.site_id = String(req.apiKey.site_id);
+        let timestamp;
+        if (metric.timestamp != null) {
+          timestamp = parseMetricTimestamp(metric.timestamp);
+          const windowError = checkTimestampWindow(timestamp, receivedAt);
+          if (windowError) {
+            errors_list.push({ index: i, error: windowError });
+            continue;
           }
+        }
 
+        const mergedLabels = { ...(metric.labels || {}) };
+        if (req.apiKey.site_id != null) {
+          mergedLabels.site_id = String(req.apiKey.site_id);
+        }
+        candidates.push({ index: i, metric, labels: mergedLabels, timestamp });
+      }
+
+      // New series beyond the plan's active-series quota never reach the registry
+      const {
+        allowed,
+        overQuota,
+        error: seriesQuotaError,
+      } = await partitionBySeriesQuota(userId, candidates, (candidate) =>
+        seriesQuotaKey(candidate.metric.name, candidate.labels)
+      );
+      overQuota.forEach(({ index }) => errors_list.push({ index, error: seriesQuotaError }));
+
+      for (const { index, metric, labels: mergedLabels, timestamp } of allowed) {
+        const shape = schema.configs.get(metric.name);
+        const buckets = metric.type === 'histogram' ? shape?.buckets : undefined;
+        const quantiles = metric.type === 'summary' ? shape?.quantiles : undefined;
+        const count = metric.count != null ? Number(metric.count) : undefined;
+
+        // Record metric in Prometheus registry + Mimir (labels must match for cardinality)
+        try {
           recordMetric(
             {
               name: metric.name,
@@ -131,6 +225,9 @@ router.post(
               value: typeof metric.value === 'number' ? metric.value : parseFloat(metric.value),
               labels: mergedLabels,
               operation: metric.operation,
+              count,
+              buckets,
+              quantiles,
             },
             userId
           );
@@ -144,50 +241,270 @@ router.post(
               user_id: userId.toString(),
             },
             operation: metric.operation,
+            count,
+            timestamp,
+            buckets,
+            quantiles,
           });
         } catch (error) {
           errors_list.push({
-            index: i,
+            index,
             error: error.message || 'Failed to record metric',
           });
         }
       }
+      errors_list.sort((a, b) => a.index - b.index);
 
       if (validMetrics.length === 0) {
+        await recordUsage(userId, { rejected: errors_list.length });
         throw new BadRequestError('No valid metrics to process', errors_list);
       }
 
       processedCount = validMetrics.length;
 
+      const batch = validMetrics.map((m) => ({
+        name: m.name,
+        type: m.type,
+        value: m.value,
+        labels: m.labels || {},
+        operation: m.operation,
+        count: m.count,
+        userId: String(req.user.id),
+        timestamp: m.timestamp,
+        buckets: m.buckets,
+        quantiles: m.quantiles,
+      }));
+
       // Batch push to Mimir (hard tenant isolation) and wait for completion so
       // the request reflects actual ingestion latency instead of a fire-and-forget enqueue.
-      const pushSummary = await pushMetricsToMimir(
-        validMetrics.map((m) => ({
-          name: m.name,
-          type: m.type,
-          value: m.value,
-          labels: m.labels || {},
-          operation: m.operation,
-          userId: String(req.user.id),
-        })),
-        { mode: 'ingest', throwOnFailure: true }
-      );
+      // If Mimir is unavailable the batch goes to the durable buffer and the client gets 202.
+      let pushSummary = null;
+      let buffered = false;
+      try {
+        pushSummary = await pushMetricsToMimir(batch, { mode: 'ingest', throwOnFailure: true });
+      } catch (pushError) {
+        if (!shouldBufferFailure(pushError)) throw pushError;
+        try {
+          await bufferMetrics(String(req.user.id), batch, receivedAt);
+        } catch (bufferError) {
+          logger.error({ err: bufferError, userId }, 'Failed to buffer metrics batch');
+          throw pushError;
+        }
+        buffered = true;
+      }
+      await recordUsage(userId, { samples: validMetrics.length, rejected: errors_list.length });
+
+      // Samples of metrics with webhooks go to the delivery outbox; the batch is already
+      // accepted, so a failure here is logged rather than returned to the client
+      try {
+        await enqueueWebhookDeliveries(
+          schema.configs,
+          validMetrics.map(({ name, type, value, count, labels, timestamp }) => {
+            const { user_id: _tenant, ...sampleLabels } = labels;
+            const sample = { name, type, value, labels: sampleLabels };
+            return { ...sample, count, timestamp: timestamp ?? receivedAt };
+          })
+        );
+      } catch (err) {
+        logger.warn({ err, userId }, 'Failed to queue webhook deliveries');
+      }
 
       recordMetricsIngest({
         durationMs: Date.now() - ingestStartedAt,
         batchSize: metrics.length,
         processed: validMetrics.length,
         total: metrics.length,
-        outcome: 'success',
+        outcome: buffered ? 'buffered' : 'success',
       });
 
-      res.json({
+      res.status(buffered ? 202 : 200).json({
         success: true,
         data: {
           processed: validMetrics.length,
           total: metrics.length,
           mimirAccepted: Boolean(pushSummary?.ok),
           mimirWriteDurationMs: pushSummary?.durationMs ?? null,
+          buffered,
+          errors: errors_list.length > 0 ? errors_list : undefined,
+          warnings: warnings_list.length > 0 ? warnings_list : undefined,
+        },
+      });
+    } catch (error) {
+      recordMetricsIngest({
+        durationMs: Date.now() - ingestStartedAt,
+        batchSize: requestedCount,
+        processed: processedCount,
+        total: requestedCount,
+        outcome: 'error',
+        error,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/metrics/prometheus
+ *
+ * Prometheus text exposition ingestion (requires API key), e.g. the output of
+ * prom-client's `register.metrics()`:
+ *
+ *   # TYPE http_requests_total counter
+ *   http_requests_total{route="/api"} 1027
+ *   # TYPE http_duration_seconds histogram
+ *   http_duration_seconds_bucket{le="0.5"} 12
+ *   ...
+ *
+ * Values are cumulative, as exposed, and are written to Mimir unchanged (counter
+ * resets are handled by PromQL). Labels follow the same rules as the JSON endpoint,
+ * `site_id` comes from a site-scoped key and `user_id` is always the key owner.
+ * Optional sample timestamps (ms) must fall within the accepted ingest window.
+ *
+ * Batches are not buffered while Mimir is unavailable: the next push carries the
+ * same cumulative values, so the client simply retries.
+ */
+
+const EXPOSITION_BODY_LIMIT = 1024 * 1024; // 1 MB
+const EXPOSITION_MAX_SAMPLES = 10_000;
+
+router.post(
+  '/prometheus',
+  (req, res, next) => {
+    const len = parseInt(req.headers['content-length'] || '0', 10);
+    if (len > EXPOSITION_BODY_LIMIT) {
+      return res.status(413).json({
+        success: false,
+        error: `Payload too large. Prometheus endpoint limit is ${EXPOSITION_BODY_LIMIT} bytes.`,
+      });
+    }
+    next();
+  },
+  authenticateApiKey,
+  metricsLimiter,
+  ingestQuota,
+  express.text({
+    type: ['text/plain', 'application/openmetrics-text'],
+    limit: EXPOSITION_BODY_LIMIT,
+  }),
+  async (req, res, next) => {
+    const ingestStartedAt = Date.now();
+    let requestedCount = 0;
+    let processedCount = 0;
+    try {
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        throw new BadRequestError(
+          'Request body must be Prometheus text exposition format (Content-Type: text/plain)'
+        );
+      }
+
+      const { samples, errors: parseErrors } = parsePrometheusText(req.body);
+      requestedCount = samples.length;
+      if (samples.length > EXPOSITION_MAX_SAMPLES) {
+        throw new BadRequestError(
+          `Too many samples: max ${EXPOSITION_MAX_SAMPLES}, got ${samples.length}`
+        );
+      }
+
+      const userId = req.user.id;
+      const receivedAt = Date.now();
+      const errors_list = [...parseErrors];
+      const candidates = [];
+      const validSamples = [];
+
+      let scrubber = DEFAULT_PII_SCRUBBER;
+      let metricConfigs = new Map();
+      try {
+        ({ scrubber, configs: metricConfigs } = await getMetricSchema(userId));
+      } catch (err) {
+        logger.warn({ err, userId }, 'Metric config lookup failed; using default PII scrubbing');
+      }
+
+      for (const sample of samples) {
+        try {
+          if (!validateMetricValue(sample.value, sample.type)) {
+            throw new Error(`Invalid value for ${sample.type} metric`);
+          }
+
+          let timestamp = receivedAt;
+          if (sample.timestamp != null) {
+            const windowError = checkTimestampWindow(sample.timestamp, receivedAt);
+            if (windowError) throw new Error(windowError);
+            timestamp = sample.timestamp;
+          }
+
+          const { labels: userLabels, structural } = splitStructuralLabels(sample.labels);
+          // Scrub before values are truncated, so a cut-off email or token still matches
+          const scrubbed = scrubLabels(userLabels, scrubber, {
+            anonymizeIp: metricConfigs.get(sample.family)?.anonymizeIp ?? true,
+          });
+          const mergedLabels = validateAndSanitizeLabels(scrubbed);
+          if (req.apiKey.site_id != null) {
+            mergedLabels.site_id = String(req.apiKey.site_id);
+          }
+          candidates.push({ sample, labels: mergedLabels, structural, timestamp });
+        } catch (error) {
+          errors_list.push({ line: sample.line, error: error.message || 'Invalid sample' });
+        }
+      }
+
+      // One histogram/summary family + label set counts as a single series, like the JSON endpoint
+      const {
+        allowed,
+        overQuota,
+        error: seriesQuotaError,
+      } = await partitionBySeriesQuota(userId, candidates, (candidate) =>
+        seriesQuotaKey(candidate.sample.family, candidate.labels)
+      );
+      overQuota.forEach(({ sample }) =>
+        errors_list.push({ line: sample.line, error: seriesQuotaError })
+      );
+
+      for (const { sample, labels: mergedLabels, structural, timestamp } of allowed) {
+        try {
+          reserveSeries(userId, sample.family, mergedLabels);
+          validSamples.push({
+            labels: {
+              ...mergedLabels,
+              ...structural,
+              user_id: userId.toString(),
+              __name__: `user_metric_${sample.name}`,
+            },
+            value: sample.value,
+            timestamp,
+          });
+        } catch (error) {
+          errors_list.push({ line: sample.line, error: error.message || 'Invalid sample' });
+        }
+      }
+      errors_list.sort((a, b) => a.line - b.line);
+
+      if (validSamples.length === 0) {
+        await recordUsage(userId, { rejected: errors_list.length });
+        throw new BadRequestError('No valid metrics to process', errors_list);
+      }
+      processedCount = validSamples.length;
+
+      const pushSummary = await pushRawSamplesToMimir(String(userId), validSamples, {
+        mode: 'exposition',
+        throwOnFailure: true,
+      });
+      await recordUsage(userId, { samples: validSamples.length, rejected: errors_list.length });
+
+      recordMetricsIngest({
+        durationMs: Date.now() - ingestStartedAt,
+        batchSize: samples.length,
+        processed: validSamples.length,
+        total: samples.length,
+        outcome: 'success',
+      });
+
+      res.json({
+        success: true,
+        data: {
+          processed: validSamples.length,
+          total: samples.length,
+          mimirAccepted: Boolean(pushSummary?.ok),
+          mimirWriteDurationMs: pushSummary?.durationMs ?? null,
           errors: errors_list.length > 0 ? errors_list : undefined,
         },
       });
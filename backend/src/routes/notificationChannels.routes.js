@@ -0,0 +1,214 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query } from '../database/connection.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import { ALERT_SEVERITIES } from '../services/alert.service.js';
+import {
+  CHANNEL_TYPES,
+  parseChannelConfig,
+  sendTestNotification,
+} from '../services/notification.service.js';
+
+const router = express.Router();
+router.use(authenticate);
+router.use(apiLimiter);
+
+const CHANNEL_COLUMNS =
+  'id, name, type, config, min_severity, enabled, last_notified_at, created_at, updated_at';
+
+// Incoming-webhook URLs embed their credentials; reads only show the host and the tail
+const maskConfig = (config) => {
+  if (!config?.url) return config;
+  try {
+    const url = new URL(config.url);
+    return { ...config, url: `${url.origin}/••••${config.url.slice(-4)}` };
+  } catch {
+    return { ...config, url: '••••' };
+  }
+};
+
+const withMaskedConfig = (row) => ({ ...row, config: maskConfig(row.config) });
+
+const channelValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('name is required'),
+    field('config').isObject().withMessage('config must be an object'),
+    body('min_severity')
+      .optional()
+      .isIn(ALERT_SEVERITIES)
+      .withMessage(`min_severity must be one of: ${ALERT_SEVERITIES.join(', ')}`),
+    body('enabled').optional().isBoolean({ strict: true }).withMessage('enabled must be a boolean'),
+  ];
+};
+
+const parseId = (value) => {
+  const id = parseInt(value, 10);
+  if (Number.isNaN(id)) throw new BadRequestError('Invalid id');
+  return id;
+};
+
+const parseConfigOrThrow = (type, value) => {
+  const parsed = parseChannelConfig(type, value);
+  if (parsed.problem) throw new BadRequestError(parsed.problem);
+  return parsed.config;
+};
+
+/**
+ * GET /api/v1/notification-channels
+ *
+ * The user's channels with masked URLs and the number of queued and failed notifications.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const r = await query(
+      `SELECT c.id, c.name, c.type, c.config, c.min_severity, c.enabled, c.last_notified_at,
+         c.created_at, c.updated_at,
+         COUNT(n.id) FILTER (WHERE n.status = 'pending')::int AS pending_notifications,
+         COUNT(n.id) FILTER (WHERE n.status = 'failed')::int AS failed_notifications,
+         (SELECT last_error FROM alert_notifications
+          WHERE channel_id = c.id AND last_error IS NOT NULL ORDER BY id DESC LIMIT 1) AS last_error
+       FROM notification_channels c
+       LEFT JOIN alert_notifications n ON n.channel_id = c.id
+       WHERE c.user_id = $1
+       GROUP BY c.id
+       ORDER BY c.created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ success: true, data: r.rows.map(withMaskedConfig) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/v1/notification-channels
+ *
+ * `config` is `{ to: [addresses] }` for email and `{ url }` for slack and webhook
+ * channels. The channel receives alerts at or above `min_severity` (default info).
+ */
+router.post(
+  '/',
+  [
+    body('type')
+      .isIn(CHANNEL_TYPES)
+      .withMessage(`type must be one of: ${CHANNEL_TYPES.join(', ')}`),
+    ...channelValidators(false),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) throw new BadRequestError('Validation failed', errors.array());
+
+      const channelConfig = parseConfigOrThrow(req.body.type, req.body.config);
+      const r = await query(
+        `INSERT INTO notification_channels (user_id, name, type, config, min_severity, enabled)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${CHANNEL_COLUMNS}`,
+        [
+          req.user.id,
+          req.body.name.trim(),
+          req.body.type,
+          JSON.stringify(channelConfig),
+          req.body.min_severity ?? 'info',
+          req.body.enabled ?? true,
+        ]
+      );
+      res.status(201).json({ success: true, data: withMaskedConfig(r.rows[0]) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.patch('/:id', channelValidators(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new BadRequestError('Validation failed', errors.array());
+
+    const id = parseId(req.params.id);
+    const updates = [];
+    const values = [];
+    if (req.body.config !== undefined) {
+      const existing = await query(
+        'SELECT type FROM notification_channels WHERE id = $1 AND user_id = $2',
+        [id, req.user.id]
+      );
+      if (existing.rows.length === 0) throw new NotFoundError('Notification channel not found');
+      values.push(JSON.stringify(parseConfigOrThrow(existing.rows[0].type, req.body.config)));
+      updates.push(`config = $${values.length}`);
+    }
+    if (req.body.name !== undefined) {
+      values.push(req.body.name.trim());
+      updates.push(`name = $${values.length}`);
+    }
+    if (req.body.min_severity !== undefined) {
+      values.push(req.body.min_severity);
+      updates.push(`min_severity = $${values.length}`);
+    }
+    if (req.body.enabled !== undefined) {
+      values.push(req.body.enabled);
+      updates.push(`enabled = $${values.length}`);
+    }
+    if (updates.length === 0) throw new BadRequestError('No fields to update');
+
+    values.push(id, req.user.id);
+    const r = await query(
+      `UPDATE notification_channels SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length - 1} AND user_id = $${values.length}
+       RETURNING ${CHANNEL_COLUMNS}`,
+      values
+    );
+    if (r.rows.length === 0) throw new NotFoundError('Notification channel not found');
+    res.json({ success: true, data: withMaskedConfig(r.rows[0]) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/v1/notification-channels/:id/test
+ *
+ * Send a sample alert right away (not queued, not rate limited per channel).
+ * Responds 502 with the sender's error when the channel did not accept it.
+ */
+router.post('/:id/test', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const r = await query(
+      'SELECT id, name, type, config FROM notification_channels WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+    if (r.rows.length === 0) throw new NotFoundError('Notification channel not found');
+
+    const result = await sendTestNotification(r.rows[0]);
+    if (!result.ok) {
+      return res.status(502).json({
+        success: false,
+        error: 'Test notification failed',
+        message: result.error,
+      });
+    }
+    res.json({ success: true, message: 'Test notification sent' });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const r = await query(
+      'DELETE FROM notification_channels WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, req.user.id]
+    );
+    if (r.rows.length === 0) throw new NotFoundError('Notification channel not found');
+    res.json({ success: true, message: 'Notification channel deleted' });
+  } catch (e) {
+    next(e);
+  }
+});
+
+export { router as notificationChannelsRoutes };
@@ -0,0 +1,255 @@
+import express from 'express';
+import { authenticateApiKey } from '../middleware/auth.middleware.js';
+import { metricsLimiter } from '../middleware/rateLimiter.js';
+import { ingestQuota } from '../middleware/quota.js';
+import { BadRequestError } from '../middleware/errorHandler.js';
+import { recordMetricsIngest } from '../middleware/appMetrics.js';
+import { reserveSeries, validateAndSanitizeLabels } from '../services/metrics.service.js';
+import { pushMetricsToMimir, pushRawSamplesToMimir } from '../services/mimir.service.js';
+import { bufferMetrics, shouldBufferFailure } from '../services/ingestBuffer.service.js';
+import { getMetricSchema } from '../services/metricConfig.service.js';
+import { partitionBySeriesQuota, recordUsage, seriesQuotaKey } from '../services/quota.service.js';
+import {
+  decodeOtlpMetricsRequest,
+  encodeOtlpMetricsResponse,
+  flattenOtlpMetrics,
+} from '../utils/otlpMetrics.js';
+import { checkTimestampWindow, validateMetricValue } from '../utils/metricIngest.js';
+import { scrubMetricLabels } from '../utils/piiScrubber.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+const OTLP_BODY_LIMIT = 1024 * 1024; // 1 MB
+const OTLP_MAX_SERIES = 10_000;
+const PROTOBUF_CONTENT_TYPE = 'application/x-protobuf';
+
+const sendOtlpResponse = (req, res, rejectedDataPoints, errorMessages) => {
+  const response =
+    rejectedDataPoints > 0
+      ? {
+          partialSuccess: {
+            rejectedDataPoints,
+            errorMessage: errorMessages.slice(0, 10).join('; '),
+          },
+        }
+      : {};
+  if (req.is(PROTOBUF_CONTENT_TYPE)) {
+    return res.type(PROTOBUF_CONTENT_TYPE).send(encodeOtlpMetricsResponse(response));
+  }
+  return res.json(response);
+};
+
+/**
+ * POST /api/v1/otlp/v1/metrics
+ *
+ * OTLP/HTTP metrics receiver (requires API key). Point an OpenTelemetry OTLP metric
+ * exporter at `<api>/api/v1/otlp/v1/metrics` with an `X-API-Key` header; both
+ * `application/json` and `application/x-protobuf` bodies are accepted (gzip allowed).
+ *
+ * Mapping (see utils/otlpMetrics.js):
+ * - cumulative sums, gauges, cumulative histograms and summaries are written to Mimir
+ *   unchanged as `user_metric_<name>` series
+ * - delta sums and delta histograms are added to the cumulative state in
+ *   mimir.service.js, like counters sent to `POST /api/v1/metrics`
+ * Resource and data point attributes become labels, validated and PII-scrubbed with
+ * the same rules as the JSON endpoint; `site_id` comes from a site-scoped key and
+ * `user_id` is always the key owner. Each data point counts against the per-user series
+ * limit and the plan's active-series quota; request and daily sample quotas answer 429.
+ *
+ * Responds with an ExportMetricsServiceResponse (JSON or protobuf, matching the
+ * request); rejected data points are reported in `partialSuccess`.
+ */
+router.post(
+  '/v1/metrics',
+  (req, res, next) => {
+    const len = parseInt(req.headers['content-length'] || '0', 10);
+    if (len > OTLP_BODY_LIMIT) {
+      return res.status(413).json({
+        success: false,
+        error: `Payload too large. OTLP endpoint limit is ${OTLP_BODY_LIMIT} bytes.`,
+      });
+    }
+    next();
+  },
+  authenticateApiKey,
+  metricsLimiter,
+  ingestQuota,
+  express.raw({ type: PROTOBUF_CONTENT_TYPE, limit: OTLP_BODY_LIMIT }),
+  async (req, res, next) => {
+    const ingestStartedAt = Date.now();
+    let requestedCount = 0;
+    let processedCount = 0;
+    try {
+      let payload;
+      if (req.is(PROTOBUF_CONTENT_TYPE)) {
+        try {
+          payload = decodeOtlpMetricsRequest(
+            Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+          );
+        } catch (err) {
+          throw new BadRequestError(`Invalid OTLP protobuf payload: ${err.message}`);
+        }
+      } else if (req.is('application/json')) {
+        payload = req.body;
+      } else {
+        throw new BadRequestError(
+          'Content-Type must be application/json or application/x-protobuf'
+        );
+      }
+
+      const { entries, errors } = flattenOtlpMetrics(payload);
+      requestedCount = entries.length;
+      if (entries.length > OTLP_MAX_SERIES) {
+        throw new BadRequestError(`Too many series: max ${OTLP_MAX_SERIES}, got ${entries.length}`);
+      }
+
+      const userId = req.user.id;
+      const tenantId = String(userId);
+      const receivedAt = Date.now();
+      const rejectedPoints = new Set();
+      const errorMessages = errors.map((e) => `${e.metric || '(unnamed)'}: ${e.error}`);
+      let rejectedDataPoints = errors.reduce((total, e) => total + e.points, 0);
+      // Components of a rejected point are dropped together (no partial histograms)
+      const rejectPoint = (entry, message) => {
+        if (rejectedPoints.has(entry.point)) return;
+        rejectedPoints.add(entry.point);
+        rejectedDataPoints += 1;
+        errorMessages.push(`${entry.metric}: ${message}`);
+      };
+      // PII scrubbing settings (the default scrubber when the lookup fails)
+      let schema = { enforcement: 'off', configs: new Map() };
+      try {
+        schema = await getMetricSchema(userId);
+      } catch (err) {
+        logger.warn({ err, userId }, 'Metric config lookup failed; using default PII scrubbing');
+      }
+
+      const valid = [];
+      for (const entry of entries) {
+        if (rejectedPoints.has(entry.point)) continue;
+        try {
+          if (!Number.isFinite(entry.value) || !validateMetricValue(entry.value, entry.type)) {
+            throw new Error(`Invalid value for ${entry.type} metric`);
+          }
+          let timestamp = receivedAt;
+          if (entry.timestamp != null) {
+            const windowError = checkTimestampWindow(entry.timestamp, receivedAt);
+            if (windowError) throw new Error(windowError);
+            timestamp = entry.timestamp;
+          }
+          // Scrub before values are truncated, so a cut-off email or token still matches
+          const { labels: scrubbed } = scrubMetricLabels(
+            { name: entry.family, labels: entry.labels },
+            schema
+          );
+          const mergedLabels = validateAndSanitizeLabels(scrubbed);
+          if (req.apiKey.site_id != null) {
+            mergedLabels.site_id = String(req.apiKey.site_id);
+          }
+          valid.push({ entry, timestamp, seriesLabels: mergedLabels });
+        } catch (error) {
+          rejectPoint(entry, error.message || 'Invalid data point');
+        }
+      }
+
+      // All components of a point share its series key, so they pass or fail together
+      const {
+        allowed,
+        overQuota,
+        error: seriesQuotaError,
+      } = await partitionBySeriesQuota(
+        userId,
+        valid.filter(({ entry }) => !rejectedPoints.has(entry.point)),
+        ({ entry, seriesLabels }) => seriesQuotaKey(entry.family, seriesLabels)
+      );
+      overQuota.forEach(({ entry }) => rejectPoint(entry, seriesQuotaError));
+
+      const rawSamples = [];
+      const deltaMetrics = [];
+      for (const { entry, timestamp, seriesLabels } of allowed) {
+        if (rejectedPoints.has(entry.point)) continue;
+        try {
+          reserveSeries(userId, entry.family, seriesLabels);
+        } catch (error) {
+          rejectPoint(entry, error.message || 'Invalid data point');
+          continue;
+        }
+        const labels = { ...seriesLabels, ...entry.structural, user_id: tenantId };
+        if (entry.temporality === 'cumulative') {
+          rawSamples.push({
+            labels: { ...labels, __name__: `user_metric_${entry.name}` },
+            value: entry.value,
+            timestamp,
+          });
+        } else if (entry.type === 'counter') {
+          deltaMetrics.push({
+            name: entry.name,
+            type: 'counter',
+            value: entry.value,
+            labels,
+            timestamp,
+          });
+        } else {
+          // Non-monotonic deltas (up/down counters, histogram _sum) move a cumulative gauge
+          deltaMetrics.push({
+            name: entry.name,
+            type: 'gauge',
+            operation: entry.value < 0 ? 'decrement' : 'increment',
+            value: Math.abs(entry.value),
+            labels,
+            timestamp,
+          });
+        }
+      }
+
+      processedCount = rawSamples.length + deltaMetrics.length;
+      if (entries.length > 0 && processedCount === 0) {
+        await recordUsage(userId, { rejected: rejectedDataPoints });
+        throw new BadRequestError('No valid metrics to process', errorMessages);
+      }
+
+      // Cumulative samples first: if they fail nothing was applied and the exporter's
+      // retry is safe. Delta samples are buffered like the JSON endpoint when Mimir is down.
+      await pushRawSamplesToMimir(tenantId, rawSamples, { mode: 'otlp', throwOnFailure: true });
+
+      let buffered = false;
+      const batch = deltaMetrics.map((m) => ({ ...m, userId: tenantId }));
+      try {
+        await pushMetricsToMimir(batch, { mode: 'otlp', throwOnFailure: true });
+      } catch (pushError) {
+        if (!shouldBufferFailure(pushError)) throw pushError;
+        try {
+          await bufferMetrics(tenantId, batch, receivedAt);
+        } catch (bufferError) {
+          logger.error({ err: bufferError, userId }, 'Failed to buffer OTLP delta metrics');
+          throw pushError;
+        }
+        buffered = true;
+      }
+      await recordUsage(userId, { samples: processedCount, rejected: rejectedDataPoints });
+
+      recordMetricsIngest({
+        durationMs: Date.now() - ingestStartedAt,
+        batchSize: entries.length,
+        processed: processedCount,
+        total: entries.length,
+        outcome: buffered ? 'buffered' : 'success',
+      });
+
+      sendOtlpResponse(req, res, rejectedDataPoints, errorMessages);
+    } catch (error) {
+      recordMetricsIngest({
+        durationMs: Date.now() - ingestStartedAt,
+        batchSize: requestedCount,
+        processed: processedCount,
+        total: requestedCount,
+        outcome: 'error',
+        error,
+      });
+      next(error);
+    }
+  }
+);
+
+export { router as otlpRoutes };
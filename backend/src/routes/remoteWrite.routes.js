@@ -0,0 +1,273 @@
+import express from 'express';
+import { authenticateApiKey } from '../middleware/auth.middleware.js';
+import { metricsLimiter } from '../middleware/rateLimiter.js';
+import { ingestQuota } from '../middleware/quota.js';
+import { BadRequestError } from '../middleware/errorHandler.js';
+import { recordMetricsIngest } from '../middleware/appMetrics.js';
+import { reserveSeries, validateAndSanitizeLabels } from '../services/metrics.service.js';
+import { getMetricSchema } from '../services/metricConfig.service.js';
+import { pushRawSamplesToMimir } from '../services/mimir.service.js';
+import { partitionBySeriesQuota, recordUsage, seriesQuotaKey } from '../services/quota.service.js';
+import { decodeRemoteWriteRequest } from '../utils/remoteWrite.js';
+import { checkTimestampWindow, splitStructuralLabels } from '../utils/metricIngest.js';
+import { scrubMetricLabels } from '../utils/piiScrubber.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+const REMOTE_WRITE_BODY_LIMIT = 1024 * 1024; // 1 MB compressed
+const REMOTE_WRITE_UNCOMPRESSED_LIMIT = 8 * 1024 * 1024;
+const REMOTE_WRITE_MAX_SAMPLES = 10_000;
+const METRIC_NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Read the request body as a Buffer. express.raw() rejects `Content-Encoding: snappy`
+ * with 415, and remote-write bodies are snappy-compressed by definition.
+ */
+const readRawBody = (req, res, next) => {
+  const chunks = [];
+  let received = 0;
+  let tooLarge = false;
+  req.on('data', (chunk) => {
+    received += chunk.length;
+    if (received > REMOTE_WRITE_BODY_LIMIT) {
+      tooLarge = true;
+      chunks.length = 0;
+      return;
+    }
+    if (!tooLarge) chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (tooLarge) {
+      return res.status(413).json({
+        success: false,
+        error: `Payload too large. Remote-write endpoint limit is ${REMOTE_WRITE_BODY_LIMIT} bytes.`,
+      });
+    }
+    req.body = Buffer.concat(chunks);
+    next();
+  });
+  req.on('error', next);
+};
+
+/**
+ * POST /api/v1/remote-write
+ *
+ * Prometheus remote-write 1.0 receiver (requires API key), for Prometheus, Grafana
+ * Agent/Alloy or any other agent the user runs:
+ *
+ *   remote_write:
+ *     - url: https://<api>/api/v1/remote-write
+ *       headers:
+ *         X-API-Key: <key>
+ *
+ * Incoming series are re-labelled into the key owner's tenant: names get the
+ * `user_metric_` prefix, `user_id` is always the key owner and `site_id` comes from a
+ * site-scoped key (client-sent values are overwritten), other labels follow the same
+ * rules as the JSON endpoint, PII scrubbing included. Each series counts against the
+ * per-user series limit and the plan's active-series quota; request and daily sample
+ * quotas answer 429 with Retry-After, which the sender honours.
+ * Values are cumulative and written to Mimir unchanged with `X-Scope-OrgID` set to the
+ * owner; staleness markers (NaN) pass through.
+ *
+ * Responds 204 when every series was written. Invalid series are reported with 400
+ * after the valid ones have been written, so the sender drops the batch instead of
+ * retrying it; Mimir being unavailable maps to 5xx, which the sender retries.
+ * Native histograms and remote-write 2.0 are not supported.
+ */
+router.post(
+  '/',
+  (req, res, next) => {
+    const len = parseInt(req.headers['content-length'] || '0', 10);
+    if (len > REMOTE_WRITE_BODY_LIMIT) {
+      return res.status(413).json({
+        success: false,
+        error: `Payload too large. Remote-write endpoint limit is ${REMOTE_WRITE_BODY_LIMIT} bytes.`,
+      });
+    }
+    next();
+  },
+  authenticateApiKey,
+  metricsLimiter,
+  ingestQuota,
+  readRawBody,
+  async (req, res, next) => {
+    const ingestStartedAt = Date.now();
+    let requestedCount = 0;
+    let processedCount = 0;
+    try {
+      if (!req.is('application/x-protobuf')) {
+        throw new BadRequestError('Content-Type must be application/x-protobuf');
+      }
+      if (/io\.prometheus\.write\.v2\.Request/.test(req.get('content-type'))) {
+        return res.status(415).json({
+          success: false,
+          error: 'Remote-write 2.0 is not supported; send prometheus.WriteRequest (1.0)',
+        });
+      }
+      const encoding = req.get('content-encoding');
+      if (encoding && encoding.toLowerCase() !== 'snappy') {
+        return res.status(415).json({
+          success: false,
+          error: `Unsupported Content-Encoding "${encoding}"; expected snappy`,
+        });
+      }
+
+      let series;
+      try {
+        series = decodeRemoteWriteRequest(req.body, {
+          maxUncompressedBytes: REMOTE_WRITE_UNCOMPRESSED_LIMIT,
+        });
+      } catch (err) {
+        if (err.status === 413) {
+          return res.status(413).json({ success: false, error: err.message });
+        }
+        throw new BadRequestError(err.message);
+      }
+
+      requestedCount = series.reduce((total, s) => total + s.samples.length, 0);
+      if (requestedCount > REMOTE_WRITE_MAX_SAMPLES) {
+        throw new BadRequestError(
+          `Too many samples: max ${REMOTE_WRITE_MAX_SAMPLES}, got ${requestedCount}`
+        );
+      }
+
+      const userId = req.user.id;
+      const tenantId = String(userId);
+      const receivedAt = Date.now();
+      const errors_list = [];
+      const candidates = [];
+      const validSamples = [];
+
+      // PII scrubbing settings (the default scrubber when the lookup fails)
+      let schema = { enforcement: 'off', configs: new Map() };
+      try {
+        schema = await getMetricSchema(userId);
+      } catch (err) {
+        logger.warn({ err, userId }, 'Metric config lookup failed; using default PII scrubbing');
+      }
+
+      for (const [index, { labels: rawLabels, samples, histogramCount }] of series.entries()) {
+        const name = rawLabels.__name__;
+        try {
+          if (!name || !METRIC_NAME_RE.test(name)) {
+            throw new Error('Series has a missing or invalid __name__');
+          }
+          if (samples.length === 0) {
+            if (histogramCount > 0) throw new Error('Native histograms are not supported');
+            continue;
+          }
+
+          // Internal labels (__name__, __meta_*, ...) never reach the tenant
+          const labels = {};
+          for (const [key, value] of Object.entries(rawLabels)) {
+            if (key.startsWith('__')) continue;
+            if (!LABEL_NAME_RE.test(key)) throw new Error(`Invalid label name "${key}"`);
+            labels[key] = value;
+          }
+          const { labels: userLabels, structural } = splitStructuralLabels(labels);
+          delete userLabels.user_id;
+          delete userLabels.site_id;
+          // Scrub before values are truncated, so a cut-off email or token still matches
+          const { labels: scrubbed } = scrubMetricLabels({ name, labels: userLabels }, schema);
+          const mergedLabels = validateAndSanitizeLabels(scrubbed);
+          if (req.apiKey.site_id != null) {
+            mergedLabels.site_id = String(req.apiKey.site_id);
+          }
+          candidates.push({ index, name, labels: mergedLabels, structural, samples });
+        } catch (error) {
+          errors_list.push({
+            index,
+            series: name ?? null,
+            error: error.message || 'Invalid series',
+          });
+        }
+      }
+
+      const {
+        allowed,
+        overQuota,
+        error: seriesQuotaError,
+      } = await partitionBySeriesQuota(userId, candidates, ({ name, labels }) =>
+        seriesQuotaKey(name, labels)
+      );
+      overQuota.forEach(({ index, name }) =>
+        errors_list.push({ index, series: name, error: seriesQuotaError })
+      );
+
+      for (const { index, name, labels: mergedLabels, structural, samples } of allowed) {
+        try {
+          reserveSeries(userId, name, mergedLabels);
+        } catch (error) {
+          errors_list.push({ index, series: name, error: error.message || 'Invalid series' });
+          continue;
+        }
+
+        const seriesLabels = {
+          ...mergedLabels,
+          ...structural,
+          user_id: tenantId,
+          __name__: `user_metric_${name}`,
+        };
+        for (const sample of samples) {
+          const windowError = checkTimestampWindow(sample.timestamp, receivedAt);
+          if (windowError) {
+            errors_list.push({ index, series: name, error: windowError });
+            continue;
+          }
+          validSamples.push({
+            labels: seriesLabels,
+            value: sample.value,
+            timestamp: sample.timestamp,
+          });
+        }
+      }
+      processedCount = validSamples.length;
+
+      // Throws with 503/502 when Mimir is unavailable (sender retries) and 400 when it
+      // rejects the samples (sender drops them)
+      await pushRawSamplesToMimir(tenantId, validSamples, {
+        mode: 'remote_write',
+        throwOnFailure: true,
+      });
+      await recordUsage(userId, {
+        samples: processedCount,
+        rejected: requestedCount - processedCount,
+      });
+
+      recordMetricsIngest({
+        durationMs: Date.now() - ingestStartedAt,
+        batchSize: requestedCount,
+        processed: processedCount,
+        total: requestedCount,
+        outcome: 'success',
+      });
+
+      if (errors_list.length > 0) {
+        return next(
+          new BadRequestError(
+            `Rejected ${errors_list.length} series or samples; ${processedCount} samples written`,
+            errors_list
+              .sort((a, b) => a.index - b.index)
+              .slice(0, 100)
+              .map(({ series: seriesName, error }) => ({ series: seriesName, error }))
+          )
+        );
+      }
+      res.status(204).end();
+    } catch (error) {
+      recordMetricsIngest({
+        durationMs: Date.now() - ingestStartedAt,
+        batchSize: requestedCount,
+        processed: processedCount,
+        total: requestedCount,
+        outcome: 'error',
+        error,
+      });
+      next(error);
+    }
+  }
+);
+
+export { router as remoteWriteRoutes };
@@ -0,0 +1,25 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { getUsage } from '../services/quota.service.js';
+
+const router = express.Router();
+router.use(authenticate);
+router.use(apiLimiter);
+
+/**
+ * GET /api/v1/usage
+ *
+ * The user's plan, its ingestion limits (null = unlimited), today's usage, the
+ * current active series and request rate, and the daily history of the last 30 days.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const data = await getUsage(req.user.id);
+    res.json({ success: true, data });
+  } catch (e) {
+    next(e);
+  }
+});
+
+export { router as usageRoutes };
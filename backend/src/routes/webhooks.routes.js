@@ -0,0 +1,258 @@
+import express from 'express';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import { query } from '../database/connection.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import { invalidateMetricSchema } from '../services/metricConfig.service.js';
+import { generateWebhookSecret, webhookUrlProblem } from '../services/webhook.service.js';
+
+const router = express.Router();
+router.use(authenticate);
+router.use(apiLimiter);
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const WEBHOOK_COLUMNS = 'w.id, w.metric_config_id, w.url, w.enabled, w.created_at, w.updated_at';
+
+// The secret is only returned in full when it is created or rotated
+const maskSecret = (secret) => `whsec_••••${String(secret).slice(-4)}`;
+
+const urlValidator = (field) =>
+  field
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2048 })
+    .withMessage('url is required')
+    .bail()
+    .custom((value) => {
+      const problem = webhookUrlProblem(value);
+      if (problem) throw new Error(problem);
+      return true;
+    });
+
+const parseId = (value) => {
+  const id = parseInt(value, 10);
+  if (Number.isNaN(id)) throw new BadRequestError('Invalid id');
+  return id;
+};
+
+/**
+ * GET /api/v1/webhooks
+ *
+ * The user's webhooks with their metric config, a masked secret, the number of
+ * pending and failed deliveries and the status of the latest one.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const r = await query(
+      `SELECT ${WEBHOOK_COLUMNS}, w.secret, mc.name AS metric_config_name, mc.metric_name,
+         COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_deliveries,
+         COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_deliveries,
+         (SELECT status FROM webhook_deliveries WHERE webhook_id = w.id ORDER BY id DESC LIMIT 1)
+           AS last_delivery_status
+       FROM webhooks w
+       JOIN metric_configs mc ON mc.id = w.metric_config_id
+       LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+       WHERE w.user_id = $1
+       GROUP BY w.id, mc.name, mc.metric_name
+       ORDER BY w.created_at DESC`,
+      [req.user.id]
+    );
+    const data = r.rows.map(({ secret, ...row }) => ({ ...row, secret: maskSecret(secret) }));
+    res.json({ success: true, data });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/v1/webhooks
+ *
+ * Register an endpoint for the samples of one metric config. The response carries the
+ * signing secret; later reads only show it masked.
+ */
+router.post(
+  '/',
+  [
+    body('metric_config_id').isInt({ min: 1 }).withMessage('metric_config_id is required'),
+    urlValidator(body('url')),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) throw new BadRequestError('Validation failed', errors.array());
+
+      const metricConfigId = parseInt(req.body.metric_config_id, 10);
+      const owned = await query('SELECT id FROM metric_configs WHERE id = $1 AND user_id = $2', [
+        metricConfigId,
+        req.user.id,
+      ]);
+      if (owned.rows.length === 0) throw new NotFoundError('Metric config not found');
+
+      const r = await query(
+        `INSERT INTO webhooks (user_id, metric_config_id, url, secret)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, metric_config_id, url, secret, enabled, created_at, updated_at`,
+        [req.user.id, metricConfigId, req.body.url.trim(), generateWebhookSecret()]
+      );
+      invalidateMetricSchema(req.user.id);
+      res.status(201).json({ success: true, data: r.rows[0] });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/**
+ * GET /api/v1/webhooks/deliveries?webhook_id=&status=&limit=
+ *
+ * Delivery history, newest first (default 50, at most 200). Delivered and failed
+ * deliveries are kept for WEBHOOK_RETENTION_MS.
+ */
+router.get(
+  '/deliveries',
+  [
+    queryParam('webhook_id').optional().isInt({ min: 1 }).withMessage('webhook_id must be an id'),
+    queryParam('status')
+      .optional()
+      .isIn(DELIVERY_STATUSES)
+      .withMessage(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+    queryParam('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('limit must be between 1 and 200'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) throw new BadRequestError('Validation failed', errors.array());
+
+      const conditions = ['w.user_id = $1'];
+      const values = [req.user.id];
+      if (req.query.webhook_id) {
+        values.push(parseInt(req.query.webhook_id, 10));
+        conditions.push(`d.webhook_id = $${values.length}`);
+      }
+      if (req.query.status) {
+        values.push(req.query.status);
+        conditions.push(`d.status = $${values.length}`);
+      }
+      values.push(req.query.limit ? parseInt(req.query.limit, 10) : 50);
+
+      const r = await query(
+        `SELECT d.id, d.webhook_id, w.url, mc.metric_name, d.status, d.sample_count, d.attempts,
+           d.response_status, d.last_error, d.next_attempt_at, d.delivered_at, d.created_at
+         FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhook_id
+         JOIN metric_configs mc ON mc.id = w.metric_config_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY d.id DESC
+         LIMIT $${values.length}`,
+        values
+      );
+      res.json({ success: true, data: r.rows });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/webhooks/deliveries/:id/retry
+ *
+ * Queue a failed delivery again with a fresh set of attempts.
+ */
+router.post('/deliveries/:id/retry', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const r = await query(
+      `UPDATE webhook_deliveries d SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+       FROM webhooks w
+       WHERE d.id = $1 AND w.id = d.webhook_id AND w.user_id = $2 AND d.status = 'failed'
+       RETURNING d.id, d.status`,
+      [id, req.user.id]
+    );
+    if (r.rows.length === 0) throw new NotFoundError('Failed delivery not found');
+    res.json({ success: true, data: r.rows[0] });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.patch(
+  '/:id',
+  [
+    urlValidator(body('url').optional()),
+    body('enabled').optional().isBoolean({ strict: true }).withMessage('enabled must be a boolean'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) throw new BadRequestError('Validation failed', errors.array());
+
+      const id = parseId(req.params.id);
+      const updates = [];
+      const values = [];
+      if (req.body.url !== undefined) {
+        values.push(req.body.url.trim());
+        updates.push(`url = $${values.length}`);
+      }
+      if (req.body.enabled !== undefined) {
+        values.push(req.body.enabled);
+        updates.push(`enabled = $${values.length}`);
+      }
+      if (updates.length === 0) throw new BadRequestError('No fields to update');
+
+      values.push(id, req.user.id);
+      const r = await query(
+        `UPDATE webhooks w SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${values.length - 1} AND user_id = $${values.length}
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        values
+      );
+      if (r.rows.length === 0) throw new NotFoundError('Webhook not found');
+      invalidateMetricSchema(req.user.id);
+      res.json({ success: true, data: r.rows[0] });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/webhooks/:id/rotate-secret
+ *
+ * Replace the signing secret; deliveries sent from now on use the new one.
+ */
+router.post('/:id/rotate-secret', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const r = await query(
+      `UPDATE webhooks SET secret = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND user_id = $3
+       RETURNING id, secret`,
+      [generateWebhookSecret(), id, req.user.id]
+    );
+    if (r.rows.length === 0) throw new NotFoundError('Webhook not found');
+    res.json({ success: true, data: r.rows[0] });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const r = await query('DELETE FROM webhooks WHERE id = $1 AND user_id = $2 RETURNING id', [
+      id,
+      req.user.id,
+    ]);
+    if (r.rows.length === 0) throw new NotFoundError('Webhook not found');
+    invalidateMetricSchema(req.user.id);
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (e) {
+    next(e);
+  }
+});
+
+export { router as webhooksRoutes };
@@ -0,0 +1,280 @@
+/**
+ * Threshold alert rules on tenant metrics.
+ *
+ * A rule's condition is a PromQL expression (`{user_filter}` expands to the tenant
+ * label matcher, as in custom widgets) or one of the user's dashboard widgets. The
+ * scheduler evaluates due rules with queryScalar under the owner's X-Scope-OrgID and
+ * compares the value with the threshold. A matching rule goes `pending` and fires once
+ * it has matched for `for_seconds` (immediately when 0); a firing rule that stops
+ * matching resolves. Transitions are recorded in `alert_events` and queued for the
+ * owner's notification channels.
+ *
+ * Rules are claimed by pushing `next_evaluation_at` forward (FOR UPDATE SKIP LOCKED),
+ * so several replicas can share the schedule. A failed query keeps the current state
+ * and is surfaced as `last_error`; an empty result evaluates as 0.
+ */
+import { query } from '../database/connection.js';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { recordAlertEvaluation } from '../middleware/appMetrics.js';
+import { buildTenantLabelFilter, promqlForWidget } from './dashboardWidget.service.js';
+import { queryScalar } from './mimirQuery.service.js';
+import { enqueueAlertNotifications } from './notification.service.js';
+
+export const ALERT_SOURCES = ['promql', 'widget'];
+export const ALERT_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+export const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+export const MAX_FOR_SECONDS = 24 * 3600;
+
+const DEFAULT_EVALUATION_INTERVAL_MS = 60_000;
+const PRUNE_INTERVAL_MS = 3_600_000;
+const MAX_ERROR_LENGTH = 500;
+
+export function isAlertEvaluationEnabled() {
+  return config.alerts?.enabled === true;
+}
+
+/**
+ * @param {number} value
+ * @param {string} operator - One of ALERT_OPERATORS
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+export function compareThreshold(value, operator, threshold) {
+  switch (operator) {
+    case '>':
+      return value > threshold;
+    case '>=':
+      return value >= threshold;
+    case '<':
+      return value < threshold;
+    case '<=':
+      return value <= threshold;
+    case '==':
+      return value === threshold;
+    case '!=':
+      return value !== threshold;
+    default:
+      return false;
+  }
+}
+
+/**
+ * PromQL evaluated for a rule. Widget rules carry the widget's columns
+ * (`metric_name`, `query_kind`, `promql_custom`, `widget_site_id`).
+ * @param {Object} rule
+ * @returns {string|null} - null when the rule's widget no longer exists
+ */
+export function alertRuleQuery(rule) {
+  if (rule.source === 'widget') {
+    if (!rule.metric_name) return null;
+    return promqlForWidget(
+      {
+        metric_name: rule.metric_name,
+        query_kind: rule.query_kind,
+        promql_custom: rule.promql_custom,
+      },
+      rule.user_id,
+      rule.widget_site_id
+    );
+  }
+  return String(rule.promql || '').replace(
+    /\{user_filter\}/g,
+    buildTenantLabelFilter(rule.user_id)
+  );
+}
+
+/**
+ * State after evaluating a rule to `value`.
+ * @param {{ state: string, operator: string, threshold: number, for_seconds: number,
+ *   pending_seconds?: number|null }} rule - `pending_seconds` is how long the rule
+ *   has been pending
+ * @param {number} value
+ * @returns {{ state: 'inactive'|'pending'|'firing', transition: 'firing'|'resolved'|null }}
+ */
+export function nextAlertState(rule, value) {
+  const matches = compareThreshold(value, rule.operator, Number(rule.threshold));
+
+  if (!matches) {
+    return {
+      state: 'inactive',
+      transition: rule.state === 'firing' ? 'resolved' : null,
+    };
+  }
+  if (rule.state === 'firing') return { state: 'firing', transition: null };
+
+  const forSeconds = Number(rule.for_seconds) || 0;
+  const pendingSeconds = rule.state === 'pending' ? Number(rule.pending_seconds) || 0 : 0;
+  if (forSeconds === 0 || (rule.state === 'pending' && pendingSeconds >= forSeconds)) {
+    return { state: 'firing', transition: 'firing' };
+  }
+  return { state: 'pending', transition: null };
+}
+
+async function claimDueRules(maxRules) {
+  const intervalMs = config.alerts?.evaluationIntervalMs ?? DEFAULT_EVALUATION_INTERVAL_MS;
+  const result = await query(
+    `WITH claimed AS (
+       UPDATE alert_rules SET next_evaluation_at = NOW() + ($2::bigint * INTERVAL '1 millisecond')
+       WHERE id IN (
+         SELECT id FROM alert_rules
+         WHERE enabled AND next_evaluation_at <= NOW()
+         ORDER BY next_evaluation_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *
+     )
+     SELECT c.id, c.user_id, c.name, c.source, c.promql, c.widget_id, c.operator, c.threshold,
+            c.for_seconds, c.severity, c.state,
+            EXTRACT(EPOCH FROM (NOW() - c.pending_since)) AS pending_seconds,
+            w.metric_name, w.query_kind, w.promql_custom, w.site_id AS widget_site_id
+     FROM claimed c
+     LEFT JOIN dashboard_widgets w ON w.id = c.widget_id
+     ORDER BY c.id`,
+    [maxRules, intervalMs]
+  );
+  return result.rows;
+}
+
+async function recordEvaluationError(rule, error) {
+  await query(`UPDATE alert_rules SET last_error = $2, last_evaluated_at = NOW() WHERE id = $1`, [
+    rule.id,
+    String(error).slice(0, MAX_ERROR_LENGTH),
+  ]);
+  recordAlertEvaluation('error');
+}
+
+/**
+ * Record a firing/resolved transition and queue it for the owner's channels. A
+ * failure to queue notifications is logged and does not undo the transition.
+ * @param {{ id: number, user_id: number, severity: string }} rule
+ * @param {'firing'|'resolved'} status
+ * @param {number|null} value
+ */
+export async function recordAlertEvent(rule, status, value) {
+  const result = await query(
+    `INSERT INTO alert_events (rule_id, status, value) VALUES ($1, $2, $3) RETURNING id`,
+    [rule.id, status, value]
+  );
+  try {
+    await enqueueAlertNotifications({
+      eventId: result.rows[0].id,
+      userId: rule.user_id,
+      severity: rule.severity,
+    });
+  } catch (err) {
+    logger.warn({ err, ruleId: rule.id }, 'Failed to queue alert notifications');
+  }
+}
+
+/**
+ * Evaluate due rules, up to `maxRules`.
+ * @returns {Promise<{ evaluated: number, fired: number, resolved: number, errors: number }>}
+ */
+export async function evaluateAlertRules({
+  maxRules = config.alerts?.evaluationBatchSize ?? 50,
+} = {}) {
+  const outcome = { evaluated: 0, fired: 0, resolved: 0, errors: 0 };
+  const rules = await claimDueRules(maxRules);
+
+  for (const rule of rules) {
+    const promql = alertRuleQuery(rule);
+    if (!promql) {
+      await recordEvaluationError(rule, 'Widget not found');
+      outcome.errors += 1;
+      continue;
+    }
+
+    const value = await queryScalar(String(rule.user_id), promql, { queryKind: 'alert' });
+    if (value === null) {
+      await recordEvaluationError(rule, 'Query failed');
+      outcome.errors += 1;
+      continue;
+    }
+
+    const next = nextAlertState(rule, value);
+    await query(
+      `UPDATE alert_rules SET state = $2,
+         pending_since = CASE WHEN $2 = 'pending' THEN COALESCE(pending_since, NOW()) ELSE NULL END,
+         last_value = $3, last_error = NULL, last_evaluated_at = NOW()
+       WHERE id = $1 AND enabled`,
+      [rule.id, next.state, value]
+    );
+    if (next.transition) {
+      await recordAlertEvent(rule, next.transition, value);
+      if (next.transition === 'firing') outcome.fired += 1;
+      else outcome.resolved += 1;
+      logger.info(
+        { ruleId: rule.id, userId: rule.user_id, severity: rule.severity, value },
+        next.transition === 'firing' ? 'Alert firing' : 'Alert resolved'
+      );
+    }
+    outcome.evaluated += 1;
+    recordAlertEvaluation('ok', next.transition ?? 'none');
+  }
+
+  return outcome;
+}
+
+/** Drop firing/resolved events older than the retention window. */
+export async function pruneAlertEvents() {
+  const result = await query(
+    `DELETE FROM alert_events WHERE created_at < NOW() - ($1::bigint * INTERVAL '1 millisecond')`,
+    [config.alerts?.eventRetentionMs ?? 2_592_000_000]
+  );
+  return result.rowCount;
+}
+
+let _evaluationTimer = null;
+let _evaluationInFlight = false;
+let _lastPrunedAt = 0;
+
+/**
+ * Periodically evaluate due rules and prune old events. Each rule is due once per
+ * `config.alerts.evaluationIntervalMs`; the scheduler ticks at a fraction of that so
+ * new and edited rules are picked up quickly.
+ * @param {number} [intervalMs]
+ */
+export function startAlertEvaluation(
+  intervalMs = config.alerts?.evaluationIntervalMs ?? DEFAULT_EVALUATION_INTERVAL_MS
+) {
+  if (_evaluationTimer || !isAlertEvaluationEnabled()) return;
+  const tickMs = Math.min(
+    Math.max(
+      Math.floor((parseInt(String(intervalMs), 10) || DEFAULT_EVALUATION_INTERVAL_MS) / 4),
+      1_000
+    ),
+    15_000
+  );
+
+  _evaluationTimer = setInterval(async () => {
+    if (_evaluationInFlight) return;
+    _evaluationInFlight = true;
+    try {
+      const outcome = await evaluateAlertRules();
+      if (outcome.evaluated + outcome.errors > 0) {
+        logger.debug(outcome, 'Alert rules evaluated');
+      }
+      if (Date.now() - _lastPrunedAt >= PRUNE_INTERVAL_MS) {
+        _lastPrunedAt = Date.now();
+        await pruneAlertEvents();
+      }
+    } catch (err) {
+      // Database not ready yet or transient error — retry on the next tick
+      logger.debug({ err }, 'Alert evaluation skipped');
+    } finally {
+      _evaluationInFlight = false;
+    }
+  }, tickMs);
+  _evaluationTimer.unref?.();
+  return tickMs;
+}
+
+export function stopAlertEvaluation() {
+  if (_evaluationTimer) {
+    clearInterval(_evaluationTimer);
+    _evaluationTimer = null;
+  }
+  _evaluationInFlight = false;
+}
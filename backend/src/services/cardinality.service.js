@@ -0,0 +1,246 @@
+/**
+ * Cardinality explorer: which of a tenant's metrics and labels account for its series.
+ *
+ * Everything is read from Mimir with the tenant's X-Scope-OrgID, so the counts cover
+ * the series written by every backend replica (the in-process series registry only
+ * knows its own):
+ * - /series over the last hour: series per metric and the label breakdown per metric
+ * - /labels and /label/<name>/values: distinct values per label key across all metrics
+ * - count() range queries: how the series count grew over the last days
+ *
+ * Histogram and summary series (`_bucket`, `_sum`, `_count`) are counted under their
+ * metric, the name metric configs use.
+ */
+import { config } from '../config.js';
+import { query } from '../database/connection.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { buildTenantLabelFilter } from './dashboardWidget.service.js';
+import { queryMimirApi, queryRange } from './mimirQuery.service.js';
+
+const METRIC_PREFIX = 'user_metric_';
+const SERIES_LOOKBACK_SECONDS = 3600;
+// Series listed per request; tenants above this get a truncated (sampled) breakdown
+const MAX_SERIES = 50_000;
+// Label keys whose values are looked up, highest cardinality first
+const MAX_LABEL_KEYS = 25;
+const TOP_LABELS_PER_METRIC = 5;
+const GROWTH_METRICS = 5;
+const GROWTH_POINTS = 168;
+// A metric holding this share of the series limit, or a label with this many values,
+// is flagged as an offender
+const OFFENDER_SERIES_SHARE = 0.1;
+const OFFENDER_LABEL_VALUES = 100;
+// Labels every series carries, or that only encode histogram/summary layout
+const STRUCTURAL_LABELS = new Set(['__name__', 'user_id', 'le', 'quantile']);
+const COMPONENT_SUFFIX = /_(bucket|sum|count)$/;
+
+/**
+ * Map Mimir metric names (without the prefix) to the metric they belong to: histogram
+ * and summary components fold into their base name, everything else stays as is.
+ * @param {Array<Record<string, string>>} seriesList
+ * @returns {(name: string) => string}
+ */
+function metricFamilyResolver(seriesList) {
+  const families = new Set();
+  for (const labels of seriesList) {
+    const name = labels.__name__.slice(METRIC_PREFIX.length);
+    if (name.endsWith('_bucket')) families.add(name.slice(0, -'_bucket'.length));
+    if (labels.quantile !== undefined) families.add(name);
+  }
+  return (name) => {
+    const base = name.replace(COMPONENT_SUFFIX, '');
+    return base !== name && families.has(base) ? base : name;
+  };
+}
+
+/**
+ * Series count and distinct label values per metric.
+ * @returns {Map<string, { seriesCount: number, labels: Map<string, Set<string>> }>}
+ */
+function breakdownByMetric(seriesList, familyOf) {
+  const metrics = new Map();
+  for (const labels of seriesList) {
+    const name = familyOf(labels.__name__.slice(METRIC_PREFIX.length));
+    let entry = metrics.get(name);
+    if (!entry) {
+      entry = { seriesCount: 0, labels: new Map() };
+      metrics.set(name, entry);
+    }
+    entry.seriesCount++;
+    for (const [key, value] of Object.entries(labels)) {
+      if (STRUCTURAL_LABELS.has(key)) continue;
+      if (!entry.labels.has(key)) entry.labels.set(key, new Set());
+      entry.labels.get(key).add(value);
+    }
+  }
+  return metrics;
+}
+
+/** Sum the per-name series counts of a `count by (__name__)` range result per metric. */
+function foldGrowthByMetric(result, familyOf) {
+  const byMetric = new Map();
+  for (const series of result) {
+    const raw = series.metric?.__name__;
+    if (!raw?.startsWith(METRIC_PREFIX)) continue;
+    const name = familyOf(raw.slice(METRIC_PREFIX.length));
+    const points = byMetric.get(name) ?? new Map();
+    for (const [time, value] of series.values || []) {
+      points.set(Number(time), (points.get(Number(time)) ?? 0) + parseFloat(value));
+    }
+    byMetric.set(name, points);
+  }
+  return byMetric;
+}
+
+const toPoints = (values) =>
+  values.map(([time, value]) => ({ time: Number(time), value: parseFloat(value) }));
+
+/** Metric configs of the user by metric name, for linking offenders to their config. */
+async function metricConfigIds(userId, names) {
+  if (names.length === 0) return new Map();
+  const { rows } = await query(
+    'SELECT id, metric_name FROM metric_configs WHERE user_id = $1 AND metric_name = ANY($2)',
+    [userId, names]
+  );
+  return new Map(rows.map((row) => [row.metric_name, row.id]));
+}
+
+/**
+ * Series and label cardinality of a tenant, with the series count history.
+ * @param {number|string} userId
+ * @param {{ siteId?: string|null, days?: number, now?: number }} [options] - `days` of
+ *   growth history; `now` in ms
+ * @returns {Promise<object>}
+ * @throws {AppError} 502 when Mimir cannot list the tenant's series
+ */
+export async function getCardinality(userId, { siteId = null, days = 7, now = Date.now() } = {}) {
+  const tenantId = String(userId);
+  const filter = buildTenantLabelFilter(userId, siteId);
+  const selector = `{__name__=~"${METRIC_PREFIX}.+",${filter}}`;
+  const end = Math.floor(now / 1000);
+  // Every metadata call is scoped by the same selector, so site-scoped views only count
+  // that site's series and label values
+  const window = [
+    ['start', String(end - SERIES_LOOKBACK_SECONDS)],
+    ['end', String(end)],
+  ];
+  const match = ['match[]', selector];
+
+  const seriesParams = [match, ...window, ['limit', String(MAX_SERIES)]];
+  const seriesList = await queryMimirApi(tenantId, '/series', seriesParams, {
+    queryKind: 'cardinality_series',
+  });
+  if (!Array.isArray(seriesList)) {
+    throw new AppError('Could not load series from Mimir', 502);
+  }
+  const listed = seriesList
+    .slice(0, MAX_SERIES)
+    .filter((l) => l.__name__?.startsWith(METRIC_PREFIX));
+  const familyOf = metricFamilyResolver(listed);
+  const breakdown = breakdownByMetric(listed, familyOf);
+  const limit = config.metrics?.maxSeriesPerUser ?? null;
+  const totalSeries = listed.length;
+
+  // Tenant-wide label keys, the highest-cardinality ones (as far as the listed series
+  // show) looked up first
+  const labelNames =
+    (await queryMimirApi(tenantId, '/labels', [match, ...window], {
+      queryKind: 'cardinality_labels',
+    })) ?? [];
+  const seenValues = new Map();
+  const labelMetrics = new Map();
+  for (const [name, entry] of breakdown) {
+    for (const [key, values] of entry.labels) {
+      if (!seenValues.has(key)) seenValues.set(key, new Set());
+      for (const value of values) seenValues.get(key).add(value);
+      if (!labelMetrics.has(key)) labelMetrics.set(key, []);
+      labelMetrics.get(key).push(name);
+    }
+  }
+  const labelKeys = [...new Set([...labelNames, ...seenValues.keys()])]
+    .filter((key) => !STRUCTURAL_LABELS.has(key))
+    .sort((a, b) => (seenValues.get(b)?.size ?? 0) - (seenValues.get(a)?.size ?? 0))
+    .slice(0, MAX_LABEL_KEYS);
+  const labels = await Promise.all(
+    labelKeys.map(async (key) => {
+      const values = await queryMimirApi(
+        tenantId,
+        `/label/${encodeURIComponent(key)}/values`,
+        [match, ...window],
+        { queryKind: 'cardinality_label_values' }
+      );
+      const distinctValues = Array.isArray(values)
+        ? values.length
+        : (seenValues.get(key)?.size ?? 0);
+      return {
+        label: key,
+        distinctValues,
+        metrics: labelMetrics.get(key) ?? [],
+        offender: distinctValues >= OFFENDER_LABEL_VALUES,
+      };
+    })
+  );
+  labels.sort((a, b) => b.distinctValues - a.distinctValues);
+
+  const names = [...breakdown.keys()];
+  const configIds = await metricConfigIds(userId, names);
+  const metrics = names
+    .map((name) => {
+      const { seriesCount, labels: metricLabels } = breakdown.get(name);
+      return {
+        name,
+        seriesCount,
+        share: totalSeries > 0 ? seriesCount / totalSeries : 0,
+        offender: limit > 0 && seriesCount >= limit * OFFENDER_SERIES_SHARE,
+        configId: configIds.get(name) ?? null,
+        topLabels: [...metricLabels]
+          .map(([label, values]) => ({ label, distinctValues: values.size }))
+          .sort((a, b) => b.distinctValues - a.distinctValues)
+          .slice(0, TOP_LABELS_PER_METRIC),
+      };
+    })
+    .sort((a, b) => b.seriesCount - a.seriesCount);
+
+  // Growth of the total and of the largest metrics; history is optional, an empty
+  // chart beats failing the page
+  const growthStart = end - days * 86400;
+  const stepSeconds = Math.ceil((days * 86400) / GROWTH_POINTS);
+  const top = metrics.slice(0, GROWTH_METRICS).map((m) => m.name);
+  const topSelector = `{__name__=~"${METRIC_PREFIX}(${top.join('|')})(_bucket|_sum|_count)?",${filter}}`;
+  const growthOptions = { queryKind: 'cardinality_growth' };
+  const [totalResult, perMetricResult] = await Promise.all([
+    queryRange(tenantId, `count(${selector})`, growthStart, end, stepSeconds, growthOptions),
+    top.length > 0
+      ? queryRange(
+          tenantId,
+          `count by (__name__) (${topSelector})`,
+          growthStart,
+          end,
+          stepSeconds,
+          growthOptions
+        )
+      : [],
+  ]);
+  const perMetric = foldGrowthByMetric(perMetricResult ?? [], familyOf);
+
+  return {
+    siteId: siteId ?? null,
+    limit,
+    totalSeries,
+    truncated: seriesList.length >= MAX_SERIES,
+    lookbackSeconds: SERIES_LOOKBACK_SECONDS,
+    metrics,
+    labels,
+    growth: {
+      days,
+      stepSeconds,
+      total: toPoints(totalResult?.[0]?.values ?? []),
+      metrics: top.map((name) => ({
+        name,
+        values: [...(perMetric.get(name) ?? new Map())]
+          .sort(([a], [b]) => a - b)
+          .map(([time, value]) => ({ time, value })),
+      })),
+    },
+  };
+}
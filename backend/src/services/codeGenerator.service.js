@@ -29,9 +29,9 @@ export const generateLibraryCode = ({
   // Compact, minified library code with all tracking functionality
   return `(function(){
 var c={k:'${apiKey.replace(/'/g, "\\'")}',e:'${endpoint.replace(/'/g, "\\'")}',m:${JSON.stringify(metrics)},a:${autoTrack},x:${customEvents},i:${!!autoInteractions}},q=[],b=[],s=10,t=5e3,bt,st=Date.now(),rt=[1e3,2e3,4e3],mxr=3;
-function sm(m,r){if(!m||!m.length)return;var p={metrics:m.map(function(item){return{name:item.n,type:item.t,value:item.v,labels:item.l||{}};})};var op={method:'POST',headers:{'Content-Type':'application/json','X-API-Key':c.k},body:JSON.stringify(p),keepalive:true};fetch(c.e,op).then(function(resp){if(resp.ok){return resp.json();}throw new Error('HTTP '+resp.status);}).catch(function(e){if(r<mxr){setTimeout(function(){sm(m,r+1);},rt[r]);}else{if(q.length<100){q.push(...m);}}})}
+function sm(m,r){if(!m||!m.length)return;var p={metrics:m.map(function(item){return{name:item.n,type:item.t,value:item.v,labels:item.l||{},timestamp:item.ts};})};var op={method:'POST',headers:{'Content-Type':'application/json','X-API-Key':c.k},body:JSON.stringify(p),keepalive:true};fetch(c.e,op).then(function(resp){if(resp.ok){return resp.json();}throw new Error('HTTP '+resp.status);}).catch(function(e){if(r<mxr){setTimeout(function(){sm(m,r+1);},rt[r]);}else{if(q.length<100){q.push(...m);}}})}
 function pb(){if(b.length){var m=[...b];b=[];sm(m,0)}}
-function am(m){b.push(m);b.length>=s?pb():(clearTimeout(bt),bt=setTimeout(pb,t))}
+function am(m){m.ts=m.ts||Date.now();b.push(m);b.length>=s?pb():(clearTimeout(bt),bt=setTimeout(pb,t))}
 function tm(n,v,l={}){var m=c.m[n];if(!m)return false;var val=typeof v==='number'?v:parseFloat(v)||0;if(isNaN(val)||!isFinite(val))return false;am({n:n,t:m.t,v:val,l:Object.assign({},m.l,l)});return true}
 function inc(n,a=1,l={}){return tm(n,a,l)}
 function dec(n,a=1,l={}){var m=c.m[n];if(!m||m.t!=='gauge')return false;return tm(n,-Math.abs(a),l)}
@@ -40,7 +40,7 @@ var w=window,d=document,perf=w.performance;
 if(w.addEventListener){
 w.addEventListener('load',function(){var nav=perf&&perf.timing;if(nav){var ttfb=nav.responseStart-nav.navigationStart,dcl=nav.domContentLoadedEventEnd-nav.navigationStart,load=nav.loadEventEnd-nav.navigationStart;tm('page_load_time',load,{page:location.pathname});tm('ttfb',ttfb,{page:location.pathname});tm('dom_content_loaded',dcl,{page:location.pathname})}tm('page_views',1,{page:location.pathname});});
 var st=Date.now();
-w.addEventListener('beforeunload',function(){var top=Math.round((Date.now()-st)/1e3);tm('time_on_page',top,{page:location.pathname});if(navigator.sendBeacon&&b.length){var p=JSON.stringify({metrics:b.map(function(item){return{name:item.n,type:item.t,value:item.v,labels:item.l||{}};})});navigator.sendBeacon(c.e,new Blob([p],{type:'application/json'}));}else{pb();}});
+w.addEventListener('beforeunload',function(){var top=Math.round((Date.now()-st)/1e3);tm('time_on_page',top,{page:location.pathname});if(navigator.sendBeacon&&b.length){var p=JSON.stringify({metrics:b.map(function(item){return{name:item.n,type:item.t,value:item.v,labels:item.l||{},timestamp:item.ts};})});navigator.sendBeacon(c.e,new Blob([p],{type:'application/json'}));}else{pb();}});
 if(perf&&perf.getEntriesByType){
 setTimeout(function(){var entries=perf.getEntriesByType('navigation');if(entries&&entries[0]){var e=entries[0];tm('dns_lookup_time',e.domainLookupEnd-e.domainLookupStart,{page:location.pathname});tm('tcp_connect_time',e.connectEnd-e.connectStart,{page:location.pathname});tm('server_response_time',e.responseStart-e.requestStart,{page:location.pathname});tm('page_download_time',e.responseEnd-e.responseStart,{page:location.pathname})}},1000)}
 if('PerformanceObserver' in w){
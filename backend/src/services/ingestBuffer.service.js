@@ -0,0 +1,222 @@
+/**
+ * Durable ingest buffer — holds validated metric batches in Postgres while Mimir
+ * is unavailable (circuit breaker OPEN or remote-write failing) and replays them
+ * once writes succeed again.
+ *
+ * Delivery is at-least-once: a batch whose write timed out after Mimir accepted
+ * it is replayed, so counters can over-count by that batch. Rows are claimed with
+ * a short lease (FOR UPDATE SKIP LOCKED), so several backend replicas can drain
+ * the same table without replaying a batch twice concurrently.
+ */
+import { query } from '../database/connection.js';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { recordIngestBufferEvent, recordIngestBufferState } from '../middleware/appMetrics.js';
+import { canAttemptMimirWrite, pushMetricsToMimir } from './mimir.service.js';
+
+const LEASE_SECONDS = 60;
+const DEFAULT_DRAIN_INTERVAL_MS = 5_000;
+
+export function isIngestBufferEnabled() {
+  return config.ingestBuffer?.enabled === true;
+}
+
+/**
+ * Whether a failed ingest push should be buffered instead of returned to the client.
+ * Only transient failures qualify: a batch Mimir rejected outright would fail again.
+ * @param {Error} err - Error thrown by pushMetricsToMimir with throwOnFailure
+ */
+export function shouldBufferFailure(err) {
+  const failedTenants = err?.details?.failedTenants;
+  if (!isIngestBufferEnabled() || !Array.isArray(failedTenants) || failedTenants.length === 0) {
+    return false;
+  }
+  return failedTenants.every((failure) => failure.retryable !== false);
+}
+
+/**
+ * Store a validated batch for background delivery. Metrics without a client timestamp
+ * are stamped with the receive time so replayed samples land when they arrived.
+ * @param {string} tenantId
+ * @param {Array<Object>} metrics - Same shape as pushMetricsToMimir input
+ * @param {number} [receivedAt]
+ * @returns {Promise<number>} - Buffer row id
+ */
+export async function bufferMetrics(tenantId, metrics, receivedAt = Date.now()) {
+  const stamped = metrics.map((m) => ({ ...m, timestamp: m.timestamp ?? receivedAt }));
+  const result = await query(
+    'INSERT INTO ingest_buffer (tenant_id, metrics) VALUES ($1, $2) RETURNING id',
+    [String(tenantId), JSON.stringify(stamped)]
+  );
+  recordIngestBufferEvent('buffered');
+  return result.rows[0].id;
+}
+
+/**
+ * How long buffered samples stay deliverable: Mimir rejects samples older than its
+ * out-of-order window, which METRICS_MAX_SAMPLE_AGE_MS is kept within.
+ */
+function bufferMaxAgeMs() {
+  const sampleMaxAgeMs = config.metrics?.maxSampleAgeMs ?? 3_600_000;
+  const bufferAgeMs = config.ingestBuffer?.maxAgeMs ?? sampleMaxAgeMs;
+  return Math.min(bufferAgeMs, sampleMaxAgeMs);
+}
+
+/**
+ * Split a buffered batch into samples still inside the accepted window and the count
+ * of those that expired. Samples keep their own timestamps.
+ */
+function partitionExpired(metrics, now) {
+  const oldest = now - bufferMaxAgeMs();
+  const fresh = metrics.filter((m) => Number.isFinite(m.timestamp) && m.timestamp >= oldest);
+  return { fresh, expired: metrics.length - fresh.length };
+}
+
+export async function refreshIngestBufferState() {
+  const result = await query(
+    `SELECT COUNT(*)::int AS depth,
+            COALESCE(EXTRACT(EPOCH FROM (NOW() - MIN(created_at))), 0)::float AS oldest_age_seconds
+     FROM ingest_buffer`
+  );
+  const row = result.rows[0] || {};
+  recordIngestBufferState({ depth: row.depth, oldestAgeSeconds: row.oldest_age_seconds });
+  return row;
+}
+
+/**
+ * Replay buffered batches oldest-first until the buffer is empty, a write fails,
+ * or `maxBatches` have been sent.
+ * @returns {Promise<{ drained: number, dropped: number, failed: boolean }>}
+ */
+export async function drainIngestBuffer({
+  maxBatches = config.ingestBuffer?.drainBatchSize ?? 50,
+} = {}) {
+  const outcome = { drained: 0, dropped: 0, failed: false };
+
+  const expired = await query(
+    `DELETE FROM ingest_buffer WHERE created_at < NOW() - ($1::bigint * INTERVAL '1 millisecond') RETURNING id`,
+    [bufferMaxAgeMs()]
+  );
+  if (expired.rowCount > 0) {
+    outcome.dropped += expired.rowCount;
+    recordIngestBufferEvent('expired', expired.rowCount);
+    logger.warn({ count: expired.rowCount }, 'Dropped expired ingest buffer batches');
+  }
+
+  if (!canAttemptMimirWrite()) return outcome;
+
+  const claimed = await query(
+    `UPDATE ingest_buffer SET locked_until = NOW() + INTERVAL '${LEASE_SECONDS} seconds'
+     WHERE id IN (
+       SELECT id FROM ingest_buffer
+       WHERE locked_until IS NULL OR locked_until < NOW()
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, tenant_id, metrics`,
+    [maxBatches]
+  );
+  const rows = [...claimed.rows].sort((a, b) => Number(a.id) - Number(b.id));
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const { fresh, expired: expiredSamples } = partitionExpired(row.metrics, Date.now());
+    if (expiredSamples > 0) {
+      logger.warn(
+        { bufferId: row.id, tenantId: row.tenant_id, count: expiredSamples },
+        'Dropped buffered samples older than the accepted window'
+      );
+    }
+    if (fresh.length === 0) {
+      await query('DELETE FROM ingest_buffer WHERE id = $1', [row.id]);
+      outcome.dropped += 1;
+      recordIngestBufferEvent('expired');
+      continue;
+    }
+
+    const summary = await pushMetricsToMimir(fresh, { mode: 'drain', throwOnFailure: false });
+
+    if (summary.ok) {
+      await query('DELETE FROM ingest_buffer WHERE id = $1', [row.id]);
+      outcome.drained += 1;
+      recordIngestBufferEvent('drained');
+      continue;
+    }
+
+    const failure = summary.failedTenants[0] || {};
+    if (failure.retryable === false) {
+      await query('DELETE FROM ingest_buffer WHERE id = $1', [row.id]);
+      outcome.dropped += 1;
+      recordIngestBufferEvent('rejected');
+      logger.warn(
+        { bufferId: row.id, tenantId: row.tenant_id, error: failure.error },
+        'Mimir rejected buffered batch; dropping it'
+      );
+      continue;
+    }
+
+    // Mimir still unavailable: release this and the remaining claims for a later tick
+    outcome.failed = true;
+    recordIngestBufferEvent('retried');
+    await query(
+      `UPDATE ingest_buffer SET locked_until = NULL, attempts = attempts + 1, last_error = $2
+       WHERE id = $1`,
+      [row.id, failure.error || 'Mimir remote-write failed']
+    );
+    const unsent = rows.slice(i + 1).map((r) => r.id);
+    if (unsent.length > 0) {
+      await query('UPDATE ingest_buffer SET locked_until = NULL WHERE id = ANY($1)', [unsent]);
+    }
+    break;
+  }
+
+  return outcome;
+}
+
+let _drainTimer = null;
+let _drainInFlight = false;
+
+/**
+ * Periodically drain the buffer and refresh its depth/age gauges.
+ * @param {number} [intervalMs]
+ */
+export function startIngestBufferDrain(
+  intervalMs = config.ingestBuffer?.drainIntervalMs ?? DEFAULT_DRAIN_INTERVAL_MS
+) {
+  if (_drainTimer || !isIngestBufferEnabled()) return;
+  const safeIntervalMs = Math.max(
+    parseInt(String(intervalMs), 10) || DEFAULT_DRAIN_INTERVAL_MS,
+    1_000
+  );
+
+  _drainTimer = setInterval(async () => {
+    if (_drainInFlight) return;
+    _drainInFlight = true;
+    try {
+      const { depth } = await refreshIngestBufferState();
+      if (depth > 0) {
+        const outcome = await drainIngestBuffer();
+        if (outcome.drained > 0 || outcome.dropped > 0) {
+          logger.info(outcome, 'Ingest buffer drained');
+          await refreshIngestBufferState();
+        }
+      }
+    } catch (err) {
+      // Database not ready yet or transient error — retry on the next tick
+      logger.debug({ err }, 'Ingest buffer drain skipped');
+    } finally {
+      _drainInFlight = false;
+    }
+  }, safeIntervalMs);
+  _drainTimer.unref?.();
+  return safeIntervalMs;
+}
+
+export function stopIngestBufferDrain() {
+  if (_drainTimer) {
+    clearInterval(_drainTimer);
+    _drainTimer = null;
+  }
+  _drainInFlight = false;
+}
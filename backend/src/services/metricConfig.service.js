@@ -0,0 +1,77 @@
+import { config } from '../config.js';
+import { query } from '../database/connection.js';
+import { compileLabelRules } from '../utils/labelRules.js';
+import { compilePiiScrubber } from '../utils/piiScrubber.js';
+import { declaredLabelKeys, ENFORCEMENT_MODES } from '../utils/metricSchema.js';
+
+/**
+ * Per-user metric configs (with their enabled webhooks), schema enforcement mode and PII
+ * scrubbing settings, cached briefly so the ingest path does not hit Postgres on every
+ * batch. The metric config and webhook routes invalidate a user's entry whenever a
+ * config, webhook or one of the settings changes.
+ */
+const SCHEMA_CACHE_TTL_MS = 60_000;
+const schemaCache = new Map(); // userId -> { expiresAt, schema }
+
+/**
+ * Get the enforcement mode, the PII scrubber and the configs keyed by metric name.
+ * @param {number|string} userId
+ * @returns {Promise<{ enforcement: 'off'|'warn'|'strict', scrubber: Object|null,
+ *   configs: Map<string, { type: string, status: string, labels: string[],
+ *   buckets: number[]|null, quantiles: number[]|null, labelRules: Object|null,
+ *   anonymizeIp: boolean, webhookIds: number[] }> }>} - `labelRules` compiled by
+ *   utils/labelRules.js, `scrubber` by utils/piiScrubber.js (null when scrubbing is off),
+ *   `webhookIds` the enabled webhooks of the config
+ */
+export async function getMetricSchema(userId) {
+  const key = String(userId);
+  const cached = schemaCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.schema;
+  }
+
+  const [configResult, userResult] = await Promise.all([
+    query(
+      `SELECT metric_name, metric_type, status, labels, buckets, quantiles, label_rules,
+         anonymize_ip,
+         ARRAY(SELECT w.id FROM webhooks w WHERE w.metric_config_id = mc.id AND w.enabled
+           ORDER BY w.id) AS webhook_ids
+       FROM metric_configs mc WHERE user_id = $1`,
+      [userId]
+    ),
+    query('SELECT schema_enforcement, pii_scrubbing FROM users WHERE id = $1', [userId]),
+  ]);
+  const enforcement = userResult.rows[0]?.schema_enforcement;
+  const schema = {
+    enforcement: ENFORCEMENT_MODES.includes(enforcement) ? enforcement : 'off',
+    scrubber: compilePiiScrubber(userResult.rows[0]?.pii_scrubbing ?? null, {
+      hashSecret: config.metrics?.piiHashSecret,
+    }),
+    configs: new Map(
+      configResult.rows.map((row) => [
+        row.metric_name,
+        {
+          type: row.metric_type,
+          status: row.status ?? 'active',
+          labels: declaredLabelKeys(row.labels),
+          buckets: row.buckets ?? null,
+          quantiles: row.quantiles ?? null,
+          labelRules: compileLabelRules(row.label_rules),
+          anonymizeIp: row.anonymize_ip ?? true,
+          webhookIds: row.webhook_ids ?? [],
+        },
+      ])
+    ),
+  };
+  schemaCache.set(key, { expiresAt: Date.now() + SCHEMA_CACHE_TTL_MS, schema });
+  return schema;
+}
+
+/**
+ * Drop cached settings for a user (call after creating, updating or deleting a metric
+ * config or webhook, or changing the enforcement mode or PII scrubbing settings).
+ * @param {number|string} userId
+ */
+export function invalidateMetricSchema(userId) {
+  schemaCache.delete(String(userId));
+}
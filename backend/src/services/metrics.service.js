@@ -1,5 +1,6 @@
 import { Registry, Counter, Gauge, Histogram, Summary } from 'prom-client';
 import { config } from '../config.js';
+import { resolveBuckets, resolveQuantiles } from '../utils/metricShape.js';
 
 /**
  * Prometheus Metrics Service
@@ -35,7 +36,7 @@ const metricsStore = new Map();
  * @returns {Object} - Sanitized labels
  * @throws {Error} - If validation fails
  */
-const validateAndSanitizeLabels = (labels) => {
+export const validateAndSanitizeLabels = (labels) => {
   const maxKeys = config.metrics.maxLabelsPerMetric;
   const maxLen = config.metrics.maxLabelValueLength;
   const keys = Object.keys(labels || {}).filter((k) => k !== '_type' && k !== '_operation');
@@ -74,9 +75,12 @@ const hashLabels = (labels) => {
  * @param {string} metricName - Metric name
  * @param {string} metricType - Metric type (counter, gauge, histogram, summary)
  * @param {Object} labels - Metric labels
+ * @param {Object} [shape] - Histogram buckets / summary quantiles from the metric config.
+ *   Applied when the instance is first created; prom-client cannot re-bucket a
+ *   registered metric, so later changes take effect after a backend restart.
  * @returns {Counter|Gauge|Histogram|Summary} - Prometheus metric instance
  */
-const getOrCreateMetric = (metricName, metricType, labelKeys) => {
+const getOrCreateMetric = (metricName, metricType, labelKeys, shape = {}) => {
   // Cache by metric name + sorted label key names (not values, not userId)
   const allLabelNames = [...labelKeys, 'user_id'].sort();
   const key = `${metricName}_${allLabelNames.join(',')}`;
@@ -110,7 +114,7 @@ const getOrCreateMetric = (metricName, metricType, labelKeys) => {
         name: fullMetricName,
         help: `Histogram metric: ${metricName}`,
         labelNames: allLabelNames,
-        buckets: [0.1, 0.5, 1, 2.5, 5, 10, 25, 50, 100],
+        buckets: resolveBuckets(shape.buckets),
         registers: [register],
       });
       break;
@@ -119,7 +123,7 @@ const getOrCreateMetric = (metricName, metricType, labelKeys) => {
         name: fullMetricName,
         help: `Summary metric: ${metricName}`,
         labelNames: allLabelNames,
-        percentiles: [0.01, 0.1, 0.5, 0.9, 0.99],
+        percentiles: resolveQuantiles(shape.quantiles),
         registers: [register],
       });
       break;
@@ -138,11 +142,32 @@ const getOrCreateMetric = (metricName, metricType, labelKeys) => {
  * @param {string} metricData.type - Metric type
  * @param {number} metricData.value - Metric value
  * @param {Object} metricData.labels - Metric labels
+ * @param {number[]} [metricData.buckets] - Histogram buckets from the metric config
+ * @param {number[]} [metricData.quantiles] - Summary quantiles from the metric config
  * @param {string} userId - User ID
  */
 /** Count unique series per user for cardinality limit. */
 const userSeriesCount = new Map();
 
+/**
+ * Count a series against the user's cardinality limit without recording a value
+ * (for ingest formats that carry cumulative values, e.g. Prometheus exposition).
+ * @param {string} userId - User ID
+ * @param {string} name - Metric family name
+ * @param {Object} labels - Sanitized labels
+ * @throws {Error} - If the user is at the series limit and this series is new
+ */
+export const reserveSeries = (userId, name, labels) => {
+  const maxSeries = config.metrics.maxSeriesPerUser;
+  const seriesKey = `${userId}_${name}_${hashLabels(labels)}`;
+  const currentCount = userSeriesCount.get(userId) ?? new Set();
+  if (!currentCount.has(seriesKey) && currentCount.size >= maxSeries) {
+    throw new Error(`Cardinality limit exceeded: max ${maxSeries} series per user`);
+  }
+  currentCount.add(seriesKey);
+  userSeriesCount.set(userId, currentCount);
+};
+
 export const recordMetric = (metricData, userId) => {
   const { name, type, value, labels = {} } = metricData;
   if (process.env.NODE_ENV === 'development') {
@@ -173,7 +198,10 @@ export const recordMetric = (metricData, userId) => {
   }
 
   // Get or create the metric instance
-  const metric = getOrCreateMetric(name, type, Object.keys(sanitizedLabels));
+  const metric = getOrCreateMetric(name, type, Object.keys(sanitizedLabels), {
+    buckets: metricData.buckets,
+    quantiles: metricData.quantiles,
+  });
 
   // Prepare labels with user_id
   const metricLabels = {
@@ -207,13 +235,11 @@ export const recordMetric = (metricData, userId) => {
         break;
 
       case 'histogram':
-        // Histograms observe values
-        metric.observe(metricLabels, numValue);
-        break;
-
       case 'summary':
-        // Summaries observe values
-        metric.observe(metricLabels, numValue);
+        // Histograms and summaries observe values, `count` times when pre-aggregated
+        for (let i = 0; i < (metricData.count ?? 1); i++) {
+          metric.observe(metricLabels, numValue);
+        }
         break;
     }
 
@@ -6,19 +6,38 @@
  * Maintains cumulative state for counter metrics so Mimir always receives
  * monotonically increasing values (required by Prometheus remote-write protocol).
  * Gauge inc/dec operations also accumulate correctly.
- * State is in-memory; a backend restart triggers a counter-reset which
- * Prometheus/Mimir handle gracefully via built-in reset detection.
+ * Histograms keep cumulative `_bucket`/`_count`/`_sum` series and summaries keep
+ * `_count`/`_sum` plus quantiles over a sliding window of recent observations.
+ * State lives in the series state store selected by `config.metrics.stateStore`
+ * and installed at startup (see seriesState.service.js). The default is Postgres,
+ * so counters stay monotonic across restarts and replicas. METRICS_STATE_STORE=memory
+ * keeps state in the process: a restart starts every series from zero again and
+ * replicas each keep their own totals, so it only suits a single instance. The
+ * in-memory store is also what this module holds until startup replaces it (tests).
+ *
+ * Samples carry the client event timestamp when one is supplied (validated by
+ * the ingest route). Cumulative series are written strictly in time order, so
+ * a late event for a counter is clamped to just after the series' last sample.
  */
 import { pushTimeseries } from 'prometheus-remote-write';
 import { config } from '../config.js';
 import { logger } from '../logger.js';
 import { recordMimirWrite } from '../middleware/appMetrics.js';
+import { resolveBuckets, resolveQuantiles } from '../utils/metricShape.js';
+import { createMemorySeriesStateStore } from './seriesState.service.js';
+
+// Summary quantiles are computed over recent observations only (like prom-client's maxAgeSeconds)
+const SUMMARY_WINDOW_MS = 10 * 60_000;
+const SUMMARY_MAX_OBSERVATIONS = 1000;
 
 const DEFAULT_HEARTBEAT_INTERVAL_MS = Math.max(
   parseInt(String(config.metrics?.heartbeatIntervalMs ?? 15_000), 10) || 15_000,
   5_000
 );
 
+const STATE_IDLE_TTL_MS =
+  parseInt(String(config.metrics?.stateIdleTtlMs ?? 604_800_000), 10) || 604_800_000;
+
 // ---------------------------------------------------------------------------
 // Circuit breaker — protects against cascading failures when Mimir is down.
 // States: CLOSED (normal) → OPEN (failing, reject writes) → HALF_OPEN (probe)
@@ -59,17 +78,50 @@ export function getMimirCircuitState() {
   return circuitBreaker.state;
 }
 
+/** Whether a write may be attempted now (moves OPEN → HALF_OPEN once the reset timeout passes). */
+export function canAttemptMimirWrite() {
+  return circuitBreaker.canAttempt();
+}
+
 /**
- * In-memory cumulative state for Mimir remote-write values.
+ * prometheus-remote-write resolves with the HTTP status instead of throwing, so
+ * non-2xx responses are turned into errors here. 5xx/429 are retryable; other 4xx
+ * mean Mimir rejected the samples themselves (too old, invalid labels, limits).
+ */
+function assertPushAccepted(result) {
+  if (!result || !Number.isFinite(result.status) || result.status < 300) return;
+  const err = new Error(
+    `Mimir remote-write returned ${result.status}${
+      result.errorMessage ? `: ${String(result.errorMessage).trim().slice(0, 200)}` : ''
+    }`
+  );
+  err.status = result.status;
+  err.retryable = result.status >= 500 || result.status === 429;
+  throw err;
+}
+
+/**
+ * Cumulative state for Mimir remote-write values.
  * Key: `${tenantId}::user_metric_${name}::${sortedLabelPairs}`
  */
 /**
  * Stores cumulative values and the full label set for series that need
  * periodic re-pushes. We only heartbeat counters because gauges are read
  * directly and do not require synthetic density for increase().
- * Value: { value: number, labels: object, tenantId: string, heartbeatEligible: boolean }
+ * Value: { value: number, labels: object, tenantId: string, heartbeatEligible: boolean,
+ *          timestamp: number (ms of the last written sample) }
+ * Summary windows live here too: { observations: [{ value, timestamp }], tenantId,
+ *          heartbeatEligible: false, timestamp }.
  */
-const cumulativeState = new Map();
+let seriesStateStore = createMemorySeriesStateStore();
+
+/**
+ * Replace the series state store (index.js wires the Postgres store at startup).
+ * @param {ReturnType<typeof createMemorySeriesStateStore>} store
+ */
+export function setSeriesStateStore(store) {
+  seriesStateStore = store;
+}
 
 function hashLabels(labels) {
   return (
@@ -81,65 +133,302 @@ function hashLabels(labels) {
   );
 }
 
-function prepareSample(metric, tenantId) {
+/**
+ * Timestamp for a cumulative sample: the event time, but never at or before the
+ * last sample already written for the series (remote-write rejects duplicates and
+ * a cumulative value must not appear earlier than a smaller one).
+ */
+function nextCumulativeTimestamp(eventTimestamp, entry) {
+  if (!entry || !Number.isFinite(entry.timestamp)) return eventTimestamp;
+  return Math.max(eventTimestamp, entry.timestamp + 1);
+}
+
+/**
+ * Sample for one cumulative component series (counter value, histogram bucket,
+ * `_count`, `_sum`). `delta` is added to the series' current value.
+ */
+function prepareCumulative({ tenantId, labels, delta, timestamp, state }) {
+  const stateKey = `${tenantId}::${labels.__name__}::${hashLabels(labels)}`;
+  const entry = state.get(stateKey);
+  const nextEntry = {
+    value: (entry ? entry.value : 0) + delta,
+    labels,
+    tenantId,
+    heartbeatEligible: true,
+    timestamp,
+  };
+  state.set(stateKey, nextEntry);
+  return {
+    seriesKey: stateKey,
+    labels,
+    sampleValue: nextEntry.value,
+    timestamp,
+    nextState: { stateKey, entry: nextEntry, additive: true },
+  };
+}
+
+function currentEntry(tenantId, labels, state) {
+  return state.get(`${tenantId}::${labels.__name__}::${hashLabels(labels)}`);
+}
+
+/**
+ * Histogram observation → cumulative `_bucket{le}` (including +Inf), `_count` and
+ * `_sum` series, the layout histogram_quantile() expects. An observation with a `count`
+ * adds that many to the matching buckets and `_count`.
+ */
+function prepareHistogram(metric, tenantId, state, eventTimestamp, fullName, baseLabels) {
+  const count = metric.count ?? 1;
+  const bucketLabels = [...resolveBuckets(metric.buckets), Infinity].map((le) => ({
+    ...baseLabels,
+    le: le === Infinity ? '+Inf' : String(le),
+    __name__: `${fullName}_bucket`,
+  }));
+  const countLabels = { ...baseLabels, __name__: `${fullName}_count` };
+  const sumLabels = { ...baseLabels, __name__: `${fullName}_sum` };
+
+  // All components of one observation share a timestamp; `_count` is written with every one
+  const timestamp = nextCumulativeTimestamp(
+    eventTimestamp,
+    currentEntry(tenantId, countLabels, state)
+  );
+
+  return [
+    ...bucketLabels.map((labels) =>
+      prepareCumulative({
+        tenantId,
+        labels,
+        delta: labels.le === '+Inf' || metric.value <= Number(labels.le) ? count : 0,
+        timestamp,
+        state,
+      })
+    ),
+    prepareCumulative({ tenantId, labels: countLabels, delta: count, timestamp, state }),
+    prepareCumulative({
+      tenantId,
+      labels: sumLabels,
+      delta: metric.value * count,
+      timestamp,
+      state,
+    }),
+  ];
+}
+
+function quantileOf(sortedValues, q) {
+  if (!sortedValues.length) return NaN;
+  const rank = Math.min(
+    sortedValues.length - 1,
+    Math.max(0, Math.ceil(q * sortedValues.length) - 1)
+  );
+  return sortedValues[rank];
+}
+
+/**
+ * Summary observation → `{quantile}` series computed over a sliding window of recent
+ * observations, plus cumulative `_count` and `_sum`. An observation with a `count`
+ * enters the window that many times.
+ */
+function prepareSummary(metric, tenantId, state, eventTimestamp, fullName, baseLabels) {
+  const count = metric.count ?? 1;
+  const countLabels = { ...baseLabels, __name__: `${fullName}_count` };
+  const sumLabels = { ...baseLabels, __name__: `${fullName}_sum` };
+  // All components of one observation share a timestamp; `_count` is written with every one
+  const timestamp = nextCumulativeTimestamp(
+    eventTimestamp,
+    currentEntry(tenantId, countLabels, state)
+  );
+
+  const windowKey = `${tenantId}::${fullName}::window::${hashLabels(baseLabels)}`;
+  const windowEntry = state.get(windowKey);
+  const observations = [
+    ...(windowEntry?.observations ?? []).filter((o) => o.timestamp > timestamp - SUMMARY_WINDOW_MS),
+    ...Array.from({ length: Math.min(count, SUMMARY_MAX_OBSERVATIONS) }, () => ({
+      value: metric.value,
+      timestamp,
+    })),
+  ].slice(-SUMMARY_MAX_OBSERVATIONS);
+  const nextWindow = { observations, tenantId, heartbeatEligible: false, timestamp };
+  state.set(windowKey, nextWindow);
+
+  const sorted = observations.map((o) => o.value).sort((a, b) => a - b);
+  const quantileSamples = resolveQuantiles(metric.quantiles).map((q, index) => {
+    const labels = { ...baseLabels, quantile: String(q), __name__: fullName };
+    return {
+      seriesKey: `${tenantId}::${fullName}::${hashLabels(labels)}`,
+      labels,
+      sampleValue: quantileOf(sorted, q),
+      timestamp,
+      // Window state is committed once, with the first quantile
+      nextState: index === 0 ? { stateKey: windowKey, entry: nextWindow } : null,
+    };
+  });
+
+  return [
+    ...quantileSamples,
+    prepareCumulative({ tenantId, labels: countLabels, delta: count, timestamp, state }),
+    prepareCumulative({
+      tenantId,
+      labels: sumLabels,
+      delta: metric.value * count,
+      timestamp,
+      state,
+    }),
+  ];
+}
+
+/**
+ * Build the remote-write samples for one metric. `state` starts from the store and
+ * is updated in place, so repeated updates to a series within a batch accumulate.
+ * Histograms and summaries expand to several series.
+ */
+function prepareSamples(metric, tenantId, state, now) {
   const type = (metric.type || 'gauge').toLowerCase();
   const operation = metric.operation || 'set';
   const fullName = `user_metric_${metric.name}`;
   const fullLabels = { ...(metric.labels || {}), __name__: fullName };
   const labelHash = hashLabels(fullLabels);
   const stateKey = `${tenantId}::${fullName}::${labelHash}`;
+  const eventTimestamp = Number.isFinite(metric.timestamp) ? Math.round(metric.timestamp) : now;
 
-  const entry = cumulativeState.get(stateKey);
+  if (type === 'histogram' || type === 'summary') {
+    const baseLabels = { ...(metric.labels || {}) };
+    delete baseLabels.__name__;
+    const prepare = type === 'histogram' ? prepareHistogram : prepareSummary;
+    return prepare(metric, tenantId, state, eventTimestamp, fullName, baseLabels);
+  }
+
+  const entry = state.get(stateKey);
   const currentValue = entry ? entry.value : 0;
 
-  if (type === 'counter') {
-    const next = currentValue + Math.abs(metric.value);
-    return {
+  const withState = (
+    next,
+    heartbeatEligible,
+    timestamp,
+    stateTimestamp = timestamp,
+    additive = true
+  ) => {
+    const nextEntry = {
+      value: next,
       labels: fullLabels,
-      sampleValue: next,
-      nextState: {
-        stateKey,
-        entry: { value: next, labels: fullLabels, tenantId, heartbeatEligible: true },
-      },
+      tenantId,
+      heartbeatEligible,
+      timestamp: stateTimestamp,
     };
+    state.set(stateKey, nextEntry);
+    return [
+      {
+        seriesKey: stateKey,
+        labels: fullLabels,
+        sampleValue: next,
+        timestamp,
+        nextState: { stateKey, entry: nextEntry, additive },
+      },
+    ];
+  };
+
+  if (type === 'counter') {
+    const next = currentValue + Math.abs(metric.value);
+    return withState(next, true, nextCumulativeTimestamp(eventTimestamp, entry));
   }
 
-  if (type === 'gauge') {
-    let next;
-    switch (operation) {
-      case 'increment':
-        next = currentValue + Math.abs(metric.value);
-        break;
-      case 'decrement':
-        next = currentValue - Math.abs(metric.value);
-        break;
-      case 'set':
-      default:
-        next = metric.value;
-        break;
+  switch (operation) {
+    case 'increment':
+      return withState(
+        currentValue + Math.abs(metric.value),
+        false,
+        nextCumulativeTimestamp(eventTimestamp, entry)
+      );
+    case 'decrement':
+      return withState(
+        currentValue - Math.abs(metric.value),
+        false,
+        nextCumulativeTimestamp(eventTimestamp, entry)
+      );
+    case 'set':
+    default:
+      // Absolute value: keep the event time even if it is older than the last sample
+      return withState(
+        metric.value,
+        false,
+        eventTimestamp,
+        Math.max(eventTimestamp, entry?.timestamp ?? eventTimestamp),
+        false
+      );
+  }
+}
+
+/**
+ * Group prepared samples into one remote-write timeseries per label set, with
+ * samples in ascending time order. Samples sharing a timestamp collapse to the
+ * last one written (Mimir rejects duplicate timestamps with different values).
+ */
+function buildTimeseries(preparedSeries) {
+  const bySeries = new Map();
+  for (const prepared of preparedSeries) {
+    if (!bySeries.has(prepared.seriesKey)) {
+      bySeries.set(prepared.seriesKey, { labels: prepared.labels, samples: [] });
     }
-    return {
-      labels: fullLabels,
-      sampleValue: next,
-      nextState: {
-        stateKey,
-        entry: { value: next, labels: fullLabels, tenantId, heartbeatEligible: false },
-      },
-    };
+    bySeries
+      .get(prepared.seriesKey)
+      .samples.push({ value: prepared.sampleValue, timestamp: prepared.timestamp });
   }
 
-  return {
-    labels: fullLabels,
-    sampleValue: metric.value,
-    nextState: null,
-  };
+  const timeseries = [];
+  for (const series of bySeries.values()) {
+    const sorted = series.samples
+      .map((sample, index) => ({ ...sample, index }))
+      .sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+    const samples = [];
+    for (const { value, timestamp } of sorted) {
+      const last = samples[samples.length - 1];
+      if (last && last.timestamp === timestamp) {
+        last.value = value;
+      } else {
+        samples.push({ value, timestamp });
+      }
+    }
+    timeseries.push({ labels: series.labels, samples });
+  }
+  return timeseries;
 }
 
-function commitPreparedStates(preparedSeries) {
+function countSamples(timeseries) {
+  return timeseries.reduce((total, series) => total + series.samples.length, 0);
+}
+
+/**
+ * State keys a tenant batch reads and writes. The key set depends only on names,
+ * labels and shapes, so a dry run against empty state yields it without a lookup.
+ */
+function stateKeysFor(tenantMetrics, tenantId, now) {
+  const dryRun = new Map();
+  const keys = new Set();
+  for (const metric of tenantMetrics) {
+    for (const prepared of prepareSamples(metric, tenantId, dryRun, now)) {
+      if (prepared.nextState) keys.add(prepared.nextState.stateKey);
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Final state per key after a batch, plus the deltas needed to undo the additive
+ * ones if the push fails. Keys that received an absolute gauge `set` are not undone.
+ */
+function collectStateChanges(preparedSeries, current) {
+  const changes = new Map();
+  const absolute = new Set();
   for (const prepared of preparedSeries) {
     if (!prepared?.nextState?.stateKey || !prepared?.nextState?.entry) continue;
-    cumulativeState.set(prepared.nextState.stateKey, prepared.nextState.entry);
+    changes.set(prepared.nextState.stateKey, prepared.nextState.entry);
+    if (!prepared.nextState.additive) absolute.add(prepared.nextState.stateKey);
+  }
+  const adjustments = [];
+  for (const [stateKey, entry] of changes) {
+    if (absolute.has(stateKey) || !Number.isFinite(entry.value)) continue;
+    const delta = entry.value - (current.get(stateKey)?.value ?? 0);
+    if (delta !== 0) adjustments.push({ stateKey, delta });
   }
+  return { changes, adjustments };
 }
 
 /**
@@ -151,9 +440,18 @@ function commitPreparedStates(preparedSeries) {
  * @param {Object} params.labels - Metric labels
  * @param {string} params.operation - set, increment, decrement
  * @param {string} params.userId - Tenant ID = X-Scope-OrgID
+ * @param {number} [params.timestamp] - Event time in ms since epoch (defaults to push time)
  */
-export async function pushMetricToMimir({ name, type, value, labels = {}, operation, userId }) {
-  return pushMetricsToMimir([{ name, type, value, labels, operation, userId }], {
+export async function pushMetricToMimir({
+  name,
+  type,
+  value,
+  labels = {},
+  operation,
+  userId,
+  timestamp,
+}) {
+  return pushMetricsToMimir([{ name, type, value, labels, operation, userId, timestamp }], {
     mode: 'single',
     throwOnFailure: false,
   });
@@ -161,7 +459,7 @@ export async function pushMetricToMimir({ name, type, value, labels = {}, operat
 
 /**
  * Push multiple metrics to Mimir in a single request per tenant (batched).
- * @param {Array<{name, type, value, labels, operation, userId}>} metrics
+ * @param {Array<{name, type, value, labels, operation, userId, timestamp?, count?}>} metrics
  */
 export async function pushMetricsToMimir(metrics, options = {}) {
   const { mode = 'batch', throwOnFailure = false } = options;
@@ -214,7 +512,12 @@ export async function pushMetricsToMimir(metrics, options = {}) {
   if (!circuitBreaker.canAttempt()) {
     summary.ok = false;
     for (const tenantId of byTenant.keys()) {
-      summary.failedTenants.push({ tenantId, error: 'Circuit breaker OPEN — Mimir unavailable' });
+      summary.failedTenants.push({
+        tenantId,
+        error: 'Circuit breaker OPEN — Mimir unavailable',
+        status: null,
+        retryable: true,
+      });
     }
     summary.durationMs = Date.now() - startedAt;
     if (throwOnFailure) {
@@ -227,47 +530,78 @@ export async function pushMetricsToMimir(metrics, options = {}) {
   }
 
   for (const [tenantId, tenantMetrics] of byTenant) {
-    const preparedSeries = tenantMetrics.map((m) => prepareSample(m, tenantId));
-    const timestamp = Date.now();
-    const timeseries = preparedSeries.map((prepared) => ({
-      labels: prepared.labels,
-      samples: [{ value: prepared.sampleValue, timestamp }],
-    }));
+    const now = Date.now();
+    let preparedSeries = [];
+    let adjustments = [];
+    try {
+      // Reserve the new values before pushing so concurrent writers (other requests,
+      // other replicas) continue from them; undone below if the push fails.
+      await seriesStateStore.update(stateKeysFor(tenantMetrics, tenantId, now), (current) => {
+        const state = new Map(current);
+        preparedSeries = tenantMetrics.flatMap((m) => prepareSamples(m, tenantId, state, now));
+        const collected = collectStateChanges(preparedSeries, current);
+        adjustments = collected.adjustments;
+        return collected.changes;
+      });
+    } catch (err) {
+      // Not a Mimir failure, so the circuit breaker is left alone
+      summary.ok = false;
+      summary.failedTenants.push({
+        tenantId,
+        error: `Series state unavailable: ${err?.message || 'unknown error'}`,
+        status: null,
+        retryable: true,
+      });
+      logger.error({ err, tenantId }, 'Series state update failed');
+      continue;
+    }
+    const timeseries = buildTimeseries(preparedSeries);
+    const tenantSampleCount = countSamples(timeseries);
     const tenantStartedAt = Date.now();
     try {
-      await pushTimeseries(timeseries, {
+      const result = await pushTimeseries(timeseries, {
         url: pushUrl,
         headers: {
           'X-Scope-OrgID': tenantId,
           'Content-Encoding': 'snappy',
         },
       });
-      commitPreparedStates(preparedSeries);
+      assertPushAccepted(result);
       circuitBreaker.recordSuccess();
       summary.successfulTenants.push(tenantId);
       recordMimirWrite({
         mode,
         durationMs: Date.now() - tenantStartedAt,
         outcome: 'success',
-        sampleCount: timeseries.length,
+        sampleCount: tenantSampleCount,
         tenantCount: 1,
       });
     } catch (err) {
-      circuitBreaker.recordFailure();
+      // Network errors and 5xx mean Mimir is unhealthy; a rejected batch does not
+      const retryable = err?.retryable !== false;
+      if (retryable) {
+        circuitBreaker.recordFailure();
+      }
       summary.ok = false;
       summary.failedTenants.push({
         tenantId,
         error: err?.message || 'Mimir remote-write failed',
+        status: err?.status ?? null,
+        retryable,
       });
       recordMimirWrite({
         mode,
         durationMs: Date.now() - tenantStartedAt,
         outcome: 'error',
-        sampleCount: timeseries.length,
+        sampleCount: tenantSampleCount,
         tenantCount: 1,
         error: err,
       });
       logger.warn({ err, tenantId, count: tenantMetrics.length }, 'Mimir batch push failed');
+      // The samples never reached Mimir; retries (e.g. the ingest buffer) re-apply them
+      await seriesStateStore.revert(adjustments).catch((revertErr) => {
+        logger.error({ err: revertErr, tenantId }, 'Series state revert failed');
+      });
     }
   }
 
@@ -281,22 +615,113 @@ export async function pushMetricsToMimir(metrics, options = {}) {
   return summary;
 }
 
+/**
+ * Push samples that are already cumulative (e.g. a Prometheus exposition scraped from
+ * the client) for one tenant. Values are written as-is: no cumulative state, no heartbeat.
+ * @param {string} tenantId - X-Scope-OrgID
+ * @param {Array<{labels: Object, value: number, timestamp: number}>} samples - `labels`
+ *   include `__name__`
+ */
+export async function pushRawSamplesToMimir(tenantId, samples, options = {}) {
+  const { mode = 'raw', throwOnFailure = false } = options;
+  const summary = {
+    ok: true,
+    mode,
+    sampleCount: samples.length,
+    tenantCount: samples.length ? 1 : 0,
+    successfulTenants: [],
+    failedTenants: [],
+    durationMs: 0,
+  };
+  if (!samples.length) return summary;
+
+  const fail = (error, status, retryable) => {
+    summary.ok = false;
+    summary.failedTenants.push({ tenantId, error: error.message, status, retryable });
+    if (throwOnFailure) {
+      const writeError = new Error(error.message);
+      // Samples Mimir rejected (too old, invalid) will not succeed on retry
+      writeError.status = status === 503 ? 503 : retryable ? 502 : 400;
+      writeError.details = summary;
+      throw writeError;
+    }
+    return summary;
+  };
+
+  const mimirUrl = config.urls.mimir?.replace(/\/$/, '');
+  if (!mimirUrl) return fail(new Error('MIMIR_URL is not configured'), 503, false);
+  if (!circuitBreaker.canAttempt()) {
+    return fail(new Error('Circuit breaker OPEN — Mimir unavailable'), 503, true);
+  }
+
+  const timeseries = buildTimeseries(
+    samples.map((sample) => ({
+      seriesKey: `${sample.labels.__name__}::${hashLabels(sample.labels)}`,
+      labels: sample.labels,
+      sampleValue: sample.value,
+      timestamp: sample.timestamp,
+    }))
+  );
+  const startedAt = Date.now();
+  try {
+    const result = await pushTimeseries(timeseries, {
+      url: `${mimirUrl}/api/v1/push`,
+      headers: { 'X-Scope-OrgID': tenantId, 'Content-Encoding': 'snappy' },
+    });
+    assertPushAccepted(result);
+    circuitBreaker.recordSuccess();
+    summary.successfulTenants.push(tenantId);
+    summary.durationMs = Date.now() - startedAt;
+    recordMimirWrite({
+      mode,
+      durationMs: summary.durationMs,
+      outcome: 'success',
+      sampleCount: countSamples(timeseries),
+      tenantCount: 1,
+    });
+    return summary;
+  } catch (err) {
+    const retryable = err?.retryable !== false;
+    if (retryable) circuitBreaker.recordFailure();
+    summary.durationMs = Date.now() - startedAt;
+    recordMimirWrite({
+      mode,
+      durationMs: summary.durationMs,
+      outcome: 'error',
+      sampleCount: countSamples(timeseries),
+      tenantCount: 1,
+      error: err,
+    });
+    logger.warn({ err, tenantId, count: samples.length }, 'Mimir raw push failed');
+    return fail(
+      new Error(err?.message || 'Mimir remote-write failed'),
+      err?.status ?? null,
+      retryable
+    );
+  }
+}
+
 /**
  * Clear cumulative state for a tenant (e.g. on user deletion).
  * @param {string} tenantId
  */
-export function clearTenantState(tenantId) {
-  const prefix = `${tenantId}::`;
-  for (const key of cumulativeState.keys()) {
-    if (key.startsWith(prefix)) cumulativeState.delete(key);
-  }
+export async function clearTenantState(tenantId) {
+  await seriesStateStore.clearTenant(tenantId);
 }
 
 /**
  * Counter heartbeat — periodically re-pushes the current cumulative value
  * for every tracked series so that PromQL increase() has dense samples and
  * does not over-extrapolate on sparse event data (e.g. a few orders/day).
+ * Series written within the last half interval are skipped, and claiming through
+ * the store means only one replica heartbeats a given series per interval.
+ * Series are claimed in pages, oldest sample first. State no ingest has written for
+ * `config.metrics.stateIdleTtlMs` is no longer heartbeated and is deleted a batch per
+ * tick, so abandoned series go stale in Mimir instead of being re-pushed forever.
  */
+const HEARTBEAT_PAGE_SIZE = 5000;
+const PRUNE_BATCH_SIZE = 5000;
+
 let _heartbeatTimer = null;
 let _heartbeatInFlight = false;
 
@@ -311,47 +736,32 @@ export function startCounterHeartbeat(intervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS
   );
 
   _heartbeatTimer = setInterval(async () => {
-    if (cumulativeState.size === 0 || _heartbeatInFlight || !circuitBreaker.canAttempt()) return;
+    if (_heartbeatInFlight || !circuitBreaker.canAttempt()) return;
     _heartbeatInFlight = true;
 
     try {
-      const byTenant = new Map();
-      const timestamp = Date.now();
-      for (const [, entry] of cumulativeState) {
-        if (!entry.labels || !entry.tenantId || !entry.heartbeatEligible) continue;
-        const tid = entry.tenantId;
-        if (!byTenant.has(tid)) byTenant.set(tid, []);
-        byTenant.get(tid).push({
-          labels: entry.labels,
-          samples: [{ value: entry.value, timestamp }],
-        });
+      try {
+        await seriesStateStore.pruneIdle(STATE_IDLE_TTL_MS, PRUNE_BATCH_SIZE);
+      } catch (err) {
+        logger.warn({ err }, 'Counter heartbeat could not prune idle series state');
       }
 
-      for (const [tenantId, timeseries] of byTenant) {
-        const tenantStartedAt = Date.now();
+      const timestamp = Date.now();
+      for (;;) {
+        let claimed;
         try {
-          await pushTimeseries(timeseries, {
-            url: pushUrl,
-            headers: { 'X-Scope-OrgID': tenantId, 'Content-Encoding': 'snappy' },
-          });
-          recordMimirWrite({
-            mode: 'heartbeat',
-            durationMs: Date.now() - tenantStartedAt,
-            outcome: 'success',
-            sampleCount: timeseries.length,
-            tenantCount: 1,
-          });
+          // Claims the timestamp up front so concurrent ingest writes land after it
+          claimed = await seriesStateStore.claimHeartbeat(
+            timestamp,
+            timestamp - Math.floor(safeIntervalMs / 2),
+            { limit: HEARTBEAT_PAGE_SIZE, idleMs: STATE_IDLE_TTL_MS }
+          );
         } catch (err) {
-          recordMimirWrite({
-            mode: 'heartbeat',
-            durationMs: Date.now() - tenantStartedAt,
-            outcome: 'error',
-            sampleCount: timeseries.length,
-            tenantCount: 1,
-            error: err,
-          });
-          logger.warn({ err, tenantId }, 'Counter heartbeat push failed');
+          logger.warn({ err }, 'Counter heartbeat could not read series state');
+          return;
         }
+        await pushHeartbeatPage(pushUrl, claimed, timestamp);
+        if (claimed.length < HEARTBEAT_PAGE_SIZE) break;
       }
     } finally {
       _heartbeatInFlight = false;
@@ -361,6 +771,47 @@ export function startCounterHeartbeat(intervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS
   return safeIntervalMs;
 }
 
+// Push one page of claimed heartbeat series, one request per tenant
+async function pushHeartbeatPage(pushUrl, claimed, timestamp) {
+  const byTenant = new Map();
+  for (const entry of claimed) {
+    const tid = entry.tenantId;
+    if (!byTenant.has(tid)) byTenant.set(tid, []);
+    byTenant.get(tid).push({
+      labels: entry.labels,
+      samples: [{ value: entry.value, timestamp }],
+    });
+  }
+
+  for (const [tenantId, timeseries] of byTenant) {
+    const tenantStartedAt = Date.now();
+    try {
+      const result = await pushTimeseries(timeseries, {
+        url: pushUrl,
+        headers: { 'X-Scope-OrgID': tenantId, 'Content-Encoding': 'snappy' },
+      });
+      assertPushAccepted(result);
+      recordMimirWrite({
+        mode: 'heartbeat',
+        durationMs: Date.now() - tenantStartedAt,
+        outcome: 'success',
+        sampleCount: timeseries.length,
+        tenantCount: 1,
+      });
+    } catch (err) {
+      recordMimirWrite({
+        mode: 'heartbeat',
+        durationMs: Date.now() - tenantStartedAt,
+        outcome: 'error',
+        sampleCount: timeseries.length,
+        tenantCount: 1,
+        error: err,
+      });
+      logger.warn({ err, tenantId }, 'Counter heartbeat push failed');
+    }
+  }
+}
+
 export function stopCounterHeartbeat() {
   if (_heartbeatTimer) {
     clearInterval(_heartbeatTimer);
@@ -14,6 +14,13 @@ import {
   promqlSelectorForMetricNames,
   promqlMultiSeriesSelector,
 } from './dashboardWidget.service.js';
+import {
+  DEFAULT_BASELINE_DAYS,
+  DEFAULT_Z_THRESHOLD,
+  baselineSamples,
+  scoreAnomaly,
+  seasonalBaselineWindow,
+} from '../utils/anomaly.js';
 
 const MIMIR_BASE = (config.urls.mimir || process.env.MIMIR_URL || 'http://localhost:9009').replace(
   /\/$/,
@@ -21,6 +28,7 @@ const MIMIR_BASE = (config.urls.mimir || process.env.MIMIR_URL || 'http://localh
 );
 const QUERY_URL = `${MIMIR_BASE}/prometheus/api/v1/query`;
 const QUERY_RANGE_URL = `${MIMIR_BASE}/prometheus/api/v1/query_range`;
+const API_BASE_URL = `${MIMIR_BASE}/prometheus/api/v1`;
 const DASHBOARD_LOOKBACK_SECONDS = 24 * 3600;
 const MIN_RANGE_STEP_SECONDS = 15;
 const SHORT_RANGE_STEP_SECONDS = 60;
@@ -28,6 +36,7 @@ const MEDIUM_RANGE_STEP_SECONDS = 300;
 const LONG_RANGE_STEP_SECONDS = 900;
 const RECENT_COUNTER_WINDOW = '2m';
 const RECENT_PERFORMANCE_WINDOW = '15m';
+const MAX_CACHED_BASELINES = 1000;
 
 const MOVIE_METRIC_NAMES = [
   'ticket_purchase_completed',
@@ -268,6 +277,59 @@ export async function queryRange(tenantId, query, start, end, step = null, optio
   }
 }
 
+/**
+ * GET one of Mimir's Prometheus metadata endpoints (series, labels, label values) for
+ * a tenant.
+ * @param {string} tenantId - X-Scope-OrgID (user_id)
+ * @param {string} path - Path below /prometheus/api/v1, e.g. `/series`
+ * @param {Array<[string, string]>} params - Query parameters; `match[]` may repeat
+ * @returns {Promise<any|null>} - The response's `data`, or null on failure
+ */
+export async function queryMimirApi(tenantId, path, params = [], options = {}) {
+  const queryKind = options.queryKind || 'metadata';
+  const startedAt = Date.now();
+  try {
+    const res = await fetch(`${API_BASE_URL}${path}?${new URLSearchParams(params)}`, {
+      headers: { 'X-Scope-OrgID': String(tenantId) },
+    });
+    if (!res.ok) {
+      const body = await res.text().catch(() => '');
+      recordMimirQuery({
+        queryKind,
+        durationMs: Date.now() - startedAt,
+        outcome: 'error',
+        resultSeries: 0,
+        error: `HTTP ${res.status}: ${body.slice(0, 160)}`,
+      });
+      logger.warn(
+        { status: res.status, tenantId, path, body: body.slice(0, 160) },
+        'mimirQuery: non-OK response'
+      );
+      return null;
+    }
+    const data = await res.json();
+    const ok = data?.status === 'success';
+    recordMimirQuery({
+      queryKind,
+      durationMs: Date.now() - startedAt,
+      outcome: ok ? 'success' : 'error',
+      resultSeries: Array.isArray(data?.data) ? data.data.length : 0,
+      ...(ok ? {} : { error: data?.error || 'Mimir API returned non-success status' }),
+    });
+    return ok ? data.data : null;
+  } catch (err) {
+    recordMimirQuery({
+      queryKind,
+      durationMs: Date.now() - startedAt,
+      outcome: 'error',
+      resultSeries: 0,
+      error: err,
+    });
+    logger.warn({ err: err?.message, tenantId, path }, 'mimirQuery: API request failed');
+    return null;
+  }
+}
+
 /**
  * Clamp a timing metric to [0, max]. Values outside this range indicate
  * measurement bugs (e.g. loadEventEnd read before it is populated, producing
@@ -329,27 +391,58 @@ function flattenRangeSeries(result, filterFn = null) {
   );
 }
 
+/**
+ * RUM timings averaged over RECENT_PERFORMANCE_WINDOW when details are requested:
+ * [stats key, SDK metric name, clamp maximum]. CLS is reported ×1000 by the SDK.
+ * FID is kept for sites still on older SDKs; current SDKs report INP instead.
+ */
+const PERFORMANCE_METRICS = [
+  ['pageLoadTime', 'page_load_time', MAX_REASONABLE_TIMING_MS],
+  ['ttfb', 'ttfb', MAX_REASONABLE_TIMING_MS],
+  ['domContentLoaded', 'dom_content_loaded', MAX_REASONABLE_TIMING_MS],
+  ['fcp', 'fcp', MAX_REASONABLE_TIMING_MS],
+  ['lcp', 'lcp', MAX_REASONABLE_TIMING_MS],
+  ['fid', 'fid', MAX_REASONABLE_TIMING_MS],
+  ['inp', 'inp', MAX_REASONABLE_TIMING_MS],
+  ['cls', 'cls', 10_000],
+];
+
+function performanceQueryJobs(uid, userFilter) {
+  return PERFORMANCE_METRICS.map(([, metricName]) =>
+    queryScalar(
+      uid,
+      `avg(avg_over_time(user_metric_${metricName}{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
+    )
+  );
+}
+
+function performanceFromResults(results) {
+  return Object.fromEntries(PERFORMANCE_METRICS.map(([key], i) => [key, results[i]]));
+}
+
 function buildOptionalPerformanceStats(performance = {}, includeDetails = false) {
-  if (!includeDetails) {
-    return {
-      pageLoadTime: 0,
-      ttfb: 0,
-      domContentLoaded: 0,
-      fcp: 0,
-      lcp: 0,
-      fid: 0,
-      cls: 0,
-    };
-  }
+  return Object.fromEntries(
+    PERFORMANCE_METRICS.map(([key, , max]) => [
+      key,
+      includeDetails ? clampTimingMs(performance[key], max) : 0,
+    ])
+  );
+}
 
+/**
+ * Session stats from the browser SDK's session counters (24h). Per-session averages are
+ * the counters divided by session_start; a session is a bounce until it becomes engaged.
+ */
+function buildSessionStats({ starts, newVisitors, seconds, pages, engaged }) {
+  const total = starts ?? 0;
+  const perSession = (value) => (total > 0 ? (value ?? 0) / total : 0);
+  const bounceRate = total > 0 ? Math.min(100, Math.max(0, (1 - perSession(engaged)) * 100)) : 0;
   return {
-    pageLoadTime: clampTimingMs(performance.pageLoadTime),
-    ttfb: clampTimingMs(performance.ttfb),
-    domContentLoaded: clampTimingMs(performance.domContentLoaded),
-    fcp: clampTimingMs(performance.fcp),
-    lcp: clampTimingMs(performance.lcp),
-    fid: clampTimingMs(performance.fid),
-    cls: clampTimingMs(performance.cls, 10_000),
+    sessions: Math.round(total),
+    newVisitors: Math.round(newVisitors ?? 0),
+    avgSessionDuration: Math.round(perSession(seconds)),
+    pagesPerSession: Number(perSession(pages).toFixed(2)),
+    bounceRate: Number(bounceRate.toFixed(1)),
   };
 }
 
@@ -364,38 +457,7 @@ export async function fetchMovieDashboardMetrics(userId, siteId = null, options
   const pageViewSelector = promqlSelectorForMetricNames(PAGE_VIEW_METRIC_NAMES, userId, siteId);
   const movieSelector = promqlSelectorForMetricNames(MOVIE_METRIC_NAMES, userId, siteId);
   const revenueForTickets = promqlSelectorForMetricNames(REVENUE_METRIC_NAMES, userId, siteId);
-  const performanceJobs = includeDetails
-    ? [
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_page_load_time{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_ttfb{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_dom_content_loaded{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_fcp{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_lcp{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_fid{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_cls{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-      ]
-    : [];
+  const performanceJobs = includeDetails ? performanceQueryJobs(uid, userFilter) : [];
 
   const [
     ticketsSold,
@@ -445,17 +507,7 @@ export async function fetchMovieDashboardMetrics(userId, siteId = null, options
     ...performanceJobs,
   ]);
 
-  const performance = includeDetails
-    ? {
-        pageLoadTime: performanceResults[0],
-        ttfb: performanceResults[1],
-        domContentLoaded: performanceResults[2],
-        fcp: performanceResults[3],
-        lcp: performanceResults[4],
-        fid: performanceResults[5],
-        cls: performanceResults[6],
-      }
-    : {};
+  const performance = includeDetails ? performanceFromResults(performanceResults) : {};
 
   let timeseriesData = [];
   let ticketActivityOverTime = [];
@@ -542,38 +594,7 @@ export async function fetchLegacyDashboardMetrics(userId, siteId = null, options
     siteId
   );
   const addToCartSelector = promqlSelectorForMetricNames(ADD_TO_CART_METRIC_NAMES, userId, siteId);
-  const performanceJobs = includeDetails
-    ? [
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_page_load_time{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_ttfb{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_dom_content_loaded{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_fcp{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_lcp{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_fid{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-        queryScalar(
-          uid,
-          `avg(avg_over_time(user_metric_cls{${userFilter}}[${RECENT_PERFORMANCE_WINDOW}])) or vector(0)`
-        ),
-      ]
-    : [];
+  const performanceJobs = includeDetails ? performanceQueryJobs(uid, userFilter) : [];
 
   const [
     revenue,
@@ -591,6 +612,11 @@ export async function fetchLegacyDashboardMetrics(userId, siteId = null, options
     maxScrollDepth,
     timeOnPage,
     interactions,
+    sessionStarts,
+    newVisitorSessions,
+    sessionSeconds,
+    sessionPages,
+    engagedSessions,
     ...performanceResults
   ] = await Promise.all([
     queryScalar(uid, `sum(increase(${revenueSelector}[24h])) or vector(0)`),
@@ -626,23 +652,27 @@ export async function fetchLegacyDashboardMetrics(userId, siteId = null, options
       uid,
       `sum(increase(user_metric_user_interaction{${userFilter}}[24h])) or vector(0)`
     ),
+    queryScalar(uid, `sum(increase(user_metric_session_start{${userFilter}}[24h])) or vector(0)`),
+    queryScalar(
+      uid,
+      `sum(increase(user_metric_session_start{${userFilter},visitor="new"}[24h])) or vector(0)`
+    ),
+    queryScalar(
+      uid,
+      `sum(increase(user_metric_session_duration{${userFilter}}[24h])) or vector(0)`
+    ),
+    queryScalar(
+      uid,
+      `sum(increase(user_metric_pages_per_session{${userFilter}}[24h])) or vector(0)`
+    ),
+    queryScalar(uid, `sum(increase(user_metric_session_engaged{${userFilter}}[24h])) or vector(0)`),
     ...performanceJobs,
   ]);
 
   const rev = revenue ?? 0;
   const ord = orders ?? 0;
   const avgOrder = ord > 0 ? rev / ord : 0;
-  const performance = includeDetails
-    ? {
-        pageLoadTime: performanceResults[0],
-        ttfb: performanceResults[1],
-        domContentLoaded: performanceResults[2],
-        fcp: performanceResults[3],
-        lcp: performanceResults[4],
-        fid: performanceResults[5],
-        cls: performanceResults[6],
-      }
-    : {};
+  const performance = includeDetails ? performanceFromResults(performanceResults) : {};
 
   if (process.env.MIMIR_DEBUG === '1') {
     logger.info(
@@ -721,6 +751,13 @@ export async function fetchLegacyDashboardMetrics(userId, siteId = null, options
       avgMaxScrollDepth: Math.round(maxScrollDepth ?? 0),
       avgTimeOnPage: Math.round(timeOnPage ?? 0),
       totalInteractions: Math.round(interactions ?? 0),
+      ...buildSessionStats({
+        starts: sessionStarts,
+        newVisitors: newVisitorSessions,
+        seconds: sessionSeconds,
+        pages: sessionPages,
+        engaged: engagedSessions,
+      }),
     },
     timeseries: normalizeRangeSeries(timeseriesData),
     revenueOverTime: flattenRangeSeries(revenueOverTime),
@@ -732,8 +769,55 @@ export async function fetchLegacyDashboardMetrics(userId, siteId = null, options
   };
 }
 
+const anomalyOptions = (widget) => ({
+  baselineDays: Number(widget.anomaly_baseline_days) || DEFAULT_BASELINE_DAYS,
+  zThreshold: Number(widget.anomaly_z_threshold) || DEFAULT_Z_THRESHOLD,
+});
+
+// The seasonal baseline only moves on the hour, so it is read once per widget and hour
+const baselineCache = new Map(); // `${uid}|${days}|${end}|${promql}` -> samples
+
+async function seasonalBaseline(uid, promql, days) {
+  const window = seasonalBaselineWindow(Math.floor(Date.now() / 1000), days);
+  const key = `${uid}|${days}|${window.end}|${promql}`;
+  if (baselineCache.has(key)) return baselineCache.get(key);
+
+  const series = await queryRange(uid, promql, window.start, window.end, window.step, {
+    queryKind: 'anomaly',
+  });
+  if (series === null) return null;
+  const samples = baselineSamples(series, window.times);
+  if (baselineCache.size >= MAX_CACHED_BASELINES) {
+    baselineCache.delete(baselineCache.keys().next().value);
+  }
+  baselineCache.set(key, samples);
+  return samples;
+}
+
+/**
+ * `anomaly` block of a widget with anomaly detection on (see utils/anomaly.js);
+ * `status` is `unavailable` when the current value or the baseline could not be read.
+ */
+function widgetAnomaly(widget, value, samples) {
+  const options = anomalyOptions(widget);
+  if (value === null || samples === null) {
+    return {
+      status: 'unavailable',
+      direction: null,
+      zScore: null,
+      expected: null,
+      stdDev: null,
+      baselineSamples: 0,
+      ...options,
+    };
+  }
+  return scoreAnomaly(value, samples, options);
+}
+
 /**
- * Config-driven dashboard from dashboard_widgets rows (widget KPI contract).
+ * Config-driven dashboard from dashboard_widgets rows (widget KPI contract). Widgets
+ * with `anomaly_detection` also carry an `anomaly` block comparing the value with the
+ * same hour over the previous days.
  */
 export async function fetchConfigDrivenDashboardMetrics(userId, siteId, widgets, options = {}) {
   const uid = String(userId);
@@ -741,9 +825,17 @@ export async function fetchConfigDrivenDashboardMetrics(userId, siteId, widgets,
   const { start, end } = currentDashboardWindow();
   const step = recommendRangeStepSeconds(start, end);
 
-  const scalars = await Promise.all(
-    widgets.map((w) => queryScalar(uid, promqlForWidget(w, userId, siteId)))
-  );
+  const promqls = widgets.map((w) => promqlForWidget(w, userId, siteId));
+  const [scalars, baselines] = await Promise.all([
+    Promise.all(promqls.map((promql) => queryScalar(uid, promql))),
+    Promise.all(
+      widgets.map((w, i) =>
+        w.anomaly_detection
+          ? seasonalBaseline(uid, promqls[i], anomalyOptions(w).baselineDays)
+          : null
+      )
+    ),
+  ]);
 
   const featuredByIndex = new Map();
   let multiSeries = [];
@@ -789,6 +881,7 @@ export async function fetchConfigDrivenDashboardMetrics(userId, siteId, widgets,
     featuredChart: w.featured_chart,
     value: scalars[i] ?? 0,
     featuredSeries: featuredByIndex.get(i) ?? null,
+    anomaly: w.anomaly_detection ? widgetAnomaly(w, scalars[i], baselines[i]) : null,
   }));
 
   const siteNum =
@@ -0,0 +1,416 @@
+/**
+ * Alert notifications — firing/resolved events are queued per notification channel
+ * (`alert_notifications`) and sent in the background by pluggable senders:
+ *
+ *   email    SMTP (SMTP_HOST / SMTP_PORT / …) to `config.to`
+ *   slack    Slack- or Teams-style incoming webhook, `{ "text": … }` to `config.url`
+ *   webhook  Generic JSON (`alerts.notification`) to `config.url`
+ *
+ * A channel receives the events of its owner's rules at or above `min_severity`. It
+ * gets at most one message per `minIntervalMs`: events queued in the meantime are
+ * grouped into the next message, one entry per rule with the number of transitions.
+ * A failed send keeps the events pending and retries them with backoff until
+ * `maxAttempts`. Channels are claimed with a short lease (FOR UPDATE SKIP LOCKED), so
+ * several replicas can dispatch from the same tables.
+ */
+import nodemailer from 'nodemailer';
+import { query } from '../database/connection.js';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { recordAlertNotification } from '../middleware/appMetrics.js';
+import { postToEndpoint, webhookUrlProblem } from './webhook.service.js';
+
+export const CHANNEL_TYPES = ['email', 'slack', 'webhook'];
+export const NOTIFICATION_EVENT = 'alerts.notification';
+export const MAX_EMAIL_RECIPIENTS = 10;
+
+const LEASE_SECONDS = 60;
+const DEFAULT_DISPATCH_INTERVAL_MS = 5_000;
+const MAX_RETRY_DELAY_MS = 3_600_000;
+const MAX_ERROR_LENGTH = 500;
+const EMAIL_RE = /^[^\s@<>,;]+@[^\s@<>,;]+$/;
+// Lowest to highest, as ALERT_SEVERITIES in alert.service.js (which imports this module)
+const SEVERITY_ORDER = ['info', 'warning', 'critical'];
+
+export function isNotificationDispatchEnabled() {
+  return config.notifications?.enabled === true;
+}
+
+export function isSmtpConfigured() {
+  return Boolean(config.notifications?.smtp?.host);
+}
+
+/**
+ * Validate and normalize a channel's type-specific settings.
+ * @param {string} type - One of CHANNEL_TYPES
+ * @param {Object} value - `{ to: string[] }` for email, `{ url }` otherwise
+ * @returns {{ config?: Object, problem?: string }}
+ */
+export function parseChannelConfig(type, value) {
+  const raw = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+
+  if (type === 'email') {
+    if (!isSmtpConfigured()) return { problem: 'Email is unavailable: SMTP is not configured' };
+    const to = (Array.isArray(raw.to) ? raw.to : [raw.to])
+      .filter((address) => typeof address === 'string')
+      .map((address) => address.trim())
+      .filter(Boolean);
+    if (to.length === 0) return { problem: 'config.to needs at least one address' };
+    if (to.length > MAX_EMAIL_RECIPIENTS) {
+      return { problem: `config.to allows at most ${MAX_EMAIL_RECIPIENTS} addresses` };
+    }
+    const invalid = to.find((address) => !EMAIL_RE.test(address));
+    if (invalid) return { problem: `Invalid email address: ${invalid}` };
+    return { config: { to: [...new Set(to)] } };
+  }
+
+  if (type === 'slack' || type === 'webhook') {
+    const url = typeof raw.url === 'string' ? raw.url.trim() : '';
+    if (!url) return { problem: 'config.url is required' };
+    const problem = webhookUrlProblem(url);
+    if (problem) return { problem };
+    return { config: { url } };
+  }
+
+  return { problem: `type must be one of: ${CHANNEL_TYPES.join(', ')}` };
+}
+
+/**
+ * Collapse queued events into one entry per rule: the latest status and value, and
+ * how many transitions happened since the last message.
+ * @param {Array<Object>} rows - Queued events joined with their rule (oldest first)
+ * @returns {Array<Object>} - Most severe first, then by rule name
+ */
+export function groupAlerts(rows) {
+  const byRule = new Map();
+  for (const row of rows) {
+    const entry = byRule.get(row.rule_id);
+    if (!entry) {
+      byRule.set(row.rule_id, {
+        rule_id: row.rule_id,
+        rule_name: row.rule_name,
+        severity: row.severity,
+        status: row.status,
+        value: row.value,
+        operator: row.operator,
+        threshold: row.threshold,
+        metric: row.metric,
+        occurrences: 1,
+        first_at: row.created_at,
+        last_at: row.created_at,
+      });
+      continue;
+    }
+    entry.status = row.status;
+    entry.value = row.value;
+    entry.occurrences += 1;
+    entry.last_at = row.created_at;
+  }
+  return [...byRule.values()].sort(
+    (a, b) =>
+      SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity) ||
+      String(a.rule_name).localeCompare(String(b.rule_name))
+  );
+}
+
+const formatNumber = (value) =>
+  value == null ? 'n/a' : String(Math.round(Number(value) * 10_000) / 10_000);
+
+function appLinks() {
+  const base = String(config.cors?.frontendUrl || '').replace(/\/$/, '');
+  return { dashboard: `${base}/`, alerts: `${base}/alerts` };
+}
+
+/**
+ * Render grouped alerts for every channel type.
+ * @param {Array<Object>} alerts - From groupAlerts
+ * @returns {{ subject: string, text: string, markdown: string, payload: Object }}
+ */
+export function renderNotification(alerts) {
+  const links = appLinks();
+  const firing = alerts.filter((a) => a.status === 'firing').length;
+  const resolved = alerts.length - firing;
+
+  let subject;
+  if (alerts.length === 1) {
+    const [a] = alerts;
+    subject = `[Vizme] ${a.status.toUpperCase()} ${a.severity}: ${a.rule_name}`;
+  } else {
+    const parts = [];
+    if (firing) parts.push(`${firing} firing`);
+    if (resolved) parts.push(`${resolved} resolved`);
+    subject = `[Vizme] ${alerts.length} alerts: ${parts.join(', ')}`;
+  }
+
+  const line = (a, bold) => {
+    const name = bold ? `*${a.rule_name}*` : a.rule_name;
+    const repeat = a.occurrences > 1 ? ` (${a.occurrences} transitions)` : '';
+    return (
+      `${a.status.toUpperCase()} [${a.severity}] ${name}: value ${formatNumber(a.value)} ` +
+      `(${a.operator} ${formatNumber(a.threshold)}), metric ${a.metric}${repeat}`
+    );
+  };
+  const footer = `Dashboard: ${links.dashboard}\nAlert rules: ${links.alerts}`;
+
+  return {
+    subject,
+    text: `${alerts.map((a) => line(a, false)).join('\n')}\n\n${footer}\n`,
+    markdown:
+      `${subject}\n${alerts.map((a) => `• ${line(a, true)}`).join('\n')}\n` +
+      `<${links.dashboard}|Dashboard> · <${links.alerts}|Alert rules>`,
+    payload: {
+      event: NOTIFICATION_EVENT,
+      sent_at: new Date().toISOString(),
+      dashboard_url: links.dashboard,
+      alerts_url: links.alerts,
+      alerts: alerts.map((a) => ({
+        ...a,
+        value: a.value == null ? null : Number(a.value),
+        threshold: Number(a.threshold),
+      })),
+    },
+  };
+}
+
+let _smtpTransport = null;
+
+function smtpTransport() {
+  if (!_smtpTransport) {
+    const smtp = config.notifications.smtp;
+    const timeoutMs = config.notifications.timeoutMs ?? 10_000;
+    _smtpTransport = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs,
+    });
+  }
+  return _smtpTransport;
+}
+
+async function postJson(url, body) {
+  const res = await postToEndpoint(url, {
+    headers: { 'Content-Type': 'application/json', 'User-Agent': 'Vizme-Alerts/1.0' },
+    body: JSON.stringify(body),
+    timeoutMs: config.notifications?.timeoutMs ?? 10_000,
+  });
+  if (res.status < 200 || res.status >= 300) throw new Error(`HTTP ${res.status}`);
+}
+
+/** One sender per channel type; each throws when the message was not accepted. */
+const SENDERS = {
+  email: async (channel, message) => {
+    if (!isSmtpConfigured()) throw new Error('SMTP is not configured');
+    await smtpTransport().sendMail({
+      from: config.notifications.smtp.from,
+      to: channel.config.to,
+      subject: message.subject,
+      text: message.text,
+    });
+  },
+  slack: (channel, message) => postJson(channel.config.url, { text: message.markdown }),
+  webhook: (channel, message) => postJson(channel.config.url, message.payload),
+};
+
+/**
+ * Send grouped alerts to a channel.
+ * @param {{ type: string, config: Object }} channel
+ * @param {Array<Object>} alerts - From groupAlerts
+ */
+export async function sendToChannel(channel, alerts) {
+  const sender = SENDERS[channel.type];
+  if (!sender) throw new Error(`Unknown channel type: ${channel.type}`);
+  await sender(channel, renderNotification(alerts));
+}
+
+/**
+ * Send a sample alert right away, bypassing the queue and the per-channel interval.
+ * @returns {Promise<{ ok: boolean, error: string|null }>}
+ */
+export async function sendTestNotification(channel) {
+  const now = new Date().toISOString();
+  try {
+    await sendToChannel(channel, [
+      {
+        rule_id: 0,
+        rule_name: `Test notification for "${channel.name}"`,
+        severity: 'info',
+        status: 'firing',
+        value: 1,
+        operator: '>',
+        threshold: 0,
+        metric: 'vizme_test',
+        occurrences: 1,
+        first_at: now,
+        last_at: now,
+      },
+    ]);
+    return { ok: true, error: null };
+  } catch (err) {
+    return { ok: false, error: String(err.message).slice(0, MAX_ERROR_LENGTH) };
+  }
+}
+
+/**
+ * Queue an alert event for the owner's enabled channels that accept its severity.
+ * @returns {Promise<number>} - Notifications queued
+ */
+export async function enqueueAlertNotifications({ eventId, userId, severity }) {
+  if (!isNotificationDispatchEnabled()) return 0;
+  const result = await query(
+    `INSERT INTO alert_notifications (channel_id, event_id)
+     SELECT c.id, $1 FROM notification_channels c
+     WHERE c.user_id = $2 AND c.enabled
+       AND array_position($3::text[], c.min_severity) <= array_position($3::text[], $4)`,
+    [eventId, userId, SEVERITY_ORDER, severity]
+  );
+  return result.rowCount;
+}
+
+async function claimDueChannels(maxChannels) {
+  const minIntervalMs = config.notifications?.minIntervalMs ?? 60_000;
+  const result = await query(
+    `UPDATE notification_channels c SET locked_until = NOW() + INTERVAL '${LEASE_SECONDS} seconds'
+     WHERE c.id IN (
+       SELECT cc.id FROM notification_channels cc
+       WHERE cc.enabled
+         AND (cc.locked_until IS NULL OR cc.locked_until < NOW())
+         AND (cc.last_notified_at IS NULL
+              OR cc.last_notified_at <= NOW() - ($2::bigint * INTERVAL '1 millisecond'))
+         AND EXISTS (
+           SELECT 1 FROM alert_notifications n
+           WHERE n.channel_id = cc.id AND n.status = 'pending' AND n.next_attempt_at <= NOW()
+         )
+       ORDER BY cc.id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING c.id, c.user_id, c.name, c.type, c.config`,
+    [maxChannels, minIntervalMs]
+  );
+  return [...result.rows].sort((a, b) => a.id - b.id);
+}
+
+async function loadQueuedAlerts(channelId) {
+  const result = await query(
+    `SELECT n.id, n.attempts, e.rule_id, e.status, e.value, e.created_at,
+            r.name AS rule_name, r.severity, r.operator, r.threshold,
+            COALESCE(w.metric_name, r.promql) AS metric
+     FROM alert_notifications n
+     JOIN alert_events e ON e.id = n.event_id
+     JOIN alert_rules r ON r.id = e.rule_id
+     LEFT JOIN dashboard_widgets w ON w.id = r.widget_id
+     WHERE n.channel_id = $1 AND n.status = 'pending' AND n.next_attempt_at <= NOW()
+     ORDER BY n.id
+     LIMIT $2`,
+    [channelId, config.notifications?.maxAlertsPerMessage ?? 50]
+  );
+  return result.rows;
+}
+
+/**
+ * Send one grouped message to each channel with due notifications, up to `maxChannels`.
+ * @returns {Promise<{ sent: number, retried: number, failed: number }>} - Messages
+ */
+export async function dispatchNotifications({ maxChannels = 20 } = {}) {
+  const outcome = { sent: 0, retried: 0, failed: 0 };
+  const maxAttempts = config.notifications?.maxAttempts ?? 5;
+  const retryBaseDelayMs = config.notifications?.retryBaseDelayMs ?? 30_000;
+
+  for (const channel of await claimDueChannels(maxChannels)) {
+    const rows = await loadQueuedAlerts(channel.id);
+    if (rows.length === 0) {
+      await query(`UPDATE notification_channels SET locked_until = NULL WHERE id = $1`, [
+        channel.id,
+      ]);
+      continue;
+    }
+    const ids = rows.map((row) => row.id);
+    try {
+      await sendToChannel(channel, groupAlerts(rows));
+      await query(
+        `UPDATE alert_notifications SET status = 'sent', attempts = attempts + 1,
+           last_error = NULL, sent_at = NOW()
+         WHERE id = ANY($1::bigint[])`,
+        [ids]
+      );
+      await query(
+        `UPDATE notification_channels SET last_notified_at = NOW(), locked_until = NULL
+         WHERE id = $1`,
+        [channel.id]
+      );
+      outcome.sent += 1;
+      recordAlertNotification(channel.type, 'sent');
+    } catch (err) {
+      const error = String(err.message || 'Send failed').slice(0, MAX_ERROR_LENGTH);
+      const gaveUp = rows.some((row) => row.attempts + 1 >= maxAttempts);
+      await query(
+        `UPDATE alert_notifications SET attempts = attempts + 1, last_error = $2,
+           status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE status END,
+           next_attempt_at = NOW()
+             + LEAST($4::bigint * POWER(2, attempts), $5::bigint) * INTERVAL '1 millisecond'
+         WHERE id = ANY($1::bigint[])`,
+        [ids, error, maxAttempts, retryBaseDelayMs, MAX_RETRY_DELAY_MS]
+      );
+      await query(`UPDATE notification_channels SET locked_until = NULL WHERE id = $1`, [
+        channel.id,
+      ]);
+      outcome[gaveUp ? 'failed' : 'retried'] += 1;
+      recordAlertNotification(channel.type, gaveUp ? 'failed' : 'retried');
+      logger.warn(
+        { channelId: channel.id, type: channel.type, error },
+        'Alert notification not sent'
+      );
+    }
+  }
+
+  return outcome;
+}
+
+let _dispatchTimer = null;
+let _dispatchInFlight = false;
+
+/**
+ * Periodically send queued alert notifications.
+ * @param {number} [intervalMs]
+ */
+export function startNotificationDispatch(
+  intervalMs = config.notifications?.dispatchIntervalMs ?? DEFAULT_DISPATCH_INTERVAL_MS
+) {
+  if (_dispatchTimer || !isNotificationDispatchEnabled()) return;
+  const safeIntervalMs = Math.max(
+    parseInt(String(intervalMs), 10) || DEFAULT_DISPATCH_INTERVAL_MS,
+    1_000
+  );
+
+  _dispatchTimer = setInterval(async () => {
+    if (_dispatchInFlight) return;
+    _dispatchInFlight = true;
+    try {
+      const outcome = await dispatchNotifications();
+      if (outcome.sent + outcome.retried + outcome.failed > 0) {
+        logger.debug(outcome, 'Alert notifications dispatched');
+      }
+    } catch (err) {
+      // Database not ready yet or transient error — retry on the next tick
+      logger.debug({ err }, 'Alert notification dispatch skipped');
+    } finally {
+      _dispatchInFlight = false;
+    }
+  }, safeIntervalMs);
+  _dispatchTimer.unref?.();
+  return safeIntervalMs;
+}
+
+export function stopNotificationDispatch() {
+  if (_dispatchTimer) {
+    clearInterval(_dispatchTimer);
+    _dispatchTimer = null;
+  }
+  _dispatchInFlight = false;
+  _smtpTransport?.close?.();
+  _smtpTransport = null;
+}
@@ -0,0 +1,413 @@
+/**
+ * Ingestion quotas and usage accounting. Counters live in Postgres so limits hold
+ * across backend replicas:
+ * - usage_requests: ingest requests per one-minute window, per tenant and per API key
+ * - usage_daily: accepted/rejected samples and requests per tenant and UTC day
+ * - usage_series: series keys with their last write, for the active-series count
+ *
+ * Limits come from the user's plan (`users.plan`, falling back to
+ * `config.quotas.defaultPlan`); a missing or zero limit is unlimited. Usage is always
+ * accounted, limits are only enforced when `config.quotas.enabled` is set.
+ *
+ * Quota checks fail open: when Postgres cannot be reached the request is let through
+ * and the failure is logged, like the metric config lookup on the same path.
+ */
+import crypto from 'crypto';
+import pool, { query } from '../database/connection.js';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+
+const PLAN_CACHE_TTL_MS = 60_000;
+const DEFAULT_ACTIVE_SERIES_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_MAINTENANCE_INTERVAL_MS = 10 * 60 * 1000;
+const USAGE_HISTORY_DAYS = 30;
+const DAILY_RETENTION_DAYS = 400;
+
+const planCache = new Map(); // userId -> { expiresAt, plan }
+
+export const isQuotaEnforced = () => config.quotas?.enabled === true;
+
+const activeSeriesWindowMs = () =>
+  config.quotas?.activeSeriesWindowMs > 0
+    ? config.quotas.activeSeriesWindowMs
+    : DEFAULT_ACTIVE_SERIES_WINDOW_MS;
+
+/** A limit is enforced only when it is a positive number. */
+const limitOf = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+
+const remainingOf = (limit, used) => (limit === null ? null : Math.max(limit - used, 0));
+
+const minuteStart = (now) => Math.floor(now / 60_000) * 60_000;
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+const nextUtcMidnight = (now) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+/**
+ * Resolve a plan name to its limits (unknown names fall back to the default plan).
+ * @param {string|null} [name]
+ * @returns {{ plan: string, limits: { requestsPerMinute: number|null,
+ *   requestsPerMinutePerKey: number|null, samplesPerDay: number|null,
+ *   activeSeries: number|null } }}
+ */
+export function resolvePlan(name) {
+  const plans = config.quotas?.plans ?? {};
+  const plan = name && plans[name] ? name : (config.quotas?.defaultPlan ?? 'free');
+  const limits = plans[plan] ?? {};
+  return {
+    plan,
+    limits: {
+      requestsPerMinute: limitOf(limits.requestsPerMinute),
+      requestsPerMinutePerKey: limitOf(limits.requestsPerMinutePerKey),
+      samplesPerDay: limitOf(limits.samplesPerDay),
+      activeSeries: limitOf(limits.activeSeries),
+    },
+  };
+}
+
+/**
+ * The user's plan, cached briefly so the ingest path does not hit Postgres for it on
+ * every request.
+ * @param {number|string} userId
+ */
+export async function getUserPlan(userId) {
+  const key = String(userId);
+  const cached = planCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.plan;
+  }
+  const result = await query('SELECT plan FROM users WHERE id = $1', [userId]);
+  const plan = resolvePlan(result.rows[0]?.plan);
+  planCache.set(key, { expiresAt: Date.now() + PLAN_CACHE_TTL_MS, plan });
+  return plan;
+}
+
+/** Drop the cached plan for a user (call after changing `users.plan`). */
+export function invalidateUserPlan(userId) {
+  planCache.delete(String(userId));
+}
+
+/**
+ * Stable key of one series for the active-series count.
+ * @param {string} name
+ * @param {Object} [labels]
+ */
+export function seriesQuotaKey(name, labels = {}) {
+  const sorted = Object.entries(labels).sort(([a], [b]) => a.localeCompare(b));
+  return crypto
+    .createHash('md5')
+    .update(JSON.stringify([name, sorted]))
+    .digest('hex');
+}
+
+/**
+ * Count one ingest request against the per-key and per-tenant request rates and read
+ * the daily sample and active series usage.
+ * @param {{ userId: number|string, apiKeyId?: number|string|null }} caller
+ * @param {number} [now]
+ * @returns {Promise<{ plan: string, limits: Object,
+ *   remaining: { requests: number|null, samples: number|null, series: number|null },
+ *   reset: { requests: number, samples: number },
+ *   exceeded: { message: string, retryAfterSeconds: number }|null }>} - `reset` values
+ *   are epoch seconds; `exceeded` is set when a limit is over, whether or not enforced
+ */
+export async function consumeRequestQuota({ userId, apiKeyId = null }, now = Date.now()) {
+  const tenantId = String(userId);
+  const { plan, limits } = await getUserPlan(userId);
+  const windowStart = minuteStart(now);
+  const tenantScope = `tenant:${tenantId}`;
+  const keyScope = apiKeyId != null ? `key:${apiKeyId}` : null;
+
+  const [rates, daily, series] = await Promise.all([
+    query(
+      `INSERT INTO usage_requests (scope, window_start, requests)
+       SELECT scope, $2, 1 FROM unnest($1::text[]) AS scope
+       ON CONFLICT (scope, window_start)
+       DO UPDATE SET requests = usage_requests.requests + 1
+       RETURNING scope, requests`,
+      [[tenantScope, ...(keyScope ? [keyScope] : [])], new Date(windowStart)]
+    ),
+    query(
+      `INSERT INTO usage_daily (tenant_id, day, requests) VALUES ($1, $2, 1)
+       ON CONFLICT (tenant_id, day) DO UPDATE SET requests = usage_daily.requests + 1
+       RETURNING samples`,
+      [tenantId, utcDay(now)]
+    ),
+    query(
+      'SELECT COUNT(*)::int AS active FROM usage_series WHERE tenant_id = $1 AND last_seen > $2',
+      [tenantId, new Date(now - activeSeriesWindowMs())]
+    ),
+  ]);
+
+  const requestsIn = (scope) =>
+    Number(rates.rows.find((row) => row.scope === scope)?.requests ?? 0);
+  const tenantRequests = requestsIn(tenantScope);
+  const keyRequests = keyScope ? requestsIn(keyScope) : 0;
+  const samples = Number(daily.rows[0]?.samples ?? 0);
+  const activeSeries = Number(series.rows[0]?.active ?? 0);
+
+  const requestRemainders = [
+    remainingOf(limits.requestsPerMinute, tenantRequests),
+    keyScope ? remainingOf(limits.requestsPerMinutePerKey, keyRequests) : null,
+  ].filter((value) => value !== null);
+  const minuteReset = windowStart + 60_000;
+  const dayReset = nextUtcMidnight(now);
+  const secondsUntil = (at) => Math.max(Math.ceil((at - now) / 1000), 1);
+
+  let exceeded = null;
+  if (keyScope && limits.requestsPerMinutePerKey !== null) {
+    if (keyRequests > limits.requestsPerMinutePerKey) {
+      exceeded = {
+        message: `API key request quota exceeded: max ${limits.requestsPerMinutePerKey} requests per minute`,
+        retryAfterSeconds: secondsUntil(minuteReset),
+      };
+    }
+  }
+  if (!exceeded && limits.requestsPerMinute !== null && tenantRequests > limits.requestsPerMinute) {
+    exceeded = {
+      message: `Request quota exceeded: max ${limits.requestsPerMinute} requests per minute`,
+      retryAfterSeconds: secondsUntil(minuteReset),
+    };
+  }
+  if (!exceeded && limits.samplesPerDay !== null && samples >= limits.samplesPerDay) {
+    exceeded = {
+      message: `Daily sample quota exceeded: max ${limits.samplesPerDay} samples per day`,
+      retryAfterSeconds: secondsUntil(dayReset),
+    };
+  }
+
+  return {
+    plan,
+    limits,
+    remaining: {
+      requests: requestRemainders.length > 0 ? Math.min(...requestRemainders) : null,
+      samples: remainingOf(limits.samplesPerDay, samples),
+      series: remainingOf(limits.activeSeries, activeSeries),
+    },
+    reset: {
+      requests: Math.floor(minuteReset / 1000),
+      samples: Math.floor(dayReset / 1000),
+    },
+    exceeded,
+  };
+}
+
+/**
+ * Mark series as written and reject new series beyond the plan's active-series limit.
+ * Series that are already active always pass. Runs under a per-tenant advisory lock so
+ * concurrent requests cannot overshoot the limit together.
+ * @param {number|string} userId
+ * @param {string[]} keys - From seriesQuotaKey
+ * @param {number} [now]
+ * @returns {Promise<{ rejected: Set<string>, limit: number|null }>}
+ */
+export async function reserveActiveSeries(userId, keys, now = Date.now()) {
+  const tenantId = String(userId);
+  const uniqueKeys = [...new Set(keys)];
+  const rejected = new Set();
+  if (uniqueKeys.length === 0) return { rejected, limit: null };
+
+  let client;
+  try {
+    const { limits } = await getUserPlan(userId);
+    const limit = isQuotaEnforced() ? limits.activeSeries : null;
+    const lastSeen = new Date(now);
+    const activeSince = new Date(now - activeSeriesWindowMs());
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('usage_series:' || $1))", [tenantId]);
+    const touched = await client.query(
+      `UPDATE usage_series SET last_seen = $3
+       WHERE tenant_id = $1 AND series_key = ANY($2::text[]) AND last_seen > $4
+       RETURNING series_key`,
+      [tenantId, uniqueKeys, lastSeen, activeSince]
+    );
+    const active = new Set(touched.rows.map((row) => row.series_key));
+    let added = uniqueKeys.filter((key) => !active.has(key));
+
+    if (added.length > 0 && limit !== null) {
+      const { rows } = await client.query(
+        'SELECT COUNT(*)::int AS active FROM usage_series WHERE tenant_id = $1 AND last_seen > $2',
+        [tenantId, activeSince]
+      );
+      const available = Math.max(limit - Number(rows[0]?.active ?? 0), 0);
+      for (const key of added.slice(available)) rejected.add(key);
+      added = added.slice(0, available);
+    }
+    if (added.length > 0) {
+      await client.query(
+        `INSERT INTO usage_series (tenant_id, series_key, last_seen)
+         SELECT $1, key, $3 FROM unnest($2::text[]) AS key
+         ON CONFLICT (tenant_id, series_key) DO UPDATE SET last_seen = EXCLUDED.last_seen`,
+        [tenantId, added, lastSeen]
+      );
+    }
+    await client.query('COMMIT');
+    return { rejected, limit };
+  } catch (err) {
+    await client?.query('ROLLBACK').catch(() => {});
+    logger.warn({ err, userId }, 'Active series quota check failed; allowing series');
+    return { rejected: new Set(), limit: null };
+  } finally {
+    client?.release();
+  }
+}
+
+/**
+ * Split ingest items into those within the active-series quota and those over it.
+ * @template T
+ * @param {number|string} userId
+ * @param {T[]} items
+ * @param {(item: T) => string} keyOf - Series key of an item (seriesQuotaKey)
+ * @returns {Promise<{ allowed: T[], overQuota: T[], error: string|null }>}
+ */
+export async function partitionBySeriesQuota(userId, items, keyOf) {
+  const keys = items.map(keyOf);
+  const { rejected, limit } = await reserveActiveSeries(userId, keys);
+  if (rejected.size === 0) return { allowed: items, overQuota: [], error: null };
+  const allowed = [];
+  const overQuota = [];
+  items.forEach((item, i) => (rejected.has(keys[i]) ? overQuota : allowed).push(item));
+  return { allowed, overQuota, error: `Active series quota exceeded: max ${limit} series` };
+}
+
+/**
+ * Add accepted and rejected samples to today's usage. Never throws: accounting must
+ * not fail a write that already reached Mimir.
+ * @param {number|string} userId
+ * @param {{ samples?: number, rejected?: number }} counts
+ * @param {number} [now]
+ */
+export async function recordUsage(userId, { samples = 0, rejected = 0 }, now = Date.now()) {
+  if (samples <= 0 && rejected <= 0) return;
+  try {
+    await query(
+      `INSERT INTO usage_daily (tenant_id, day, samples, rejected_samples) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (tenant_id, day) DO UPDATE SET
+         samples = usage_daily.samples + EXCLUDED.samples,
+         rejected_samples = usage_daily.rejected_samples + EXCLUDED.rejected_samples`,
+      [String(userId), utcDay(now), samples, rejected]
+    );
+  } catch (err) {
+    logger.warn({ err, userId, samples, rejected }, 'Failed to record ingest usage');
+  }
+}
+
+/**
+ * Plan, limits and current usage for the usage page.
+ * @param {number|string} userId
+ * @param {number} [now]
+ */
+export async function getUsage(userId, now = Date.now()) {
+  const tenantId = String(userId);
+  const { plan, limits } = await getUserPlan(userId);
+  const today = utcDay(now);
+
+  const [daily, series, rates] = await Promise.all([
+    query(
+      `SELECT to_char(day, 'YYYY-MM-DD') AS day, samples, rejected_samples, requests
+       FROM usage_daily WHERE tenant_id = $1 AND day > $2::date - $3::int
+       ORDER BY day`,
+      [tenantId, today, USAGE_HISTORY_DAYS]
+    ),
+    query(
+      'SELECT COUNT(*)::int AS active FROM usage_series WHERE tenant_id = $1 AND last_seen > $2',
+      [tenantId, new Date(now - activeSeriesWindowMs())]
+    ),
+    query('SELECT requests FROM usage_requests WHERE scope = $1 AND window_start = $2', [
+      `tenant:${tenantId}`,
+      new Date(minuteStart(now)),
+    ]),
+  ]);
+
+  const history = daily.rows.map((row) => ({
+    day: row.day,
+    samples: Number(row.samples),
+    rejectedSamples: Number(row.rejected_samples),
+    requests: Number(row.requests),
+  }));
+  const todayUsage = history.find((entry) => entry.day === today) ?? {
+    day: today,
+    samples: 0,
+    rejectedSamples: 0,
+    requests: 0,
+  };
+
+  return {
+    plan,
+    enforced: isQuotaEnforced(),
+    limits,
+    usage: {
+      samplesToday: todayUsage.samples,
+      rejectedSamplesToday: todayUsage.rejectedSamples,
+      requestsToday: todayUsage.requests,
+      requestsThisMinute: Number(rates.rows[0]?.requests ?? 0),
+      activeSeries: Number(series.rows[0]?.active ?? 0),
+    },
+    activeSeriesWindowMs: activeSeriesWindowMs(),
+    resetsAt: new Date(nextUtcMidnight(now)).toISOString(),
+    history,
+  };
+}
+
+/** Delete request windows, stale series and daily rows past their retention. */
+export async function pruneUsage(now = Date.now()) {
+  const [requests, series, daily] = await Promise.all([
+    query('DELETE FROM usage_requests WHERE window_start < $1', [new Date(minuteStart(now))]),
+    query('DELETE FROM usage_series WHERE last_seen < $1', [
+      new Date(now - activeSeriesWindowMs()),
+    ]),
+    query('DELETE FROM usage_daily WHERE day < $1::date - $2::int', [
+      utcDay(now),
+      DAILY_RETENTION_DAYS,
+    ]),
+  ]);
+  return {
+    requests: requests.rowCount ?? 0,
+    series: series.rowCount ?? 0,
+    daily: daily.rowCount ?? 0,
+  };
+}
+
+let _maintenanceTimer = null;
+let _maintenanceInFlight = false;
+
+/**
+ * Periodically prune usage rows that no longer count towards any quota.
+ * @param {number} [intervalMs]
+ */
+export function startUsageMaintenance(intervalMs = DEFAULT_MAINTENANCE_INTERVAL_MS) {
+  if (_maintenanceTimer) return;
+  const safeIntervalMs = Math.max(
+    parseInt(String(intervalMs), 10) || DEFAULT_MAINTENANCE_INTERVAL_MS,
+    60_000
+  );
+
+  _maintenanceTimer = setInterval(async () => {
+    if (_maintenanceInFlight) return;
+    _maintenanceInFlight = true;
+    try {
+      const pruned = await pruneUsage();
+      logger.debug(pruned, 'Usage counters pruned');
+    } catch (err) {
+      // Database not ready yet or transient error — retry on the next tick
+      logger.debug({ err }, 'Usage maintenance skipped');
+    } finally {
+      _maintenanceInFlight = false;
+    }
+  }, safeIntervalMs);
+  _maintenanceTimer.unref?.();
+  return safeIntervalMs;
+}
+
+export function stopUsageMaintenance() {
+  if (_maintenanceTimer) {
+    clearInterval(_maintenanceTimer);
+    _maintenanceTimer = null;
+  }
+  _maintenanceInFlight = false;
+}
@@ -0,0 +1,122 @@
+/**
+ * Stores for the express-rate-limit limiters (see middleware/rateLimiter.js).
+ *
+ * - memory: express-rate-limit's built-in MemoryStore; counts are per process and
+ *   reset on restart
+ * - postgres: sliding-window counters in the `rate_limit_hits` table, shared by every
+ *   backend replica and kept across restarts
+ *
+ * The Postgres store approximates a sliding window from two fixed windows: the hits
+ * of the current window plus the previous window's hits, weighted by how much of it
+ * still overlaps the sliding window (15 s into a 60 s window, 75% of the previous
+ * window counts). Client keys are stored hashed, since the metrics limiter is keyed
+ * on API keys.
+ */
+import crypto from 'crypto';
+import { logger } from '../logger.js';
+
+const PRUNE_INTERVAL_MS = 60_000;
+let lastPrunedAt = 0;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Delete windows that can no longer count towards any limit. Runs at most once per
+ * minute per process, from the increments themselves.
+ */
+function pruneExpired(db, now) {
+  if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = now;
+  db.query('DELETE FROM rate_limit_hits WHERE expires_at < $1', [now]).catch((err) => {
+    logger.debug({ err }, 'Rate limit pruning skipped');
+  });
+}
+
+/**
+ * @param {import('pg').Pool} db
+ * @param {{ prefix: string, now?: () => number }} options - `prefix` keeps the counters
+ *   of different limiters apart
+ * @returns {import('express-rate-limit').Store}
+ */
+export function createPostgresRateLimitStore(db, { prefix, now = Date.now }) {
+  let windowMs = 60_000;
+
+  const windowOf = (at) => Math.floor(at / windowMs) * windowMs;
+  const storageKey = (key) => hashKey(`${prefix}${key}`);
+
+  /** Sliding-window hit count and the end of the current fixed window. */
+  const estimate = (at, current, previous) => {
+    const start = windowOf(at);
+    const overlap = 1 - (at - start) / windowMs;
+    return {
+      totalHits: current + Math.floor(previous * overlap),
+      resetTime: new Date(start + windowMs),
+    };
+  };
+
+  return {
+    prefix,
+    // Counts are shared between processes
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const at = now();
+      const start = windowOf(at);
+      const { rows } = await db.query(
+        `SELECT window_start, hits FROM rate_limit_hits
+         WHERE key = $1 AND window_start IN ($2, $3)`,
+        [storageKey(key), start, start - windowMs]
+      );
+      const hitsIn = (windowStart) =>
+        Number(rows.find((row) => Number(row.window_start) === windowStart)?.hits ?? 0);
+      return estimate(at, hitsIn(start), hitsIn(start - windowMs));
+    },
+
+    async increment(key) {
+      const at = now();
+      const start = windowOf(at);
+      pruneExpired(db, at);
+      const { rows } = await db.query(
+        `WITH bumped AS (
+           INSERT INTO rate_limit_hits (key, window_start, hits, expires_at)
+           VALUES ($1, $2, 1, $4)
+           ON CONFLICT (key, window_start) DO UPDATE SET hits = rate_limit_hits.hits + 1
+           RETURNING hits
+         )
+         SELECT bumped.hits AS current,
+           (SELECT hits FROM rate_limit_hits WHERE key = $1 AND window_start = $3) AS previous
+         FROM bumped`,
+        [storageKey(key), start, start - windowMs, start + 2 * windowMs]
+      );
+      return estimate(at, Number(rows[0].current), Number(rows[0].previous ?? 0));
+    },
+
+    async decrement(key) {
+      await db.query(
+        `UPDATE rate_limit_hits SET hits = GREATEST(hits - 1, 0)
+         WHERE key = $1 AND window_start = $2`,
+        [storageKey(key), windowOf(now())]
+      );
+    },
+
+    async resetKey(key) {
+      await db.query('DELETE FROM rate_limit_hits WHERE key = $1', [storageKey(key)]);
+    },
+  };
+}
+
+/**
+ * Build the store selected by `config.rateLimit.store` for one limiter.
+ * @param {'memory'|'postgres'} type
+ * @param {import('pg').Pool} db - used by the Postgres store
+ * @param {string} prefix
+ * @returns {import('express-rate-limit').Store|undefined} - undefined selects
+ *   express-rate-limit's MemoryStore
+ */
+export function createRateLimitStore(type, db, prefix) {
+  return type === 'postgres' ? createPostgresRateLimitStore(db, { prefix }) : undefined;
+}
@@ -0,0 +1,243 @@
+/**
+ * Storage for the cumulative series state behind Mimir remote-write (counter
+ * totals, gauge inc/dec values, histogram/summary components, summary windows).
+ *
+ * Two implementations share one async interface:
+ * - memory: process-local Map (tests, single-instance development)
+ * - postgres: `series_state` table, so counters stay monotonic across restarts
+ *   and every replica continues from the same totals
+ *
+ * Entry: { value, labels, tenantId, heartbeatEligible, timestamp, observations? }
+ *
+ * Interface:
+ * - update(keys, mutate): load entries for `keys` (locked against other writers),
+ *   call `mutate(current: Map)` which returns a Map of changed entries, persist them
+ * - revert(adjustments): subtract `delta` from each `stateKey` (compensates a
+ *   reservation whose remote-write failed)
+ * - claimHeartbeat(now, staleBefore, { limit, idleMs }): up to `limit` heartbeat-eligible
+ *   entries last written before `staleBefore`, oldest sample first, skipping series no
+ *   ingest has updated for `idleMs`; their timestamp is set to `now` so later writes
+ *   land after it
+ * - pruneIdle(idleMs, limit): delete up to `limit` entries no ingest has updated for
+ *   `idleMs`, returning how many were deleted (the next write starts them from zero)
+ * - clearTenant(tenantId)
+ */
+export function createMemorySeriesStateStore() {
+  const entries = new Map();
+  // key -> ms of the last ingest write (heartbeats do not count)
+  const writtenAt = new Map();
+  const isIdle = (key, idleMs) => Date.now() - (writtenAt.get(key) ?? 0) > idleMs;
+
+  return {
+    type: 'memory',
+
+    // No await between read and write, so concurrent requests cannot interleave
+    async update(keys, mutate) {
+      const current = new Map();
+      for (const key of keys) {
+        if (entries.has(key)) current.set(key, entries.get(key));
+      }
+      const changes = mutate(current);
+      for (const [key, entry] of changes) {
+        entries.set(key, entry);
+        writtenAt.set(key, Date.now());
+      }
+    },
+
+    async revert(adjustments) {
+      for (const { stateKey, delta } of adjustments) {
+        const entry = entries.get(stateKey);
+        if (entry && Number.isFinite(entry.value)) {
+          entries.set(stateKey, { ...entry, value: entry.value - delta });
+          writtenAt.set(stateKey, Date.now());
+        }
+      }
+    },
+
+    async claimHeartbeat(now, staleBefore, { limit = Infinity, idleMs = Infinity } = {}) {
+      const stale = [];
+      for (const [stateKey, entry] of entries) {
+        if (!entry.labels || !entry.tenantId || !entry.heartbeatEligible) continue;
+        if (Number.isFinite(entry.timestamp) && entry.timestamp >= staleBefore) continue;
+        if (isIdle(stateKey, idleMs)) continue;
+        stale.push([stateKey, entry]);
+      }
+      const sampleTime = ([, entry]) => (Number.isFinite(entry.timestamp) ? entry.timestamp : -1);
+      return stale
+        .sort((a, b) => sampleTime(a) - sampleTime(b))
+        .slice(0, limit)
+        .map(([stateKey, entry]) => {
+          entry.timestamp = now;
+          return { stateKey, ...entry };
+        });
+    },
+
+    async pruneIdle(idleMs, limit = Infinity) {
+      let deleted = 0;
+      for (const key of entries.keys()) {
+        if (deleted >= limit) break;
+        if (!isIdle(key, idleMs)) continue;
+        entries.delete(key);
+        writtenAt.delete(key);
+        deleted += 1;
+      }
+      return deleted;
+    },
+
+    async clearTenant(tenantId) {
+      const prefix = `${tenantId}::`;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          writtenAt.delete(key);
+        }
+      }
+    },
+  };
+}
+
+function rowToEntry(row) {
+  if (row.value == null && row.observations == null) return null;
+  return {
+    value: row.value,
+    labels: row.labels,
+    tenantId: row.tenant_id,
+    heartbeatEligible: row.heartbeat_eligible,
+    timestamp: row.sample_timestamp == null ? null : Number(row.sample_timestamp),
+    ...(row.observations ? { observations: row.observations } : {}),
+  };
+}
+
+function tenantFromKey(key) {
+  return key.slice(0, key.indexOf('::'));
+}
+
+/**
+ * Postgres-backed store. Each update runs in a short transaction: missing rows are
+ * created first (so two replicas cannot both start a new series from zero), then
+ * all rows are locked in key order, mutated and written back. Locks are released
+ * before the remote-write, so Mimir latency never holds database locks.
+ * @param {import('pg').Pool} db
+ */
+export function createPostgresSeriesStateStore(db) {
+  return {
+    type: 'postgres',
+
+    async update(keys, mutate) {
+      const sortedKeys = [...new Set(keys)].sort();
+      const client = await db.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query(
+          `INSERT INTO series_state (state_key, tenant_id)
+           SELECT k, split_part(k, '::', 1) FROM unnest($1::text[]) AS k ORDER BY k
+           ON CONFLICT (state_key) DO NOTHING`,
+          [sortedKeys]
+        );
+        const { rows } = await client.query(
+          `SELECT state_key, tenant_id, labels, value, observations, heartbeat_eligible, sample_timestamp
+           FROM series_state WHERE state_key = ANY($1::text[])
+           ORDER BY state_key FOR UPDATE`,
+          [sortedKeys]
+        );
+
+        const current = new Map();
+        for (const row of rows) {
+          const entry = rowToEntry(row);
+          if (entry) current.set(row.state_key, entry);
+        }
+
+        const changes = mutate(current);
+        if (changes.size > 0) {
+          const records = [...changes].map(([stateKey, entry]) => ({
+            state_key: stateKey,
+            tenant_id: entry.tenantId ?? tenantFromKey(stateKey),
+            labels: entry.labels ?? null,
+            value: Number.isFinite(entry.value) ? entry.value : null,
+            observations: entry.observations ?? null,
+            heartbeat_eligible: Boolean(entry.heartbeatEligible),
+            sample_timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : null,
+          }));
+          await client.query(
+            `UPDATE series_state s SET
+               labels = c.labels,
+               value = c.value,
+               observations = c.observations,
+               heartbeat_eligible = c.heartbeat_eligible,
+               sample_timestamp = c.sample_timestamp,
+               updated_at = CURRENT_TIMESTAMP
+             FROM jsonb_to_recordset($1::jsonb) AS c(
+               state_key text, labels jsonb, value double precision, observations jsonb,
+               heartbeat_eligible boolean, sample_timestamp bigint
+             )
+             WHERE s.state_key = c.state_key`,
+            [JSON.stringify(records)]
+          );
+        }
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    async revert(adjustments) {
+      if (adjustments.length === 0) return;
+      await db.query(
+        `UPDATE series_state s SET value = s.value - c.delta, updated_at = CURRENT_TIMESTAMP
+         FROM jsonb_to_recordset($1::jsonb) AS c(state_key text, delta double precision)
+         WHERE s.state_key = c.state_key AND s.value IS NOT NULL`,
+        [JSON.stringify(adjustments.map((a) => ({ state_key: a.stateKey, delta: a.delta })))]
+      );
+    },
+
+    // Rows an ingest write holds are skipped; it stamps them with a newer sample anyway
+    async claimHeartbeat(now, staleBefore, { limit = null, idleMs = null } = {}) {
+      const { rows } = await db.query(
+        `UPDATE series_state s SET sample_timestamp = $1
+         FROM (
+           SELECT state_key FROM series_state
+           WHERE heartbeat_eligible AND value IS NOT NULL AND labels IS NOT NULL
+             AND (sample_timestamp IS NULL OR sample_timestamp < $2)
+             AND ($3::bigint IS NULL OR updated_at >= NOW() - ($3::bigint * INTERVAL '1 millisecond'))
+           ORDER BY sample_timestamp NULLS FIRST
+           LIMIT $4
+           FOR UPDATE SKIP LOCKED
+         ) c
+         WHERE s.state_key = c.state_key
+         RETURNING s.state_key, s.tenant_id, s.labels, s.value, s.observations,
+           s.heartbeat_eligible, s.sample_timestamp`,
+        [now, staleBefore, idleMs, limit]
+      );
+      return rows.map((row) => ({ stateKey: row.state_key, ...rowToEntry(row) }));
+    },
+
+    async pruneIdle(idleMs, limit = null) {
+      const { rowCount } = await db.query(
+        `DELETE FROM series_state WHERE state_key IN (
+           SELECT state_key FROM series_state
+           WHERE updated_at < NOW() - ($1::bigint * INTERVAL '1 millisecond')
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )`,
+        [idleMs, limit]
+      );
+      return rowCount ?? 0;
+    },
+
+    async clearTenant(tenantId) {
+      await db.query('DELETE FROM series_state WHERE tenant_id = $1', [String(tenantId)]);
+    },
+  };
+}
+
+/**
+ * Build the store selected by `config.metrics.stateStore`.
+ * @param {'memory'|'postgres'} type
+ * @param {import('pg').Pool} db - used by the Postgres store
+ */
+export function createSeriesStateStore(type, db) {
+  return type === 'memory' ? createMemorySeriesStateStore() : createPostgresSeriesStateStore(db);
+}
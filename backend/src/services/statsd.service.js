@@ -0,0 +1,354 @@
+/**
+ * StatsD/DogStatsD UDP listeners. Each listener owns a UDP port and an API key: lines
+ * received on the port are aggregated in memory per series and flushed every
+ * `flushIntervalMs` into the key owner's tenant through pushMetricsToMimir, with the
+ * per-metric validation of `POST /api/v1/metrics` (schema enforcement, value rules,
+ * label limits, series limit, active-series quota, `site_id` from a site-scoped key).
+ * Flushed samples count towards the owner's daily usage; the per-request quotas do not
+ * apply to UDP.
+ *
+ * Mapping at flush:
+ * - c: counter incremented by the sum of value / sample rate
+ * - g: gauge set to the last absolute value, then moved by the signed deltas after it
+ * - ms, h, d: histogram observations (ms converted to seconds); buckets come from the
+ *   user's metric config like the JSON endpoint
+ * - s: gauge set to the number of distinct values seen in the interval
+ *
+ * UDP is lossy by design: aggregates that fail validation, or a whole flush whose API
+ * key is no longer active, are dropped and logged. While Mimir is unavailable flushed
+ * batches go to the durable ingest buffer like HTTP batches.
+ */
+import dgram from 'dgram';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { findActiveApiKey } from '../middleware/auth.middleware.js';
+import { recordMetricsIngest } from '../middleware/appMetrics.js';
+import { recordMetric } from './metrics.service.js';
+import { pushMetricsToMimir } from './mimir.service.js';
+import { bufferMetrics, shouldBufferFailure } from './ingestBuffer.service.js';
+import { getMetricSchema } from './metricConfig.service.js';
+import { partitionBySeriesQuota, recordUsage, seriesQuotaKey } from './quota.service.js';
+import { parseStatsdPacket } from '../utils/statsd.js';
+import { validateMetricValue } from '../utils/metricIngest.js';
+import { applyMetricLabelRules } from '../utils/labelRules.js';
+import { scrubMetricLabels } from '../utils/piiScrubber.js';
+import { enforceMetricSchema } from '../utils/metricSchema.js';
+
+const DEFAULT_FLUSH_INTERVAL_MS = 10_000;
+// Bounds memory between flushes when a client emits unbounded names or tags
+const MAX_SERIES_PER_FLUSH = 10_000;
+const MAX_VALUES_PER_SERIES = 1_000;
+
+const KINDS = {
+  c: 'counter',
+  g: 'gauge',
+  ms: 'histogram',
+  h: 'histogram',
+  d: 'histogram',
+  s: 'set',
+};
+
+const aggregateKey = (kind, name, tags) =>
+  `${kind}|${name}|${JSON.stringify(Object.entries(tags).sort(([a], [b]) => a.localeCompare(b)))}`;
+
+/** Expand one flushed aggregate into metrics in the JSON ingest shape. */
+function toIngestMetrics(aggregate) {
+  const { name, kind, labels } = aggregate;
+  switch (kind) {
+    case 'counter':
+      return [{ name, type: 'counter', value: aggregate.sum, labels }];
+    case 'gauge': {
+      const metrics = [];
+      if (aggregate.value !== null) {
+        metrics.push({ name, type: 'gauge', operation: 'set', value: aggregate.value, labels });
+      }
+      if (aggregate.delta !== 0) {
+        metrics.push({
+          name,
+          type: 'gauge',
+          operation: aggregate.delta < 0 ? 'decrement' : 'increment',
+          value: Math.abs(aggregate.delta),
+          labels,
+        });
+      }
+      return metrics;
+    }
+    case 'histogram':
+      return aggregate.observations.map((value) => ({ name, type: 'histogram', value, labels }));
+    case 'set':
+      return [{ name, type: 'gauge', operation: 'set', value: aggregate.members.size, labels }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Aggregation and flush for one port/API key pair (the UDP socket is bound by
+ * startStatsdListeners).
+ * @param {{ port: number, apiKey: string }} options
+ */
+export function createStatsdListener({ port, apiKey }) {
+  let aggregates = new Map();
+  let dropped = 0;
+
+  const add = (metric) => {
+    const kind = KINDS[metric.type];
+    const key = aggregateKey(kind, metric.name, metric.tags);
+    let aggregate = aggregates.get(key);
+    if (!aggregate) {
+      if (aggregates.size >= MAX_SERIES_PER_FLUSH) {
+        dropped += 1;
+        return;
+      }
+      aggregate = {
+        name: metric.name,
+        kind,
+        labels: metric.tags,
+        sum: 0,
+        value: null,
+        delta: 0,
+        observations: [],
+        members: new Set(),
+      };
+      aggregates.set(key, aggregate);
+    }
+
+    switch (kind) {
+      case 'counter':
+        for (const value of metric.values) aggregate.sum += value / metric.sampleRate;
+        break;
+      case 'gauge':
+        if (metric.delta) {
+          for (const value of metric.values) aggregate.delta += value;
+        } else {
+          aggregate.value = metric.values[metric.values.length - 1];
+          aggregate.delta = 0;
+        }
+        break;
+      case 'histogram': {
+        const scale = metric.type === 'ms' ? 1 / 1000 : 1;
+        const repeat = Math.max(1, Math.round(1 / metric.sampleRate));
+        for (const value of metric.values) {
+          for (let i = 0; i < repeat; i++) {
+            if (aggregate.observations.length >= MAX_VALUES_PER_SERIES) {
+              dropped += 1;
+              break;
+            }
+            aggregate.observations.push(value * scale);
+          }
+        }
+        break;
+      }
+      case 'set':
+        for (const value of metric.values) {
+          if (aggregate.members.size >= MAX_VALUES_PER_SERIES) {
+            dropped += 1;
+            break;
+          }
+          aggregate.members.add(value);
+        }
+        break;
+    }
+  };
+
+  /** @param {Buffer|string} payload - One UDP datagram */
+  const ingest = (payload) => {
+    const { metrics, errors } = parseStatsdPacket(payload.toString('utf8'));
+    metrics.forEach(add);
+    if (errors.length > 0) {
+      logger.debug({ port, errors }, 'Ignoring malformed StatsD lines');
+    }
+  };
+
+  /**
+   * Write the aggregates collected since the last flush and start a new interval.
+   * @returns {Promise<{ processed: number, rejected: number, dropped: number, buffered: boolean }>}
+   */
+  const flush = async () => {
+    const pending = [...aggregates.values()];
+    const droppedCount = dropped;
+    aggregates = new Map();
+    dropped = 0;
+    const outcome = { processed: 0, rejected: 0, dropped: droppedCount, buffered: false };
+    if (pending.length === 0) return outcome;
+
+    const flushStartedAt = Date.now();
+    const metrics = pending.flatMap(toIngestMetrics);
+    try {
+      const key = await findActiveApiKey(apiKey);
+      if (!key) {
+        throw new Error(`StatsD listener on port ${port} has an invalid or inactive API key`);
+      }
+      const userId = key.user_id;
+
+      let schema = { enforcement: 'off', configs: new Map() };
+      try {
+        schema = await getMetricSchema(userId);
+      } catch (err) {
+        logger.warn({ err, userId }, 'Metric config lookup failed; using default buckets');
+      }
+
+      const batch = [];
+      const errors = [];
+      const candidates = [];
+      for (const aggregated of metrics) {
+        try {
+          const scrubbed = scrubMetricLabels(applyMetricLabelRules(aggregated, schema), schema);
+          const { metric } = enforceMetricSchema(scrubbed, schema);
+          if (!validateMetricValue(metric.value, metric.type)) {
+            throw new Error(`Invalid value for ${metric.type} metric`);
+          }
+          const mergedLabels = { ...metric.labels };
+          if (key.site_id != null) {
+            mergedLabels.site_id = String(key.site_id);
+          }
+          candidates.push({ metric, labels: mergedLabels });
+        } catch (error) {
+          errors.push({
+            metric: aggregated.name,
+            error: error.message || 'Failed to record metric',
+          });
+        }
+      }
+
+      const {
+        allowed,
+        overQuota,
+        error: seriesQuotaError,
+      } = await partitionBySeriesQuota(userId, candidates, ({ metric, labels }) =>
+        seriesQuotaKey(metric.name, labels)
+      );
+      overQuota.forEach(({ metric }) =>
+        errors.push({ metric: metric.name, error: seriesQuotaError })
+      );
+
+      for (const { metric, labels: mergedLabels } of allowed) {
+        try {
+          const buckets =
+            metric.type === 'histogram' ? schema.configs.get(metric.name)?.buckets : undefined;
+          recordMetric({ ...metric, labels: mergedLabels, buckets }, userId);
+          batch.push({
+            ...metric,
+            labels: { ...mergedLabels, user_id: userId.toString() },
+            userId: String(userId),
+            buckets,
+          });
+        } catch (error) {
+          errors.push({
+            metric: metric.name,
+            error: error.message || 'Failed to record metric',
+          });
+        }
+      }
+      outcome.processed = batch.length;
+      outcome.rejected = errors.length;
+      if (errors.length > 0 || droppedCount > 0) {
+        logger.warn(
+          {
+            port,
+            userId,
+            rejected: errors.length,
+            dropped: droppedCount,
+            errors: errors.slice(0, 10),
+          },
+          'StatsD flush rejected metrics'
+        );
+      }
+
+      const receivedAt = Date.now();
+      try {
+        await pushMetricsToMimir(batch, { mode: 'statsd', throwOnFailure: true });
+      } catch (pushError) {
+        if (!shouldBufferFailure(pushError)) throw pushError;
+        try {
+          await bufferMetrics(String(userId), batch, receivedAt);
+        } catch (bufferError) {
+          logger.error({ err: bufferError, userId }, 'Failed to buffer StatsD metrics');
+          throw pushError;
+        }
+        outcome.buffered = true;
+      }
+      await recordUsage(userId, { samples: batch.length, rejected: errors.length });
+
+      recordMetricsIngest({
+        durationMs: Date.now() - flushStartedAt,
+        batchSize: metrics.length,
+        processed: batch.length,
+        total: metrics.length,
+        outcome: outcome.buffered ? 'buffered' : 'success',
+      });
+      return outcome;
+    } catch (error) {
+      recordMetricsIngest({
+        durationMs: Date.now() - flushStartedAt,
+        batchSize: metrics.length,
+        processed: 0,
+        total: metrics.length,
+        outcome: 'error',
+        error,
+      });
+      logger.warn({ err: error, port }, 'StatsD flush failed; dropping aggregates');
+      return { ...outcome, processed: 0 };
+    }
+  };
+
+  return { port, ingest, flush };
+}
+
+let _listeners = [];
+let _flushTimer = null;
+let _flushInFlight = false;
+
+const flushAll = () => Promise.all(_listeners.map(({ listener }) => listener.flush()));
+
+/**
+ * Bind one UDP socket per configured listener and flush them periodically.
+ * @param {{ enabled: boolean, host: string, listeners: Array<{ port: number, apiKey: string }>,
+ *   flushIntervalMs: number }} [options]
+ */
+export function startStatsdListeners(options = config.statsd) {
+  if (_flushTimer || !options?.enabled) return;
+  if (!options.listeners?.length) {
+    logger.warn('STATSD_ENABLED is set but STATSD_LISTENERS is empty; no StatsD listener started');
+    return;
+  }
+
+  for (const { port, apiKey } of options.listeners) {
+    const listener = createStatsdListener({ port, apiKey });
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (message) => listener.ingest(message));
+    socket.on('error', (err) => logger.error({ err, port }, 'StatsD listener error'));
+    socket.bind(port, options.host, () => {
+      logger.info({ port, host: options.host }, 'StatsD listener ready');
+    });
+    _listeners.push({ listener, socket });
+  }
+
+  const safeIntervalMs = Math.max(
+    parseInt(String(options.flushIntervalMs), 10) || DEFAULT_FLUSH_INTERVAL_MS,
+    1_000
+  );
+  _flushTimer = setInterval(async () => {
+    if (_flushInFlight) return;
+    _flushInFlight = true;
+    try {
+      await flushAll();
+    } finally {
+      _flushInFlight = false;
+    }
+  }, safeIntervalMs);
+  _flushTimer.unref?.();
+  return safeIntervalMs;
+}
+
+/** Close the sockets and flush what was received since the last interval. */
+export async function stopStatsdListeners() {
+  if (_flushTimer) {
+    clearInterval(_flushTimer);
+    _flushTimer = null;
+  }
+  for (const { socket } of _listeners) socket.close();
+  await flushAll();
+  _listeners = [];
+  _flushInFlight = false;
+}
@@ -0,0 +1,277 @@
+/**
+ * Real-time webhooks — samples ingested for a metric config with registered endpoints
+ * are queued in a Postgres outbox (`webhook_deliveries`, one row per endpoint and
+ * ingest batch) and POSTed in the background.
+ *
+ * Each request carries `X-Vizme-Signature: t=<unix seconds>,v1=<hex>`, the HMAC-SHA256
+ * of `<t>.<raw body>` with the endpoint's secret. Failed deliveries are retried with
+ * exponential backoff until `maxAttempts`, then marked failed. Rows are claimed with a
+ * short lease (FOR UPDATE SKIP LOCKED), so several replicas can deliver from the same
+ * table; delivery is at-least-once and receivers should dedupe on X-Vizme-Delivery.
+ * Endpoints must resolve to public addresses (utils/publicHttp.js), checked on every
+ * delivery; redirects are not followed.
+ */
+import crypto from 'crypto';
+import { query } from '../database/connection.js';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { recordWebhookDelivery } from '../middleware/appMetrics.js';
+import { postToPublicUrl, privateHostProblem } from '../utils/publicHttp.js';
+
+export const WEBHOOK_EVENT = 'metrics.ingested';
+export const SIGNATURE_HEADER = 'X-Vizme-Signature';
+
+const LEASE_SECONDS = 60;
+const DEFAULT_DELIVERY_INTERVAL_MS = 2_000;
+const PRUNE_INTERVAL_MS = 60_000;
+const MAX_ERROR_LENGTH = 500;
+
+export function isWebhookDeliveryEnabled() {
+  return config.webhooks?.enabled === true;
+}
+
+/** A new signing secret, shown to the user once at creation or rotation. */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw request body
+ * @returns {string} - Value of the X-Vizme-Signature header
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Why a URL cannot be used as a webhook endpoint, or null when it can. Hostnames are
+ * only resolved on delivery, where private addresses are refused as well.
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function webhookUrlProblem(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'URL is invalid';
+  }
+  const secure =
+    url.protocol === 'https:' || (url.protocol === 'http:' && config.webhooks?.allowInsecureUrls);
+  if (!secure) return 'URL must use https';
+  return config.webhooks?.allowPrivateNetworks ? null : privateHostProblem(url);
+}
+
+/**
+ * POST to a webhook or alert-channel URL, refusing private and reserved addresses.
+ * @param {string} url
+ * @param {{ headers: Object, body: string, timeoutMs: number }} request
+ * @returns {Promise<{ status: number }>}
+ */
+export function postToEndpoint(url, request) {
+  return postToPublicUrl(url, {
+    ...request,
+    allowPrivateNetworks: config.webhooks?.allowPrivateNetworks === true,
+  });
+}
+
+/**
+ * Delay before the next attempt after `attempts` failed ones.
+ * @param {number} attempts
+ */
+export function retryDelayMs(attempts) {
+  const base = config.webhooks?.retryBaseDelayMs ?? 10_000;
+  const max = config.webhooks?.maxRetryDelayMs ?? 3_600_000;
+  return Math.min(base * 2 ** Math.max(attempts - 1, 0), max);
+}
+
+/**
+ * Queue one delivery per enabled endpoint for the samples of its metric config.
+ * @param {Map<string, { webhookIds?: number[] }>} configs - From getMetricSchema
+ * @param {Array<{ name: string, type: string, value: number, labels: Object,
+ *   timestamp: number }>} samples - Accepted samples, labels as written to Mimir
+ * @returns {Promise<number>} - Deliveries queued
+ */
+export async function enqueueWebhookDeliveries(configs, samples) {
+  if (!isWebhookDeliveryEnabled()) return 0;
+
+  const byWebhook = new Map(); // webhookId -> samples
+  for (const sample of samples) {
+    for (const webhookId of configs.get(sample.name)?.webhookIds ?? []) {
+      if (!byWebhook.has(webhookId)) byWebhook.set(webhookId, []);
+      byWebhook.get(webhookId).push(sample);
+    }
+  }
+  if (byWebhook.size === 0) return 0;
+
+  const ids = [...byWebhook.keys()];
+  const payloads = ids.map((id) => JSON.stringify({ metrics: byWebhook.get(id) }));
+  const counts = ids.map((id) => byWebhook.get(id).length);
+  await query(
+    `INSERT INTO webhook_deliveries (webhook_id, payload, sample_count)
+     SELECT * FROM UNNEST($1::int[], $2::jsonb[], $3::int[])`,
+    [ids, payloads, counts]
+  );
+  return ids.length;
+}
+
+async function postDelivery(row) {
+  const body = JSON.stringify({
+    id: String(row.id),
+    event: WEBHOOK_EVENT,
+    created_at: new Date(row.created_at).toISOString(),
+    metrics: row.payload.metrics,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const res = await postToEndpoint(row.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Vizme-Webhooks/1.0',
+        'X-Vizme-Event': WEBHOOK_EVENT,
+        'X-Vizme-Delivery': String(row.id),
+        [SIGNATURE_HEADER]: signWebhookPayload(row.secret, timestamp, body),
+      },
+      body,
+      timeoutMs: config.webhooks?.timeoutMs ?? 10_000,
+    });
+    return {
+      ok: res.status >= 200 && res.status < 300,
+      status: res.status,
+      error: res.status >= 200 && res.status < 300 ? null : `HTTP ${res.status}`,
+    };
+  } catch (err) {
+    return { ok: false, status: null, error: err.message };
+  }
+}
+
+/**
+ * Send due deliveries oldest-first, up to `maxDeliveries`.
+ * @returns {Promise<{ delivered: number, retried: number, failed: number }>}
+ */
+export async function deliverWebhooks({
+  maxDeliveries = config.webhooks?.deliveryBatchSize ?? 20,
+} = {}) {
+  const outcome = { delivered: 0, retried: 0, failed: 0 };
+  const maxAttempts = config.webhooks?.maxAttempts ?? 8;
+
+  const claimed = await query(
+    `UPDATE webhook_deliveries d SET locked_until = NOW() + INTERVAL '${LEASE_SECONDS} seconds'
+     FROM webhooks w
+     WHERE w.id = d.webhook_id AND d.id IN (
+       SELECT dd.id FROM webhook_deliveries dd
+       JOIN webhooks ww ON ww.id = dd.webhook_id AND ww.enabled
+       WHERE dd.status = 'pending' AND dd.next_attempt_at <= NOW()
+         AND (dd.locked_until IS NULL OR dd.locked_until < NOW())
+       ORDER BY dd.id
+       LIMIT $1
+       FOR UPDATE OF dd SKIP LOCKED
+     )
+     RETURNING d.id, d.payload, d.attempts, d.created_at, w.url, w.secret`,
+    [maxDeliveries]
+  );
+  const rows = [...claimed.rows].sort((a, b) => Number(a.id) - Number(b.id));
+
+  for (const row of rows) {
+    const result = await postDelivery(row);
+    const attempts = row.attempts + 1;
+
+    if (result.ok) {
+      await query(
+        `UPDATE webhook_deliveries SET status = 'delivered', attempts = $2, response_status = $3,
+           last_error = NULL, locked_until = NULL, delivered_at = NOW()
+         WHERE id = $1`,
+        [row.id, attempts, result.status]
+      );
+      outcome.delivered += 1;
+      recordWebhookDelivery('delivered');
+      continue;
+    }
+
+    const error = String(result.error || 'Delivery failed').slice(0, MAX_ERROR_LENGTH);
+    if (attempts >= maxAttempts) {
+      await query(
+        `UPDATE webhook_deliveries SET status = 'failed', attempts = $2, response_status = $3,
+           last_error = $4, locked_until = NULL
+         WHERE id = $1`,
+        [row.id, attempts, result.status, error]
+      );
+      outcome.failed += 1;
+      recordWebhookDelivery('failed');
+      logger.warn({ deliveryId: row.id, attempts, error }, 'Webhook delivery gave up');
+      continue;
+    }
+
+    await query(
+      `UPDATE webhook_deliveries SET attempts = $2, response_status = $3, last_error = $4,
+         locked_until = NULL, next_attempt_at = NOW() + ($5::bigint * INTERVAL '1 millisecond')
+       WHERE id = $1`,
+      [row.id, attempts, result.status, error, retryDelayMs(attempts)]
+    );
+    outcome.retried += 1;
+    recordWebhookDelivery('retried');
+  }
+
+  return outcome;
+}
+
+/** Drop delivered and failed deliveries older than the retention window. */
+export async function pruneWebhookDeliveries() {
+  const result = await query(
+    `DELETE FROM webhook_deliveries
+     WHERE status <> 'pending' AND created_at < NOW() - ($1::bigint * INTERVAL '1 millisecond')`,
+    [config.webhooks?.retentionMs ?? 604_800_000]
+  );
+  return result.rowCount;
+}
+
+let _deliveryTimer = null;
+let _deliveryInFlight = false;
+let _lastPrunedAt = 0;
+
+/**
+ * Periodically send due deliveries and prune old history.
+ * @param {number} [intervalMs]
+ */
+export function startWebhookDelivery(
+  intervalMs = config.webhooks?.deliveryIntervalMs ?? DEFAULT_DELIVERY_INTERVAL_MS
+) {
+  if (_deliveryTimer || !isWebhookDeliveryEnabled()) return;
+  const safeIntervalMs = Math.max(
+    parseInt(String(intervalMs), 10) || DEFAULT_DELIVERY_INTERVAL_MS,
+    500
+  );
+
+  _deliveryTimer = setInterval(async () => {
+    if (_deliveryInFlight) return;
+    _deliveryInFlight = true;
+    try {
+      const outcome = await deliverWebhooks();
+      if (outcome.delivered + outcome.retried + outcome.failed > 0) {
+        logger.debug(outcome, 'Webhook deliveries sent');
+      }
+      if (Date.now() - _lastPrunedAt >= PRUNE_INTERVAL_MS) {
+        _lastPrunedAt = Date.now();
+        await pruneWebhookDeliveries();
+      }
+    } catch (err) {
+      // Database not ready yet or transient error — retry on the next tick
+      logger.debug({ err }, 'Webhook delivery skipped');
+    } finally {
+      _deliveryInFlight = false;
+    }
+  }, safeIntervalMs);
+  _deliveryTimer.unref?.();
+  return safeIntervalMs;
+}
+
+export function stopWebhookDelivery() {
+  if (_deliveryTimer) {
+    clearInterval(_deliveryTimer);
+    _deliveryTimer = null;
+  }
+  _deliveryInFlight = false;
+}
@@ -0,0 +1,97 @@
+/**
+ * Seasonal anomaly scoring for dashboard KPI widgets.
+ *
+ * The baseline is the widget's value at the same hour of day on each of the previous
+ * `baselineDays` days (read from one hourly range query). The current value is scored
+ * as a z-score against the baseline's mean and sample standard deviation and flagged
+ * when |z| reaches the widget's threshold. A baseline without variation flags any
+ * value that differs from it (the z-score is then reported as null).
+ */
+
+export const DEFAULT_BASELINE_DAYS = 7;
+export const MIN_BASELINE_DAYS = 3;
+export const MAX_BASELINE_DAYS = 28;
+export const DEFAULT_Z_THRESHOLD = 3;
+export const MIN_Z_THRESHOLD = 1;
+export const MAX_Z_THRESHOLD = 10;
+/** Days with data needed before a value is scored. */
+export const MIN_BASELINE_SAMPLES = 3;
+
+const HOUR_SECONDS = 3600;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+
+const round = (value, digits = 4) =>
+  value == null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+
+/**
+ * Hourly range covering the same hour on each of the previous `days` days.
+ * @param {number} nowSeconds - Unix timestamp
+ * @param {number} days
+ * @returns {{ start: number, end: number, step: number, times: number[] }} - `times`
+ *   are the sample timestamps, most recent day first
+ */
+export function seasonalBaselineWindow(nowSeconds, days) {
+  const hourStart = Math.floor(nowSeconds / HOUR_SECONDS) * HOUR_SECONDS;
+  const times = Array.from({ length: days }, (_, i) => hourStart - (i + 1) * DAY_SECONDS);
+  return { start: times[times.length - 1], end: times[0], step: HOUR_SECONDS, times };
+}
+
+/**
+ * Baseline samples from a range query result: the values at `times`, summed across
+ * series (like queryScalar does for instant queries). Days without data are skipped.
+ * @param {Array<{ values: Array<[number, string]> }>} series
+ * @param {number[]} times
+ * @returns {number[]}
+ */
+export function baselineSamples(series, times) {
+  const wanted = new Set(times);
+  const totals = new Map();
+  for (const s of series || []) {
+    for (const [ts, raw] of s?.values || []) {
+      const t = Math.round(Number(ts));
+      const value = parseFloat(raw);
+      if (!wanted.has(t) || !Number.isFinite(value)) continue;
+      totals.set(t, (totals.get(t) ?? 0) + value);
+    }
+  }
+  return times.filter((t) => totals.has(t)).map((t) => totals.get(t));
+}
+
+/**
+ * Score a value against its baseline samples.
+ * @param {number} value
+ * @param {number[]} samples
+ * @param {{ baselineDays: number, zThreshold: number }} options
+ * @returns {{ status: 'normal'|'anomalous'|'insufficient_data', direction: 'above'|'below'|null,
+ *   zScore: number|null, expected: number|null, stdDev: number|null, baselineSamples: number,
+ *   baselineDays: number, zThreshold: number }}
+ */
+export function scoreAnomaly(value, samples, { baselineDays, zThreshold }) {
+  const base = { baselineSamples: samples.length, baselineDays, zThreshold };
+  if (samples.length < MIN_BASELINE_SAMPLES) {
+    return {
+      status: 'insufficient_data',
+      direction: null,
+      zScore: null,
+      expected: null,
+      stdDev: null,
+      ...base,
+    };
+  }
+
+  const mean = samples.reduce((sum, v) => sum + v, 0) / samples.length;
+  const variance = samples.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (samples.length - 1);
+  const stdDev = Math.sqrt(variance);
+  const deviation = value - mean;
+  const zScore = stdDev > 0 ? deviation / stdDev : deviation === 0 ? 0 : null;
+  const anomalous = zScore === null || Math.abs(zScore) >= zThreshold;
+
+  return {
+    status: anomalous ? 'anomalous' : 'normal',
+    direction: anomalous ? (deviation > 0 ? 'above' : 'below') : null,
+    zScore: round(zScore, 2),
+    expected: round(mean),
+    stdDev: round(stdDev),
+    ...base,
+  };
+}
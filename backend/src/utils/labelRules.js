@@ -0,0 +1,141 @@
+/**
+ * Per-metric label rules (`metric_configs.label_rules`), applied to incoming labels
+ * before schema enforcement and the series limit. They let users drop or normalize
+ * labels the SDK sends with unbounded values (`url`, `element_text`, `referrer`):
+ *
+ * - allow: when non-empty, only these label keys are kept
+ * - deny: label keys that are always dropped
+ * - rewrite: regex replacements on label values, applied in order, e.g. stripping the
+ *   query string or numeric ids from `page`; a label rewritten to '' is dropped
+ *
+ * Stored as `{ allow: string[], deny: string[], rewrite: [{ label, pattern,
+ * replacement }] }`; NULL means no rules.
+ */
+import { userPatternInput, userPatternProblem } from './userPattern.js';
+
+export const MAX_RULE_LABEL_KEYS = 50;
+export const MAX_LABEL_REWRITES = 10;
+
+const LABEL_KEY = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const parseKeyList = (value, field) => {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new Error(`Label rules: ${field} must be an array`);
+  if (value.length > MAX_RULE_LABEL_KEYS) {
+    throw new Error(`Label rules: ${field} can list at most ${MAX_RULE_LABEL_KEYS} keys`);
+  }
+  const keys = value.map((key) => (typeof key === 'string' ? key.trim() : key));
+  const invalid = keys.find((key) => typeof key !== 'string' || !LABEL_KEY.test(key));
+  if (invalid !== undefined) {
+    throw new Error(`Label rules: invalid label key in ${field}: ${String(invalid)}`);
+  }
+  return [...new Set(keys)];
+};
+
+/**
+ * Parse user-supplied label rules.
+ * @param {Object} value
+ * @returns {{ allow: string[], deny: string[], rewrite: Array<{ label: string,
+ *   pattern: string, replacement: string }> }}
+ * @throws {Error} - With a user-facing message when the rules are invalid
+ */
+export function parseLabelRules(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Label rules must be an object');
+  }
+  const allow = parseKeyList(value.allow, 'allow');
+  const deny = parseKeyList(value.deny, 'deny');
+  const both = allow.filter((key) => deny.includes(key));
+  if (both.length > 0) {
+    throw new Error(`Label rules: ${both.join(', ')} cannot be both allowed and denied`);
+  }
+
+  const rewrites = value.rewrite ?? [];
+  if (!Array.isArray(rewrites)) throw new Error('Label rules: rewrite must be an array');
+  if (rewrites.length > MAX_LABEL_REWRITES) {
+    throw new Error(`Label rules: at most ${MAX_LABEL_REWRITES} rewrites`);
+  }
+  const rewrite = rewrites.map((rule, i) => {
+    const label = typeof rule?.label === 'string' ? rule.label.trim() : '';
+    if (!LABEL_KEY.test(label)) {
+      throw new Error(`Label rules: rewrite ${i + 1} needs a valid label key`);
+    }
+    const pattern = rule.pattern;
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      throw new Error(`Label rules: rewrite ${i + 1} needs a pattern`);
+    }
+    const problem = userPatternProblem(pattern);
+    if (problem) throw new Error(`Label rules: rewrite ${i + 1} pattern ${problem}`);
+    const replacement = rule.replacement ?? '';
+    if (typeof replacement !== 'string') {
+      throw new Error(`Label rules: rewrite ${i + 1} replacement must be a string`);
+    }
+    return { label, pattern, replacement };
+  });
+
+  return { allow, deny, rewrite };
+}
+
+/**
+ * Compile stored label rules for the ingest path. Rules that no longer parse are
+ * ignored rather than failing ingestion.
+ * @param {Object|null} value - `metric_configs.label_rules`
+ * @returns {{ allow: Set<string>|null, deny: Set<string>, rewrite: Array<{ label: string,
+ *   regex: RegExp, replacement: string }> }|null} - null when there is nothing to apply
+ */
+export function compileLabelRules(value) {
+  if (value == null) return null;
+  let rules;
+  try {
+    rules = parseLabelRules(value);
+  } catch {
+    return null;
+  }
+  if (rules.allow.length === 0 && rules.deny.length === 0 && rules.rewrite.length === 0) {
+    return null;
+  }
+  return {
+    allow: rules.allow.length > 0 ? new Set(rules.allow) : null,
+    deny: new Set(rules.deny),
+    rewrite: rules.rewrite.map(({ label, pattern, replacement }) => ({
+      label,
+      regex: new RegExp(pattern, 'g'),
+      replacement,
+    })),
+  };
+}
+
+/**
+ * Apply compiled label rules to a label set.
+ * @param {Object} labels
+ * @param {ReturnType<typeof compileLabelRules>} rules
+ * @returns {Object} - A new label set (the input when there are no rules)
+ */
+export function applyLabelRules(labels, rules) {
+  if (!rules || !labels) return labels;
+  const result = {};
+  for (const [key, value] of Object.entries(labels)) {
+    if (rules.deny.has(key)) continue;
+    if (rules.allow && !rules.allow.has(key)) continue;
+    result[key] = value;
+  }
+  for (const { label, regex, replacement } of rules.rewrite) {
+    if (result[label] === undefined) continue;
+    const rewritten = userPatternInput(result[label]).replace(regex, replacement);
+    if (rewritten === '') delete result[label];
+    else result[label] = rewritten;
+  }
+  return result;
+}
+
+/**
+ * The metric with its config's label rules applied.
+ * @param {{ name: string, labels?: Object }} metric
+ * @param {{ configs: Map<string, { labelRules?: Object|null }> }} schema
+ * @returns {Object}
+ */
+export function applyMetricLabelRules(metric, schema) {
+  const rules = schema?.configs?.get(metric.name)?.labelRules;
+  if (!rules || !metric.labels) return metric;
+  return { ...metric, labels: applyLabelRules(metric.labels, rules) };
+}
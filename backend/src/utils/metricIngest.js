@@ -0,0 +1,87 @@
+/**
+ * Value and timestamp rules shared by the ingestion endpoints (JSON, Prometheus
+ * exposition, OTLP, remote-write).
+ */
+import { config } from '../config.js';
+
+// Labels that place a sample within a histogram/summary family (not user dimensions),
+// kept out of the per-metric label limits
+const STRUCTURAL_LABELS = ['le', 'quantile'];
+
+/**
+ * Split `le`/`quantile` off a Prometheus-style label set.
+ * @returns {{ labels: Object, structural: Object }}
+ */
+export const splitStructuralLabels = (labels) => {
+  const rest = { ...labels };
+  const structural = {};
+  for (const key of STRUCTURAL_LABELS) {
+    if (key in rest) {
+      structural[key] = rest[key];
+      delete rest[key];
+    }
+  }
+  return { labels: rest, structural };
+};
+
+/**
+ * Validate metric value based on type
+ * @param {any} value - Metric value to validate
+ * @param {string} type - Metric type
+ * @returns {boolean} - True if valid
+ */
+export const validateMetricValue = (value, type) => {
+  const numValue = typeof value === 'number' ? value : parseFloat(value);
+
+  if (isNaN(numValue)) {
+    return false;
+  }
+
+  // Prometheus counters must be non-negative
+  if (type === 'counter' && numValue < 0) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Parse an optional client timestamp (ms since epoch, or an ISO 8601 string).
+ * @returns {number|null} - Milliseconds since epoch, or null when unparseable
+ */
+export const parseMetricTimestamp = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value) : null;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    const trimmed = value.trim();
+    const parsed = /^\d+$/.test(trimmed) ? Number(trimmed) : Date.parse(trimmed);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+};
+
+/**
+ * Check a client timestamp against the accepted ingest window.
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {number} now - Server time in milliseconds
+ * @returns {string|null} - Error message, or null when accepted
+ */
+export const checkTimestampWindow = (timestamp, now) => {
+  const maxAgeMs = config.metrics?.maxSampleAgeMs ?? 3_600_000;
+  const maxSkewMs = config.metrics?.maxClockSkewMs ?? 300_000;
+
+  if (now - timestamp > maxAgeMs) {
+    return `Metric timestamp is older than the accepted window of ${maxAgeMs}ms`;
+  }
+  if (timestamp - now > maxSkewMs) {
+    return `Metric timestamp is more than ${maxSkewMs}ms in the future`;
+  }
+  return null;
+};
+
+/** Highest `count` one histogram/summary observation may carry. */
+export const MAX_OBSERVATION_COUNT = 1000;
+
+/** Metric types whose samples are observations, which may carry a `count`. */
+export const OBSERVATION_TYPES = ['histogram', 'summary'];
@@ -0,0 +1,77 @@
+/**
+ * Server-side metric schema enforcement: incoming metrics are checked against the
+ * user's metric configs instead of trusting the client-sent type and labels.
+ *
+ * - off: configs are not consulted (default)
+ * - warn: unconfigured names pass, type mismatches are coerced to the configured
+ *   type and undeclared label keys are dropped; each change is reported as a warning
+ * - strict: unconfigured names, type mismatches and undeclared label keys are rejected
+ * In warn and strict mode, metrics whose config is paused or draft are rejected.
+ */
+
+export const ENFORCEMENT_MODES = ['off', 'warn', 'strict'];
+
+/**
+ * Declared label keys of a metric config (`[{ name, value }]`, or a legacy object).
+ * @returns {string[]}
+ */
+export const declaredLabelKeys = (labels) => {
+  if (Array.isArray(labels)) return labels.map((label) => label?.name).filter(Boolean);
+  if (labels && typeof labels === 'object') return Object.keys(labels);
+  return [];
+};
+
+/**
+ * @param {{ name: string, type: string, labels?: Object, operation?: string }} metric
+ * @param {{ enforcement: string, configs: Map<string, { type: string, status: string,
+ *   labels: string[] }> }} schema
+ * @returns {{ metric: Object, warnings: string[] }} - The metric as it should be recorded
+ * @throws {Error} - With the rejection reason
+ */
+export function enforceMetricSchema(metric, schema) {
+  const mode = schema?.enforcement ?? 'off';
+  if (mode === 'off') return { metric, warnings: [] };
+
+  const strict = mode === 'strict';
+  const config = schema.configs.get(metric.name);
+  if (!config) {
+    if (strict) throw new Error(`Metric "${metric.name}" is not configured`);
+    return { metric, warnings: [`Metric "${metric.name}" is not configured`] };
+  }
+  if (config.status === 'paused' || config.status === 'draft') {
+    throw new Error(`Metric "${metric.name}" is ${config.status}`);
+  }
+
+  const warnings = [];
+  let enforced = metric;
+  if (metric.type !== config.type) {
+    if (strict) {
+      throw new Error(
+        `Metric "${metric.name}" is configured as ${config.type}, got ${metric.type}`
+      );
+    }
+    warnings.push(`Type coerced from ${metric.type} to configured ${config.type}`);
+    enforced = { ...enforced, type: config.type };
+    // A counter sample is an increment; keep that meaning when it lands on a gauge
+    if (config.type === 'gauge' && metric.type === 'counter') {
+      enforced.operation = 'increment';
+    } else if (config.type !== 'gauge') {
+      delete enforced.operation;
+    }
+  }
+
+  const labels = metric.labels || {};
+  const undeclared = Object.keys(labels).filter((key) => !config.labels.includes(key));
+  if (undeclared.length > 0) {
+    if (strict) throw new Error(`Undeclared label keys: ${undeclared.join(', ')}`);
+    warnings.push(`Dropped undeclared label keys: ${undeclared.join(', ')}`);
+    enforced = {
+      ...enforced,
+      labels: Object.fromEntries(
+        Object.entries(labels).filter(([key]) => config.labels.includes(key))
+      ),
+    };
+  }
+
+  return { metric: enforced, warnings };
+}
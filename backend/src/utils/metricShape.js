@@ -0,0 +1,81 @@
+/**
+ * Bucket boundaries and quantile objectives for histogram/summary metrics.
+ * Shared by metric config validation, the prom-client registry and the Mimir writer.
+ */
+
+/** Used when a histogram metric config does not define its own buckets. */
+export const DEFAULT_HISTOGRAM_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 25, 50, 100];
+
+/** Used when a summary metric config does not define its own quantiles. */
+export const DEFAULT_SUMMARY_QUANTILES = [0.01, 0.1, 0.5, 0.9, 0.99];
+
+export const MAX_HISTOGRAM_BUCKETS = 30;
+export const MAX_SUMMARY_QUANTILES = 10;
+
+/**
+ * Parse user-supplied bucket boundaries: finite numbers, sorted and de-duplicated.
+ * +Inf is implicit and must not be listed.
+ * @param {Array} value
+ * @returns {number[]}
+ * @throws {Error} - With a user-facing message when the list is invalid
+ */
+export function parseBuckets(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error('Buckets must be a non-empty array of numbers');
+  }
+  if (value.length > MAX_HISTOGRAM_BUCKETS) {
+    throw new Error(`Buckets can have at most ${MAX_HISTOGRAM_BUCKETS} boundaries`);
+  }
+  const numbers = value.map((b) => (typeof b === 'string' ? Number(b.trim()) : b));
+  if (numbers.some((b) => typeof b !== 'number' || !Number.isFinite(b))) {
+    throw new Error('Buckets must be finite numbers (+Inf is added automatically)');
+  }
+  return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+/**
+ * Parse user-supplied quantile objectives: numbers strictly between 0 and 1,
+ * sorted and de-duplicated.
+ * @param {Array} value
+ * @returns {number[]}
+ * @throws {Error} - With a user-facing message when the list is invalid
+ */
+export function parseQuantiles(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error('Quantiles must be a non-empty array of numbers');
+  }
+  if (value.length > MAX_SUMMARY_QUANTILES) {
+    throw new Error(`Quantiles can have at most ${MAX_SUMMARY_QUANTILES} values`);
+  }
+  const numbers = value.map((q) => (typeof q === 'string' ? Number(q.trim()) : q));
+  if (numbers.some((q) => typeof q !== 'number' || !(q > 0 && q < 1))) {
+    throw new Error('Quantiles must be numbers between 0 and 1 (exclusive)');
+  }
+  return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+/**
+ * Buckets to use for a histogram: the configured list when valid, else the defaults.
+ * @param {Array|null|undefined} buckets
+ * @returns {number[]}
+ */
+export function resolveBuckets(buckets) {
+  try {
+    return parseBuckets(buckets);
+  } catch {
+    return DEFAULT_HISTOGRAM_BUCKETS;
+  }
+}
+
+/**
+ * Quantiles to use for a summary: the configured list when valid, else the defaults.
+ * @param {Array|null|undefined} quantiles
+ * @returns {number[]}
+ */
+export function resolveQuantiles(quantiles) {
+  try {
+    return parseQuantiles(quantiles);
+  } catch {
+    return DEFAULT_SUMMARY_QUANTILES;
+  }
+}
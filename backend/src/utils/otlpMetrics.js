@@ -0,0 +1,338 @@
+/**
+ * OTLP metrics (OpenTelemetry protocol) decoding and mapping onto Vizme series.
+ *
+ * Requests arrive as OTLP/JSON or OTLP/protobuf `ExportMetricsServiceRequest`;
+ * protobuf is decoded into the same camelCase shape as OTLP/JSON. Each data point
+ * is flattened into the series Prometheus would expose for it:
+ * - gauge, sum → one series
+ * - histogram → `_bucket{le}` (cumulative over le, including +Inf), `_count`, `_sum`
+ * - summary → `{quantile}`, `_count`, `_sum`
+ * Exponential histograms are not supported and are reported as errors.
+ *
+ * Names and attribute keys are sanitized to Prometheus rules (`http.server.duration`
+ * → `http_server_duration`); no unit or `_total` suffixes are added, so names match
+ * the JSON endpoint. Resource attributes become labels, overridden by data point
+ * attributes with the same key.
+ */
+import protobuf from 'protobufjs';
+
+const OTLP_METRICS_PROTO = `
+syntax = "proto3";
+package otlp;
+
+message ExportMetricsServiceRequest { repeated ResourceMetrics resource_metrics = 1; }
+message ExportMetricsServiceResponse { ExportMetricsPartialSuccess partial_success = 1; }
+message ExportMetricsPartialSuccess { int64 rejected_data_points = 1; string error_message = 2; }
+
+message AnyValue {
+  oneof value {
+    string string_value = 1;
+    bool bool_value = 2;
+    int64 int_value = 3;
+    double double_value = 4;
+    ArrayValue array_value = 5;
+    KeyValueList kvlist_value = 6;
+    bytes bytes_value = 7;
+  }
+}
+message ArrayValue { repeated AnyValue values = 1; }
+message KeyValueList { repeated KeyValue values = 1; }
+message KeyValue { string key = 1; AnyValue value = 2; }
+
+message Resource { repeated KeyValue attributes = 1; }
+message InstrumentationScope { string name = 1; string version = 2; }
+message ResourceMetrics { Resource resource = 1; repeated ScopeMetrics scope_metrics = 2; }
+message ScopeMetrics { InstrumentationScope scope = 1; repeated Metric metrics = 2; }
+
+message Metric {
+  string name = 1;
+  string description = 2;
+  string unit = 3;
+  oneof data {
+    Gauge gauge = 5;
+    Sum sum = 7;
+    Histogram histogram = 9;
+    ExponentialHistogram exponential_histogram = 10;
+    Summary summary = 11;
+  }
+}
+message Gauge { repeated NumberDataPoint data_points = 1; }
+message Sum {
+  repeated NumberDataPoint data_points = 1;
+  int32 aggregation_temporality = 2;
+  bool is_monotonic = 3;
+}
+message Histogram { repeated HistogramDataPoint data_points = 1; int32 aggregation_temporality = 2; }
+message ExponentialHistogram { repeated ExponentialHistogramDataPoint data_points = 1; }
+message ExponentialHistogramDataPoint { repeated KeyValue attributes = 1; }
+message Summary { repeated SummaryDataPoint data_points = 1; }
+
+message NumberDataPoint {
+  repeated KeyValue attributes = 7;
+  fixed64 time_unix_nano = 3;
+  oneof value { double as_double = 4; sfixed64 as_int = 6; }
+  uint32 flags = 8;
+}
+message HistogramDataPoint {
+  repeated KeyValue attributes = 9;
+  fixed64 time_unix_nano = 3;
+  fixed64 count = 4;
+  optional double sum = 5;
+  repeated fixed64 bucket_counts = 6;
+  repeated double explicit_bounds = 7;
+  uint32 flags = 10;
+}
+message SummaryDataPoint {
+  message ValueAtQuantile { double quantile = 1; double value = 2; }
+  repeated KeyValue attributes = 7;
+  fixed64 time_unix_nano = 3;
+  fixed64 count = 4;
+  double sum = 5;
+  repeated ValueAtQuantile quantile_values = 6;
+  uint32 flags = 8;
+}
+`;
+
+const root = protobuf.parse(OTLP_METRICS_PROTO).root;
+const ExportMetricsServiceRequest = root.lookupType('otlp.ExportMetricsServiceRequest');
+const ExportMetricsServiceResponse = root.lookupType('otlp.ExportMetricsServiceResponse');
+
+const TEMPORALITY_DELTA = 1;
+const TEMPORALITY_CUMULATIVE = 2;
+const TEMPORALITY_NAMES = {
+  AGGREGATION_TEMPORALITY_DELTA: TEMPORALITY_DELTA,
+  AGGREGATION_TEMPORALITY_CUMULATIVE: TEMPORALITY_CUMULATIVE,
+};
+// DataPointFlags.NO_RECORDED_VALUE — the point only marks a gap
+const FLAG_NO_RECORDED_VALUE = 1;
+
+/**
+ * Decode an OTLP/protobuf request body into the OTLP/JSON object shape.
+ * @param {Buffer} buffer
+ * @throws {Error} - When the payload is not a valid ExportMetricsServiceRequest
+ */
+export function decodeOtlpMetricsRequest(buffer) {
+  const message = ExportMetricsServiceRequest.decode(buffer);
+  return ExportMetricsServiceRequest.toObject(message, {
+    longs: String,
+    bytes: String,
+    defaults: false,
+    arrays: true,
+  });
+}
+
+/**
+ * Encode an ExportMetricsServiceResponse (protobuf clients expect a protobuf reply).
+ * @param {{ partialSuccess?: { rejectedDataPoints: number, errorMessage: string } }} response
+ */
+export function encodeOtlpMetricsResponse(response) {
+  return Buffer.from(
+    ExportMetricsServiceResponse.encode(ExportMetricsServiceResponse.fromObject(response)).finish()
+  );
+}
+
+export function sanitizeOtlpName(name) {
+  const sanitized = String(name).replace(/[^a-zA-Z0-9_:]/g, '_');
+  return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+}
+
+function sanitizeLabelName(key) {
+  const sanitized = String(key).replace(/[^a-zA-Z0-9_]/g, '_');
+  if (/^[0-9]/.test(sanitized)) return `key_${sanitized}`;
+  // Names starting with __ are reserved for Prometheus internals
+  return sanitized.startsWith('__') ? `key${sanitized}` : sanitized;
+}
+
+function anyValueToString(value) {
+  if (!value || typeof value !== 'object') return '';
+  if (value.stringValue !== undefined) return String(value.stringValue);
+  if (value.boolValue !== undefined) return String(Boolean(value.boolValue));
+  if (value.intValue !== undefined) return String(value.intValue);
+  if (value.doubleValue !== undefined) return String(value.doubleValue);
+  if (value.bytesValue !== undefined) return String(value.bytesValue);
+  if (value.arrayValue) {
+    return JSON.stringify((value.arrayValue.values || []).map(anyValueToString));
+  }
+  if (value.kvlistValue) {
+    return JSON.stringify(attributesToLabels(value.kvlistValue.values));
+  }
+  return '';
+}
+
+/**
+ * KeyValue[] → labels. Keys that collide after sanitizing are joined with `;`
+ * (as the Prometheus exporter does).
+ */
+function attributesToLabels(attributes) {
+  const labels = {};
+  for (const attribute of attributes || []) {
+    if (!attribute?.key) continue;
+    const key = sanitizeLabelName(attribute.key);
+    const value = anyValueToString(attribute.value);
+    labels[key] = labels[key] === undefined ? value : `${labels[key]};${value}`;
+  }
+  return labels;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return Number(value);
+}
+
+function nanosToMillis(nanos) {
+  if (nanos === undefined || nanos === null) return null;
+  try {
+    const ms = Number(BigInt(String(nanos)) / 1_000_000n);
+    return ms > 0 ? ms : null;
+  } catch {
+    return null;
+  }
+}
+
+function temporalityOf(value) {
+  return typeof value === 'string' ? TEMPORALITY_NAMES[value] : Number(value);
+}
+
+/**
+ * Flatten an ExportMetricsServiceRequest into one entry per output series.
+ *
+ * Entry: { metric, family, name, type, temporality: 'cumulative'|'delta', labels,
+ *   structural: { le } | { quantile } | {}, value, timestamp: ms|null, point }
+ * `type` is the Vizme type the value is validated as; `point` identifies the data point
+ * so rejections can be counted per point. Errors: { metric, error, points }.
+ */
+export function flattenOtlpMetrics(request) {
+  const entries = [];
+  const errors = [];
+  let pointId = 0;
+
+  for (const resourceMetrics of request?.resourceMetrics || []) {
+    const resourceLabels = attributesToLabels(resourceMetrics?.resource?.attributes);
+
+    for (const scopeMetrics of resourceMetrics?.scopeMetrics || []) {
+      for (const metric of scopeMetrics?.metrics || []) {
+        const metricName = metric?.name || '';
+        if (!metricName) {
+          errors.push({ metric: metricName, error: 'Metric name is required', points: 1 });
+          continue;
+        }
+        const family = sanitizeOtlpName(metricName);
+
+        const pushPoint = (point, series, { type, temporality }) => {
+          const id = pointId++;
+          if ((Number(point?.flags) & FLAG_NO_RECORDED_VALUE) !== 0) return;
+          const labels = { ...resourceLabels, ...attributesToLabels(point?.attributes) };
+          const timestamp = nanosToMillis(point?.timeUnixNano);
+          for (const { suffix = '', structural = {}, value, valueType = type } of series) {
+            entries.push({
+              metric: metricName,
+              family,
+              name: `${family}${suffix}`,
+              type: valueType,
+              temporality,
+              labels,
+              structural,
+              value,
+              timestamp,
+              point: id,
+            });
+          }
+        };
+
+        const numberValue = (point) =>
+          point?.asDouble !== undefined ? toNumber(point.asDouble) : toNumber(point?.asInt);
+
+        if (metric.gauge) {
+          for (const point of metric.gauge.dataPoints || []) {
+            pushPoint(point, [{ value: numberValue(point) }], {
+              type: 'gauge',
+              temporality: 'cumulative',
+            });
+          }
+        } else if (metric.sum) {
+          const temporality = temporalityOf(metric.sum.aggregationTemporality);
+          const points = metric.sum.dataPoints || [];
+          if (temporality !== TEMPORALITY_DELTA && temporality !== TEMPORALITY_CUMULATIVE) {
+            errors.push({
+              metric: metricName,
+              error: 'Sum aggregation temporality must be delta or cumulative',
+              points: points.length,
+            });
+            continue;
+          }
+          for (const point of points) {
+            pushPoint(point, [{ value: numberValue(point) }], {
+              type: metric.sum.isMonotonic ? 'counter' : 'gauge',
+              temporality: temporality === TEMPORALITY_DELTA ? 'delta' : 'cumulative',
+            });
+          }
+        } else if (metric.histogram) {
+          const temporality = temporalityOf(metric.histogram.aggregationTemporality);
+          const points = metric.histogram.dataPoints || [];
+          if (temporality !== TEMPORALITY_DELTA && temporality !== TEMPORALITY_CUMULATIVE) {
+            errors.push({
+              metric: metricName,
+              error: 'Histogram aggregation temporality must be delta or cumulative',
+              points: points.length,
+            });
+            continue;
+          }
+          for (const point of points) {
+            const bounds = point.explicitBounds || [];
+            const counts = (point.bucketCounts || []).map(toNumber);
+            let cumulative = 0;
+            const buckets = [...bounds, Infinity].map((le, index) => {
+              cumulative += counts[index] ?? 0;
+              return {
+                suffix: '_bucket',
+                structural: { le: le === Infinity ? '+Inf' : String(le) },
+                value: cumulative,
+                valueType: 'counter',
+              };
+            });
+            pushPoint(
+              point,
+              [
+                ...buckets,
+                { suffix: '_count', value: toNumber(point.count) ?? 0, valueType: 'counter' },
+                ...(point.sum !== undefined
+                  ? [{ suffix: '_sum', value: toNumber(point.sum) }]
+                  : []),
+              ],
+              {
+                type: 'histogram',
+                temporality: temporality === TEMPORALITY_DELTA ? 'delta' : 'cumulative',
+              }
+            );
+          }
+        } else if (metric.summary) {
+          for (const point of metric.summary.dataPoints || []) {
+            pushPoint(
+              point,
+              [
+                ...(point.quantileValues || []).map((q) => ({
+                  structural: { quantile: String(toNumber(q.quantile) ?? 0) },
+                  value: toNumber(q.value),
+                })),
+                { suffix: '_count', value: toNumber(point.count) ?? 0, valueType: 'counter' },
+                { suffix: '_sum', value: toNumber(point.sum) ?? 0 },
+              ],
+              { type: 'summary', temporality: 'cumulative' }
+            );
+          }
+        } else {
+          const points = metric.exponentialHistogram?.dataPoints?.length ?? 1;
+          errors.push({
+            metric: metricName,
+            error: metric.exponentialHistogram
+              ? 'Exponential histograms are not supported'
+              : 'Metric has no supported data',
+            points,
+          });
+        }
+      }
+    }
+  }
+
+  return { entries, errors };
+}
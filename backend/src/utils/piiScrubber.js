@@ -0,0 +1,227 @@
+/**
+ * PII scrubbing for incoming label values. Auto-tracked labels such as `url`,
+ * `message` or `element_text` can carry emails, tokens or IP addresses; matches are
+ * masked (`[email]`) or replaced by a keyed hash (`[email:3f9a0c2e71b4]`, stable, so
+ * distinct values stay distinct) before the metric is recorded or sent to Mimir.
+ *
+ * Built-in detectors: email, ip (IPv4/IPv6), jwt, card (Luhn-valid 13-19 digit
+ * numbers) and secret (values of query-string parameters such as `token=` or
+ * `password=`). Users can add their own patterns. Settings live on
+ * `users.pii_scrubbing`; NULL means the defaults (mask with every built-in detector).
+ * A metric config with `anonymize_ip = false` keeps IP addresses for that metric.
+ */
+import crypto from 'crypto';
+import net from 'net';
+import { userPatternInput, userPatternProblem } from './userPattern.js';
+
+export const PII_ACTIONS = ['off', 'mask', 'hash'];
+export const PII_DETECTORS = ['email', 'ip', 'jwt', 'card', 'secret'];
+export const MAX_CUSTOM_DETECTORS = 10;
+export const DEFAULT_PII_SETTINGS = { action: 'mask', detectors: PII_DETECTORS, custom: [] };
+
+const DETECTOR_NAME = /^[a-z][a-z0-9_]{0,31}$/;
+const HASH_LENGTH = 12;
+
+const SECRET_PARAMS =
+  'access_token|id_token|refresh_token|token|api_key|apikey|key|secret|client_secret|password|passwd|pwd|auth|session|sessionid|sid|code|signature|sig';
+const IPV4 = '(?:(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)\\.){3}(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)';
+const HEX = '[0-9a-f]{1,4}';
+const IPV6 = [
+  `(?:${HEX}:){7}${HEX}`,
+  `(?:${HEX}:){1,6}:(?:${HEX}:){0,5}${HEX}`,
+  `(?:${HEX}:){1,7}:`,
+  `::(?:${HEX}:){0,6}${HEX}`,
+].join('|');
+
+// Detector order matters: query-string secrets and JWTs go first so their values are
+// replaced whole rather than piecemeal by later detectors
+const BUILT_IN = [
+  {
+    name: 'secret',
+    regex: new RegExp(`((?:^|[?&;#])(?:${SECRET_PARAMS})=)[^&#\\s]+`, 'gi'),
+    // Keep the parameter name, scrub only its value
+    prefixGroup: true,
+  },
+  { name: 'jwt', regex: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g },
+  { name: 'email', regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+  // Not part of a longer word, so `std::vector` or `a::before` never match, and a
+  // compressed address needs three groups: `Abc::Def` is a symbol, not an address
+  {
+    name: 'ip',
+    regex: new RegExp(`(?<![\\w:.])(?:${IPV6})(?![\\w:])`, 'gi'),
+    accept: (match) => net.isIPv6(match) && (!match.includes('::') || hexGroups(match) >= 3),
+  },
+  { name: 'ip', regex: new RegExp(`\\b${IPV4}\\b`, 'g') },
+  // Card networks start with 2-6, which also keeps millisecond timestamps (1...) out
+  {
+    name: 'card',
+    regex: /\b[2-6](?:[ -]?\d){12,18}\b/g,
+    accept: (match) => luhnValid(match),
+  },
+];
+
+/** Number of hex groups in an IPv6 address. */
+const hexGroups = (address) => address.split(':').filter(Boolean).length;
+
+/** Luhn checksum over the digits of a candidate card number. */
+function luhnValid(candidate) {
+  const digits = candidate.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Parse user-supplied scrubbing settings.
+ * @param {Object} value
+ * @returns {{ action: 'off'|'mask'|'hash', detectors: string[], custom: Array<{ name: string,
+ *   pattern: string }> }}
+ * @throws {Error} - With a user-facing message when the settings are invalid
+ */
+export function parsePiiSettings(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('PII scrubbing settings must be an object');
+  }
+  const action = value.action ?? DEFAULT_PII_SETTINGS.action;
+  if (!PII_ACTIONS.includes(action)) {
+    throw new Error(`PII scrubbing action must be one of: ${PII_ACTIONS.join(', ')}`);
+  }
+
+  const detectors = value.detectors ?? DEFAULT_PII_SETTINGS.detectors;
+  if (!Array.isArray(detectors) || detectors.some((d) => !PII_DETECTORS.includes(d))) {
+    throw new Error(`PII detectors must be a list of: ${PII_DETECTORS.join(', ')}`);
+  }
+
+  const custom = value.custom ?? [];
+  if (!Array.isArray(custom)) throw new Error('Custom PII detectors must be an array');
+  if (custom.length > MAX_CUSTOM_DETECTORS) {
+    throw new Error(`At most ${MAX_CUSTOM_DETECTORS} custom PII detectors`);
+  }
+  const names = new Set();
+  const parsedCustom = custom.map((detector, i) => {
+    const name = typeof detector?.name === 'string' ? detector.name.trim() : '';
+    if (!DETECTOR_NAME.test(name)) {
+      throw new Error(
+        `Custom PII detector ${i + 1} needs a name of lowercase letters, digits and underscores`
+      );
+    }
+    if (PII_DETECTORS.includes(name) || names.has(name)) {
+      throw new Error(`Custom PII detector name "${name}" is already used`);
+    }
+    names.add(name);
+    const pattern = detector.pattern;
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      throw new Error(`Custom PII detector "${name}" needs a pattern`);
+    }
+    const problem = userPatternProblem(pattern);
+    if (problem) throw new Error(`Custom PII detector "${name}" pattern ${problem}`);
+    return { name, pattern };
+  });
+
+  return { action, detectors: [...new Set(detectors)], custom: parsedCustom };
+}
+
+/**
+ * Compile stored settings for the ingest path. Unparseable settings fall back to the
+ * defaults, so a bad row never lets PII through.
+ * @param {Object|null} value - `users.pii_scrubbing`
+ * @param {{ hashSecret?: string }} [options] - HMAC key for the hash action
+ * @returns {{ action: 'mask'|'hash', detectors: Array<{ name: string, regex: RegExp,
+ *   prefixGroup?: boolean, accept?: Function }>, hashSecret: string }|null} - null when
+ *   scrubbing is off
+ */
+export function compilePiiScrubber(value, { hashSecret = '' } = {}) {
+  let settings = DEFAULT_PII_SETTINGS;
+  if (value != null) {
+    try {
+      settings = parsePiiSettings(value);
+    } catch {
+      settings = DEFAULT_PII_SETTINGS;
+    }
+  }
+  if (settings.action === 'off') return null;
+  return {
+    action: settings.action,
+    detectors: [
+      ...BUILT_IN.filter((detector) => settings.detectors.includes(detector.name)),
+      ...settings.custom.map(({ name, pattern }) => ({ name, regex: new RegExp(pattern, 'g') })),
+    ],
+    hashSecret,
+  };
+}
+
+/** Scrubber used when the user's settings could not be loaded. */
+export const DEFAULT_PII_SCRUBBER = compilePiiScrubber(null);
+
+const replacementFor = (scrubber, name, match) => {
+  if (scrubber.action === 'mask') return `[${name}]`;
+  const digest = crypto.createHmac('sha256', scrubber.hashSecret).update(match).digest('hex');
+  return `[${name}:${digest.slice(0, HASH_LENGTH)}]`;
+};
+
+/**
+ * Scrub one label value. Values longer than the user-pattern input cap are cut off
+ * first (they are truncated to a much shorter length before storage anyway).
+ * @param {string} value
+ * @param {ReturnType<typeof compilePiiScrubber>} scrubber
+ * @param {{ anonymizeIp?: boolean }} [options] - false skips the IP detector
+ * @returns {string}
+ */
+export function scrubValue(value, scrubber, { anonymizeIp = true } = {}) {
+  let result = userPatternInput(value);
+  for (const detector of scrubber.detectors) {
+    if (detector.name === 'ip' && !anonymizeIp) continue;
+    result = result.replace(detector.regex, (match, prefix) => {
+      if (detector.accept && !detector.accept(match)) return match;
+      if (detector.prefixGroup) {
+        return `${prefix}${replacementFor(scrubber, detector.name, match.slice(prefix.length))}`;
+      }
+      return replacementFor(scrubber, detector.name, match);
+    });
+  }
+  return result;
+}
+
+/**
+ * Scrub every label value of a label set.
+ * @param {Object} labels
+ * @param {ReturnType<typeof compilePiiScrubber>} scrubber - null leaves labels as they are
+ * @param {{ anonymizeIp?: boolean }} [options]
+ * @returns {Object} - A new label set (the input when nothing matched)
+ */
+export function scrubLabels(labels, scrubber, options = {}) {
+  if (!scrubber || !labels) return labels;
+  let scrubbed = null;
+  for (const [key, value] of Object.entries(labels)) {
+    if (value == null) continue;
+    const clean = scrubValue(value, scrubber, options);
+    if (clean !== String(value)) {
+      scrubbed ??= { ...labels };
+      scrubbed[key] = clean;
+    }
+  }
+  return scrubbed ?? labels;
+}
+
+/**
+ * The metric with PII scrubbed from its labels, using the user's scrubber from the
+ * metric schema (the defaults when the schema could not be loaded) and the metric
+ * config's IP setting.
+ * @param {{ name: string, labels?: Object }} metric
+ * @param {{ scrubber?: Object|null, configs: Map<string, { anonymizeIp?: boolean }> }} schema
+ * @returns {Object}
+ */
+export function scrubMetricLabels(metric, schema) {
+  const scrubber = schema?.scrubber === undefined ? DEFAULT_PII_SCRUBBER : schema.scrubber;
+  if (!scrubber || !metric.labels) return metric;
+  const anonymizeIp = schema?.configs?.get(metric.name)?.anonymizeIp ?? true;
+  const labels = scrubLabels(metric.labels, scrubber, { anonymizeIp });
+  return labels === metric.labels ? metric : { ...metric, labels };
+}
@@ -0,0 +1,163 @@
+/**
+ * Parser for the Prometheus text exposition format (version 0.0.4), as produced
+ * by prom-client's `register.metrics()`.
+ *
+ * Each sample line is `name{label="value",...} value [timestamp_ms]`. `# TYPE`
+ * lines assign the family type; `_bucket`/`_count`/`_sum` samples belong to the
+ * histogram or summary family they were declared under. Invalid lines are reported
+ * with their 1-based line number and do not stop parsing.
+ */
+
+export const EXPOSITION_TYPES = ['counter', 'gauge', 'histogram', 'summary', 'untyped'];
+
+const METRIC_NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*/;
+const LABEL_NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]*/;
+const SUFFIXES = {
+  histogram: ['_bucket', '_count', '_sum'],
+  summary: ['_count', '_sum'],
+};
+
+function parseSampleValue(raw) {
+  if (raw === '+Inf' || raw === 'Inf') return Infinity;
+  if (raw === '-Inf') return -Infinity;
+  if (raw === 'NaN') return NaN;
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(raw)) return undefined;
+  return Number(raw);
+}
+
+/**
+ * Parse `{a="1",b="x\"y"}` starting at `text[start] === '{'`.
+ * @returns {{ labels: Object, end: number }} - `end` is the index after `}`
+ */
+function parseLabels(text, start) {
+  const labels = {};
+  let i = start + 1;
+  for (;;) {
+    while (text[i] === ' ') i++;
+    if (text[i] === '}') return { labels, end: i + 1 };
+
+    const name = LABEL_NAME_RE.exec(text.slice(i))?.[0];
+    if (!name) throw new Error('Invalid label name');
+    if (name.startsWith('__')) throw new Error(`Label name "${name}" is reserved`);
+    if (Object.prototype.hasOwnProperty.call(labels, name)) {
+      throw new Error(`Duplicate label "${name}"`);
+    }
+    i += name.length;
+    while (text[i] === ' ') i++;
+    if (text[i] !== '=' || text[i + 1] !== '"') throw new Error(`Expected ="..." after ${name}`);
+    i += 2;
+
+    let value = '';
+    for (;;) {
+      const ch = text[i];
+      if (ch === undefined) throw new Error('Unterminated label value');
+      if (ch === '"') break;
+      if (ch === '\\') {
+        const next = text[i + 1];
+        value += next === 'n' ? '\n' : next === '\\' || next === '"' ? next : `\\${next ?? ''}`;
+        i += 2;
+        continue;
+      }
+      value += ch;
+      i++;
+    }
+    labels[name] = value;
+    i++;
+    while (text[i] === ' ') i++;
+    if (text[i] === ',') {
+      i++;
+    } else if (text[i] !== '}') {
+      throw new Error('Expected , or } in label set');
+    }
+  }
+}
+
+function parseSampleLine(line) {
+  const name = METRIC_NAME_RE.exec(line)?.[0];
+  if (!name) throw new Error('Invalid metric name');
+
+  let labels = {};
+  let rest = line.slice(name.length);
+  if (rest.startsWith('{')) {
+    const parsed = parseLabels(rest, 0);
+    labels = parsed.labels;
+    rest = rest.slice(parsed.end);
+  }
+
+  const parts = rest.trim().split(/\s+/);
+  if (parts[0] === '' || parts.length > 2) {
+    throw new Error('Expected a value and an optional timestamp');
+  }
+  const value = parseSampleValue(parts[0]);
+  if (value === undefined) throw new Error(`Invalid sample value "${parts[0]}"`);
+
+  let timestamp = null;
+  if (parts[1] !== undefined) {
+    if (!/^-?\d+$/.test(parts[1])) throw new Error(`Invalid timestamp "${parts[1]}"`);
+    timestamp = Number(parts[1]);
+  }
+  return { name, labels, value, timestamp };
+}
+
+/**
+ * Family a sample belongs to, e.g. `http_duration_bucket` → `http_duration` when
+ * that name was declared as a histogram.
+ */
+function resolveFamily(name, types) {
+  if (types.has(name)) return { family: name, type: types.get(name) };
+  for (const [type, suffixes] of Object.entries(SUFFIXES)) {
+    const suffix = suffixes.find((s) => name.endsWith(s));
+    if (!suffix) continue;
+    const family = name.slice(0, -suffix.length);
+    if (types.get(family) === type) return { family, type };
+  }
+  return { family: name, type: 'untyped' };
+}
+
+/**
+ * @param {string} text - Exposition payload
+ * @returns {{ samples: Array<{ name: string, family: string, type: string, labels: Object,
+ *   value: number, timestamp: number|null, line: number }>, errors: Array<{ line: number, error: string }> }}
+ */
+export function parsePrometheusText(text) {
+  const types = new Map();
+  const samples = [];
+  const errors = [];
+
+  String(text ?? '')
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const lineNumber = index + 1;
+      if (line === '') return;
+
+      if (line.startsWith('#')) {
+        const match = /^#\s*TYPE\s+(\S+)\s+(\S+)\s*$/.exec(line);
+        if (!match) return; // HELP and free-form comments
+        const [, name, type] = match;
+        if (!EXPOSITION_TYPES.includes(type)) {
+          errors.push({ line: lineNumber, error: `Unsupported metric type "${type}"` });
+          return;
+        }
+        types.set(name, type);
+        return;
+      }
+
+      try {
+        const sample = parseSampleLine(line);
+        const { family, type } = resolveFamily(sample.name, types);
+        if (
+          type === 'histogram' &&
+          sample.name === `${family}_bucket` &&
+          !('le' in sample.labels)
+        ) {
+          throw new Error('Histogram bucket is missing the le label');
+        }
+        samples.push({ ...sample, family, type, line: lineNumber });
+      } catch (err) {
+        errors.push({ line: lineNumber, error: err.message });
+      }
+    });
+
+  return { samples, errors };
+}
@@ -0,0 +1,141 @@
+/**
+ * POST requests to user-supplied URLs (webhook endpoints, alert channels). Every
+ * address the host resolves to must be public: loopback, private (RFC 1918), shared
+ * (CGNAT), link-local (cloud metadata at 169.254.169.254), multicast and other reserved
+ * ranges are refused, so delivery status and error text cannot be used to probe the
+ * internal network. Addresses are checked when the connection is made, not in a
+ * separate lookup first, so a DNS answer that changes between the two (rebinding)
+ * cannot slip through. Redirects are never followed.
+ */
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+export const PRIVATE_ADDRESS_ERROR = 'URL resolves to a private or reserved address';
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.88.99.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001::', 23, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['fec0::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blocked = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blocked.addSubnet(address, prefix, type));
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - false for private and reserved addresses and for non-addresses
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  // BlockList matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+  return !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/** Host of a URL without the brackets of an IPv6 literal. */
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * Why a URL's host is not allowed, judged without resolving it: IP literals outside
+ * public ranges and localhost names. Hostnames are checked again on delivery.
+ * @param {URL} url
+ * @returns {string|null}
+ */
+export function privateHostProblem(url) {
+  const host = hostOf(url).toLowerCase();
+  if (net.isIP(host)) return isPublicAddress(host) ? null : PRIVATE_ADDRESS_ERROR;
+  if (host === 'localhost' || host.endsWith('.localhost')) return PRIVATE_ADDRESS_ERROR;
+  return null;
+}
+
+// dns.lookup replacement for the request: fails unless every address is public
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new Error(PRIVATE_ADDRESS_ERROR));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST a body to a URL and drain the response.
+ * @param {string} value - http(s) URL
+ * @param {{ headers?: Object, body?: string, timeoutMs?: number,
+ *   allowPrivateNetworks?: boolean }} [options] - allowPrivateNetworks skips the address
+ *   checks (local development only)
+ * @returns {Promise<{ status: number }>} - Rejects on connection errors, refused
+ *   addresses and timeouts ("Request timed out")
+ */
+export function postToPublicUrl(
+  value,
+  { headers = {}, body = '', timeoutMs = 10_000, allowPrivateNetworks = false } = {}
+) {
+  return new Promise((resolve, reject) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return reject(new Error('URL is invalid'));
+    }
+    const client = url.protocol === 'https:' ? https : url.protocol === 'http:' ? http : null;
+    if (!client) return reject(new Error('URL must use http or https'));
+    // IP literals skip the lookup, so they are checked here
+    const host = hostOf(url);
+    if (!allowPrivateNetworks && net.isIP(host) && !isPublicAddress(host)) {
+      return reject(new Error(PRIVATE_ADDRESS_ERROR));
+    }
+
+    const req = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        ...(allowPrivateNetworks ? {} : { lookup: publicLookup }),
+      },
+      (res) => {
+        res.on('error', fail);
+        res.on('end', () => {
+          clearTimeout(timer);
+          resolve({ status: res.statusCode });
+        });
+        res.resume();
+      }
+    );
+    const timer = setTimeout(() => req.destroy(new Error('Request timed out')), timeoutMs);
+    function fail(err) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    req.on('error', fail);
+    req.end(body);
+  });
+}
@@ -0,0 +1,80 @@
+/**
+ * Prometheus remote-write 1.0 decoding: snappy (block format) compressed protobuf
+ * `prometheus.WriteRequest`. Only float samples are read; native histograms,
+ * exemplars and metadata are skipped.
+ */
+import protobuf from 'protobufjs';
+import SnappyJS from 'snappyjs';
+
+const REMOTE_WRITE_PROTO = `
+syntax = "proto3";
+package prometheus;
+
+message WriteRequest { repeated TimeSeries timeseries = 1; }
+message TimeSeries {
+  repeated Label labels = 1;
+  repeated Sample samples = 2;
+  repeated Histogram histograms = 4;
+}
+message Label { string name = 1; string value = 2; }
+message Sample { double value = 1; int64 timestamp = 2; }
+message Histogram { int64 timestamp = 15; }
+`;
+
+const WriteRequest = protobuf.parse(REMOTE_WRITE_PROTO).root.lookupType('prometheus.WriteRequest');
+
+/**
+ * Length announced in the snappy block header (a little-endian base-128 varint),
+ * read before decompressing so oversized payloads are rejected without allocating.
+ * @returns {number} - Uncompressed length, or -1 when the header is invalid
+ */
+function snappyUncompressedLength(buffer) {
+  let result = 0;
+  for (let i = 0, shift = 0; i < buffer.length && shift < 35; i++, shift += 7) {
+    result += (buffer[i] & 0x7f) * 2 ** shift;
+    if (buffer[i] < 0x80) return result;
+  }
+  return -1;
+}
+
+/**
+ * @param {Buffer} body - Snappy-compressed WriteRequest
+ * @param {{ maxUncompressedBytes: number }} limits
+ * @returns {Array<{ labels: Object, samples: Array<{ value: number, timestamp: number }>,
+ *   histogramCount: number }>}
+ * @throws {Error} - With `status` 400 (malformed) or 413 (too large)
+ */
+export function decodeRemoteWriteRequest(body, { maxUncompressedBytes }) {
+  const fail = (message, status = 400) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  };
+
+  const length = snappyUncompressedLength(body);
+  if (length < 0) throw fail('Invalid snappy payload');
+  if (length > maxUncompressedBytes) {
+    throw fail(`Uncompressed payload exceeds ${maxUncompressedBytes} bytes`, 413);
+  }
+
+  let request;
+  try {
+    request = WriteRequest.toObject(WriteRequest.decode(SnappyJS.uncompress(body)), {
+      longs: Number,
+      defaults: true,
+      arrays: true,
+    });
+  } catch (err) {
+    throw fail(`Invalid remote-write payload: ${err.message}`);
+  }
+
+  return request.timeseries.map((series) => {
+    const labels = {};
+    for (const label of series.labels) labels[label.name] = label.value;
+    return {
+      labels,
+      samples: series.samples.map(({ value, timestamp }) => ({ value, timestamp })),
+      histogramCount: series.histograms.length,
+    };
+  });
+}
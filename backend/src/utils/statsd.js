@@ -0,0 +1,100 @@
+/**
+ * Parser for StatsD and DogStatsD metric lines:
+ *
+ *   <name>:<value>[:<value>...]|<type>[|@<sample rate>][|#<tag>:<value>,...]
+ *
+ * Types are c (counter), g (gauge), ms (timer), h (histogram), d (distribution)
+ * and s (set). Gauge values with a leading sign are deltas. Dots and other
+ * characters not allowed in Prometheus names become underscores. DogStatsD events
+ * (`_e{`) and service checks (`_sc|`) are skipped.
+ */
+
+export const STATSD_TYPES = ['c', 'g', 'ms', 'h', 'd', 's'];
+
+const NUMBER_RE = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+export function sanitizeStatsdName(name) {
+  const sanitized = String(name).replace(/[^a-zA-Z0-9_]/g, '_');
+  return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+}
+
+function sanitizeTagKey(key) {
+  const sanitized = sanitizeStatsdName(key);
+  // Names starting with __ are reserved for Prometheus internals
+  return sanitized.startsWith('__') ? `tag${sanitized}` : sanitized;
+}
+
+function parseTags(section) {
+  const tags = {};
+  for (const tag of section.split(',')) {
+    const separator = tag.indexOf(':');
+    // Value-less tags (`#canary`) have no Prometheus equivalent
+    if (separator <= 0) continue;
+    tags[sanitizeTagKey(tag.slice(0, separator))] = tag.slice(separator + 1);
+  }
+  return tags;
+}
+
+/**
+ * @param {string} line - One metric line (no trailing newline)
+ * @returns {{ name: string, type: string, values: Array<number|string>, delta: boolean,
+ *   sampleRate: number, tags: Object }|null} - null for events and service checks
+ * @throws {Error} - When the line is malformed
+ */
+export function parseStatsdLine(line) {
+  if (line.startsWith('_e{') || line.startsWith('_sc|')) return null;
+
+  const [metric, type, ...sections] = line.split('|');
+  const separator = metric.indexOf(':');
+  if (separator <= 0) throw new Error('Expected <name>:<value>');
+  if (!STATSD_TYPES.includes(type)) throw new Error(`Unsupported metric type "${type ?? ''}"`);
+
+  const name = sanitizeStatsdName(metric.slice(0, separator));
+  const rawValues = metric.slice(separator + 1).split(':');
+
+  let sampleRate = 1;
+  let tags = {};
+  for (const section of sections) {
+    if (section.startsWith('@')) {
+      sampleRate = Number(section.slice(1));
+      if (!(sampleRate > 0 && sampleRate <= 1)) {
+        throw new Error(`Invalid sample rate "${section.slice(1)}"`);
+      }
+    } else if (section.startsWith('#')) {
+      tags = { ...tags, ...parseTags(section.slice(1)) };
+    }
+    // Other DogStatsD extensions (container id, timestamps) are ignored
+  }
+
+  if (type === 's') {
+    if (rawValues.some((v) => v === '')) throw new Error('Empty set value');
+    return { name, type, values: rawValues, delta: false, sampleRate, tags };
+  }
+
+  const values = rawValues.map((raw) => {
+    if (!NUMBER_RE.test(raw)) throw new Error(`Invalid value "${raw}"`);
+    return Number(raw);
+  });
+  const delta = type === 'g' && /^[+-]/.test(rawValues[0]);
+  return { name, type, values, delta, sampleRate, tags };
+}
+
+/**
+ * @param {string} text - Datagram payload, one metric per line
+ * @returns {{ metrics: Array<Object>, errors: Array<{ line: string, error: string }> }}
+ */
+export function parseStatsdPacket(text) {
+  const metrics = [];
+  const errors = [];
+  for (const rawLine of String(text ?? '').split('\n')) {
+    const line = rawLine.trim();
+    if (line === '') continue;
+    try {
+      const metric = parseStatsdLine(line);
+      if (metric) metrics.push(metric);
+    } catch (err) {
+      errors.push({ line, error: err.message });
+    }
+  }
+  return { metrics, errors };
+}
@@ -0,0 +1,121 @@
+/**
+ * Checks for regular expressions that users store and the ingest path runs on every
+ * label value (label rewrites, custom PII detectors).
+ */
+
+export const MAX_USER_PATTERN_LENGTH = 200;
+
+/**
+ * Longest label value user patterns run on; the rest is cut off first. Values are
+ * truncated to METRICS_MAX_LABEL_VALUE_LENGTH (128 by default) afterwards anyway, and
+ * the cap keeps polynomial backtracking (e.g. `\w*\w*$`) bounded.
+ */
+export const MAX_USER_PATTERN_INPUT_LENGTH = 1024;
+
+/**
+ * Quantifier starting at `pattern[i]` (`*`, `+`, `?`, `{n}`, `{n,}`, `{n,m}`, each
+ * optionally lazy), or null.
+ * @returns {{ end: number, variable: boolean, repeats: boolean }|null} - `end` is the
+ *   index of its last character; `variable` when it can match different lengths,
+ *   `repeats` when it allows more than one repetition
+ */
+function readQuantifier(pattern, i) {
+  let min;
+  let max;
+  let end = i;
+  const ch = pattern[i];
+  if (ch === '*') [min, max] = [0, Infinity];
+  else if (ch === '+') [min, max] = [1, Infinity];
+  else if (ch === '?') [min, max] = [0, 1];
+  else if (ch === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (!match) return null;
+    min = Number(match[1]);
+    max = match[2] === undefined ? min : match[3] === '' ? Infinity : Number(match[3]);
+    end = i + match[0].length - 1;
+  } else {
+    return null;
+  }
+  if (pattern[end + 1] === '?') end += 1;
+  return { end, variable: min !== max, repeats: max > 1 };
+}
+
+/**
+ * Whether the pattern repeats a group that can match the same text in more than one
+ * way: the group holds an alternation or a variable-length quantifier, as in `(a+)+`,
+ * `(a|aa)*` or `(\w|\d)+$`. Backtracking over such a group is exponential in the input
+ * length. Backreferences are rejected too, since they defeat this analysis.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasAmbiguousRepetition(pattern) {
+  const groups = [{ ambiguous: false }];
+  // The group that closed just before the current character, which a quantifier repeats
+  let closedGroup = null;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const current = groups[groups.length - 1];
+    const previousGroup = closedGroup;
+    closedGroup = null;
+
+    if (ch === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return true;
+      i += 1;
+    } else if (ch === '[') {
+      // Character class: nothing inside is a quantifier or group
+      for (i += 1; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i += 1;
+      }
+    } else if (ch === '(') {
+      groups.push({ ambiguous: false });
+      // Skip the prefix of (?:...), (?=...), (?<=...), (?<name>...) and the like
+      if (pattern[i + 1] === '?') {
+        const named = /^\?<(?![=!])[^>]*>/.exec(pattern.slice(i + 1));
+        i += named ? named[0].length : pattern[i + 2] === '<' ? 3 : 2;
+      }
+    } else if (ch === ')') {
+      if (groups.length === 1) return false; // unbalanced; RegExp reports it
+      closedGroup = groups.pop();
+      if (closedGroup.ambiguous) groups[groups.length - 1].ambiguous = true;
+    } else if (ch === '|') {
+      current.ambiguous = true;
+    } else {
+      const quantifier = readQuantifier(pattern, i);
+      if (quantifier) {
+        if (previousGroup && previousGroup.ambiguous && quantifier.repeats) return true;
+        if (quantifier.variable) current.ambiguous = true;
+        i = quantifier.end;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {string} pattern
+ * @returns {string|null} - Why the pattern cannot be used ("has nested quantifiers"),
+ *   or null when it is fine
+ */
+export function userPatternProblem(pattern) {
+  if (pattern.length > MAX_USER_PATTERN_LENGTH) {
+    return `is longer than ${MAX_USER_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(pattern);
+  } catch (err) {
+    return `is invalid: ${err.message}`;
+  }
+  if (hasAmbiguousRepetition(pattern)) {
+    return 'has nested quantifiers, a repeated alternation or a backreference';
+  }
+  return null;
+}
+
+/**
+ * The part of a label value user patterns run on.
+ * @param {*} value
+ * @returns {string}
+ */
+export function userPatternInput(value) {
+  return String(value).slice(0, MAX_USER_PATTERN_INPUT_LENGTH);
+}
@@ -11,6 +11,10 @@ import ApiKeys from '@/pages/ApiKeys';
 import CodeGeneration from '@/pages/CodeGeneration';
 import Sites from '@/pages/Sites';
 import DashboardWidgets, { DashboardWidgetForm } from '@/pages/DashboardWidgets';
+import Usage from '@/pages/Usage';
+import Cardinality from '@/pages/Cardinality';
+import Webhooks from '@/pages/Webhooks';
+import Alerts from '@/pages/Alerts';
 import NotFound from '@/pages/NotFound';
 import Layout from '@/components/Layout';
 import { ToastProvider } from '@/components/ToastContainer';
@@ -100,6 +104,10 @@ function App() {
               <Route path="dashboard-widgets" element={<DashboardWidgets />} />
               <Route path="dashboard-widgets/new" element={<DashboardWidgetForm />} />
               <Route path="dashboard-widgets/:id/edit" element={<DashboardWidgetForm isEdit />} />
+              <Route path="usage" element={<Usage />} />
+              <Route path="cardinality" element={<Cardinality />} />
+              <Route path="webhooks" element={<Webhooks />} />
+              <Route path="alerts" element={<Alerts />} />
             </Route>
             <Route path="*" element={<NotFound />} />
           </Routes>
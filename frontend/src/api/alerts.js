@@ -0,0 +1,36 @@
+import client from './client';
+
+const unwrap = (res) => (res && res.data !== undefined ? res.data : res);
+
+export const alertsAPI = {
+  // Rules with their current state (inactive, pending, firing)
+  getAll: async () => {
+    const response = await client.get('/alerts');
+    const data = unwrap(response.data);
+    return Array.isArray(data) ? data : [];
+  },
+
+  create: async (data) => {
+    const response = await client.post('/alerts', data);
+    return unwrap(response.data);
+  },
+
+  update: async (id, data) => {
+    const response = await client.patch(`/alerts/${id}`, data);
+    return unwrap(response.data);
+  },
+
+  delete: async (id) => {
+    const response = await client.delete(`/alerts/${id}`);
+    return response.data;
+  },
+
+  // Firing/resolved history, newest first
+  getEvents: async ({ ruleId = null, limit = 50 } = {}) => {
+    const params = { limit };
+    if (ruleId) params.rule_id = ruleId;
+    const response = await client.get('/alerts/events', { params });
+    const data = unwrap(response.data);
+    return Array.isArray(data) ? data : [];
+  },
+};
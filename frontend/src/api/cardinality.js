@@ -0,0 +1,13 @@
+import client from './client';
+
+const unwrap = (res) => (res && res.data !== undefined ? res.data : res);
+
+export const cardinalityAPI = {
+  // Series per metric, label keys by distinct values and series growth over `days`
+  get: async ({ siteId = null, days = 7 } = {}) => {
+    const params = { days };
+    if (siteId) params.site_id = siteId;
+    const response = await client.get('/cardinality', { params });
+    return unwrap(response.data);
+  },
+};
@@ -29,4 +29,15 @@ export const metricConfigsAPI = {
     const response = await client.delete(`/metric-configs/${id}`);
     return response.data;
   },
+
+  // Schema enforcement on ingest: 'off' | 'warn' | 'strict'
+  getEnforcement: async () => {
+    const response = await client.get('/metric-configs/enforcement');
+    return unwrap(response.data)?.mode ?? 'off';
+  },
+
+  setEnforcement: async (mode) => {
+    const response = await client.put('/metric-configs/enforcement', { mode });
+    return unwrap(response.data)?.mode ?? mode;
+  },
 };
@@ -7,7 +7,7 @@ import client from './client';
 export async function getDashboardMetrics(siteId) {
   const params = {
     include_series: '0',
-    include_details: '0',
+    include_details: '1',
   };
   if (siteId !== undefined && siteId !== null && siteId !== '') {
     params.site_id = siteId;
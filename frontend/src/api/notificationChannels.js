@@ -0,0 +1,33 @@
+import client from './client';
+
+const unwrap = (res) => (res && res.data !== undefined ? res.data : res);
+
+export const notificationChannelsAPI = {
+  // Channels with masked URLs and their queued/failed notification counts
+  getAll: async () => {
+    const response = await client.get('/notification-channels');
+    const data = unwrap(response.data);
+    return Array.isArray(data) ? data : [];
+  },
+
+  create: async (data) => {
+    const response = await client.post('/notification-channels', data);
+    return unwrap(response.data);
+  },
+
+  update: async (id, data) => {
+    const response = await client.patch(`/notification-channels/${id}`, data);
+    return unwrap(response.data);
+  },
+
+  delete: async (id) => {
+    const response = await client.delete(`/notification-channels/${id}`);
+    return response.data;
+  },
+
+  // Sends a sample alert right away; rejects with the sender's error on failure
+  test: async (id) => {
+    const response = await client.post(`/notification-channels/${id}/test`);
+    return response.data;
+  },
+};
@@ -0,0 +1,11 @@
+import client from './client';
+
+const unwrap = (res) => (res && res.data !== undefined ? res.data : res);
+
+export const usageAPI = {
+  // Plan, limits (null = unlimited), today's usage and 30-day history
+  get: async () => {
+    const response = await client.get('/usage');
+    return unwrap(response.data);
+  },
+};
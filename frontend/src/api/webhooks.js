@@ -0,0 +1,48 @@
+import client from './client';
+
+const unwrap = (res) => (res && res.data !== undefined ? res.data : res);
+
+export const webhooksAPI = {
+  // Webhooks with their metric config, masked secret and delivery counts
+  getAll: async () => {
+    const response = await client.get('/webhooks');
+    const data = unwrap(response.data);
+    return Array.isArray(data) ? data : [];
+  },
+
+  // The response carries the full signing secret (shown once)
+  create: async ({ metricConfigId, url }) => {
+    const response = await client.post('/webhooks', { metric_config_id: metricConfigId, url });
+    return unwrap(response.data);
+  },
+
+  update: async (id, data) => {
+    const response = await client.patch(`/webhooks/${id}`, data);
+    return unwrap(response.data);
+  },
+
+  rotateSecret: async (id) => {
+    const response = await client.post(`/webhooks/${id}/rotate-secret`);
+    return unwrap(response.data);
+  },
+
+  delete: async (id) => {
+    const response = await client.delete(`/webhooks/${id}`);
+    return response.data;
+  },
+
+  // Delivery history, newest first
+  getDeliveries: async ({ webhookId = null, status = null, limit = 50 } = {}) => {
+    const params = { limit };
+    if (webhookId) params.webhook_id = webhookId;
+    if (status) params.status = status;
+    const response = await client.get('/webhooks/deliveries', { params });
+    const data = unwrap(response.data);
+    return Array.isArray(data) ? data : [];
+  },
+
+  retryDelivery: async (id) => {
+    const response = await client.post(`/webhooks/deliveries/${id}/retry`);
+    return unwrap(response.data);
+  },
+};
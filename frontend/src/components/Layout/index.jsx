@@ -137,6 +137,21 @@ function Layout() {
             >
               Dashboard Widgets
             </Link>
+            <Link to="/usage" className={`nav-link ${isActive('/usage') ? 'active' : ''}`}>
+              Usage
+            </Link>
+            <Link
+              to="/cardinality"
+              className={`nav-link ${isActive('/cardinality') ? 'active' : ''}`}
+            >
+              Cardinality
+            </Link>
+            <Link to="/webhooks" className={`nav-link ${isActive('/webhooks') ? 'active' : ''}`}>
+              Webhooks
+            </Link>
+            <Link to="/alerts" className={`nav-link ${isActive('/alerts') ? 'active' : ''}`}>
+              Alerts
+            </Link>
           </div>
           <div className="nav-user">
             <button
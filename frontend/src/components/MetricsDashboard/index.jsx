@@ -9,11 +9,14 @@ import './MetricsDashboard.css';
 
 const REFRESH_MS = 15_000;
 
-const StatCard = ({ title, value, subtitle, variant = 'default', icon }) => (
+const StatCard = ({ title, value, subtitle, variant = 'default', icon, badge }) => (
   <div className={`metrics-dashboard__stat metrics-dashboard__stat--${variant}`}>
     <div className="metrics-dashboard__stat-content">
       <p className="metrics-dashboard__stat-label">{title}</p>
-      <p className="metrics-dashboard__stat-value">{value}</p>
+      <p className="metrics-dashboard__stat-value">
+        {value}
+        {badge}
+      </p>
       {subtitle && <p className="metrics-dashboard__stat-subtitle">{subtitle}</p>}
     </div>
     {icon && (
@@ -40,6 +43,24 @@ function formatWidgetValue(value, format, currencyCode) {
   return safe.toLocaleString(undefined, { maximumFractionDigits: 2 });
 }
 
+// Shown when a widget's value deviates from the same hour on previous days
+function AnomalyBadge({ anomaly, format, currencyCode }) {
+  if (anomaly?.status !== 'anomalous') return null;
+  const expected = formatWidgetValue(anomaly.expected, format, currencyCode);
+  const detail =
+    anomaly.zScore == null
+      ? `Usually exactly ${expected} at this hour`
+      : `z-score ${anomaly.zScore} against a typical ${expected} at this hour`;
+  return (
+    <span
+      className={`metrics-dashboard__anomaly metrics-dashboard__anomaly--${anomaly.direction}`}
+      title={`${detail} (last ${anomaly.baselineDays} days)`}
+    >
+      {anomaly.direction === 'above' ? '▲ Unusually high' : '▼ Unusually low'}
+    </span>
+  );
+}
+
 function formatDuration(seconds) {
   const n = Math.round(Number(seconds));
   if (!Number.isFinite(n) || n <= 0) return '0s';
@@ -49,6 +70,22 @@ function formatDuration(seconds) {
   return s > 0 ? `${m}m ${s}s` : `${m}m`;
 }
 
+function formatMs(ms) {
+  const n = Math.round(Number(ms));
+  if (!Number.isFinite(n) || n <= 0) return '—';
+  return n < 1000 ? `${n} ms` : `${(n / 1000).toFixed(2)} s`;
+}
+
+// The SDK reports CLS ×1000 so it can be stored like the other timings
+function formatCls(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? (n / 1000).toFixed(3) : '—';
+}
+
+function hasWebVitals(stats) {
+  return ['lcp', 'inp', 'fid', 'cls', 'ttfb'].some((k) => Number(stats?.[k]) > 0);
+}
+
 function groupWidgetsBySection(widgets) {
   const m = new Map();
   for (const w of widgets) {
@@ -258,6 +295,13 @@ function MetricsDashboard({ height = 500, showGrafanaLink = true, showGrafanaEmb
                     title={w.title}
                     value={formatWidgetValue(w.value, w.format, w.currencyCode)}
                     subtitle={w.subtitle}
+                    badge={
+                      <AnomalyBadge
+                        anomaly={w.anomaly}
+                        format={w.format}
+                        currencyCode={w.currencyCode}
+                      />
+                    }
                   />
                 ))}
               </div>
@@ -441,6 +485,83 @@ function MetricsDashboard({ height = 500, showGrafanaLink = true, showGrafanaEmb
               variant="engagement"
             />
           </div>
+
+          {data?.stats?.sessions > 0 && (
+            <>
+              <div className="metrics-dashboard__section-divider">
+                <h4 className="metrics-dashboard__section-heading">Sessions</h4>
+              </div>
+              <div className="metrics-dashboard__stats-grid">
+                <StatCard
+                  title="Sessions (24h)"
+                  value={Number(data.stats.sessions).toLocaleString()}
+                  subtitle={`${Number(data.stats.newVisitors ?? 0).toLocaleString()} from new visitors`}
+                  variant="engagement"
+                />
+                <StatCard
+                  title="Avg Session Duration"
+                  value={formatDuration(data.stats.avgSessionDuration ?? 0)}
+                  subtitle="Start to last activity"
+                  variant="engagement"
+                />
+                <StatCard
+                  title="Pages per Session"
+                  value={Number(data.stats.pagesPerSession ?? 0).toLocaleString()}
+                  subtitle="24h average"
+                  variant="engagement"
+                />
+                <StatCard
+                  title="Bounce Rate"
+                  value={`${Number(data.stats.bounceRate ?? 0)}%`}
+                  subtitle="Sessions that never engaged"
+                  variant="engagement"
+                />
+              </div>
+            </>
+          )}
+
+          {hasWebVitals(data?.stats) && (
+            <>
+              <div className="metrics-dashboard__section-divider">
+                <h4 className="metrics-dashboard__section-heading">Core Web Vitals (15 min)</h4>
+              </div>
+              <div className="metrics-dashboard__stats-grid">
+                <StatCard
+                  title="Largest Contentful Paint"
+                  value={formatMs(data?.stats?.lcp)}
+                  subtitle="Good ≤ 2.5 s"
+                  variant="vitals"
+                />
+                {Number(data?.stats?.inp) > 0 || !(Number(data?.stats?.fid) > 0) ? (
+                  <StatCard
+                    title="Interaction to Next Paint"
+                    value={formatMs(data?.stats?.inp)}
+                    subtitle="Good ≤ 200 ms"
+                    variant="vitals"
+                  />
+                ) : (
+                  <StatCard
+                    title="First Input Delay"
+                    value={formatMs(data?.stats?.fid)}
+                    subtitle="Older SDKs · good ≤ 100 ms"
+                    variant="vitals"
+                  />
+                )}
+                <StatCard
+                  title="Cumulative Layout Shift"
+                  value={formatCls(data?.stats?.cls)}
+                  subtitle="Good ≤ 0.1"
+                  variant="vitals"
+                />
+                <StatCard
+                  title="Time to First Byte"
+                  value={formatMs(data?.stats?.ttfb)}
+                  subtitle="Good ≤ 800 ms"
+                  variant="perf"
+                />
+              </div>
+            </>
+          )}
         </>
       )}
 
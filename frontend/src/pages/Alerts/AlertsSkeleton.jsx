@@ -0,0 +1,22 @@
+import { Skeleton, SkeletonText } from '@/components/Skeleton';
+import './Alerts.css';
+
+function AlertsSkeleton() {
+  return (
+    <div className="alerts-page" aria-busy="true" aria-live="polite">
+      <span className="alerts-page__sr-only">Loading alerts…</span>
+      <Skeleton variant="title" width="140px" height="1.5rem" />
+      <div style={{ marginTop: '0.75rem', marginBottom: '1.25rem', maxWidth: '640px' }}>
+        <SkeletonText lines={2} gap="0.5rem" lastLineWidth="60%" />
+      </div>
+
+      <Skeleton height="36px" style={{ maxWidth: '640px' }} />
+
+      <div style={{ marginTop: '2rem' }}>
+        <SkeletonText lines={6} gap="0.75rem" />
+      </div>
+    </div>
+  );
+}
+
+export default AlertsSkeleton;
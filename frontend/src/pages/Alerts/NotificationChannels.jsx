@@ -0,0 +1,255 @@
+import { useState, useEffect } from 'react';
+import { notificationChannelsAPI } from '@/api/notificationChannels';
+import { useToast } from '@/components/ToastContainer';
+import { useConfirm } from '@/components/ConfirmModal';
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CHANNEL_TYPES = [
+  { value: 'email', label: 'Email' },
+  { value: 'slack', label: 'Slack-compatible webhook' },
+  { value: 'webhook', label: 'JSON webhook' },
+];
+
+const EMPTY_FORM = { name: '', type: 'slack', target: '', minSeverity: 'warning' };
+
+const typeLabel = (type) => CHANNEL_TYPES.find((t) => t.value === type)?.label ?? type;
+
+const describeTarget = (channel) =>
+  channel.type === 'email' ? (channel.config?.to ?? []).join(', ') : channel.config?.url;
+
+/**
+ * Where alert transitions are delivered. Each channel receives one grouped message
+ * per rate-limit window for alerts at or above its minimum severity.
+ */
+function NotificationChannels() {
+  const [channels, setChannels] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+  const { showToast } = useToast();
+  const { confirm } = useConfirm();
+
+  const loadChannels = async () => {
+    try {
+      setChannels(await notificationChannelsAPI.getAll());
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to load notification channels', 'error');
+    }
+  };
+
+  useEffect(() => {
+    loadChannels();
+  }, []);
+
+  const setField = (name) => (e) => setForm((prev) => ({ ...prev, [name]: e.target.value }));
+
+  const canSubmit = form.name.trim() && form.target.trim();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    const target = form.target.trim();
+    const channelConfig =
+      form.type === 'email'
+        ? {
+            to: target
+              .split(/[\s,;]+/)
+              .map((a) => a.trim())
+              .filter(Boolean),
+          }
+        : { url: target };
+    setSaving(true);
+    try {
+      await notificationChannelsAPI.create({
+        name: form.name.trim(),
+        type: form.type,
+        config: channelConfig,
+        min_severity: form.minSeverity,
+      });
+      showToast('Notification channel added', 'success');
+      setForm(EMPTY_FORM);
+      await loadChannels();
+    } catch (err) {
+      const details = err.response?.data?.details;
+      showToast(details?.[0]?.msg || err.response?.data?.error || 'Save failed', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (channel) => {
+    try {
+      await notificationChannelsAPI.update(channel.id, { enabled: !channel.enabled });
+      await loadChannels();
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Update failed', 'error');
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTestingId(channel.id);
+    try {
+      await notificationChannelsAPI.test(channel.id);
+      showToast(`Test notification sent to "${channel.name}"`, 'success');
+    } catch (err) {
+      const data = err.response?.data;
+      showToast(data?.message || data?.error || 'Test notification failed', 'error');
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    const ok = await confirm({
+      title: 'Delete notification channel',
+      message: `"${channel.name}" stops receiving alerts and its queued notifications are dropped.`,
+      variant: 'danger',
+      confirmText: 'Delete',
+    });
+    if (!ok) return;
+    try {
+      await notificationChannelsAPI.delete(channel.id);
+      showToast('Notification channel deleted', 'success');
+      await loadChannels();
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Delete failed', 'error');
+    }
+  };
+
+  return (
+    <>
+      <h2 className="alerts-page__subtitle">Notification channels</h2>
+      <p className="alerts-page__intro">
+        Firing and resolved alerts are sent to every enabled channel whose minimum severity they
+        meet. Alerts that occur close together are grouped into one message per channel.
+      </p>
+
+      <form className="alerts-page__form" onSubmit={handleSubmit}>
+        <div className="alerts-page__row">
+          <input
+            type="text"
+            className="alerts-page__input"
+            placeholder="Channel name"
+            value={form.name}
+            onChange={setField('name')}
+            maxLength={255}
+            aria-label="Channel name"
+          />
+          <select
+            className="alerts-page__input alerts-page__input--narrow"
+            value={form.type}
+            onChange={setField('type')}
+            aria-label="Channel type"
+          >
+            {CHANNEL_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="alerts-page__input alerts-page__input--narrow"
+            value={form.minSeverity}
+            onChange={setField('minSeverity')}
+            aria-label="Minimum severity"
+          >
+            {SEVERITIES.map((s) => (
+              <option key={s} value={s}>
+                {s} and above
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="alerts-page__row">
+          <input
+            type={form.type === 'email' ? 'text' : 'url'}
+            className="alerts-page__input"
+            placeholder={
+              form.type === 'email'
+                ? 'ops@example.com, oncall@example.com'
+                : 'https://hooks.slack.com/services/…'
+            }
+            value={form.target}
+            onChange={setField('target')}
+            maxLength={2048}
+            aria-label={form.type === 'email' ? 'Recipients' : 'Webhook URL'}
+          />
+          <button type="submit" className="alerts-page__btn" disabled={saving || !canSubmit}>
+            Add channel
+          </button>
+        </div>
+      </form>
+
+      {channels.length === 0 ? (
+        <p className="alerts-page__empty">No notification channels yet.</p>
+      ) : (
+        <table className="alerts-page__table">
+          <thead>
+            <tr>
+              <th>Channel</th>
+              <th>Destination</th>
+              <th>Severity</th>
+              <th>Queue</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {channels.map((c) => (
+              <tr key={c.id} className={c.enabled ? '' : 'alerts-page__row--disabled'}>
+                <td>
+                  {c.name}
+                  <span className="alerts-page__muted"> {typeLabel(c.type)}</span>
+                </td>
+                <td className="alerts-page__condition">
+                  <code>{describeTarget(c)}</code>
+                </td>
+                <td>
+                  <span
+                    className={`alerts-page__severity alerts-page__severity--${c.min_severity}`}
+                  >
+                    {c.min_severity}+
+                  </span>
+                </td>
+                <td>
+                  {c.pending_notifications} pending
+                  {c.failed_notifications > 0 && (
+                    <span className="alerts-page__error" title={c.last_error ?? undefined}>
+                      {' '}
+                      {c.failed_notifications} failed
+                    </span>
+                  )}
+                </td>
+                <td className="alerts-page__actions">
+                  <button
+                    type="button"
+                    className="alerts-page__link"
+                    onClick={() => handleTest(c)}
+                    disabled={testingId === c.id}
+                  >
+                    {testingId === c.id ? 'Sending…' : 'Send test'}
+                  </button>
+                  <button
+                    type="button"
+                    className="alerts-page__link"
+                    onClick={() => handleToggle(c)}
+                  >
+                    {c.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button
+                    type="button"
+                    className="alerts-page__link alerts-page__link--danger"
+                    onClick={() => handleDelete(c)}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
+
+export default NotificationChannels;
@@ -0,0 +1,418 @@
+import { useState, useEffect } from 'react';
+import { alertsAPI } from '@/api/alerts';
+import { dashboardWidgetsAPI } from '@/api/dashboardWidgets';
+import { useToast } from '@/components/ToastContainer';
+import { useConfirm } from '@/components/ConfirmModal';
+import AlertsSkeleton from './AlertsSkeleton';
+import NotificationChannels from './NotificationChannels';
+import './Alerts.css';
+
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const FOR_OPTIONS = [
+  { value: 0, label: 'immediately' },
+  { value: 60, label: 'for 1 min' },
+  { value: 300, label: 'for 5 min' },
+  { value: 900, label: 'for 15 min' },
+  { value: 3600, label: 'for 1 h' },
+];
+
+const EMPTY_FORM = {
+  name: '',
+  source: 'promql',
+  promql: '',
+  widgetId: '',
+  operator: '>',
+  threshold: '',
+  forSeconds: 300,
+  severity: 'warning',
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+const formatValue = (value) =>
+  value == null ? '–' : Number(value).toLocaleString(undefined, { maximumFractionDigits: 4 });
+
+const formatFor = (seconds) =>
+  FOR_OPTIONS.find((o) => o.value === seconds)?.label ?? `for ${seconds}s`;
+
+function Alerts() {
+  const [rules, setRules] = useState([]);
+  const [widgets, setWidgets] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  // Rule being edited in the form; null when adding one
+  const [editingId, setEditingId] = useState(null);
+  const [ruleFilter, setRuleFilter] = useState('');
+  const { showToast } = useToast();
+  const { confirm } = useConfirm();
+
+  const loadRules = async () => {
+    try {
+      setRules(await alertsAPI.getAll());
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to load alert rules', 'error');
+    }
+  };
+
+  const loadEvents = async () => {
+    try {
+      setEvents(await alertsAPI.getEvents({ ruleId: ruleFilter || null }));
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to load alert history', 'error');
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      dashboardWidgetsAPI
+        .getAll()
+        .then(setWidgets)
+        .catch(() => setWidgets([]));
+      await loadRules();
+      setLoading(false);
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    loadEvents();
+  }, [ruleFilter]);
+
+  const setField = (name) => (e) => setForm((prev) => ({ ...prev, [name]: e.target.value }));
+
+  const canSubmit =
+    form.name.trim() &&
+    form.threshold !== '' &&
+    (form.source === 'promql' ? form.promql.trim() : form.widgetId);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    const payload = {
+      name: form.name.trim(),
+      source: form.source,
+      operator: form.operator,
+      threshold: Number(form.threshold),
+      for_seconds: Number(form.forSeconds),
+      severity: form.severity,
+      ...(form.source === 'promql'
+        ? { promql: form.promql.trim() }
+        : { widget_id: Number(form.widgetId) }),
+    };
+    setSaving(true);
+    try {
+      if (editingId) {
+        await alertsAPI.update(editingId, payload);
+        showToast('Alert rule updated', 'success');
+      } else {
+        await alertsAPI.create(payload);
+        showToast('Alert rule added', 'success');
+      }
+      resetForm();
+      await loadRules();
+    } catch (err) {
+      const details = err.response?.data?.details;
+      showToast(details?.[0]?.msg || err.response?.data?.error || 'Save failed', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (rule) => {
+    setEditingId(rule.id);
+    setForm({
+      name: rule.name,
+      source: rule.source,
+      promql: rule.promql ?? '',
+      widgetId: rule.widget_id ? String(rule.widget_id) : '',
+      operator: rule.operator,
+      threshold: String(rule.threshold),
+      forSeconds: rule.for_seconds,
+      severity: rule.severity,
+    });
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await alertsAPI.update(rule.id, { enabled: !rule.enabled });
+      await loadRules();
+      await loadEvents();
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Update failed', 'error');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    const ok = await confirm({
+      title: 'Delete alert rule',
+      message: `"${rule.name}" and its alert history are deleted.`,
+      variant: 'danger',
+      confirmText: 'Delete',
+    });
+    if (!ok) return;
+    try {
+      await alertsAPI.delete(rule.id);
+      if (editingId === rule.id) resetForm();
+      if (ruleFilter === String(rule.id)) setRuleFilter('');
+      showToast('Alert rule deleted', 'success');
+      await loadRules();
+      await loadEvents();
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Delete failed', 'error');
+    }
+  };
+
+  if (loading) {
+    return <AlertsSkeleton />;
+  }
+
+  return (
+    <div className="alerts-page">
+      <h1 className="alerts-page__title">Alerts</h1>
+      <p className="alerts-page__intro">
+        Rules are evaluated against your metrics about once a minute. A rule whose value crosses the
+        threshold goes pending and fires once the condition has held for the chosen duration; it
+        resolves when the condition no longer holds. In PromQL, <code>{'{user_filter}'}</code>{' '}
+        expands to your tenant label matcher. A query without data evaluates as 0.
+      </p>
+
+      <form className="alerts-page__form" onSubmit={handleSubmit}>
+        <div className="alerts-page__row">
+          <input
+            type="text"
+            className="alerts-page__input"
+            placeholder="Rule name"
+            value={form.name}
+            onChange={setField('name')}
+            maxLength={255}
+            aria-label="Rule name"
+          />
+          <select
+            className="alerts-page__input alerts-page__input--narrow"
+            value={form.source}
+            onChange={setField('source')}
+            aria-label="Condition source"
+          >
+            <option value="promql">PromQL</option>
+            <option value="widget">Dashboard widget</option>
+          </select>
+          <select
+            className="alerts-page__input alerts-page__input--narrow"
+            value={form.severity}
+            onChange={setField('severity')}
+            aria-label="Severity"
+          >
+            {SEVERITIES.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {form.source === 'promql' ? (
+          <textarea
+            className="alerts-page__input alerts-page__promql"
+            placeholder="sum(rate(user_metric_checkout_errors{ {user_filter} }[5m]))"
+            value={form.promql}
+            onChange={setField('promql')}
+            maxLength={4000}
+            rows={2}
+            aria-label="PromQL"
+          />
+        ) : (
+          <select
+            className="alerts-page__input"
+            value={form.widgetId}
+            onChange={setField('widgetId')}
+            aria-label="Widget"
+          >
+            <option value="">Widget…</option>
+            {widgets.map((w) => (
+              <option key={w.id} value={String(w.id)}>
+                {w.title} ({w.metric_name})
+              </option>
+            ))}
+          </select>
+        )}
+
+        <div className="alerts-page__row">
+          <span className="alerts-page__label">Alert when value</span>
+          <select
+            className="alerts-page__input alerts-page__input--operator"
+            value={form.operator}
+            onChange={setField('operator')}
+            aria-label="Operator"
+          >
+            {OPERATORS.map((op) => (
+              <option key={op} value={op}>
+                {op}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="any"
+            className="alerts-page__input alerts-page__input--narrow"
+            placeholder="Threshold"
+            value={form.threshold}
+            onChange={setField('threshold')}
+            aria-label="Threshold"
+          />
+          <select
+            className="alerts-page__input alerts-page__input--narrow"
+            value={String(form.forSeconds)}
+            onChange={(e) => setForm((prev) => ({ ...prev, forSeconds: Number(e.target.value) }))}
+            aria-label="For duration"
+          >
+            {FOR_OPTIONS.map((o) => (
+              <option key={o.value} value={String(o.value)}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="alerts-page__btn" disabled={saving || !canSubmit}>
+            {editingId ? 'Save rule' : 'Add rule'}
+          </button>
+          {editingId && (
+            <button type="button" className="alerts-page__link" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {rules.length === 0 ? (
+        <p className="alerts-page__empty">No alert rules yet.</p>
+      ) : (
+        <table className="alerts-page__table">
+          <thead>
+            <tr>
+              <th>Rule</th>
+              <th>Condition</th>
+              <th>State</th>
+              <th>Last value</th>
+              <th>Evaluated</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map((r) => (
+              <tr key={r.id} className={r.enabled ? '' : 'alerts-page__row--disabled'}>
+                <td>
+                  {r.name}
+                  <span className={`alerts-page__severity alerts-page__severity--${r.severity}`}>
+                    {r.severity}
+                  </span>
+                </td>
+                <td className="alerts-page__condition">
+                  <code title={r.promql ?? undefined}>
+                    {r.source === 'widget' ? `widget: ${r.widget_title ?? r.widget_id}` : r.promql}
+                  </code>{' '}
+                  {r.operator} {formatValue(r.threshold)}{' '}
+                  <span className="alerts-page__muted">{formatFor(r.for_seconds)}</span>
+                </td>
+                <td>
+                  <span className={`alerts-page__state alerts-page__state--${r.state}`}>
+                    {r.enabled ? r.state : 'disabled'}
+                  </span>
+                  {r.last_error && (
+                    <span className="alerts-page__error" title={r.last_error}>
+                      {' '}
+                      {r.last_error}
+                    </span>
+                  )}
+                </td>
+                <td>{formatValue(r.last_value)}</td>
+                <td>{formatTime(r.last_evaluated_at)}</td>
+                <td className="alerts-page__actions">
+                  <button type="button" className="alerts-page__link" onClick={() => handleEdit(r)}>
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="alerts-page__link"
+                    onClick={() => handleToggle(r)}
+                  >
+                    {r.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button
+                    type="button"
+                    className="alerts-page__link alerts-page__link--danger"
+                    onClick={() => handleDelete(r)}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <NotificationChannels />
+
+      <h2 className="alerts-page__subtitle">History</h2>
+      <div className="alerts-page__filters">
+        <label className="alerts-page__filter">
+          <span>Rule</span>
+          <select value={ruleFilter} onChange={(e) => setRuleFilter(e.target.value)}>
+            <option value="">All rules</option>
+            {rules.map((r) => (
+              <option key={r.id} value={String(r.id)}>
+                {r.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button type="button" className="alerts-page__link" onClick={loadEvents}>
+          Refresh
+        </button>
+      </div>
+
+      {events.length === 0 ? (
+        <p className="alerts-page__empty">No alerts have fired.</p>
+      ) : (
+        <table className="alerts-page__table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Rule</th>
+              <th>Status</th>
+              <th>Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((e) => (
+              <tr key={e.id}>
+                <td>{formatTime(e.created_at)}</td>
+                <td>
+                  {e.rule_name}
+                  <span className={`alerts-page__severity alerts-page__severity--${e.severity}`}>
+                    {e.severity}
+                  </span>
+                </td>
+                <td>
+                  <span className={`alerts-page__state alerts-page__state--${e.status}`}>
+                    {e.status}
+                  </span>
+                </td>
+                <td>{formatValue(e.value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default Alerts;
@@ -0,0 +1,29 @@
+import { Skeleton, SkeletonText } from '@/components/Skeleton';
+import './Cardinality.css';
+
+function CardinalitySkeleton() {
+  return (
+    <div className="cardinality-page" aria-busy="true" aria-live="polite">
+      <span className="cardinality-page__sr-only">Loading cardinality…</span>
+      <Skeleton variant="title" width="160px" height="1.5rem" />
+      <div style={{ marginTop: '0.75rem', marginBottom: '1.25rem', maxWidth: '640px' }}>
+        <SkeletonText lines={2} gap="0.5rem" lastLineWidth="60%" />
+      </div>
+
+      <div className="cardinality-page__summary">
+        {Array.from({ length: 3 }).map((_, i) => (
+          <div key={i} className="cardinality-page__stat">
+            <Skeleton width="60%" height="14px" stagger={i + 1} />
+            <Skeleton width="40%" height="20px" stagger={i + 1} style={{ marginTop: '0.5rem' }} />
+          </div>
+        ))}
+      </div>
+
+      <div style={{ marginTop: '2rem' }}>
+        <SkeletonText lines={6} gap="0.75rem" />
+      </div>
+    </div>
+  );
+}
+
+export default CardinalitySkeleton;
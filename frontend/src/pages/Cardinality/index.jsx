@@ -0,0 +1,278 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { cardinalityAPI } from '@/api/cardinality';
+import { sitesAPI } from '@/api/sites';
+import { useToast } from '@/components/ToastContainer';
+import CardinalitySkeleton from './CardinalitySkeleton';
+import './Cardinality.css';
+
+const GROWTH_WINDOWS = [
+  { days: 1, label: '24 hours' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+];
+
+const formatNumber = (value) => Number(value ?? 0).toLocaleString();
+
+/** Inline SVG line of a growth series; a flat line when there is a single point. */
+function Sparkline({ points, label }) {
+  if (points.length === 0) {
+    return <span className="cardinality-page__muted">No history</span>;
+  }
+  const width = 120;
+  const height = 28;
+  const values = points.map((p) => p.value);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const x = (i) => (points.length === 1 ? width : (i / (points.length - 1)) * width);
+  const y = (value) => height - ((value - min) / range) * (height - 2) - 1;
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(p.value)}`).join(' ');
+  return (
+    <svg
+      className="cardinality-page__sparkline"
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={label}
+    >
+      <path d={points.length === 1 ? `M0,${y(values[0])} ${path}` : path} />
+    </svg>
+  );
+}
+
+/** Change between the first and last point, e.g. "+120 (+35%)". */
+function growthLabel(points) {
+  if (points.length < 2) return '–';
+  const first = points[0].value;
+  const delta = points[points.length - 1].value - first;
+  const sign = delta > 0 ? '+' : '';
+  const percent = first > 0 ? ` (${sign}${Math.round((delta / first) * 100)}%)` : '';
+  return `${sign}${formatNumber(delta)}${percent}`;
+}
+
+function Cardinality() {
+  const [data, setData] = useState(null);
+  const [sites, setSites] = useState([]);
+  const [siteId, setSiteId] = useState('');
+  const [days, setDays] = useState(7);
+  const [loading, setLoading] = useState(true);
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    sitesAPI
+      .getAll()
+      .then(setSites)
+      .catch(() => setSites([]));
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        setData(await cardinalityAPI.get({ siteId: siteId || null, days }));
+      } catch (err) {
+        setData(null);
+        showToast(err.response?.data?.error || 'Failed to load cardinality', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [siteId, days]);
+
+  const filters = (
+    <div className="cardinality-page__filters">
+      {sites.length > 0 && (
+        <label className="cardinality-page__filter">
+          <span>Property</span>
+          <select value={siteId} onChange={(e) => setSiteId(e.target.value)}>
+            <option value="">All properties</option>
+            {sites.map((s) => (
+              <option key={s.id} value={String(s.id)}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label className="cardinality-page__filter">
+        <span>Growth over</span>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {GROWTH_WINDOWS.map((w) => (
+            <option key={w.days} value={w.days}>
+              {w.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+
+  if (loading) {
+    return <CardinalitySkeleton />;
+  }
+  if (!data) {
+    return (
+      <div className="cardinality-page">
+        <h1 className="cardinality-page__title">Cardinality</h1>
+        {filters}
+        <p className="cardinality-page__empty">Cardinality is not available right now.</p>
+      </div>
+    );
+  }
+
+  const offenders = data.metrics.filter((m) => m.offender);
+  const growthByMetric = new Map(data.growth.metrics.map((m) => [m.name, m.values]));
+  const maxSeries = Math.max(1, ...data.metrics.map((m) => m.seriesCount));
+  const lookbackMinutes = Math.round(data.lookbackSeconds / 60);
+
+  return (
+    <div className="cardinality-page">
+      <h1 className="cardinality-page__title">Cardinality</h1>
+      <p className="cardinality-page__intro">
+        Each distinct combination of metric name and label values is one series. Once you reach{' '}
+        {data.limit ? <strong>{formatNumber(data.limit)}</strong> : 'the'} series, new series are
+        rejected with &ldquo;Cardinality limit exceeded&rdquo;. Labels with many distinct values
+        (user ids, URLs with ids, timestamps) are the usual cause.
+      </p>
+      {filters}
+
+      <div className="cardinality-page__summary">
+        <div className="cardinality-page__stat">
+          <span className="cardinality-page__stat-label">Series (last {lookbackMinutes} min)</span>
+          <span className="cardinality-page__stat-value">
+            {formatNumber(data.totalSeries)}
+            {data.limit ? ` / ${formatNumber(data.limit)}` : ''}
+          </span>
+        </div>
+        <div className="cardinality-page__stat">
+          <span className="cardinality-page__stat-label">
+            Growth over {days === 1 ? '24 hours' : `${days} days`}
+          </span>
+          <span className="cardinality-page__stat-value">{growthLabel(data.growth.total)}</span>
+          <Sparkline points={data.growth.total} label="Total series over time" />
+        </div>
+        <div className="cardinality-page__stat">
+          <span className="cardinality-page__stat-label">Offending metrics</span>
+          <span
+            className={`cardinality-page__stat-value ${offenders.length > 0 ? 'cardinality-page__stat-value--offender' : ''}`}
+          >
+            {offenders.length}
+          </span>
+        </div>
+      </div>
+      {data.truncated && (
+        <p className="cardinality-page__notice">
+          Only the first {formatNumber(data.totalSeries)} series were inspected; per-metric counts
+          are a sample.
+        </p>
+      )}
+
+      <h2 className="cardinality-page__subtitle">Series per metric</h2>
+      {data.metrics.length === 0 ? (
+        <p className="cardinality-page__empty">No series in the last {lookbackMinutes} minutes.</p>
+      ) : (
+        <table className="cardinality-page__table">
+          <thead>
+            <tr>
+              <th>Metric</th>
+              <th>Series</th>
+              <th>Top labels (distinct values)</th>
+              <th>Growth</th>
+              <th>Config</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.metrics.map((metric) => (
+              <tr
+                key={metric.name}
+                className={metric.offender ? 'cardinality-page__row--offender' : ''}
+              >
+                <td>
+                  <code>{metric.name}</code>
+                  {metric.offender && <span className="cardinality-page__badge">High</span>}
+                </td>
+                <td>
+                  <span className="cardinality-page__cell-bar">
+                    <span
+                      className="cardinality-page__cell-bar-fill"
+                      style={{ width: `${(metric.seriesCount / maxSeries) * 100}%` }}
+                    />
+                  </span>
+                  {formatNumber(metric.seriesCount)}
+                  <span className="cardinality-page__muted">
+                    {' '}
+                    ({Math.round(metric.share * 100)}%)
+                  </span>
+                </td>
+                <td>
+                  {metric.topLabels.length === 0 ? (
+                    <span className="cardinality-page__muted">None</span>
+                  ) : (
+                    metric.topLabels.map((l) => (
+                      <span key={l.label} className="cardinality-page__label">
+                        {l.label} <strong>{formatNumber(l.distinctValues)}</strong>
+                      </span>
+                    ))
+                  )}
+                </td>
+                <td>
+                  {growthByMetric.has(metric.name) ? (
+                    <Sparkline
+                      points={growthByMetric.get(metric.name)}
+                      label={`Series of ${metric.name} over time`}
+                    />
+                  ) : (
+                    <span className="cardinality-page__muted">–</span>
+                  )}
+                </td>
+                <td>
+                  {metric.configId ? (
+                    <Link to={`/metric-configs/${metric.configId}/edit`}>Edit config</Link>
+                  ) : (
+                    <Link to="/metric-configs/new" className="cardinality-page__muted">
+                      No config
+                    </Link>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2 className="cardinality-page__subtitle">Label keys</h2>
+      {data.labels.length === 0 ? (
+        <p className="cardinality-page__empty">No labels besides the built-in ones.</p>
+      ) : (
+        <table className="cardinality-page__table">
+          <thead>
+            <tr>
+              <th>Label</th>
+              <th>Distinct values</th>
+              <th>Used by</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.labels.map((label) => (
+              <tr
+                key={label.label}
+                className={label.offender ? 'cardinality-page__row--offender' : ''}
+              >
+                <td>
+                  <code>{label.label}</code>
+                  {label.offender && <span className="cardinality-page__badge">High</span>}
+                </td>
+                <td>{formatNumber(label.distinctValues)}</td>
+                <td>{label.metrics.length > 0 ? label.metrics.join(', ') : '–'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default Cardinality;
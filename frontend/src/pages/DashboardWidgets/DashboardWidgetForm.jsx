@@ -37,6 +37,9 @@ function DashboardWidgetForm({ isEdit = false }) {
     currency_code: 'USD',
     include_in_multi_chart: false,
     featured_chart: false,
+    anomaly_detection: false,
+    anomaly_baseline_days: 7,
+    anomaly_z_threshold: 3,
     site_id: '',
   });
 
@@ -70,6 +73,9 @@ function DashboardWidgetForm({ isEdit = false }) {
           currency_code: w.currency_code || 'USD',
           include_in_multi_chart: !!w.include_in_multi_chart,
           featured_chart: !!w.featured_chart,
+          anomaly_detection: !!w.anomaly_detection,
+          anomaly_baseline_days: w.anomaly_baseline_days ?? 7,
+          anomaly_z_threshold: w.anomaly_z_threshold ?? 3,
           site_id: w.site_id == null ? '' : String(w.site_id),
         });
       } catch (err) {
@@ -101,6 +107,9 @@ function DashboardWidgetForm({ isEdit = false }) {
         currency_code: form.currency_code.trim() || 'USD',
         include_in_multi_chart: form.include_in_multi_chart,
         featured_chart: form.featured_chart,
+        anomaly_detection: form.anomaly_detection,
+        anomaly_baseline_days: Number(form.anomaly_baseline_days) || 7,
+        anomaly_z_threshold: Number(form.anomaly_z_threshold) || 3,
       };
       if (form.query_kind === 'custom') {
         payload.promql_custom = form.promql_custom.trim();
@@ -256,6 +265,41 @@ function DashboardWidgetForm({ isEdit = false }) {
           />
           Featured time series (24h) for this metric
         </label>
+        <label className="dw-field dw-field--check">
+          <input
+            type="checkbox"
+            checked={form.anomaly_detection}
+            onChange={(e) => update('anomaly_detection', e.target.checked)}
+          />
+          Flag unusual values (compared with the same hour on previous days)
+        </label>
+        {form.anomaly_detection && (
+          <>
+            <label className="dw-field">
+              Baseline days (3–28)
+              <input
+                type="number"
+                min={3}
+                max={28}
+                value={form.anomaly_baseline_days}
+                onChange={(e) => update('anomaly_baseline_days', e.target.value)}
+                className="dw-input"
+              />
+            </label>
+            <label className="dw-field">
+              Z-score threshold (1–10)
+              <input
+                type="number"
+                min={1}
+                max={10}
+                step="0.1"
+                value={form.anomaly_z_threshold}
+                onChange={(e) => update('anomaly_z_threshold', e.target.value)}
+                className="dw-input"
+              />
+            </label>
+          </>
+        )}
         <div className="dw-form__actions">
           <button
             type="button"
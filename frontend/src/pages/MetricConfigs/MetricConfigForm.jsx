@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import { metricConfigsAPI } from '@/api/metricConfigs';
+import { webhooksAPI } from '@/api/webhooks';
 import { onboardingAPI } from '@/api/onboarding';
 import { useToast } from '@/components/ToastContainer';
 import ProgressStepper from '@/components/ProgressStepper';
@@ -10,11 +11,37 @@ import {
   ArrowRightIcon,
   UnfoldMoreIcon,
   ChevronLeftIcon,
+  DeleteIcon,
+  PlusIcon,
 } from '@/assets/icons';
 import './MetricConfigs.css';
 
 const METRIC_TYPES = ['Counter', 'Gauge', 'Summary', 'Histogram'];
 
+// Defaults mirror backend/src/utils/metricShape.js (used when the field is left empty)
+const DEFAULT_BUCKETS = '0.1, 0.5, 1, 2.5, 5, 10, 25, 50, 100';
+const DEFAULT_QUANTILES = '0.01, 0.1, 0.5, 0.9, 0.99';
+
+// "1, 2.5, 10" -> [1, 2.5, 10]; empty -> null (backend defaults); invalid -> undefined
+const parseNumberList = (text) => {
+  const parts = text
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+  const numbers = parts.map(Number);
+  return numbers.every((n) => Number.isFinite(n)) ? numbers : undefined;
+};
+
+// "url, referrer" -> ['url', 'referrer']
+const parseKeyList = (text) =>
+  text
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+const EMPTY_REWRITE = { label: '', pattern: '', replacement: '' };
+
 function MetricConfigForm({ isEdit = false }) {
   const navigate = useNavigate();
   const { id } = useParams();
@@ -23,11 +50,18 @@ function MetricConfigForm({ isEdit = false }) {
   const [fetchingData, setFetchingData] = useState(isEdit);
   const [advancedOpen, setAdvancedOpen] = useState(false);
   const [anonymizeIP, setAnonymizeIP] = useState(true);
-  const [realTimeWebhook, setRealTimeWebhook] = useState(false);
+  // Endpoints registered for this config (managed on the Webhooks page)
+  const [webhooks, setWebhooks] = useState([]);
   const [formData, setFormData] = useState({
     name: '',
     metric_type: 'Counter',
+    buckets: '',
+    quantiles: '',
+    allow_labels: '',
+    deny_labels: '',
   });
+  // Label value rewrites (see backend/src/utils/labelRules.js)
+  const [rewrites, setRewrites] = useState([]);
   // Optional fields (description, help_text, labels) – stored on edit so we preserve them on update
   const optionalFieldsRef = useRef({ description: '', help_text: '', labels: [] });
 
@@ -53,7 +87,24 @@ function MetricConfigForm({ isEdit = false }) {
         metric_type: config.metric_type
           ? config.metric_type.charAt(0).toUpperCase() + config.metric_type.slice(1)
           : 'Counter',
+        buckets: Array.isArray(config.buckets) ? config.buckets.join(', ') : '',
+        quantiles: Array.isArray(config.quantiles) ? config.quantiles.join(', ') : '',
+        allow_labels: (config.label_rules?.allow ?? []).join(', '),
+        deny_labels: (config.label_rules?.deny ?? []).join(', '),
       });
+      setRewrites(
+        (config.label_rules?.rewrite ?? []).map((rule) => ({
+          label: rule.label,
+          pattern: rule.pattern,
+          replacement: rule.replacement ?? '',
+        }))
+      );
+      setAnonymizeIP(config.anonymize_ip ?? true);
+      webhooksAPI
+        .getAll()
+        .then((rows) => setWebhooks(rows.filter((w) => w.metric_config_id === config.id)))
+        .catch(() => setWebhooks([]));
+      if (config.label_rules || config.anonymize_ip === false) setAdvancedOpen(true);
       optionalFieldsRef.current = {
         description: config.description || '',
         help_text: config.help_text || '',
@@ -94,7 +145,81 @@ function MetricConfigForm({ isEdit = false }) {
     return { description: '', help_text: '', labels: [] };
   };
 
+  // Buckets/quantiles only apply to their own metric type; returns null when input is invalid
+  const getShapePayload = () => {
+    const type = formData.metric_type.toLowerCase();
+    if (type === 'histogram') {
+      const buckets = parseNumberList(formData.buckets);
+      if (buckets === undefined) {
+        showToast('Buckets must be a comma-separated list of numbers', 'error');
+        return null;
+      }
+      return isEdit || buckets ? { buckets } : {};
+    }
+    if (type === 'summary') {
+      const quantiles = parseNumberList(formData.quantiles);
+      if (quantiles === undefined || quantiles?.some((q) => q <= 0 || q >= 1)) {
+        showToast('Quantiles must be comma-separated numbers between 0 and 1', 'error');
+        return null;
+      }
+      return isEdit || quantiles ? { quantiles } : {};
+    }
+    return {};
+  };
+
+  // Allow/deny lists and rewrites; null clears them on edit. Returns null when input is invalid
+  const getLabelRulesPayload = () => {
+    const allow = parseKeyList(formData.allow_labels);
+    const deny = parseKeyList(formData.deny_labels);
+    const rewrite = rewrites.filter((rule) => rule.label.trim() || rule.pattern);
+    for (const rule of rewrite) {
+      if (!rule.label.trim() || !rule.pattern) {
+        showToast('Each label rewrite needs a label and a pattern', 'error');
+        return null;
+      }
+      try {
+        new RegExp(rule.pattern);
+      } catch {
+        showToast(`Invalid rewrite pattern for "${rule.label.trim()}"`, 'error');
+        return null;
+      }
+    }
+    if (allow.length === 0 && deny.length === 0 && rewrite.length === 0) {
+      return isEdit ? { label_rules: null } : {};
+    }
+    return {
+      label_rules: {
+        allow,
+        deny,
+        rewrite: rewrite.map((rule) => ({ ...rule, label: rule.label.trim() })),
+      },
+    };
+  };
+
+  const updateRewrite = (index, field, value) => {
+    setRewrites((prev) =>
+      prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule))
+    );
+  };
+
+  const webhooksActive = webhooks.some((w) => w.enabled);
+
+  const toggleWebhooks = async () => {
+    try {
+      await Promise.all(
+        webhooks.map((w) => webhooksAPI.update(w.id, { enabled: !webhooksActive }))
+      );
+      setWebhooks((prev) => prev.map((w) => ({ ...w, enabled: !webhooksActive })));
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to update webhooks', 'error');
+    }
+  };
+
   const handleSaveDraft = async () => {
+    const shape = getShapePayload();
+    if (!shape) return;
+    const labelRules = getLabelRulesPayload();
+    if (!labelRules) return;
     setLoading(true);
     try {
       const optional = getOptionalPayload();
@@ -103,6 +228,9 @@ function MetricConfigForm({ isEdit = false }) {
         metric_name: generateMetricName(formData.name),
         metric_type: formData.metric_type.toLowerCase(),
         ...optional,
+        ...shape,
+        ...labelRules,
+        anonymize_ip: anonymizeIP,
         status: 'draft',
       };
 
@@ -124,6 +252,10 @@ function MetricConfigForm({ isEdit = false }) {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const shape = getShapePayload();
+    if (!shape) return;
+    const labelRules = getLabelRulesPayload();
+    if (!labelRules) return;
     setLoading(true);
 
     try {
@@ -133,6 +265,9 @@ function MetricConfigForm({ isEdit = false }) {
         metric_name: generateMetricName(formData.name),
         metric_type: formData.metric_type.toLowerCase(),
         ...optional,
+        ...shape,
+        ...labelRules,
+        anonymize_ip: anonymizeIP,
         status: 'active',
       };
 
@@ -259,6 +394,40 @@ function MetricConfigForm({ isEdit = false }) {
                   <UnfoldMoreIcon size={20} className="select-icon" />
                 </div>
               </div>
+
+              {formData.metric_type === 'Histogram' && (
+                <div className="form-field form-field-full">
+                  <label className="form-label">Bucket Boundaries</label>
+                  <p className="form-helper">
+                    Comma-separated upper bounds matching the range of your values (e.g. response
+                    times in ms). Leave empty to use the defaults.
+                  </p>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={formData.buckets}
+                    onChange={(e) => handleInputChange('buckets', e.target.value)}
+                    placeholder={DEFAULT_BUCKETS}
+                  />
+                </div>
+              )}
+
+              {formData.metric_type === 'Summary' && (
+                <div className="form-field form-field-full">
+                  <label className="form-label">Quantiles</label>
+                  <p className="form-helper">
+                    Comma-separated quantiles between 0 and 1 (0.95 = p95). Leave empty to use the
+                    defaults.
+                  </p>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={formData.quantiles}
+                    onChange={(e) => handleInputChange('quantiles', e.target.value)}
+                    placeholder={DEFAULT_QUANTILES}
+                  />
+                </div>
+              )}
             </div>
 
             <div className="advanced-section">
@@ -278,11 +447,98 @@ function MetricConfigForm({ isEdit = false }) {
               </button>
               {advancedOpen && (
                 <div className="advanced-content">
+                  <div className="form-field">
+                    <label className="form-label">Allowed Labels</label>
+                    <p className="form-helper">
+                      Comma-separated label keys to keep; all other labels are dropped on ingest.
+                      Leave empty to keep every label.
+                    </p>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={formData.allow_labels}
+                      onChange={(e) => handleInputChange('allow_labels', e.target.value)}
+                      placeholder="e.g. page, plan"
+                    />
+                  </div>
+
+                  <div className="form-field">
+                    <label className="form-label">Dropped Labels</label>
+                    <p className="form-helper">
+                      Comma-separated label keys that are always dropped, such as labels with a
+                      value per visitor or page.
+                    </p>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={formData.deny_labels}
+                      onChange={(e) => handleInputChange('deny_labels', e.target.value)}
+                      placeholder="e.g. url, element_text, referrer"
+                    />
+                  </div>
+
+                  <div className="form-field">
+                    <label className="form-label">Label Value Rewrites</label>
+                    <p className="form-helper">
+                      Regular expression replacements applied in order, e.g. <code>\?.*$</code> →
+                      empty to strip query strings or <code>/\d+</code> → <code>/:id</code> for
+                      numeric ids. A label rewritten to an empty value is dropped.
+                    </p>
+                    <div className="labels-container">
+                      {rewrites.map((rule, index) => (
+                        <div key={index} className="label-row">
+                          <input
+                            type="text"
+                            className="label-input"
+                            value={rule.label}
+                            onChange={(e) => updateRewrite(index, 'label', e.target.value)}
+                            placeholder="Label, e.g. page"
+                            aria-label="Rewrite label"
+                          />
+                          <input
+                            type="text"
+                            className="label-input"
+                            value={rule.pattern}
+                            onChange={(e) => updateRewrite(index, 'pattern', e.target.value)}
+                            placeholder="Pattern"
+                            aria-label="Rewrite pattern"
+                          />
+                          <input
+                            type="text"
+                            className="label-input"
+                            value={rule.replacement}
+                            onChange={(e) => updateRewrite(index, 'replacement', e.target.value)}
+                            placeholder="Replacement"
+                            aria-label="Rewrite replacement"
+                          />
+                          <button
+                            type="button"
+                            className="label-delete-btn"
+                            onClick={() =>
+                              setRewrites((prev) => prev.filter((_, i) => i !== index))
+                            }
+                            aria-label="Remove rewrite"
+                          >
+                            <DeleteIcon size={18} />
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        className="add-label-btn"
+                        onClick={() => setRewrites((prev) => [...prev, { ...EMPTY_REWRITE }])}
+                      >
+                        <PlusIcon size={18} />
+                        Add rewrite
+                      </button>
+                    </div>
+                  </div>
+
                   <div className="advanced-item">
                     <div className="advanced-item-info">
                       <p className="advanced-item-title">Anonymize IP Addresses</p>
                       <p className="advanced-item-desc">
-                        GDPR-compliant masking for all incoming requests.
+                        Mask IP addresses found in this metric&apos;s label values.
                       </p>
                     </div>
                     <button
@@ -299,17 +555,29 @@ function MetricConfigForm({ isEdit = false }) {
                     <div className="advanced-item-info">
                       <p className="advanced-item-title">Real-time Webhook</p>
                       <p className="advanced-item-desc">
-                        Stream filtered events to your custom endpoint.
+                        {!isEdit ? (
+                          'Save this configuration, then add endpoints on the Webhooks page.'
+                        ) : webhooks.length === 0 ? (
+                          <Link to={`/webhooks?metric_config_id=${id}`}>Add an endpoint</Link>
+                        ) : (
+                          <>
+                            Samples are POSTed to {webhooks.length}{' '}
+                            {webhooks.length === 1 ? 'endpoint' : 'endpoints'}.{' '}
+                            <Link to="/webhooks">Manage</Link>
+                          </>
+                        )}
                       </p>
                     </div>
-                    <button
-                      type="button"
-                      className={`toggle-switch ${realTimeWebhook ? 'active' : ''}`}
-                      onClick={() => setRealTimeWebhook(!realTimeWebhook)}
-                      aria-label="Toggle real-time webhook"
-                    >
-                      <span className="toggle-slider"></span>
-                    </button>
+                    {webhooks.length > 0 && (
+                      <button
+                        type="button"
+                        className={`toggle-switch ${webhooksActive ? 'active' : ''}`}
+                        onClick={toggleWebhooks}
+                        aria-label="Toggle real-time webhook"
+                      >
+                        <span className="toggle-slider"></span>
+                      </button>
+                    )}
                   </div>
                 </div>
               )}
@@ -47,6 +47,20 @@ const getLabelText = (label) => {
   return label.name || label.key || label.value || '';
 };
 
+const ENFORCEMENT_OPTIONS = [
+  { value: 'off', label: 'Off', help: 'Clients decide metric types and labels.' },
+  {
+    value: 'warn',
+    label: 'Warn',
+    help: 'Mismatched types are coerced and undeclared labels dropped, with warnings in the ingest response.',
+  },
+  {
+    value: 'strict',
+    label: 'Strict',
+    help: 'Unconfigured metrics, mismatched types and undeclared labels are rejected.',
+  },
+];
+
 // Status badge component
 const StatusBadge = ({ status }) => {
   const normalized = status === 'active' ? 'active' : status === 'draft' ? 'draft' : 'paused';
@@ -65,11 +79,17 @@ function MetricConfigsList() {
   const { confirm } = useConfirm();
   const [configs, setConfigs] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [enforcement, setEnforcement] = useState('off');
+  const [savingEnforcement, setSavingEnforcement] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const itemsPerPage = 10;
 
   useEffect(() => {
     fetchConfigs();
+    metricConfigsAPI
+      .getEnforcement()
+      .then(setEnforcement)
+      .catch((err) => console.error('Failed to fetch enforcement mode:', err));
   }, []);
 
   const fetchConfigs = async () => {
@@ -85,6 +105,21 @@ function MetricConfigsList() {
     }
   };
 
+  const handleEnforcementChange = async (mode) => {
+    const previous = enforcement;
+    setEnforcement(mode);
+    setSavingEnforcement(true);
+    try {
+      setEnforcement(await metricConfigsAPI.setEnforcement(mode));
+      showToast('Schema enforcement updated', 'success');
+    } catch (err) {
+      setEnforcement(previous);
+      showToast(err.response?.data?.error || 'Failed to update schema enforcement', 'error');
+    } finally {
+      setSavingEnforcement(false);
+    }
+  };
+
   const handleCreateNew = () => {
     navigate('/metric-configs/new');
   };
@@ -280,6 +315,31 @@ function MetricConfigsList() {
           )}
         </div>
 
+        {/* Schema enforcement */}
+        <div className="enforcement-panel">
+          <div className="enforcement-text">
+            <h2 className="enforcement-title">Schema enforcement</h2>
+            <p className="enforcement-help">
+              Check incoming metrics against these configurations. Paused and draft metrics are
+              dropped unless enforcement is off.{' '}
+              {ENFORCEMENT_OPTIONS.find((option) => option.value === enforcement)?.help}
+            </p>
+          </div>
+          <select
+            className="enforcement-select"
+            value={enforcement}
+            onChange={(e) => handleEnforcementChange(e.target.value)}
+            disabled={savingEnforcement}
+            aria-label="Schema enforcement mode"
+          >
+            {ENFORCEMENT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
         {/* Help text */}
         <p className="configs-help-text">
           Need help managing configurations?{' '}
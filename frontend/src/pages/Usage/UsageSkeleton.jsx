@@ -0,0 +1,25 @@
+import { Skeleton, SkeletonText } from '@/components/Skeleton';
+import './Usage.css';
+
+function UsageSkeleton() {
+  return (
+    <div className="usage-page" aria-busy="true" aria-live="polite">
+      <span className="usage-page__sr-only">Loading usage…</span>
+      <Skeleton variant="title" width="120px" height="1.5rem" />
+      <div style={{ marginTop: '0.75rem', marginBottom: '1.25rem', maxWidth: '560px' }}>
+        <SkeletonText lines={2} gap="0.5rem" lastLineWidth="70%" />
+      </div>
+
+      <div className="usage-page__meters">
+        {Array.from({ length: 3 }).map((_, i) => (
+          <div key={i} className="usage-page__meter">
+            <Skeleton width="60%" height="14px" stagger={i + 1} />
+            <Skeleton height="8px" stagger={i + 1} style={{ marginTop: '0.75rem' }} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default UsageSkeleton;
@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react';
+import { usageAPI } from '@/api/usage';
+import { useToast } from '@/components/ToastContainer';
+import UsageSkeleton from './UsageSkeleton';
+import './Usage.css';
+
+const formatNumber = (value) => Number(value ?? 0).toLocaleString();
+
+/** Share of the limit used, 0-100 (null when unlimited). */
+const percentOf = (used, limit) =>
+  limit ? Math.min(100, Math.round((Number(used) / limit) * 100)) : null;
+
+function QuotaMeter({ label, used, limit, hint }) {
+  const percent = percentOf(used, limit);
+  const level = percent === null ? '' : percent >= 100 ? 'full' : percent >= 80 ? 'high' : '';
+  return (
+    <div className="usage-page__meter">
+      <div className="usage-page__meter-head">
+        <span className="usage-page__meter-label">{label}</span>
+        <span className="usage-page__meter-value">
+          {formatNumber(used)}
+          {limit ? ` / ${formatNumber(limit)}` : ' (unlimited)'}
+        </span>
+      </div>
+      {percent !== null && (
+        <div
+          className="usage-page__bar"
+          role="progressbar"
+          aria-valuenow={percent}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-label={label}
+        >
+          <div
+            className={`usage-page__bar-fill ${level ? `usage-page__bar-fill--${level}` : ''}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+      {hint && <p className="usage-page__meter-hint">{hint}</p>}
+    </div>
+  );
+}
+
+function Usage() {
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setUsage(await usageAPI.get());
+      } catch (err) {
+        showToast(err.response?.data?.error || 'Failed to load usage', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  if (loading) {
+    return <UsageSkeleton />;
+  }
+  if (!usage) {
+    return (
+      <div className="usage-page">
+        <h1 className="usage-page__title">Usage</h1>
+        <p className="usage-page__empty">Usage is not available right now.</p>
+      </div>
+    );
+  }
+
+  const { limits, history } = usage;
+  const activeWindowMinutes = Math.round(usage.activeSeriesWindowMs / 60_000);
+  const maxDailySamples = Math.max(1, ...history.map((day) => day.samples));
+
+  return (
+    <div className="usage-page">
+      <h1 className="usage-page__title">Usage</h1>
+      <p className="usage-page__intro">
+        Ingestion on the <strong>{usage.plan}</strong> plan.{' '}
+        {usage.enforced
+          ? 'Requests over a limit are answered with 429 and a Retry-After header.'
+          : 'Limits are not enforced on this server; usage is shown for reference.'}{' '}
+        Daily counters reset at {new Date(usage.resetsAt).toLocaleString()}.
+      </p>
+
+      <div className="usage-page__meters">
+        <QuotaMeter
+          label="Samples today"
+          used={usage.usage.samplesToday}
+          limit={limits.samplesPerDay}
+          hint={
+            usage.usage.rejectedSamplesToday > 0
+              ? `${formatNumber(usage.usage.rejectedSamplesToday)} samples rejected today`
+              : null
+          }
+        />
+        <QuotaMeter
+          label="Active series"
+          used={usage.usage.activeSeries}
+          limit={limits.activeSeries}
+          hint={`Series written in the last ${activeWindowMinutes} minutes`}
+        />
+        <QuotaMeter
+          label="Requests this minute"
+          used={usage.usage.requestsThisMinute}
+          limit={limits.requestsPerMinute}
+          hint={
+            limits.requestsPerMinutePerKey
+              ? `Each API key is limited to ${formatNumber(limits.requestsPerMinutePerKey)} requests per minute`
+              : null
+          }
+        />
+      </div>
+
+      <h2 className="usage-page__subtitle">Last 30 days</h2>
+      {history.length === 0 ? (
+        <p className="usage-page__empty">No ingestion in the last 30 days.</p>
+      ) : (
+        <table className="usage-page__table">
+          <thead>
+            <tr>
+              <th>Day (UTC)</th>
+              <th>Samples</th>
+              <th>Rejected</th>
+              <th>Requests</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...history].reverse().map((day) => (
+              <tr key={day.day}>
+                <td>{day.day}</td>
+                <td>
+                  <span className="usage-page__cell-bar">
+                    <span
+                      className="usage-page__cell-bar-fill"
+                      style={{ width: `${(day.samples / maxDailySamples) * 100}%` }}
+                    />
+                  </span>
+                  {formatNumber(day.samples)}
+                </td>
+                <td>{formatNumber(day.rejectedSamples)}</td>
+                <td>{formatNumber(day.requests)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default Usage;
@@ -0,0 +1,364 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { webhooksAPI } from '@/api/webhooks';
+import { metricConfigsAPI } from '@/api/metricConfigs';
+import { useToast } from '@/components/ToastContainer';
+import { useConfirm } from '@/components/ConfirmModal';
+import WebhooksSkeleton from './WebhooksSkeleton';
+import './Webhooks.css';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+function Webhooks() {
+  const [searchParams] = useSearchParams();
+  const [webhooks, setWebhooks] = useState([]);
+  const [configs, setConfigs] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [configId, setConfigId] = useState(searchParams.get('metric_config_id') || '');
+  const [url, setUrl] = useState('');
+  // Full secret of the webhook just created or rotated; never returned again
+  const [revealed, setRevealed] = useState(null);
+  const [webhookFilter, setWebhookFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const { showToast } = useToast();
+  const { confirm } = useConfirm();
+
+  const loadWebhooks = async () => {
+    try {
+      setWebhooks(await webhooksAPI.getAll());
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to load webhooks', 'error');
+    }
+  };
+
+  const loadDeliveries = async () => {
+    try {
+      setDeliveries(
+        await webhooksAPI.getDeliveries({
+          webhookId: webhookFilter || null,
+          status: statusFilter || null,
+        })
+      );
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to load deliveries', 'error');
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      metricConfigsAPI
+        .getAll()
+        .then(setConfigs)
+        .catch(() => setConfigs([]));
+      await loadWebhooks();
+      setLoading(false);
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [webhookFilter, statusFilter]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!configId || !url.trim()) return;
+    setSaving(true);
+    try {
+      const created = await webhooksAPI.create({
+        metricConfigId: Number(configId),
+        url: url.trim(),
+      });
+      setUrl('');
+      setRevealed({ id: created.id, secret: created.secret });
+      showToast('Webhook added', 'success');
+      await loadWebhooks();
+    } catch (err) {
+      const details = err.response?.data?.details;
+      showToast(details?.[0]?.msg || err.response?.data?.error || 'Create failed', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (webhook) => {
+    try {
+      await webhooksAPI.update(webhook.id, { enabled: !webhook.enabled });
+      await loadWebhooks();
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Update failed', 'error');
+    }
+  };
+
+  const handleRotate = async (webhook) => {
+    const ok = await confirm({
+      title: 'Rotate signing secret',
+      message:
+        'Deliveries will be signed with a new secret right away. Update your receiver first.',
+      confirmText: 'Rotate',
+    });
+    if (!ok) return;
+    try {
+      const rotated = await webhooksAPI.rotateSecret(webhook.id);
+      setRevealed({ id: rotated.id, secret: rotated.secret });
+      await loadWebhooks();
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Rotate failed', 'error');
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    const ok = await confirm({
+      title: 'Delete webhook',
+      message: 'Pending deliveries and the delivery history of this endpoint are deleted too.',
+      variant: 'danger',
+      confirmText: 'Delete',
+    });
+    if (!ok) return;
+    try {
+      await webhooksAPI.delete(webhook.id);
+      if (revealed?.id === webhook.id) setRevealed(null);
+      if (webhookFilter === String(webhook.id)) setWebhookFilter('');
+      showToast('Webhook deleted', 'success');
+      await loadWebhooks();
+      await loadDeliveries();
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Delete failed', 'error');
+    }
+  };
+
+  const handleRetry = async (delivery) => {
+    try {
+      await webhooksAPI.retryDelivery(delivery.id);
+      showToast('Delivery queued again', 'success');
+      await loadDeliveries();
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Retry failed', 'error');
+    }
+  };
+
+  if (loading) {
+    return <WebhooksSkeleton />;
+  }
+
+  return (
+    <div className="webhooks-page">
+      <h1 className="webhooks-page__title">Webhooks</h1>
+      <p className="webhooks-page__intro">
+        Samples ingested for a metric are POSTed to its endpoints in batches. Each request carries
+        an <code>X-Vizme-Signature: t=&lt;unix seconds&gt;,v1=&lt;hex&gt;</code> header, the
+        HMAC-SHA256 of <code>&lt;t&gt;.&lt;body&gt;</code> with the endpoint&apos;s secret. Failed
+        deliveries are retried with increasing delays.
+      </p>
+
+      <form className="webhooks-page__form" onSubmit={handleCreate}>
+        <select
+          className="webhooks-page__input webhooks-page__input--select"
+          value={configId}
+          onChange={(e) => setConfigId(e.target.value)}
+          aria-label="Metric config"
+        >
+          <option value="">Metric config…</option>
+          {configs.map((c) => (
+            <option key={c.id} value={String(c.id)}>
+              {c.name} ({c.metric_name})
+            </option>
+          ))}
+        </select>
+        <input
+          type="url"
+          className="webhooks-page__input"
+          placeholder="https://example.com/hooks/vizme"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          maxLength={2048}
+        />
+        <button
+          type="submit"
+          className="webhooks-page__btn"
+          disabled={saving || !configId || !url.trim()}
+        >
+          Add webhook
+        </button>
+      </form>
+
+      {revealed && (
+        <div className="webhooks-page__secret" role="status">
+          <span>Signing secret (shown once):</span>
+          <code>{revealed.secret}</code>
+          <button type="button" className="webhooks-page__link" onClick={() => setRevealed(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {webhooks.length === 0 ? (
+        <p className="webhooks-page__empty">No webhooks yet.</p>
+      ) : (
+        <table className="webhooks-page__table">
+          <thead>
+            <tr>
+              <th>Metric</th>
+              <th>Endpoint</th>
+              <th>Secret</th>
+              <th>Deliveries</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {webhooks.map((w) => (
+              <tr key={w.id} className={w.enabled ? '' : 'webhooks-page__row--disabled'}>
+                <td>
+                  <code>{w.metric_name}</code>
+                </td>
+                <td className="webhooks-page__url">{w.url}</td>
+                <td>
+                  <code>{w.secret}</code>
+                </td>
+                <td>
+                  {w.last_delivery_status ? (
+                    <span
+                      className={`webhooks-page__status webhooks-page__status--${w.last_delivery_status}`}
+                    >
+                      {w.last_delivery_status}
+                    </span>
+                  ) : (
+                    <span className="webhooks-page__muted">None yet</span>
+                  )}
+                  {w.pending_deliveries > 0 && (
+                    <span className="webhooks-page__muted"> · {w.pending_deliveries} pending</span>
+                  )}
+                  {w.failed_deliveries > 0 && (
+                    <span className="webhooks-page__muted"> · {w.failed_deliveries} failed</span>
+                  )}
+                </td>
+                <td className="webhooks-page__actions">
+                  <button
+                    type="button"
+                    className="webhooks-page__link"
+                    onClick={() => handleToggle(w)}
+                  >
+                    {w.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button
+                    type="button"
+                    className="webhooks-page__link"
+                    onClick={() => handleRotate(w)}
+                  >
+                    Rotate secret
+                  </button>
+                  <button
+                    type="button"
+                    className="webhooks-page__link webhooks-page__link--danger"
+                    onClick={() => handleDelete(w)}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2 className="webhooks-page__subtitle">Delivery history</h2>
+      <div className="webhooks-page__filters">
+        <label className="webhooks-page__filter">
+          <span>Endpoint</span>
+          <select value={webhookFilter} onChange={(e) => setWebhookFilter(e.target.value)}>
+            <option value="">All endpoints</option>
+            {webhooks.map((w) => (
+              <option key={w.id} value={String(w.id)}>
+                {w.metric_name} → {w.url}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="webhooks-page__filter">
+          <span>Status</span>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">Any</option>
+            {DELIVERY_STATUSES.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button type="button" className="webhooks-page__link" onClick={loadDeliveries}>
+          Refresh
+        </button>
+      </div>
+
+      {deliveries.length === 0 ? (
+        <p className="webhooks-page__empty">No deliveries.</p>
+      ) : (
+        <table className="webhooks-page__table">
+          <thead>
+            <tr>
+              <th>Queued</th>
+              <th>Metric</th>
+              <th>Status</th>
+              <th>Samples</th>
+              <th>Attempts</th>
+              <th>Response</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {deliveries.map((d) => (
+              <tr key={d.id}>
+                <td>{formatTime(d.created_at)}</td>
+                <td>
+                  <code>{d.metric_name}</code>
+                </td>
+                <td>
+                  <span className={`webhooks-page__status webhooks-page__status--${d.status}`}>
+                    {d.status}
+                  </span>
+                  {d.status === 'pending' && d.attempts > 0 && (
+                    <span className="webhooks-page__muted">
+                      {' '}
+                      next {formatTime(d.next_attempt_at)}
+                    </span>
+                  )}
+                  {d.status === 'delivered' && (
+                    <span className="webhooks-page__muted"> {formatTime(d.delivered_at)}</span>
+                  )}
+                </td>
+                <td>{d.sample_count}</td>
+                <td>{d.attempts}</td>
+                <td>
+                  {d.response_status ?? ''}
+                  {d.last_error && (
+                    <span className="webhooks-page__muted" title={d.last_error}>
+                      {' '}
+                      {d.last_error}
+                    </span>
+                  )}
+                </td>
+                <td>
+                  {d.status === 'failed' && (
+                    <button
+                      type="button"
+                      className="webhooks-page__link"
+                      onClick={() => handleRetry(d)}
+                    >
+                      Retry
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default Webhooks;
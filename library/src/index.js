@@ -1,6 +1,30 @@
 // Vizme - Unified Visibility Platform Tracking Library
 // Core Client - handles batching, queuing, and sending metrics
 
+import { createQueueStorage } from './queueStorage.js';
+import { PluginHost } from './pluginHost.js';
+import { builtinPlugins, resolveBuiltinPlugins } from './plugins/index.js';
+
+// Largest batch the ingest endpoint accepts in one request
+const MAX_BATCH_SIZE = 100;
+
+// Network failures, timeouts, rate limiting and server errors are worth retrying;
+// any other 4xx means the server will never accept the batch.
+function isRetryable(error) {
+  const status = error && error.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+// Web Locks (navigator.locks), or null where the browser has none
+function webLocks() {
+  return typeof navigator !== 'undefined' && navigator.locks ? navigator.locks : null;
+}
+
+// Persisted queue entries are { tab, metric }; plain metrics come from older SDK versions
+function isQueueEntry(entry) {
+  return !!entry && typeof entry.tab === 'string' && !!entry.metric;
+}
+
 class VizmeClient {
   constructor(config) {
     this.configReady = Promise.resolve();
@@ -11,6 +35,9 @@ class VizmeClient {
     this.maxRetries = config.maxRetries ?? 5;
     this.retryBaseMs = config.retryBaseMs ?? 1000;
     this.sampleRate = config.sampleRate ?? 1;
+    this.maxQueueSize = config.maxQueueSize ?? 100;
+    // Queued metrics older than this are rejected by the backend (METRICS_MAX_SAMPLE_AGE_MS)
+    this.maxSampleAgeMs = config.maxSampleAgeMs ?? 60 * 60 * 1000;
 
     //store metric configurations (metric name -> type mapping )
     this.metricConfigs = config.metricConfigs || {};
@@ -22,16 +49,38 @@ class VizmeClient {
     this.retryAttempt = 0;
     this.retryTimer = null;
 
+    // Optional persistence of the retry queue (IndexedDB / localStorage / memory).
+    // Writes are chained behind the initial load so a save never clobbers
+    // entries that have not been restored yet. Every tab on the origin shares the
+    // stored queue: each one owns the entries tagged with its tabId, holds a Web Lock
+    // named after it while alive, and only takes over entries of tabs that are gone.
+    this.storageKey = `vizme_queue_${String(this.apiKey || '').slice(0, 10)}`;
+    this.storage = createQueueStorage(config.persistQueue, this.storageKey);
+    this.tabId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    this.releaseTabLock = null;
+    if (this.storage && webLocks()) {
+      webLocks()
+        .request(this.tabLockName(this.tabId), () => {
+          return new Promise((resolve) => {
+            this.releaseTabLock = resolve;
+          });
+        })
+        .catch(() => {});
+    }
+    this.persistedQueueSize = 0;
+    this.storageWrite = this.storage ? this.restoreQueue() : Promise.resolve();
+
     this.startFlushTimer();
 
     // Handle online/offline events
     if (typeof window !== 'undefined' && window.addEventListener) {
-      window.addEventListener('online', () => {
+      this._onlineHandler = () => {
         this.retryAttempt = 0;
         if (this.queue.length > 0) {
           this.flushQueue();
         }
-      });
+      };
+      window.addEventListener('online', this._onlineHandler);
     }
   }
 
@@ -56,7 +105,11 @@ class VizmeClient {
       value: typeof value === 'number' ? value : parseFloat(value) || 0,
       labels: this.sanitizeLabels(labels),
       operation: labels._operation || 'set',
+      // Event time travels with the metric so queued/replayed batches land at the right time
+      timestamp: Number.isFinite(labels._timestamp) ? labels._timestamp : Date.now(),
     };
+    // Pre-aggregated observation: the value was observed `_count` times
+    if (Number.isInteger(labels._count) && labels._count > 1) metric.count = labels._count;
 
     // Validate metric
     if (!metric.name || isNaN(metric.value) || !isFinite(metric.value)) {
@@ -69,6 +122,7 @@ class VizmeClient {
   }
 
   async increment(name, value = 1, labels = {}) {
+    const timestamp = Date.now();
     //Try to wait for config,
     try {
       await this.configReady;
@@ -77,10 +131,16 @@ class VizmeClient {
     }
     // only use counter as a fallback when no config exists
     const defaultType = this.metricConfigs[name] ? undefined : 'counter';
-    return this.track(name, value, { ...labels, _type: defaultType, _operation: 'increment' });
+    return this.track(name, value, {
+      ...labels,
+      _type: defaultType,
+      _operation: 'increment',
+      _timestamp: timestamp,
+    });
   }
 
   async decrement(name, value = 1, labels = {}) {
+    const timestamp = Date.now();
     //Try to wait for config,
     try {
       await this.configReady;
@@ -93,10 +153,12 @@ class VizmeClient {
       ...labels,
       _type: defaultType,
       _operation: 'decrement',
+      _timestamp: timestamp,
     });
   }
 
   async set(name, value, labels = {}) {
+    const timestamp = Date.now();
     //Try to wait for config,
     try {
       await this.configReady;
@@ -105,14 +167,37 @@ class VizmeClient {
     }
     // only use gauge as a fallback when no config exists
     const defaultType = this.metricConfigs[name] ? undefined : 'gauge';
-    return this.track(name, value, { ...labels, _type: defaultType, _operation: 'set' });
+    return this.track(name, value, {
+      ...labels,
+      _type: defaultType,
+      _operation: 'set',
+      _timestamp: timestamp,
+    });
+  }
+
+  async observe(name, value, labels = {}) {
+    const timestamp = Date.now();
+    //Try to wait for config,
+    try {
+      await this.configReady;
+    } catch (error) {
+      console.warn('Vizme: Could not wait for config, using fallback', error);
+    }
+    // only use histogram as a fallback when no config exists
+    const defaultType = this.metricConfigs[name] ? undefined : 'histogram';
+    return this.track(name, value, {
+      ...labels,
+      _type: defaultType,
+      _operation: 'observe',
+      _timestamp: timestamp,
+    });
   }
 
   sanitizeLabels(labels) {
     const maxLen = 128;
     const sanitized = {};
     const keys = Object.keys(labels || {})
-      .filter((k) => k !== '_type' && k !== '_operation')
+      .filter((k) => !['_type', '_operation', '_timestamp', '_count'].includes(k))
       .slice(0, 10);
     for (const key of keys) {
       let val = String(labels[key]);
@@ -141,33 +226,161 @@ class VizmeClient {
     if (useSendBeacon) {
       const all = metricsToSend.length > 0 ? [...metricsToSend, ...this.queue] : [...this.queue];
       this.queue = [];
-      if (all.length > 0) this.sendMetricsSync(all);
+      const refused = [];
+      for (let i = 0; i < all.length; i += MAX_BATCH_SIZE) {
+        const chunk = all.slice(i, i + MAX_BATCH_SIZE);
+        if (!this.sendMetricsSync(chunk)) refused.push(...chunk);
+      }
+      if (refused.length > 0 && this.storage) {
+        // Beacon refused (payload too large, no support) — keep them for the next page load
+        this.queue = refused;
+        this.trimQueue();
+      }
+      this.persistQueue();
       return;
     }
 
     if (metricsToSend.length === 0) return;
 
-    try {
-      await this.sendMetrics(metricsToSend);
+    const unsent = await this.sendInBatches(metricsToSend);
+    if (unsent.length === 0) {
       this.retryAttempt = 0;
-    } catch (error) {
-      this.queue.push(...metricsToSend);
-      if (this.queue.length > 100) this.queue.shift();
-      this.scheduleRetryWithBackoff();
+      return;
+    }
+    this.queue.push(...unsent);
+    this.trimQueue();
+    this.persistQueue();
+    this.scheduleRetryWithBackoff();
+  }
+
+  // Send metrics in batches the backend accepts. Batches it rejects outright are
+  // dropped; from the first retryable failure on, the rest is returned for a retry.
+  async sendInBatches(metrics) {
+    for (let i = 0; i < metrics.length; i += MAX_BATCH_SIZE) {
+      try {
+        await this.sendMetrics(metrics.slice(i, i + MAX_BATCH_SIZE));
+      } catch (error) {
+        if (isRetryable(error)) return metrics.slice(i);
+        console.warn('Vizme: Dropping metrics rejected by the server', error.message);
+      }
     }
+    return [];
   }
 
   sendMetricsSync(metrics) {
-    if (!this.apiKey || !metrics.length) return;
+    if (!this.apiKey || !metrics.length) return false;
     const payload = JSON.stringify({ metrics });
     const url = `${this.endpoint}?api_key=${encodeURIComponent(this.apiKey)}`;
     if (typeof navigator !== 'undefined' && navigator.sendBeacon) {
-      navigator.sendBeacon(url, new Blob([payload], { type: 'application/json' }));
+      return navigator.sendBeacon(url, new Blob([payload], { type: 'application/json' }));
+    }
+    return false;
+  }
+
+  // Drop the oldest entries once the queue grows past maxQueueSize
+  trimQueue() {
+    if (this.queue.length > this.maxQueueSize) {
+      this.queue.splice(0, this.queue.length - this.maxQueueSize);
+    }
+  }
+
+  // Drop queued metrics too old for the backend to accept
+  dropExpiredFromQueue() {
+    const oldest = Date.now() - this.maxSampleAgeMs;
+    this.queue = this.queue.filter(
+      (metric) => !metric || !Number.isFinite(metric.timestamp) || metric.timestamp >= oldest
+    );
+  }
+
+  tabLockName(tabId) {
+    return `${this.storageKey}:tab:${tabId}`;
+  }
+
+  // Read-modify-write of the stored queue, one tab at a time where Web Locks exist
+  withStorageLock(fn) {
+    const locks = webLocks();
+    return locks ? locks.request(this.storageKey, fn) : fn();
+  }
+
+  // Tabs whose SDK is still running. Without Web Locks no tab can be told apart from
+  // a closed one, so every stored entry is taken over (replays may then be duplicated).
+  async liveTabs() {
+    const locks = webLocks();
+    if (!locks) return new Set();
+    const { held = [] } = await locks.query();
+    const prefix = this.tabLockName('');
+    return new Set(
+      held
+        .map((lock) => lock.name || '')
+        .filter((name) => name.startsWith(prefix))
+        .map((name) => name.slice(prefix.length))
+    );
+  }
+
+  // Load metrics left over by closed tabs and earlier page loads, take them over and
+  // replay them. Entries of tabs that are still open stay with those tabs.
+  async restoreQueue() {
+    try {
+      const claimed = await this.withStorageLock(async () => {
+        const stored = await this.storage.load();
+        const live = await this.liveTabs();
+        const kept = [];
+        const orphaned = [];
+        stored.forEach((entry) => {
+          if (!isQueueEntry(entry)) orphaned.push(entry);
+          else if (live.has(entry.tab)) kept.push(entry);
+          else orphaned.push(entry.metric);
+        });
+        if (orphaned.length > 0) {
+          await this.storage.save([
+            ...kept,
+            ...orphaned.map((metric) => ({ tab: this.tabId, metric })),
+          ]);
+        }
+        return orphaned;
+      });
+      if (claimed.length > 0) {
+        this.queue = [...claimed, ...this.queue];
+        this.dropExpiredFromQueue();
+        this.trimQueue();
+      }
+      this.persistedQueueSize = claimed.length;
+    } catch (error) {
+      console.warn('Vizme: Could not restore persisted queue', error);
+    }
+
+    if (this.queue.length > 0 && !this.isDestroyed) {
+      this.flushQueue();
     }
   }
 
+  // Mirror the current queue into this tab's stored entries, leaving other tabs'
+  // entries as they are. The snapshot is taken when the write runs (not when it is
+  // scheduled) so chained writes always store the latest state.
+  persistQueue() {
+    if (!this.storage) return Promise.resolve();
+    this.storageWrite = this.storageWrite
+      .then(() =>
+        this.withStorageLock(async () => {
+          const snapshot = this.queue.slice();
+          const others = (await this.storage.load()).filter(
+            (entry) => !isQueueEntry(entry) || entry.tab !== this.tabId
+          );
+          await this.storage.save([
+            ...others,
+            ...snapshot.map((metric) => ({ tab: this.tabId, metric })),
+          ]);
+          this.persistedQueueSize = snapshot.length;
+        })
+      )
+      .catch((error) => {
+        console.warn('Vizme: Could not persist queue', error);
+      });
+    return this.storageWrite;
+  }
+
   scheduleRetryWithBackoff() {
-    if (this.retryTimer || this.queue.length === 0) return;
+    if (this.retryTimer || this.queue.length === 0 || this.isDestroyed) return;
     const delay = Math.min(this.retryBaseMs * Math.pow(2, this.retryAttempt), 30000);
     this.retryAttempt = Math.min(this.retryAttempt + 1, this.maxRetries);
     this.retryTimer = setTimeout(() => {
@@ -177,18 +390,24 @@ class VizmeClient {
   }
 
   async flushQueue() {
-    if (this.queue.length === 0) return;
+    this.dropExpiredFromQueue();
+    if (this.queue.length === 0) {
+      this.persistQueue();
+      return;
+    }
 
-    const metricsToSend = [...this.queue];
+    const metricsToSend = this.queue;
     this.queue = [];
 
-    try {
-      await this.sendMetrics(metricsToSend);
-      this.retryAttempt = 0;
-    } catch (error) {
-      this.queue.unshift(...metricsToSend);
+    const unsent = await this.sendInBatches(metricsToSend);
+    if (unsent.length > 0) {
+      this.queue.unshift(...unsent);
+      this.trimQueue();
       this.scheduleRetryWithBackoff();
+    } else {
+      this.retryAttempt = 0;
     }
+    this.persistQueue();
   }
 
   async sendMetrics(metrics) {
@@ -210,7 +429,9 @@ class VizmeClient {
 
     if (!response.ok) {
       const errorText = await response.text().catch(() => 'Unknown error');
-      throw new Error(`Vizme: HTTP ${response.status} - ${errorText}`);
+      const error = new Error(`Vizme: HTTP ${response.status} - ${errorText}`);
+      error.status = response.status;
+      throw error;
     }
 
     return response.json();
@@ -246,6 +467,8 @@ class VizmeClient {
     return {
       queueSize: this.queue.length,
       batchSize: this.batch.length,
+      queueStorage: this.storage ? this.storage.type || 'custom' : null,
+      persistedQueueSize: this.persistedQueueSize,
       isOnline: typeof navigator !== 'undefined' ? navigator.onLine : true,
       endpoint: this.endpoint,
     };
@@ -258,415 +481,22 @@ class VizmeClient {
       clearInterval(this.flushTimer);
       this.flushTimer = null;
     }
-
-    // Final flush
-    this.flush();
-  }
-}
-
-// Auto-Tracker - automatically tracks common web events
-class AutoTracker {
-  constructor(client, options = {}) {
-    this.client = client;
-    this.isActive = false;
-    this.observers = [];
-    this.autoInteractions = options.autoInteractions || false;
-    this._lastAutoClick = { ts: 0, id: '' };
-
-    this.currentPage = typeof window !== 'undefined' ? window.location.pathname : '/';
-    this.currentPageStartTime = Date.now();
-    this._maxScroll = 0;
-    this._clsValue = 0;
-    this._latestLcp = 0;
-  }
-
-  start() {
-    if (this.isActive) return;
-    this.isActive = true;
-
-    this.trackPageView();
-    this.trackPerformance();
-    this.trackErrors();
-    this.trackInteractions();
-    this.trackForms();
-    this.trackScroll();
-    this.trackTimeOnPage();
-    if (this.autoInteractions) {
-      this.trackAutoInteractions();
-    }
-  }
-
-  trackPageView() {
-    if (typeof window === 'undefined') return;
-
-    this.client.increment('page_view', 1, {
-      page: window.location.pathname,
-      referrer: document.referrer || '',
-      url: window.location.href,
-    });
-
-    this.trackSPANavigation();
-  }
-
-  trackSPANavigation() {
-    if (typeof window === 'undefined' || typeof history === 'undefined') return;
-
-    const originalPushState = history.pushState;
-    const originalReplaceState = history.replaceState;
-
-    const onNavigate = (url) => {
-      const pathname = new URL(url, window.location.origin).pathname;
-      const previousPage = this.currentPage;
-      const elapsed = Math.round((Date.now() - this.currentPageStartTime) / 1000);
-      if (elapsed > 0) {
-        this.client.track('time_on_page', elapsed, { page: previousPage });
-      }
-      this.currentPage = pathname;
-      this.currentPageStartTime = Date.now();
-      this._maxScroll = 0;
-
-      this.client.increment('page_view', 1, {
-        page: pathname,
-        referrer: previousPage,
-        url: url,
-      });
-    };
-
-    history.pushState = function (...args) {
-      originalPushState.apply(history, args);
-      if (args[2]) {
-        onNavigate(args[2]);
-      }
-    };
-
-    history.replaceState = function (...args) {
-      originalReplaceState.apply(history, args);
-      if (args[2]) {
-        onNavigate(args[2]);
-      }
-    };
-
-    window.addEventListener('popstate', () => {
-      const previousPage = this.currentPage;
-      const elapsed = Math.round((Date.now() - this.currentPageStartTime) / 1000);
-      if (elapsed > 0) {
-        this.client.track('time_on_page', elapsed, { page: previousPage });
-      }
-      this.currentPage = window.location.pathname;
-      this.currentPageStartTime = Date.now();
-      this._maxScroll = 0;
-
-      this.client.increment('page_view', 1, {
-        page: window.location.pathname,
-        referrer: previousPage,
-        url: window.location.href,
-      });
-    });
-  }
-
-  trackPerformance() {
-    if (typeof window === 'undefined' || !window.performance) return;
-
-    window.addEventListener('load', () => {
-      // Defer so the browser populates loadEventEnd after all load handlers complete
-      setTimeout(() => {
-        const page = window.location.pathname;
-        const navEntries = performance.getEntriesByType('navigation');
-        if (navEntries && navEntries.length > 0) {
-          const nav = navEntries[0];
-          const pageLoad = Math.round(nav.loadEventEnd - nav.startTime);
-          const ttfb = Math.round(nav.responseStart - nav.startTime);
-          const domReady = Math.round(nav.domContentLoadedEventEnd - nav.startTime);
-          if (pageLoad > 0) this.client.track('page_load_time', pageLoad, { page });
-          if (ttfb > 0) this.client.track('ttfb', ttfb, { page });
-          if (domReady > 0) this.client.track('dom_content_loaded', domReady, { page });
-        } else if (performance.timing) {
-          const timing = performance.timing;
-          const pageLoad = timing.loadEventEnd - timing.navigationStart;
-          const ttfb = timing.responseStart - timing.navigationStart;
-          const domReady = timing.domContentLoadedEventEnd - timing.navigationStart;
-          if (pageLoad > 0) this.client.track('page_load_time', pageLoad, { page });
-          if (ttfb > 0) this.client.track('ttfb', ttfb, { page });
-          if (domReady > 0) this.client.track('dom_content_loaded', domReady, { page });
-        }
-
-        if (this._latestLcp > 0) {
-          this.client.track('lcp', this._latestLcp, { page });
-        }
-      }, 0);
-    });
-
-    if ('PerformanceObserver' in window) {
-      this.trackWebVitals();
-    }
-  }
-
-  trackWebVitals() {
-    try {
-      const fcpObserver = new PerformanceObserver((list) => {
-        list.getEntries().forEach((entry) => {
-          if (entry.name === 'first-contentful-paint') {
-            this.client.track('fcp', Math.round(entry.startTime), {
-              page: window.location.pathname,
-            });
-          }
-        });
-      });
-      fcpObserver.observe({ entryTypes: ['paint'] });
-      this.observers.push(fcpObserver);
-    } catch (e) {
-      /* not supported */
-    }
-
-    try {
-      const lcpObserver = new PerformanceObserver((list) => {
-        const entries = list.getEntries();
-        const lastEntry = entries[entries.length - 1];
-        this._latestLcp = Math.round(lastEntry.renderTime || lastEntry.loadTime);
-      });
-      lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-      this.observers.push(lcpObserver);
-    } catch (e) {
-      /* not supported */
-    }
-
-    try {
-      const fidObserver = new PerformanceObserver((list) => {
-        list.getEntries().forEach((entry) => {
-          this.client.track('fid', Math.round(entry.processingStart - entry.startTime), {
-            page: window.location.pathname,
-          });
-        });
-      });
-      fidObserver.observe({ entryTypes: ['first-input'] });
-      this.observers.push(fidObserver);
-    } catch (e) {
-      /* not supported */
+    // A destroyed client no longer retries; what is left stays in the persisted queue
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
     }
-
-    try {
-      const clsObserver = new PerformanceObserver((list) => {
-        list.getEntries().forEach((entry) => {
-          if (!entry.hadRecentInput) {
-            this._clsValue += entry.value;
-          }
-        });
-      });
-      clsObserver.observe({ entryTypes: ['layout-shift'] });
-      this.observers.push(clsObserver);
-    } catch (e) {
-      /* not supported */
+    if (this._onlineHandler && typeof window !== 'undefined') {
+      window.removeEventListener('online', this._onlineHandler);
     }
-  }
-
-  trackErrors() {
-    if (typeof window === 'undefined') return;
-
-    // JavaScript errors
-    window.addEventListener('error', (event) => {
-      this.client.increment('javascript_errors', 1, {
-        page: window.location.pathname,
-        message: String(event.message || '').substring(0, 100),
-        source: String(event.filename || '').substring(0, 200),
-        line: event.lineno || 0,
-      });
-    });
 
-    // Unhandled promise rejections
-    window.addEventListener('unhandledrejection', (event) => {
-      this.client.increment('promise_rejections', 1, {
-        page: window.location.pathname,
-        reason: String(event.reason || '').substring(0, 100),
+    // Final flush; the tab lock goes once the queue is stored, so another tab can
+    // take over what is left
+    Promise.resolve(this.flush())
+      .then(() => this.storageWrite)
+      .finally(() => {
+        if (this.releaseTabLock) this.releaseTabLock();
       });
-    });
-  }
-
-  trackInteractions() {
-    if (typeof document === 'undefined') return;
-
-    // Track clicks on elements with data-vizme-track attribute
-    document.addEventListener(
-      'click',
-      (e) => {
-        const el = e.target.closest('[data-vizme-track]');
-        if (el) {
-          const metricName = el.getAttribute('data-vizme-track');
-          const value = parseFloat(el.getAttribute('data-vizme-value')) || 1;
-          const labels = {};
-
-          // Extract data-vizme-label-* attributes
-          Array.from(el.attributes).forEach((attr) => {
-            if (attr.name.startsWith('data-vizme-label-')) {
-              labels[attr.name.slice(17)] = attr.value;
-            }
-          });
-
-          this.client.increment(metricName, value, {
-            page: window.location.pathname,
-            ...labels,
-          });
-        }
-      },
-      true
-    );
-  }
-
-  trackForms() {
-    if (typeof document === 'undefined') return;
-
-    document.addEventListener('submit', (e) => {
-      const form = e.target;
-      if (form.hasAttribute('data-vizme-track')) {
-        const metricName = form.getAttribute('data-vizme-track');
-        const value = parseFloat(form.getAttribute('data-vizme-value')) || 1;
-        const labels = {};
-
-        Array.from(form.attributes).forEach((attr) => {
-          if (attr.name.startsWith('data-vizme-label-')) {
-            labels[attr.name.slice(17)] = attr.value;
-          }
-        });
-
-        this.client.increment(metricName, value, {
-          page: window.location.pathname,
-          form_id: form.id || '',
-          ...labels,
-        });
-      }
-    });
-  }
-
-  trackScroll() {
-    if (typeof window === 'undefined') return;
-
-    let ticking = false;
-
-    const trackScrollDepth = () => {
-      if (ticking) return;
-      ticking = true;
-
-      requestAnimationFrame(() => {
-        const scrollHeight = document.documentElement.scrollHeight;
-        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-        const clientHeight = document.documentElement.clientHeight;
-        const scrollPercent = Math.round(((scrollTop + clientHeight) / scrollHeight) * 100);
-
-        if (scrollPercent > this._maxScroll) {
-          this._maxScroll = scrollPercent;
-          this.client.set('scroll_depth', scrollPercent, {
-            page: this.currentPage || window.location.pathname,
-          });
-        }
-
-        ticking = false;
-      });
-    };
-
-    window.addEventListener('scroll', trackScrollDepth, { passive: true });
-  }
-
-  trackTimeOnPage() {
-    // Handled by trackSPANavigation (on route change) and collectFinalMetrics (on unload)
-  }
-
-  collectFinalMetrics() {
-    if (typeof window === 'undefined') return;
-    const page = this.currentPage || window.location.pathname;
-
-    const elapsed = Math.round((Date.now() - this.currentPageStartTime) / 1000);
-    if (elapsed > 0) {
-      this.client.track('time_on_page', elapsed, { page });
-    }
-
-    if (this._maxScroll > 0) {
-      this.client.set('max_scroll_depth', this._maxScroll, { page });
-    }
-
-    if (this._clsValue > 0) {
-      this.client.track('cls', Math.round(this._clsValue * 1000), { page });
-    }
-  }
-
-  trackAutoInteractions() {
-    if (typeof document === 'undefined') return;
-
-    const DEDUP_MS = 300;
-
-    document.addEventListener(
-      'click',
-      (e) => {
-        const el = this.findTrackableAncestor(e.target);
-        if (!el) return;
-        // Skip elements already handled by the opt-in data-vizme-track path
-        if (el.hasAttribute('data-vizme-track')) return;
-
-        const elId = (el.id || '') + '|' + (el.tagName || '');
-        const now = Date.now();
-        if (elId === this._lastAutoClick.id && now - this._lastAutoClick.ts < DEDUP_MS) return;
-        this._lastAutoClick = { ts: now, id: elId };
-
-        const labels = {
-          page: window.location.pathname,
-          element: el.tagName.toLowerCase(),
-          interaction_type: 'click',
-        };
-        if (el.id) labels.element_id = el.id;
-        const text = (el.innerText || '').substring(0, 50).trim();
-        if (text) labels.element_text = text;
-        if (el.href) labels.element_href = el.href.substring(0, 200);
-
-        this.client.increment('user_interaction', 1, labels);
-      },
-      true
-    );
-
-    document.addEventListener(
-      'change',
-      (e) => {
-        const el = e.target;
-        if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName)) return;
-        if (el.hasAttribute('data-vizme-track')) return;
-
-        const labels = {
-          page: window.location.pathname,
-          element: el.tagName.toLowerCase(),
-          interaction_type: 'input_change',
-        };
-        if (el.id) labels.element_id = el.id;
-        else if (el.name) labels.element_id = el.name;
-        if (el.type) labels.input_type = el.type;
-
-        this.client.increment('user_interaction', 1, labels);
-      },
-      true
-    );
-  }
-
-  findTrackableAncestor(target) {
-    const TRACKABLE = ['BUTTON', 'A', 'INPUT', 'SELECT', 'TEXTAREA'];
-    let el = target;
-    let depth = 0;
-    while (el && el !== document && depth < 5) {
-      if (TRACKABLE.includes(el.tagName) || el.getAttribute('role') === 'button') {
-        return el;
-      }
-      el = el.parentNode;
-      depth++;
-    }
-    return null;
-  }
-
-  stop() {
-    this.isActive = false;
-    // Cleanup observers
-    this.observers.forEach((observer) => {
-      try {
-        observer.disconnect();
-      } catch (e) {
-        // Ignore errors
-      }
-    });
-    this.observers = [];
   }
 }
 
@@ -680,7 +510,7 @@ class Vizme {
     this.config = {
       apiKey: config.apiKey,
       endpoint: config.endpoint || 'http://localhost:3000/api/v1/metrics',
-      autoTrack: config.autoTrack !== false, // Default: true
+      autoTrack: config.autoTrack ?? true, // true, false or per-plugin settings
       batchSize: config.batchSize || 5,
       flushInterval: config.flushInterval || 1000,
       metricConfigs: config.metricConfigs || {},
@@ -688,6 +518,9 @@ class Vizme {
       sampleRate: config.sampleRate ?? 1,
       maxRetries: config.maxRetries ?? 5,
       retryBaseMs: config.retryBaseMs ?? 1000,
+      persistQueue: config.persistQueue ?? false,
+      maxQueueSize: config.maxQueueSize ?? 100,
+      maxSampleAgeMs: config.maxSampleAgeMs ?? 60 * 60 * 1000,
       ...config,
     };
 
@@ -701,6 +534,9 @@ class Vizme {
       sampleRate: this.config.sampleRate,
       maxRetries: this.config.maxRetries,
       retryBaseMs: this.config.retryBaseMs,
+      persistQueue: this.config.persistQueue,
+      maxQueueSize: this.config.maxQueueSize,
+      maxSampleAgeMs: this.config.maxSampleAgeMs,
     });
 
     // Auto-fetch metric configs from backend
@@ -716,13 +552,16 @@ class Vizme {
       this.client.configReady = this.configReady;
     }
 
-    // Initialize auto-tracker if enabled
-    if (this.config.autoTrack) {
-      this.autoTracker = new AutoTracker(this.client, {
-        autoInteractions: this.config.autoInteractions || false,
-      });
-      this.autoTracker.start();
-    }
+    // Built-in trackers are plugins: autoTrack starts the default set, or the ones
+    // named in an autoTrack object; config.plugins adds more ([plugin, options] or plugin)
+    this.plugins = new PluginHost(this);
+    resolveBuiltinPlugins(this.config.autoTrack, this.config.autoInteractions).forEach(
+      ({ plugin, options }) => this.plugins.use(plugin, options)
+    );
+    (this.config.plugins || []).forEach((item) => {
+      if (Array.isArray(item)) this.use(item[0], item[1]);
+      else this.use(item);
+    });
 
     // Listen for vizme:track CustomEvent (minimal-code API for dynamic flows)
     // Supports operation: "increment" (default), "set", "decrement" for gauges
@@ -746,7 +585,7 @@ class Vizme {
     // Unified beforeunload: collect final metrics THEN flush via sendBeacon
     if (typeof window !== 'undefined' && window.addEventListener) {
       this._beforeUnloadHandler = () => {
-        if (this.autoTracker) this.autoTracker.collectFinalMetrics();
+        this.plugins.emit('unload');
         this.client.flush(true);
       };
       window.addEventListener('beforeunload', this._beforeUnloadHandler);
@@ -784,6 +623,20 @@ class Vizme {
     }
   }
 
+  // Plugin API: register (or replace, by name) a plugin, remove or look one up
+  use(plugin, options = {}) {
+    this.plugins.use(plugin, options);
+    return this;
+  }
+
+  removePlugin(name) {
+    return this.plugins.remove(name);
+  }
+
+  getPlugin(name) {
+    return this.plugins.get(name);
+  }
+
   // Manual tracking API
   track(name, value, labels = {}) {
     return this.client.track(name, value, labels);
@@ -801,6 +654,10 @@ class Vizme {
     return this.client.set(name, value, labels);
   }
 
+  observe(name, value, labels = {}) {
+    return this.client.observe(name, value, labels);
+  }
+
   // Force flush
   flush() {
     return this.client.flush();
@@ -821,13 +678,14 @@ class Vizme {
         window.removeEventListener('beforeunload', this._beforeUnloadHandler);
       }
     }
-    if (this.autoTracker) {
-      this.autoTracker.stop();
-    }
+    this.plugins.destroy();
     this.client.destroy();
   }
 }
 
+// Built-in plugin factories, e.g. to re-register one with other options
+Vizme.plugins = builtinPlugins;
+
 // Export for browser
 if (typeof window !== 'undefined') {
   window.Vizme = Vizme;
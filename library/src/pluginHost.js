@@ -0,0 +1,137 @@
+// Vizme - Plugin host
+// Plugins are objects with a unique `name`, a `setup(ctx)` hook and an optional
+// `teardown(ctx)` hook. The context gives a plugin the client and helpers whose
+// listeners and cleanups are released automatically when the plugin is removed:
+//
+//   ctx.client            VizmeClient (track / increment / decrement / set)
+//   ctx.vizme             the Vizme instance
+//   ctx.options           options passed to vizme.use(plugin, options)
+//   ctx.getPage()         current page path (follows SPA navigation)
+//   ctx.on(event, fn)     subscribe to host events ('pagechange', 'unload', or custom)
+//   ctx.emit(event, data) publish an event to every plugin
+//   ctx.listen(target, type, handler, options)  addEventListener, removed on teardown
+//   ctx.addCleanup(fn)    run fn on teardown (disconnect observers, clear timers, ...)
+//
+// Events: 'pagechange' { page, previousPage, url } when the page path changes and
+// 'unload' right before the final flush on beforeunload.
+
+export class PluginHost {
+  constructor(vizme) {
+    this.vizme = vizme;
+    this.plugins = new Map(); // name -> { plugin, ctx, cleanups }
+    this.handlers = new Map(); // event -> Set<handler>
+    this.currentPage = null;
+  }
+
+  use(plugin, options = {}) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new Error('Vizme: a plugin needs a name');
+    }
+    if (typeof plugin.setup !== 'function') {
+      throw new Error(`Vizme: plugin "${plugin.name}" needs a setup(ctx) function`);
+    }
+
+    // Registering a name again replaces the previous plugin (e.g. a built-in)
+    this.remove(plugin.name);
+
+    const entry = { plugin, cleanups: [] };
+    entry.ctx = this.createContext(entry, options || {});
+    this.plugins.set(plugin.name, entry);
+
+    try {
+      plugin.setup(entry.ctx);
+    } catch (error) {
+      console.warn(`Vizme: plugin "${plugin.name}" failed to set up`, error);
+      this.remove(plugin.name);
+    }
+  }
+
+  remove(name) {
+    const entry = this.plugins.get(name);
+    if (!entry) return false;
+    this.plugins.delete(name);
+
+    if (typeof entry.plugin.teardown === 'function') {
+      try {
+        entry.plugin.teardown(entry.ctx);
+      } catch (error) {
+        console.warn(`Vizme: plugin "${name}" failed to tear down`, error);
+      }
+    }
+    // Release listeners in reverse registration order
+    while (entry.cleanups.length > 0) {
+      try {
+        entry.cleanups.pop()();
+      } catch (error) {
+        // Ignore errors
+      }
+    }
+    return true;
+  }
+
+  get(name) {
+    const entry = this.plugins.get(name);
+    return entry ? entry.plugin : null;
+  }
+
+  names() {
+    return Array.from(this.plugins.keys());
+  }
+
+  getPage() {
+    if (this.currentPage) return this.currentPage;
+    return typeof window !== 'undefined' ? window.location.pathname : '/';
+  }
+
+  emit(event, data) {
+    if (event === 'pagechange' && data && data.page) {
+      this.currentPage = data.page;
+    }
+    const handlers = this.handlers.get(event);
+    if (!handlers) return;
+    // Copy so handlers may unsubscribe while the event is dispatched
+    Array.from(handlers).forEach((handler) => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.warn(`Vizme: "${event}" handler failed`, error);
+      }
+    });
+  }
+
+  createContext(entry, options) {
+    const host = this;
+    const addCleanup = (fn) => {
+      if (typeof fn === 'function') entry.cleanups.push(fn);
+    };
+
+    return {
+      name: entry.plugin.name,
+      client: host.vizme.client,
+      vizme: host.vizme,
+      options,
+      getPage: () => host.getPage(),
+      emit: (event, data) => host.emit(event, data),
+      on(event, handler) {
+        if (!host.handlers.has(event)) host.handlers.set(event, new Set());
+        host.handlers.get(event).add(handler);
+        const off = () => host.handlers.get(event)?.delete(handler);
+        addCleanup(off);
+        return off;
+      },
+      listen(target, type, handler, listenerOptions) {
+        if (!target || typeof target.addEventListener !== 'function') return;
+        target.addEventListener(type, handler, listenerOptions);
+        addCleanup(() => target.removeEventListener(type, handler, listenerOptions));
+      },
+      addCleanup,
+    };
+  }
+
+  destroy() {
+    this.names()
+      .reverse()
+      .forEach((name) => this.remove(name));
+    this.handlers.clear();
+  }
+}
@@ -0,0 +1,11 @@
+// Labels from data-vizme-label-* attributes, shared by the click and form plugins
+
+export function attributeLabels(el) {
+  const labels = {};
+  Array.from(el.attributes).forEach((attr) => {
+    if (attr.name.startsWith('data-vizme-label-')) {
+      labels[attr.name.slice(17)] = attr.value;
+    }
+  });
+  return labels;
+}
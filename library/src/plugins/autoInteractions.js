@@ -0,0 +1,87 @@
+// Built-in plugin (off by default): clicks and input changes on any button, link or
+// form control, without data-vizme-track attributes
+//
+// Options:
+//   dedupMs (default 300) - ignore repeated clicks on the same element within this window
+
+const TRACKABLE = ['BUTTON', 'A', 'INPUT', 'SELECT', 'TEXTAREA'];
+
+function findTrackableAncestor(target) {
+  let el = target;
+  let depth = 0;
+  while (el && el !== document && depth < 5) {
+    if (
+      TRACKABLE.includes(el.tagName) ||
+      (el.getAttribute && el.getAttribute('role') === 'button')
+    ) {
+      return el;
+    }
+    el = el.parentNode;
+    depth++;
+  }
+  return null;
+}
+
+export function autoInteractions() {
+  let lastClick = { ts: 0, id: '' };
+
+  return {
+    name: 'autoInteractions',
+
+    setup(ctx) {
+      if (typeof document === 'undefined') return;
+      const dedupMs = ctx.options.dedupMs ?? 300;
+
+      ctx.listen(
+        document,
+        'click',
+        (e) => {
+          const el = findTrackableAncestor(e.target);
+          if (!el) return;
+          // Skip elements already handled by the opt-in data-vizme-track path
+          if (el.hasAttribute('data-vizme-track')) return;
+
+          const elId = (el.id || '') + '|' + (el.tagName || '');
+          const now = Date.now();
+          if (elId === lastClick.id && now - lastClick.ts < dedupMs) return;
+          lastClick = { ts: now, id: elId };
+
+          const labels = {
+            page: window.location.pathname,
+            element: el.tagName.toLowerCase(),
+            interaction_type: 'click',
+          };
+          if (el.id) labels.element_id = el.id;
+          const text = (el.innerText || '').substring(0, 50).trim();
+          if (text) labels.element_text = text;
+          if (el.href) labels.element_href = el.href.substring(0, 200);
+
+          ctx.client.increment('user_interaction', 1, labels);
+        },
+        true
+      );
+
+      ctx.listen(
+        document,
+        'change',
+        (e) => {
+          const el = e.target;
+          if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName)) return;
+          if (el.hasAttribute('data-vizme-track')) return;
+
+          const labels = {
+            page: window.location.pathname,
+            element: el.tagName.toLowerCase(),
+            interaction_type: 'input_change',
+          };
+          if (el.id) labels.element_id = el.id;
+          else if (el.name) labels.element_id = el.name;
+          if (el.type) labels.input_type = el.type;
+
+          ctx.client.increment('user_interaction', 1, labels);
+        },
+        true
+      );
+    },
+  };
+}
@@ -0,0 +1,32 @@
+// Built-in plugin: JavaScript errors and unhandled promise rejections
+//
+// Options:
+//   promiseRejections (default true) - also count unhandled promise rejections
+
+export function errors() {
+  return {
+    name: 'errors',
+
+    setup(ctx) {
+      if (typeof window === 'undefined') return;
+
+      ctx.listen(window, 'error', (event) => {
+        ctx.client.increment('javascript_errors', 1, {
+          page: window.location.pathname,
+          message: String(event.message || '').substring(0, 100),
+          source: String(event.filename || '').substring(0, 200),
+          line: event.lineno || 0,
+        });
+      });
+
+      if (ctx.options.promiseRejections === false) return;
+
+      ctx.listen(window, 'unhandledrejection', (event) => {
+        ctx.client.increment('promise_rejections', 1, {
+          page: window.location.pathname,
+          reason: String(event.reason || '').substring(0, 100),
+        });
+      });
+    },
+  };
+}
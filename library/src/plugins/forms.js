@@ -0,0 +1,26 @@
+// Built-in plugin: submits of forms with a data-vizme-track attribute
+
+import { attributeLabels } from './attributes.js';
+
+export function forms() {
+  return {
+    name: 'forms',
+
+    setup(ctx) {
+      if (typeof document === 'undefined') return;
+
+      ctx.listen(document, 'submit', (e) => {
+        const form = e.target;
+        if (!form.hasAttribute || !form.hasAttribute('data-vizme-track')) return;
+        const metricName = form.getAttribute('data-vizme-track');
+        const value = parseFloat(form.getAttribute('data-vizme-value')) || 1;
+
+        ctx.client.increment(metricName, value, {
+          page: window.location.pathname,
+          form_id: form.id || '',
+          ...attributeLabels(form),
+        });
+      });
+    },
+  };
+}
@@ -0,0 +1,55 @@
+// Built-in plugins, keyed by name. Each entry is a factory so every Vizme instance
+// gets its own plugin state.
+
+import { autoInteractions } from './autoInteractions.js';
+import { errors } from './errors.js';
+import { forms } from './forms.js';
+import { interactions } from './interactions.js';
+import { pageViews } from './pageViews.js';
+import { pagePerformance } from './performance.js';
+import { requests } from './requests.js';
+import { resources } from './resources.js';
+import { scroll } from './scroll.js';
+import { sessions } from './sessions.js';
+
+export const builtinPlugins = {
+  pageViews,
+  performance: pagePerformance,
+  errors,
+  interactions,
+  forms,
+  scroll,
+  sessions,
+  autoInteractions,
+  resources,
+  requests,
+};
+
+// Built-ins started by autoTrack unless turned off (the others are opt-in)
+const DEFAULT_ENABLED = ['pageViews', 'performance', 'errors', 'interactions', 'forms', 'scroll'];
+
+/**
+ * Which built-ins to start, with their options.
+ * `autoTrack` is `true` (the defaults) or an object keyed by plugin name whose
+ * values are `true`, `false` or an options object; `autoInteractions` is the
+ * older top-level switch for the autoInteractions plugin.
+ */
+export function resolveBuiltinPlugins(autoTrack, autoInteractionsOption = false) {
+  if (!autoTrack) return [];
+  const settings = typeof autoTrack === 'object' ? autoTrack : {};
+
+  return Object.keys(builtinPlugins)
+    .map((name) => {
+      let setting = settings[name];
+      if (setting === undefined) {
+        setting =
+          name === 'autoInteractions' ? !!autoInteractionsOption : DEFAULT_ENABLED.includes(name);
+      }
+      if (!setting) return null;
+      return {
+        plugin: builtinPlugins[name](),
+        options: typeof setting === 'object' ? setting : {},
+      };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,30 @@
+// Built-in plugin: clicks on elements with a data-vizme-track attribute
+
+import { attributeLabels } from './attributes.js';
+
+export function interactions() {
+  return {
+    name: 'interactions',
+
+    setup(ctx) {
+      if (typeof document === 'undefined') return;
+
+      ctx.listen(
+        document,
+        'click',
+        (e) => {
+          const el = e.target.closest && e.target.closest('[data-vizme-track]');
+          if (!el) return;
+          const metricName = el.getAttribute('data-vizme-track');
+          const value = parseFloat(el.getAttribute('data-vizme-value')) || 1;
+
+          ctx.client.increment(metricName, value, {
+            page: window.location.pathname,
+            ...attributeLabels(el),
+          });
+        },
+        true
+      );
+    },
+  };
+}
@@ -0,0 +1,72 @@
+// Built-in plugin: page views, SPA navigation (history API) and time on page
+//
+// Options:
+//   spa (default true) - count history.pushState/replaceState/popstate navigations
+
+export function pageViews() {
+  let pageStartTime = Date.now();
+
+  const trackTimeOnPage = (ctx, page) => {
+    const elapsed = Math.round((Date.now() - pageStartTime) / 1000);
+    if (elapsed > 0) {
+      ctx.client.track('time_on_page', elapsed, { page });
+    }
+  };
+
+  const navigate = (ctx, page, url) => {
+    const previousPage = ctx.getPage();
+    trackTimeOnPage(ctx, previousPage);
+    pageStartTime = Date.now();
+    ctx.emit('pagechange', { page, previousPage, url });
+
+    ctx.client.increment('page_view', 1, {
+      page,
+      referrer: previousPage,
+      url,
+    });
+  };
+
+  return {
+    name: 'pageViews',
+
+    setup(ctx) {
+      if (typeof window === 'undefined') return;
+      pageStartTime = Date.now();
+
+      ctx.client.increment('page_view', 1, {
+        page: window.location.pathname,
+        referrer: document.referrer || '',
+        url: window.location.href,
+      });
+
+      ctx.on('unload', () => trackTimeOnPage(ctx, ctx.getPage()));
+
+      if (ctx.options.spa === false || typeof history === 'undefined') return;
+
+      const originalPushState = history.pushState;
+      const originalReplaceState = history.replaceState;
+      const wrap = (original) =>
+        function (...args) {
+          original.apply(history, args);
+          if (args[2]) {
+            const url = String(args[2]);
+            navigate(ctx, new URL(url, window.location.origin).pathname, url);
+          }
+        };
+      const pushState = wrap(originalPushState);
+      const replaceState = wrap(originalReplaceState);
+      history.pushState = pushState;
+      history.replaceState = replaceState;
+
+      ctx.addCleanup(() => {
+        // Leave the history API alone if something else wrapped it after us
+        if (history.pushState === pushState) history.pushState = originalPushState;
+        if (history.replaceState === replaceState) history.replaceState = originalReplaceState;
+      });
+
+      ctx.listen(window, 'popstate', () => {
+        navigate(ctx, window.location.pathname, window.location.href);
+      });
+    },
+  };
+}
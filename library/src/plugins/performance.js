@@ -0,0 +1,258 @@
+// Built-in plugin: navigation timing and Core Web Vitals (FCP, LCP, INP, CLS)
+//
+// Options:
+//   webVitals (default true)    - observe paint, LCP, event timing and layout-shift entries
+//   attribution (default false) - add an `element` label (CSS-like selector of the LCP
+//                                 element, the slowest interaction's target or the
+//                                 largest shift's source), `interaction_type` on INP and
+//                                 `load_state` on FCP, INP and CLS
+//
+// LCP is final at the first click or key press, or when the page is hidden. INP is the
+// slowest interaction (ignoring one outlier per 50 interactions) and CLS the worst
+// session window of layout shifts; both are reported whenever the page is hidden or
+// unloaded and the value changed since it was last reported. Vitals describe the document, so they
+// are labelled with the page it was loaded on.
+
+// Smallest threshold Event Timing allows, so interactions are counted even when they
+// are too fast to matter for INP (the count decides how many outliers are skipped)
+const EVENT_DURATION_THRESHOLD_MS = 16;
+const INP_MAX_CANDIDATES = 10;
+const CLS_SESSION_GAP_MS = 1000;
+const CLS_SESSION_MAX_MS = 5000;
+const MAX_SELECTOR_LENGTH = 100;
+
+function navigationEntry() {
+  const perf = window.performance;
+  const entries = perf.getEntriesByType ? perf.getEntriesByType('navigation') : [];
+  return entries && entries.length > 0 ? entries[0] : null;
+}
+
+// Document state when something happened `time` ms after navigation start
+function loadState(time) {
+  if (typeof document !== 'undefined' && document.readyState === 'loading') return 'loading';
+  const nav = navigationEntry();
+  if (nav) {
+    if (time < nav.domInteractive) return 'loading';
+    if (!nav.domContentLoadedEventStart || time < nav.domContentLoadedEventStart) {
+      return 'dom-interactive';
+    }
+    if (!nav.domComplete || time < nav.domComplete) return 'dom-content-loaded';
+  }
+  return 'complete';
+}
+
+// Short selector such as "main>div.hero>img#poster", stopping at the nearest id
+function describeElement(node) {
+  const parts = [];
+  while (node && node.nodeType === 1) {
+    const tag = node.nodeName.toLowerCase();
+    if (node.id) {
+      parts.unshift(`${tag}#${node.id}`);
+      break;
+    }
+    const classes =
+      typeof node.className === 'string' ? node.className.trim().split(/\s+/).filter(Boolean) : [];
+    parts.unshift(classes.length > 0 ? `${tag}.${classes.slice(0, 2).join('.')}` : tag);
+    if (tag === 'body' || tag === 'html') break;
+    node = node.parentNode;
+  }
+  let selector = parts.join('>');
+  // Keep the most specific end of long selectors
+  while (selector.length > MAX_SELECTOR_LENGTH && parts.length > 1) {
+    parts.shift();
+    selector = parts.join('>');
+  }
+  return selector.slice(0, MAX_SELECTOR_LENGTH);
+}
+
+export function pagePerformance() {
+  let page = '/';
+  let attribution = false;
+
+  let lcpEntry = null;
+  let lcpFinal = false;
+
+  // Slowest interactions, longest first: { id, latency, entry }
+  const interactions = [];
+  // Every interaction seen, for when the browser has no performance.interactionCount
+  const interactionIds = new Set();
+
+  let clsValue = 0;
+  let clsEntry = null;
+  let session = null; // { value, first, last, largest }
+
+  const reported = { inp: 0, cls: 0 };
+
+  const observe = (ctx, type, callback, options = {}) => {
+    try {
+      const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      ctx.addCleanup(() => observer.disconnect());
+      return observer;
+    } catch (e) {
+      return null; /* not supported */
+    }
+  };
+
+  const labels = (element, time) => {
+    const result = { page };
+    if (!attribution) return result;
+    if (element) {
+      const selector = describeElement(element);
+      if (selector) result.element = selector;
+    }
+    if (time !== undefined) result.load_state = loadState(time);
+    return result;
+  };
+
+  const trackNavigationTiming = (ctx) => {
+    const perf = window.performance;
+    const nav = navigationEntry();
+    if (nav) {
+      const pageLoad = Math.round(nav.loadEventEnd - nav.startTime);
+      const ttfb = Math.round(nav.responseStart - nav.startTime);
+      const domReady = Math.round(nav.domContentLoadedEventEnd - nav.startTime);
+      if (pageLoad > 0) ctx.client.track('page_load_time', pageLoad, { page });
+      if (ttfb > 0) ctx.client.track('ttfb', ttfb, { page });
+      if (domReady > 0) ctx.client.track('dom_content_loaded', domReady, { page });
+    } else if (perf.timing) {
+      const timing = perf.timing;
+      const pageLoad = timing.loadEventEnd - timing.navigationStart;
+      const ttfb = timing.responseStart - timing.navigationStart;
+      const domReady = timing.domContentLoadedEventEnd - timing.navigationStart;
+      if (pageLoad > 0) ctx.client.track('page_load_time', pageLoad, { page });
+      if (ttfb > 0) ctx.client.track('ttfb', ttfb, { page });
+      if (domReady > 0) ctx.client.track('dom_content_loaded', domReady, { page });
+    }
+  };
+
+  const recordInteraction = (entry) => {
+    if (!entry.interactionId) return;
+    interactionIds.add(entry.interactionId);
+    const existing = interactions.find((i) => i.id === entry.interactionId);
+    if (existing) {
+      if (entry.duration > existing.latency) {
+        existing.latency = entry.duration;
+        existing.entry = entry;
+      }
+    } else {
+      interactions.push({ id: entry.interactionId, latency: entry.duration, entry });
+    }
+    interactions.sort((a, b) => b.latency - a.latency);
+    interactions.splice(INP_MAX_CANDIDATES);
+  };
+
+  const recordLayoutShift = (entry) => {
+    if (entry.hadRecentInput) return;
+    if (
+      session &&
+      entry.startTime - session.last < CLS_SESSION_GAP_MS &&
+      entry.startTime - session.first < CLS_SESSION_MAX_MS
+    ) {
+      session.value += entry.value;
+      session.last = entry.startTime;
+      if (entry.value > session.largest.value) session.largest = entry;
+    } else {
+      session = {
+        value: entry.value,
+        first: entry.startTime,
+        last: entry.startTime,
+        largest: entry,
+      };
+    }
+    if (session.value > clsValue) {
+      clsValue = session.value;
+      clsEntry = session.largest;
+    }
+  };
+
+  const finalizeLcp = (ctx, observer) => {
+    if (lcpFinal || !observer) return;
+    lcpFinal = true;
+    const pending = observer.takeRecords ? observer.takeRecords() : [];
+    if (pending.length > 0) lcpEntry = pending[pending.length - 1];
+    observer.disconnect();
+
+    const value = lcpEntry ? Math.round(lcpEntry.renderTime || lcpEntry.loadTime || 0) : 0;
+    if (value > 0) ctx.client.track('lcp', value, labels(lcpEntry.element));
+  };
+
+  const reportInpAndCls = (ctx) => {
+    if (interactions.length > 0) {
+      // Estimated 98th percentile: skip the worst interaction for every 50 seen
+      const count = window.performance.interactionCount || interactionIds.size;
+      const candidate = interactions[Math.min(interactions.length - 1, Math.floor(count / 50))];
+      const inp = Math.round(candidate.latency);
+      if (inp !== reported.inp) {
+        reported.inp = inp;
+        const { entry } = candidate;
+        const inpLabels = labels(entry.target, entry.startTime);
+        if (attribution) {
+          inpLabels.interaction_type = entry.name.startsWith('key') ? 'keyboard' : 'pointer';
+        }
+        ctx.client.track('inp', inp, inpLabels);
+      }
+    }
+
+    const cls = Math.round(clsValue * 1000);
+    if (cls > reported.cls) {
+      reported.cls = cls;
+      const source = clsEntry && (clsEntry.sources || []).find((s) => s.node);
+      ctx.client.track('cls', cls, labels(source && source.node, clsEntry.startTime));
+    }
+  };
+
+  const trackWebVitals = (ctx) => {
+    observe(ctx, 'paint', (entries) => {
+      entries.forEach((entry) => {
+        if (entry.name === 'first-contentful-paint') {
+          ctx.client.track('fcp', Math.round(entry.startTime), labels(null, entry.startTime));
+        }
+      });
+    });
+
+    const lcpObserver = observe(ctx, 'largest-contentful-paint', (entries) => {
+      if (!lcpFinal && entries.length > 0) lcpEntry = entries[entries.length - 1];
+    });
+    const onInput = () => finalizeLcp(ctx, lcpObserver);
+    ctx.listen(window, 'keydown', onInput, true);
+    ctx.listen(window, 'click', onInput, true);
+
+    observe(ctx, 'event', (entries) => entries.forEach(recordInteraction), {
+      durationThreshold: EVENT_DURATION_THRESHOLD_MS,
+    });
+    // The first interaction is reported even when it is faster than the threshold
+    observe(ctx, 'first-input', (entries) => entries.forEach(recordInteraction));
+
+    observe(ctx, 'layout-shift', (entries) => entries.forEach(recordLayoutShift));
+
+    const onHidden = () => {
+      finalizeLcp(ctx, lcpObserver);
+      reportInpAndCls(ctx);
+    };
+    ctx.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') onHidden();
+    });
+    ctx.on('unload', onHidden);
+  };
+
+  return {
+    name: 'performance',
+
+    setup(ctx) {
+      if (typeof window === 'undefined' || !window.performance) return;
+      page = window.location.pathname;
+      attribution = ctx.options.attribution === true;
+
+      ctx.listen(window, 'load', () => {
+        // Defer so the browser populates loadEventEnd after all load handlers complete
+        const timer = setTimeout(() => trackNavigationTiming(ctx), 0);
+        ctx.addCleanup(() => clearTimeout(timer));
+      });
+
+      if (ctx.options.webVitals !== false && 'PerformanceObserver' in window) {
+        trackWebVitals(ctx);
+      }
+    },
+  };
+}
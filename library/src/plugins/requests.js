@@ -0,0 +1,164 @@
+// Built-in plugin (off by default): latency and outcome of every fetch and XMLHttpRequest
+// call, as observations of the http_request_duration_seconds histogram labelled with
+// method, route, status_class (2xx..5xx, or "error" when no response arrived) and origin.
+// Aborted requests and the SDK's own requests to Vizme are not recorded.
+//
+// Options:
+//   routes         - route patterns such as '/api/users/:id' or '/static/*'; the first
+//                    one matching a request path becomes its `route` label
+//   templateUrl    - function (url: URL) returning the route label for a request, or
+//                    null to skip it; tried before `routes`
+//   ignoreUrls     - URL prefixes (strings) or RegExps of requests to leave out
+//   maxRoutes (default 100) - distinct routes labelled before the rest become "other"
+//   maxOrigins (default 20) - distinct hosts labelled before the rest become "other"
+//
+// Paths matching no pattern are templated automatically: numeric, UUID and other
+// id-like segments become ":id".
+
+import { cappedLabeller, isVizmeRequest, parseUrl, routeTemplate } from './urls.js';
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+const now = () =>
+  typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+
+// '/api/users/:id/*' -> /^\/api\/users\/[^/]+\/.*$/
+function compileRoute(pattern) {
+  const source = String(pattern)
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') return '.*';
+      if (segment.startsWith(':')) return '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { pattern: String(pattern), regex: new RegExp(`^${source}/?$`) };
+}
+
+function statusClass(status) {
+  return status >= 100 && status < 600 ? `${Math.floor(status / 100)}xx` : 'error';
+}
+
+export function requests() {
+  return {
+    name: 'requests',
+
+    setup(ctx) {
+      if (typeof window === 'undefined') return;
+      const routes = (ctx.options.routes || []).map(compileRoute);
+      const ignoreUrls = ctx.options.ignoreUrls || [];
+      const templateUrl = ctx.options.templateUrl;
+      const routeLabel = cappedLabeller(ctx.options.maxRoutes ?? 100);
+      const originLabel = cappedLabeller(ctx.options.maxOrigins ?? 20);
+
+      // Labels for a request, or null when it is not recorded
+      const describe = (method, rawUrl) => {
+        const url = parseUrl(rawUrl);
+        if (!url || !/^https?:$/.test(url.protocol) || isVizmeRequest(ctx.client, url.href)) {
+          return null;
+        }
+        const ignored = ignoreUrls.some((rule) =>
+          rule instanceof RegExp ? rule.test(url.href) : url.href.startsWith(String(rule))
+        );
+        if (ignored) return null;
+
+        let route;
+        if (typeof templateUrl === 'function') {
+          route = templateUrl(url);
+          if (route === null) return null;
+        }
+        if (!route) {
+          const match = routes.find((r) => r.regex.test(url.pathname));
+          route = match ? match.pattern : routeTemplate(url.pathname);
+        }
+
+        const upper = String(method || 'GET').toUpperCase();
+        return {
+          method: METHODS.includes(upper) ? upper : 'OTHER',
+          route: routeLabel(String(route)),
+          origin: originLabel(url.host),
+        };
+      };
+
+      const record = (labels, start, status) => {
+        const seconds = Math.round(now() - start) / 1000;
+        ctx.client.observe('http_request_duration_seconds', seconds, {
+          ...labels,
+          status_class: statusClass(status),
+        });
+      };
+
+      if (typeof window.fetch === 'function') {
+        const originalFetch = window.fetch;
+        const instrumentedFetch = function (input, init) {
+          const request = typeof Request !== 'undefined' && input instanceof Request ? input : null;
+          let labels = null;
+          try {
+            labels = describe(
+              (init && init.method) || (request && request.method),
+              request ? request.url : String(input)
+            );
+          } catch (error) {
+            // Never let instrumentation break the request
+          }
+          const start = now();
+          const response = originalFetch.apply(window, arguments);
+          if (!labels) return response;
+
+          response.then(
+            (res) => record(labels, start, res.status),
+            (error) => {
+              if (!error || error.name !== 'AbortError') record(labels, start, 0);
+            }
+          );
+          return response;
+        };
+        window.fetch = instrumentedFetch;
+        ctx.addCleanup(() => {
+          // Leave fetch alone if something else wrapped it after us
+          if (window.fetch === instrumentedFetch) window.fetch = originalFetch;
+        });
+      }
+
+      if (typeof XMLHttpRequest !== 'undefined') {
+        const proto = XMLHttpRequest.prototype;
+        const originalOpen = proto.open;
+        const originalSend = proto.send;
+        const pending = new WeakMap(); // xhr -> labels
+
+        const open = function (method, url) {
+          let labels = null;
+          try {
+            labels = describe(method, String(url));
+          } catch (error) {
+            // Never let instrumentation break the request
+          }
+          if (labels) pending.set(this, labels);
+          else pending.delete(this);
+          return originalOpen.apply(this, arguments);
+        };
+        const send = function () {
+          const labels = pending.get(this);
+          if (labels) {
+            const xhr = this;
+            const start = now();
+            let aborted = false;
+            xhr.addEventListener('abort', () => {
+              aborted = true;
+            });
+            xhr.addEventListener('loadend', () => {
+              if (!aborted && pending.get(xhr) === labels) record(labels, start, xhr.status);
+            });
+          }
+          return originalSend.apply(this, arguments);
+        };
+        proto.open = open;
+        proto.send = send;
+        ctx.addCleanup(() => {
+          if (proto.open === open) proto.open = originalOpen;
+          if (proto.send === send) proto.send = originalSend;
+        });
+      }
+    },
+  };
+}
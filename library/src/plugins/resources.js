@@ -0,0 +1,226 @@
+// Built-in plugin (off by default): resource timings, long tasks and slow fetch/XHR calls,
+// grouped in the browser and sent every flushInterval as histograms and counters. Each
+// histogram group is pre-aggregated per bucket: one observation of the bucket's mean
+// value with the bucket's count, which keeps the bucket counts, _count and _sum exact.
+//
+//   resource_duration_seconds   histogram  page, initiator_type, origin, party
+//   resource_transfer_bytes     counter    page, initiator_type, origin, party
+//   long_task_duration_seconds  histogram  page, source, script_origin
+//   blocking_time_ms            counter    page, source, script_origin
+//   slow_requests               counter    page, initiator_type, origin, route
+//
+// `origin` is the host the resource came from and `party` whether that is the page's own
+// host ("first") or not ("third"). Long tasks use long-animation-frame entries where the
+// browser has them (`script_origin` is then the host of the frame's slowest script) and
+// longtask entries otherwise. The SDK's own requests to Vizme are ignored.
+//
+// Options:
+//   flushInterval (default 10000) - ms between sends; pending data is also sent when the
+//                                   page is hidden or unloaded
+//   slowRequestMs (default 1000)  - fetch/XHR calls at least this slow count as slow_requests
+//   maxOrigins (default 20)       - distinct hosts labelled before the rest become "other"
+//   longTasks (default true)      - observe long tasks / long animation frames
+
+import { cappedLabeller, isThirdParty, isVizmeRequest, parseUrl, routeTemplate } from './urls.js';
+
+const INITIATOR_TYPES = [
+  'script',
+  'link',
+  'css',
+  'img',
+  'image',
+  'font',
+  'fetch',
+  'xmlhttprequest',
+  'beacon',
+  'iframe',
+  'video',
+  'audio',
+];
+const REQUEST_INITIATORS = ['fetch', 'xmlhttprequest'];
+// Time beyond this in a long task counts as blocking (as in Total Blocking Time)
+const BLOCKING_THRESHOLD_MS = 50;
+// The backend's default histogram buckets, for metrics without configured ones
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 25, 50, 100];
+// Most observations the backend accepts in one pre-aggregated sample
+const MAX_OBSERVATION_COUNT = 1000;
+
+const toSeconds = (ms) => Math.round(ms) / 1000;
+
+// Bucket boundaries of a histogram: its metric config's, else the backend defaults
+function bucketsFor(client, name) {
+  const buckets = client.metricConfigs?.[name]?.buckets;
+  if (!Array.isArray(buckets) || buckets.length === 0) return DEFAULT_BUCKETS;
+  return buckets
+    .map(Number)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+}
+
+// Values grouped by the bucket they fall in: [{ count, sum, min, max }]
+function aggregate(values, buckets) {
+  const slots = new Map();
+  values.forEach((value) => {
+    const index = buckets.findIndex((le) => value <= le);
+    let slot = slots.get(index);
+    if (!slot) {
+      slot = { count: 0, sum: 0, min: value, max: value };
+      slots.set(index, slot);
+    }
+    slot.count += 1;
+    slot.sum += value;
+    slot.min = Math.min(slot.min, value);
+    slot.max = Math.max(slot.max, value);
+  });
+  return [...slots.values()];
+}
+
+export function resources() {
+  // key -> { name, kind: 'histogram' | 'counter', labels, values, total }
+  let pending = new Map();
+
+  const add = (kind, name, labels, value) => {
+    const key = `${name}|${JSON.stringify(labels)}`;
+    let group = pending.get(key);
+    if (!group) {
+      group = { name, kind, labels, values: [], total: 0 };
+      pending.set(key, group);
+    }
+    if (kind === 'histogram') group.values.push(value);
+    else group.total += value;
+  };
+
+  // Queued with track(), which is synchronous: observe/increment wait for the metric
+  // configs first and would miss the final beacon on unload
+  const send = (ctx) => {
+    const groups = pending;
+    pending = new Map();
+    groups.forEach((group) => {
+      if (group.kind === 'histogram') {
+        aggregate(group.values, bucketsFor(ctx.client, group.name)).forEach((slot) => {
+          // Clamped so float rounding cannot move the mean out of its bucket
+          const mean = Math.min(slot.max, Math.max(slot.min, slot.sum / slot.count));
+          for (let sent = 0; sent < slot.count; sent += MAX_OBSERVATION_COUNT) {
+            const count = Math.min(MAX_OBSERVATION_COUNT, slot.count - sent);
+            ctx.client.track(group.name, mean, {
+              ...group.labels,
+              _type: 'histogram',
+              _operation: 'observe',
+              _count: count,
+            });
+          }
+        });
+      } else if (group.total > 0) {
+        ctx.client.track(group.name, group.total, {
+          ...group.labels,
+          _type: 'counter',
+          _operation: 'increment',
+        });
+      }
+    });
+  };
+
+  const observe = (ctx, type, callback) => {
+    try {
+      const observer = new PerformanceObserver((list) => list.getEntries().forEach(callback));
+      observer.observe({ type, buffered: true });
+      ctx.addCleanup(() => observer.disconnect());
+      return true;
+    } catch (e) {
+      return false; /* not supported */
+    }
+  };
+
+  return {
+    name: 'resources',
+
+    setup(ctx) {
+      if (typeof window === 'undefined' || !('PerformanceObserver' in window)) return;
+      const flushInterval = ctx.options.flushInterval ?? 10000;
+      const slowRequestMs = ctx.options.slowRequestMs ?? 1000;
+      const originLabel = cappedLabeller(ctx.options.maxOrigins ?? 20);
+
+      const recordResource = (entry) => {
+        const url = parseUrl(entry.name);
+        if (!url || !/^https?:$/.test(url.protocol) || isVizmeRequest(ctx.client, url.href)) {
+          return;
+        }
+
+        const initiatorType = INITIATOR_TYPES.includes(entry.initiatorType)
+          ? entry.initiatorType
+          : 'other';
+        const origin = originLabel(url.host);
+        const page = ctx.getPage();
+        const labels = {
+          page,
+          initiator_type: initiatorType,
+          origin,
+          party: isThirdParty(url) ? 'third' : 'first',
+        };
+
+        add('histogram', 'resource_duration_seconds', labels, toSeconds(entry.duration));
+        // Zero for cache hits and for cross-origin responses without Timing-Allow-Origin
+        if (entry.transferSize > 0) {
+          add('counter', 'resource_transfer_bytes', labels, entry.transferSize);
+        }
+        if (REQUEST_INITIATORS.includes(initiatorType) && entry.duration >= slowRequestMs) {
+          add(
+            'counter',
+            'slow_requests',
+            { page, initiator_type: initiatorType, origin, route: routeTemplate(url.pathname) },
+            1
+          );
+        }
+      };
+
+      const recordLongTask = (source, duration, blocking, scriptUrl) => {
+        const url = scriptUrl ? parseUrl(scriptUrl) : null;
+        const labels = {
+          page: ctx.getPage(),
+          source,
+          script_origin: url ? originLabel(url.host) : 'unknown',
+        };
+        add('histogram', 'long_task_duration_seconds', labels, toSeconds(duration));
+        if (blocking > 0) add('counter', 'blocking_time_ms', labels, Math.round(blocking));
+      };
+
+      observe(ctx, 'resource', recordResource);
+
+      if (ctx.options.longTasks !== false) {
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (supported.includes('long-animation-frame')) {
+          observe(ctx, 'long-animation-frame', (entry) => {
+            const slowest = (entry.scripts || []).reduce(
+              (worst, script) => (!worst || script.duration > worst.duration ? script : worst),
+              null
+            );
+            const blocking =
+              entry.blockingDuration ?? Math.max(0, entry.duration - BLOCKING_THRESHOLD_MS);
+            recordLongTask('long-animation-frame', entry.duration, blocking, slowest?.sourceURL);
+          });
+        } else {
+          observe(ctx, 'longtask', (entry) => {
+            const container = (entry.attribution || [])[0];
+            recordLongTask(
+              'longtask',
+              entry.duration,
+              entry.duration - BLOCKING_THRESHOLD_MS,
+              container?.containerSrc
+            );
+          });
+        }
+      }
+
+      const timer = setInterval(() => send(ctx), flushInterval);
+      ctx.addCleanup(() => clearInterval(timer));
+      ctx.listen(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') send(ctx);
+      });
+      ctx.on('unload', () => send(ctx));
+    },
+
+    teardown(ctx) {
+      send(ctx);
+    },
+  };
+}
@@ -0,0 +1,43 @@
+// Built-in plugin: scroll depth per page, and the page's maximum on unload
+
+export function scroll() {
+  let maxScroll = 0;
+
+  return {
+    name: 'scroll',
+
+    setup(ctx) {
+      if (typeof window === 'undefined') return;
+
+      let ticking = false;
+      const trackScrollDepth = () => {
+        if (ticking) return;
+        ticking = true;
+
+        requestAnimationFrame(() => {
+          const scrollHeight = document.documentElement.scrollHeight;
+          const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+          const clientHeight = document.documentElement.clientHeight;
+          const scrollPercent = Math.round(((scrollTop + clientHeight) / scrollHeight) * 100);
+
+          if (scrollPercent > maxScroll) {
+            maxScroll = scrollPercent;
+            ctx.client.set('scroll_depth', scrollPercent, { page: ctx.getPage() });
+          }
+
+          ticking = false;
+        });
+      };
+
+      ctx.listen(window, 'scroll', trackScrollDepth, { passive: true });
+      ctx.on('pagechange', () => {
+        maxScroll = 0;
+      });
+      ctx.on('unload', () => {
+        if (maxScroll > 0) {
+          ctx.client.set('max_scroll_depth', maxScroll, { page: ctx.getPage() });
+        }
+      });
+    },
+  };
+}
@@ -0,0 +1,190 @@
+// Built-in plugin (off by default): sessions and returning visitors, without identifiers
+//
+//   session_start      counter  visitor ("new", "returning" or "unknown")
+//   session_duration   counter  seconds from a session's start to its last activity
+//   pages_per_session  counter  pages viewed within sessions
+//   session_engaged    counter  sessions with a second page or engagedAfter ms on the page
+//
+// A session ends after `timeout` without activity (page views, clicks, key presses,
+// scrolling). Per-session averages are the counters divided by session_start, and the
+// bounce rate is the share of sessions that never became engaged. Nothing identifying
+// is sent or stored: the session state (start, last activity, page count) and a
+// "visited before" flag live in first-party localStorage, or only in memory in
+// cookieless mode, where a session lasts one page load (SPA navigations included).
+//
+// Options:
+//   timeout (default 1800000)    - ms of inactivity that ends a session
+//   engagedAfter (default 10000) - ms on the page after which a session is engaged
+//   cookieless (default false)   - keep session state in memory instead of localStorage
+
+const ACTIVITY_EVENTS = ['click', 'keydown', 'scroll'];
+// Activity within this window of the last recorded one is not written again
+const TOUCH_THROTTLE_MS = 5000;
+
+// localStorage, or null where it is unavailable (reading it throws SecurityError in
+// sandboxed iframes and when the user blocks site data)
+function localStorageOrNull() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function createStore(cookieless) {
+  const memory = new Map();
+  let storage = cookieless ? null : localStorageOrNull();
+  return {
+    get(key) {
+      let raw = memory.get(key);
+      if (storage) {
+        try {
+          raw = storage.getItem(key);
+        } catch (e) {
+          // Storage became unavailable — fall back to this page's copy
+          storage = null;
+        }
+      }
+      try {
+        return raw ? JSON.parse(raw) : null;
+      } catch (e) {
+        return null;
+      }
+    },
+    set(key, value) {
+      const raw = JSON.stringify(value);
+      // Kept in memory as well, so the state survives storage failing later on
+      memory.set(key, raw);
+      if (!storage) return;
+      try {
+        storage.setItem(key, raw);
+      } catch (e) {
+        // Storage disabled or full — keep the state for this page only
+        storage = null;
+      }
+    },
+  };
+}
+
+export function sessions() {
+  return {
+    name: 'sessions',
+
+    setup(ctx) {
+      if (typeof window === 'undefined') return;
+      const timeout = ctx.options.timeout ?? 30 * 60 * 1000;
+      const engagedAfter = ctx.options.engagedAfter ?? 10000;
+      const cookieless = ctx.options.cookieless === true;
+      const store = createStore(cookieless);
+      const suffix = String(ctx.client.apiKey || '').slice(0, 10);
+      const sessionKey = `vizme_session_${suffix}`;
+      const visitorKey = `vizme_visitor_${suffix}`;
+
+      // { start, last, pages, engaged, reported } — reported: seconds already sent
+      const load = () => {
+        const state = store.get(sessionKey);
+        return state && Number.isFinite(state.start) && Number.isFinite(state.last) ? state : null;
+      };
+      const save = (state) => store.set(sessionKey, state);
+      // Queued synchronously: client.increment waits for the metric configs, which on
+      // unload would add the sample only after the final beacon has been sent
+      const count = (name, value, labels = {}) =>
+        ctx.client.track(name, value, { ...labels, _type: 'counter', _operation: 'increment' });
+
+      // Send the session time not reported yet
+      const reportDuration = (state) => {
+        const seconds = Math.floor((state.last - state.start) / 1000);
+        if (seconds > state.reported) {
+          count('session_duration', seconds - state.reported);
+          state.reported = seconds;
+        }
+      };
+
+      const engage = (state) => {
+        if (state.engaged) return;
+        state.engaged = true;
+        count('session_engaged', 1);
+      };
+
+      const startSession = (now) => {
+        let visitor = 'unknown';
+        if (!cookieless) {
+          visitor = store.get(visitorKey) ? 'returning' : 'new';
+          store.set(visitorKey, 1);
+        }
+        count('session_start', 1, { visitor });
+        return { start: now, last: now, pages: 0, engaged: false, reported: 0 };
+      };
+
+      // The current session, or a new one when there is none or it timed out
+      const current = (now) => {
+        const state = load();
+        if (state && now - state.last < timeout) return state;
+        if (state) reportDuration(state);
+        return startSession(now);
+      };
+
+      const countPage = () => {
+        const now = Date.now();
+        const state = current(now);
+        state.last = now;
+        state.pages += 1;
+        count('pages_per_session', 1);
+        if (state.pages >= 2) engage(state);
+        save(state);
+      };
+
+      const touch = (engaged = false) => {
+        const now = Date.now();
+        const state = load();
+        if (!engaged && state && now - state.last < TOUCH_THROTTLE_MS) return;
+        const session = current(now);
+        // Activity after a timeout starts a session on the page the visitor is on
+        if (session.pages === 0) {
+          session.pages = 1;
+          count('pages_per_session', 1);
+        }
+        session.last = now;
+        if (engaged) engage(session);
+        save(session);
+      };
+
+      const flush = () => {
+        const state = load();
+        if (!state) return;
+        reportDuration(state);
+        save(state);
+      };
+
+      countPage();
+
+      // Time on the page engages the session, counted only while the page is visible
+      let engageTimer = null;
+      const scheduleEngagement = () => {
+        clearTimeout(engageTimer);
+        if (document.visibilityState === 'hidden') return;
+        engageTimer = setTimeout(() => touch(true), engagedAfter);
+      };
+      scheduleEngagement();
+      ctx.addCleanup(() => clearTimeout(engageTimer));
+
+      ctx.on('pagechange', () => {
+        countPage();
+        scheduleEngagement();
+      });
+      ACTIVITY_EVENTS.forEach((type) => {
+        ctx.listen(window, type, () => touch(), { capture: true, passive: true });
+      });
+      ctx.listen(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          clearTimeout(engageTimer);
+          flush();
+        } else {
+          touch();
+          scheduleEngagement();
+        }
+      });
+      ctx.on('unload', flush);
+    },
+  };
+}
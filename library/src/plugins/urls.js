@@ -0,0 +1,49 @@
+// URL helpers shared by the resources and requests plugins
+
+const MAX_ROUTE_LENGTH = 100;
+
+// Path segments that identify a record rather than a route: numbers, UUIDs, hashes and
+// other long opaque tokens
+const ID_SEGMENT =
+  /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{12,}|[\w-]{32,})$/i;
+
+export function parseUrl(url) {
+  try {
+    return new URL(url, window.location.href);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function isThirdParty(url) {
+  return url.host !== window.location.host;
+}
+
+// "/api/users/42/orders/9f1c0e6a2b7d" -> "/api/users/:id/orders/:id"
+export function routeTemplate(pathname) {
+  const route = pathname
+    .split('/')
+    .map((segment) => (ID_SEGMENT.test(segment) ? ':id' : segment))
+    .join('/');
+  return (route || '/').slice(0, MAX_ROUTE_LENGTH);
+}
+
+// Label values capped to `max` distinct values; later ones become "other"
+export function cappedLabeller(max) {
+  const seen = new Set();
+  return (value) => {
+    if (!value) return 'unknown';
+    if (seen.has(value)) return value;
+    if (seen.size >= max) return 'other';
+    seen.add(value);
+    return value;
+  };
+}
+
+// Requests the SDK itself makes: sending metrics and loading metric configs
+export function isVizmeRequest(client, href) {
+  const endpoint = client.endpoint ? parseUrl(client.endpoint) : null;
+  if (!endpoint) return false;
+  const base = endpoint.href.replace('/api/v1/metrics', '');
+  return href.startsWith(endpoint.href) || href.startsWith(`${base}/api/v1/metric-configs`);
+}
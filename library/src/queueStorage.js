@@ -0,0 +1,188 @@
+// Vizme - Retry queue persistence
+// Adapters that keep unsent metrics across page loads. Every adapter exposes
+// the same async surface: load() -> Array, save(Array) -> void, clear() -> void.
+
+const DB_NAME = 'vizme';
+const DB_STORE = 'queue';
+
+// Shared across client instances so the in-memory adapter survives a client
+// being destroyed and re-created in the same process (Node, tests, SSR).
+const memoryQueues = new Map();
+
+class MemoryQueueStorage {
+  constructor(key) {
+    this.type = 'memory';
+    this.key = key;
+  }
+
+  async load() {
+    return (memoryQueues.get(this.key) || []).slice();
+  }
+
+  async save(items) {
+    if (items.length === 0) {
+      memoryQueues.delete(this.key);
+    } else {
+      memoryQueues.set(this.key, items.slice());
+    }
+  }
+
+  async clear() {
+    memoryQueues.delete(this.key);
+  }
+}
+
+class LocalStorageQueueStorage {
+  constructor(key) {
+    this.type = 'localstorage';
+    this.key = key;
+  }
+
+  async load() {
+    try {
+      const raw = window.localStorage.getItem(this.key);
+      const items = raw ? JSON.parse(raw) : [];
+      return Array.isArray(items) ? items : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  async save(items) {
+    try {
+      if (items.length === 0) {
+        window.localStorage.removeItem(this.key);
+      } else {
+        window.localStorage.setItem(this.key, JSON.stringify(items));
+      }
+    } catch (e) {
+      // Quota exceeded or storage disabled — metrics stay in memory only
+    }
+  }
+
+  async clear() {
+    return this.save([]);
+  }
+}
+
+// Stores the whole queue as a single record keyed by the storage key. The
+// queue is capped (maxQueueSize) so rewriting it on every change stays cheap.
+// Falls back to the given adapter when IndexedDB cannot be opened (e.g. some
+// private browsing modes).
+class IndexedDBQueueStorage {
+  constructor(key, fallback) {
+    this.type = 'indexeddb';
+    this.key = key;
+    this.fallback = fallback;
+    this.dbPromise = null;
+  }
+
+  openDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(DB_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+      }).catch((error) => {
+        this.type = this.fallback.type;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  run(mode, operation) {
+    return this.openDb().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(DB_STORE, mode);
+          const request = operation(tx.objectStore(DB_STORE));
+          tx.oncomplete = () => resolve(request.result);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        })
+    );
+  }
+
+  async load() {
+    try {
+      const items = await this.run('readonly', (store) => store.get(this.key));
+      return Array.isArray(items) ? items : [];
+    } catch (e) {
+      return this.fallback.load();
+    }
+  }
+
+  async save(items) {
+    try {
+      await this.run('readwrite', (store) =>
+        items.length === 0 ? store.delete(this.key) : store.put(items, this.key)
+      );
+    } catch (e) {
+      await this.fallback.save(items);
+    }
+  }
+
+  async clear() {
+    return this.save([]);
+  }
+}
+
+function hasLocalStorage() {
+  try {
+    return typeof window !== 'undefined' && !!window.localStorage;
+  } catch (e) {
+    // Accessing localStorage throws when cookies are blocked
+    return false;
+  }
+}
+
+function hasIndexedDB() {
+  try {
+    return typeof indexedDB !== 'undefined' && !!indexedDB;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isAdapter(option) {
+  return (
+    !!option &&
+    typeof option === 'object' &&
+    typeof option.load === 'function' &&
+    typeof option.save === 'function'
+  );
+}
+
+/**
+ * Resolve the `persistQueue` option to a storage adapter.
+ * - false / undefined: no persistence (returns null)
+ * - 'memory': process-local adapter (Node, tests)
+ * - 'localstorage': localStorage, or memory when unavailable
+ * - true / 'auto' / 'indexeddb': IndexedDB, then localStorage, then memory
+ * - an object with load()/save(): used as-is
+ */
+function createQueueStorage(option, key) {
+  if (!option) return null;
+  if (isAdapter(option)) return option;
+
+  const mode = option === true ? 'auto' : String(option).toLowerCase();
+  const memory = new MemoryQueueStorage(key);
+  if (mode === 'memory') return memory;
+
+  const local = hasLocalStorage() ? new LocalStorageQueueStorage(key) : memory;
+  if (mode === 'localstorage') return local;
+
+  if (mode === 'auto' || mode === 'indexeddb') {
+    return hasIndexedDB() ? new IndexedDBQueueStorage(key, local) : local;
+  }
+
+  console.warn(`Vizme: Unknown persistQueue option "${option}", queue will not be persisted`);
+  return null;
+}
+
+export { MemoryQueueStorage, LocalStorageQueueStorage, IndexedDBQueueStorage, createQueueStorage };
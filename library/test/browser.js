@@ -0,0 +1,101 @@
+// Minimal browser globals for running the SDK under node:test: window/document event
+// targets, localStorage, a recording navigator.sendBeacon and a stub fetch.
+
+class MemoryStorage {
+  constructor(entries = {}) {
+    this.items = new Map(Object.entries(entries));
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+// Exclusive Web Locks: requests for a name run one after another
+function createLocks() {
+  const tails = new Map();
+  const held = new Set();
+  return {
+    request(name, callback) {
+      const run = (tails.get(name) || Promise.resolve()).then(async () => {
+        held.add(name);
+        try {
+          return await callback({ name });
+        } finally {
+          held.delete(name);
+        }
+      });
+      tails.set(
+        name,
+        run.catch(() => {})
+      );
+      return run;
+    },
+    async query() {
+      return { held: [...held].map((name) => ({ name })) };
+    },
+  };
+}
+
+/**
+ * Install the globals; returns what the SDK sent and a restore function.
+ * @param {{ localStorage?: Object, fetch?: Function, locks?: boolean }} [options] - fetch
+ *   defaults to a 200 response; localStorage seeds the storage; locks adds navigator.locks
+ */
+export function installBrowser({ localStorage = {}, fetch, locks = false } = {}) {
+  const beacons = [];
+  const requests = [];
+  const window = new EventTarget();
+  window.location = { href: 'https://shop.example.com/', host: 'shop.example.com', pathname: '/' };
+  window.localStorage = new MemoryStorage(localStorage);
+  const document = new EventTarget();
+  document.visibilityState = 'visible';
+  const navigator = {
+    sendBeacon(url, blob) {
+      beacons.push(blob.text().then((text) => JSON.parse(text)));
+      return true;
+    },
+    ...(locks ? { locks: createLocks() } : {}),
+  };
+
+  const globals = {
+    window,
+    document,
+    navigator,
+    fetch:
+      fetch ||
+      (async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        return { ok: true, status: 200, json: async () => ({ success: true }) };
+      }),
+  };
+  const previous = Object.keys(globals).map((name) => [
+    name,
+    Object.getOwnPropertyDescriptor(globalThis, name),
+  ]);
+  Object.entries(globals).forEach(([name, value]) =>
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true })
+  );
+
+  return {
+    window,
+    document,
+    requests,
+    // Metrics of every beacon sent so far
+    beaconMetrics: async () => (await Promise.all(beacons)).flatMap((body) => body.metrics),
+    restore() {
+      previous.forEach(([name, descriptor]) => {
+        if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+        else delete globalThis[name];
+      });
+    },
+  };
+}
@@ -0,0 +1,58 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowser } from './browser.js';
+
+let browser;
+let vizme;
+
+afterEach(() => {
+  vizme?.destroy();
+  browser?.restore();
+  delete globalThis.PerformanceObserver;
+});
+
+test('INP counts every interaction once, also those dropped from the candidates', async () => {
+  const sent = [];
+  browser = installBrowser({
+    fetch: async (url, init) => {
+      if (init?.body) sent.push(...JSON.parse(init.body).metrics);
+      return { ok: true, status: 200, json: async () => ({ success: true }) };
+    },
+  });
+  const observers = new Map();
+  globalThis.PerformanceObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+    }
+    observe({ type }) {
+      observers.set(type, this);
+    }
+    disconnect() {}
+  };
+  browser.window.PerformanceObserver = globalThis.PerformanceObserver;
+  browser.window.performance = { getEntriesByType: () => [] };
+  const { Vizme } = await import('../src/index.js');
+  vizme = new Vizme({ apiKey: 'key_test', autoTrack: { performance: true }, batchSize: 100 });
+
+  const event = (interactionId, duration) => ({
+    name: 'click',
+    interactionId,
+    duration,
+    startTime: interactionId,
+  });
+  const { callback } = observers.get('event');
+  // 49 interactions: below 50, so the slowest one is the INP
+  callback({ getEntries: () => Array.from({ length: 49 }, (_, i) => event(i + 1, 100 + i)) });
+  // More entries (pointerup, click) of interactions already pushed out of the top 10
+  callback({ getEntries: () => [1, 2, 3, 4, 5].map((id) => event(id, 20)) });
+  browser.window.dispatchEvent(new Event('beforeunload'));
+
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  // Gauges are sent right away, so INP goes out with a regular request
+  const inp = sent.filter((m) => m.name === 'inp');
+  assert.deepEqual(
+    inp.map((m) => m.value),
+    [148]
+  );
+});
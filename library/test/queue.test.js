@@ -0,0 +1,92 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowser } from './browser.js';
+
+let browser;
+const clients = [];
+
+afterEach(() => {
+  clients.splice(0).forEach((vizme) => {
+    vizme.destroy();
+  });
+  browser?.restore();
+});
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('tabs sharing a persisted queue only take over entries of closed tabs', async () => {
+  const sent = [];
+  browser = installBrowser({
+    locks: true,
+    fetch: async (url, init) => {
+      sent.push(...JSON.parse(init.body).metrics.map((m) => m.name));
+      return { ok: false, status: 503, text: async () => 'unavailable' };
+    },
+  });
+  const { Vizme } = await import('../src/index.js');
+  const open = () => {
+    const vizme = new Vizme({
+      apiKey: 'key_queue',
+      autoTrack: false,
+      autoFetchConfigs: false,
+      persistQueue: 'memory',
+      retryBaseMs: 60_000,
+    });
+    clients.push(vizme);
+    return vizme;
+  };
+  const fail = async (vizme, name) => {
+    vizme.track(name, 1, { _type: 'counter', _operation: 'increment' });
+    await vizme.flush();
+    await vizme.client.storageWrite;
+  };
+  const count = (name) => sent.filter((n) => n === name).length;
+
+  const first = open();
+  await first.client.storageWrite;
+  await fail(first, 'from_first');
+
+  // A second tab opens while the first still holds its entries
+  const second = open();
+  await second.client.storageWrite;
+  assert.equal(count('from_first'), 1);
+  assert.equal(second.client.queue.length, 0);
+
+  // Neither tab's save drops the other's entries
+  await fail(second, 'from_second');
+  await first.client.persistQueue();
+  const stored = await second.client.storage.load();
+  assert.deepEqual(stored.map((entry) => entry.metric.name).sort(), ['from_first', 'from_second']);
+
+  // Once the first tab is gone, a new tab replays its entries exactly once
+  first.destroy();
+  clients.splice(clients.indexOf(first), 1);
+  await settle();
+  const third = open();
+  await third.client.storageWrite;
+  assert.equal(count('from_first'), 2);
+  assert.equal(count('from_second'), 1);
+});
+
+test('a destroyed client no longer flushes its queue when the connection returns', async () => {
+  const sent = [];
+  browser = installBrowser({
+    fetch: async (url, init) => {
+      sent.push(init.body);
+      return { ok: false, status: 503, text: async () => 'unavailable' };
+    },
+  });
+  const { Vizme } = await import('../src/index.js');
+  const vizme = new Vizme({ apiKey: 'key_online', autoTrack: false, autoFetchConfigs: false });
+  vizme.track('orders', 1, { _type: 'counter', _operation: 'increment' });
+  await vizme.flush();
+  assert.equal(vizme.client.queue.length, 1);
+
+  vizme.destroy();
+  await settle();
+  browser.window.dispatchEvent(new Event('online'));
+  await settle();
+
+  assert.equal(sent.length, 1);
+  assert.equal(vizme.client.retryTimer, null);
+});
@@ -0,0 +1,55 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowser } from './browser.js';
+
+let browser;
+let vizme;
+
+afterEach(() => {
+  vizme?.destroy();
+  browser?.restore();
+  delete globalThis.PerformanceObserver;
+});
+
+test('resource timings pending on unload go out with the final beacon', async () => {
+  browser = installBrowser({ fetch: () => new Promise(() => {}) });
+  const observers = [];
+  globalThis.PerformanceObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      observers.push(this);
+    }
+    observe() {}
+    disconnect() {}
+  };
+  browser.window.PerformanceObserver = globalThis.PerformanceObserver;
+  const { Vizme } = await import('../src/index.js');
+  vizme = new Vizme({
+    apiKey: 'key_test',
+    autoTrack: { resources: { longTasks: false } },
+    batchSize: 100,
+  });
+
+  const entries = [120, 130, 300, 700].map((duration) => ({
+    name: 'https://cdn.example.com/app.js',
+    initiatorType: 'script',
+    duration,
+    transferSize: 2000,
+  }));
+  observers[0].callback({ getEntries: () => entries });
+  browser.window.dispatchEvent(new Event('beforeunload'));
+
+  const metrics = await browser.beaconMetrics();
+  const durations = metrics.filter((m) => m.name === 'resource_duration_seconds');
+  // 0.12, 0.13 and 0.3 share the le=0.5 bucket; 0.7 falls in le=1
+  assert.deepEqual(
+    durations.map(({ type, operation, count }) => ({ type, operation, count })),
+    [
+      { type: 'histogram', operation: 'observe', count: 3 },
+      { type: 'histogram', operation: 'observe', count: undefined },
+    ]
+  );
+  assert.ok(Math.abs(durations[0].value * 3 + durations[1].value - 1.25) < 1e-9);
+  const bytes = metrics.find((m) => m.name === 'resource_transfer_bytes');
+  assert.equal(bytes.value, 8000);
+});
@@ -0,0 +1,38 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowser } from './browser.js';
+
+let browser;
+let vizme;
+
+afterEach(() => {
+  vizme?.destroy();
+  browser?.restore();
+});
+
+test('the session time reported on unload goes out with the final beacon', async () => {
+  const now = Date.now();
+  browser = installBrowser({
+    localStorage: {
+      vizme_session_key_test: JSON.stringify({
+        start: now - 5000,
+        last: now - 1000,
+        pages: 1,
+        engaged: false,
+        reported: 0,
+      }),
+    },
+    // Metric configs never arrive, so client.increment would still be waiting on unload
+    fetch: () => new Promise(() => {}),
+  });
+  const { Vizme } = await import('../src/index.js');
+  vizme = new Vizme({ apiKey: 'key_test', autoTrack: { sessions: true }, batchSize: 100 });
+
+  browser.window.dispatchEvent(new Event('beforeunload'));
+
+  const duration = (await browser.beaconMetrics()).filter((m) => m.name === 'session_duration');
+  assert.equal(duration.length, 1);
+  assert.ok(duration[0].value >= 4);
+  assert.equal(duration[0].type, 'counter');
+  assert.equal(duration[0].operation, 'increment');
+});
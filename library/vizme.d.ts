@@ -2,13 +2,164 @@
  * Type declarations for the Vizme browser metrics library.
  */
 
+/** Storage backend for the offline retry queue. */
+export interface VizmeQueueStorage {
+  /** Optional identifier reported by getStatus() (e.g. "indexeddb") */
+  type?: string;
+  load(): Promise<unknown[]>;
+  save(items: unknown[]): Promise<void>;
+  clear?(): Promise<void>;
+}
+
+export interface VizmeStatus {
+  queueSize: number;
+  batchSize: number;
+  /** Active queue storage type, or null when persistence is disabled */
+  queueStorage: string | null;
+  /** Number of queued metrics last written to storage */
+  persistedQueueSize: number;
+  isOnline: boolean;
+  endpoint: string;
+}
+
+/** Metric configuration served by the backend for the API key. */
+export interface VizmeMetricConfig {
+  type?: 'counter' | 'gauge' | 'histogram' | 'summary';
+  labels?: Record<string, string>;
+  /** Histogram bucket upper bounds (+Inf implicit); omitted when using the defaults */
+  buckets?: number[];
+  /** Summary quantile objectives; omitted when using the defaults */
+  quantiles?: number[];
+}
+
+/** The metrics client handed to plugins. */
+export interface VizmeClient {
+  track(name: string, value?: number, labels?: Record<string, unknown>): this;
+  increment(name: string, value?: number, labels?: Record<string, unknown>): Promise<this>;
+  decrement(name: string, value?: number, labels?: Record<string, unknown>): Promise<this>;
+  set(name: string, value: number, labels?: Record<string, unknown>): Promise<this>;
+  /** Record one histogram observation (a histogram unless the metric is configured otherwise) */
+  observe(name: string, value: number, labels?: Record<string, unknown>): Promise<this>;
+  flush(useSendBeacon?: boolean): Promise<void>;
+  getStatus(): VizmeStatus;
+}
+
+/** Payload of the `pagechange` plugin event. */
+export interface VizmePageChange {
+  page: string;
+  previousPage: string;
+  url: string;
+}
+
+/** Context passed to a plugin's hooks; listeners and cleanups are released on teardown. */
+export interface VizmePluginContext<TOptions = Record<string, unknown>> {
+  name: string;
+  client: VizmeClient;
+  vizme: Vizme;
+  /** Options given to `use(plugin, options)` or the plugin's `autoTrack` entry */
+  options: TOptions;
+  /** Current page path, following SPA navigation */
+  getPage(): string;
+  /** Subscribe to a host event; returns an unsubscribe function */
+  on(event: 'pagechange', handler: (change: VizmePageChange) => void): () => void;
+  /** `unload` fires on beforeunload, before the final flush */
+  on(event: 'unload', handler: () => void): () => void;
+  on(event: string, handler: (data: unknown) => void): () => void;
+  emit(event: string, data?: unknown): void;
+  listen(
+    target: EventTarget,
+    type: string,
+    handler: (event: any) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addCleanup(fn: () => void): void;
+}
+
+export interface VizmePlugin<TOptions = Record<string, unknown>> {
+  /** Unique name; registering the same name again replaces the plugin */
+  name: string;
+  setup(ctx: VizmePluginContext<TOptions>): void;
+  teardown?(ctx: VizmePluginContext<TOptions>): void;
+}
+
+export type VizmeBuiltinPluginName =
+  | 'pageViews'
+  | 'performance'
+  | 'errors'
+  | 'interactions'
+  | 'forms'
+  | 'scroll'
+  | 'sessions'
+  | 'autoInteractions'
+  | 'resources'
+  | 'requests';
+
+export interface VizmeBuiltinPluginOptions {
+  /** Count history API navigations as page views (default: true) */
+  pageViews: { spa?: boolean };
+  performance: {
+    /** Observe FCP, LCP, INP and CLS (default: true) */
+    webVitals?: boolean;
+    /** Label vitals with `element`, `interaction_type` and `load_state` (default: false) */
+    attribution?: boolean;
+  };
+  /** Also count unhandled promise rejections (default: true) */
+  errors: { promiseRejections?: boolean };
+  interactions: Record<string, never>;
+  forms: Record<string, never>;
+  scroll: Record<string, never>;
+  sessions: {
+    /** Inactivity that ends a session (default: 1800000 ms) */
+    timeout?: number;
+    /** Time on a page after which its session is engaged (default: 10000 ms) */
+    engagedAfter?: number;
+    /** Keep session state in memory only; a session then lasts one page load (default: false) */
+    cookieless?: boolean;
+  };
+  /** Ignore repeated clicks on the same element within this window (default: 300 ms) */
+  autoInteractions: { dedupMs?: number };
+  resources: {
+    /** ms between sends of the grouped timings (default: 10000) */
+    flushInterval?: number;
+    /** fetch/XHR calls at least this slow count as slow_requests (default: 1000 ms) */
+    slowRequestMs?: number;
+    /** Distinct hosts labelled before the rest are reported as "other" (default: 20) */
+    maxOrigins?: number;
+    /** Observe long tasks / long animation frames (default: true) */
+    longTasks?: boolean;
+  };
+  requests: {
+    /** Route patterns such as '/api/users/:id' or '/static/*'; the first match is the `route` label */
+    routes?: string[];
+    /** Route label for a request, null to skip it, undefined to fall back to `routes` */
+    templateUrl?: (url: URL) => string | null | undefined;
+    /** URL prefixes or patterns of requests to leave out */
+    ignoreUrls?: Array<string | RegExp>;
+    /** Distinct routes labelled before the rest are reported as "other" (default: 100) */
+    maxRoutes?: number;
+    /** Distinct hosts labelled before the rest are reported as "other" (default: 20) */
+    maxOrigins?: number;
+  };
+}
+
+/**
+ * Per-plugin auto-tracking settings: `false` turns a built-in off, `true` or an
+ * options object turns it on. Unlisted built-ins keep their default (all on except
+ * `autoInteractions`, `resources` and `requests`).
+ */
+export type VizmeAutoTrackOptions = {
+  [K in VizmeBuiltinPluginName]?: boolean | VizmeBuiltinPluginOptions[K];
+};
+
 export interface VizmeConstructorOptions {
   /** Required API key from the Vizme dashboard */
   apiKey: string;
   /** Metrics ingestion URL (default: http://localhost:3000/api/v1/metrics) */
   endpoint?: string;
-  /** Enable automatic tracking (default: true) */
-  autoTrack?: boolean;
+  /** Start the built-in tracking plugins (default: true), or choose them per plugin */
+  autoTrack?: boolean | VizmeAutoTrackOptions;
+  /** Additional plugins, optionally with their options */
+  plugins?: Array<VizmePlugin<any> | [VizmePlugin<any>, Record<string, unknown>?]>;
   /** Fetch metric configs from the server (default: true) */
   autoFetchConfigs?: boolean;
   batchSize?: number;
@@ -17,6 +168,17 @@ export interface VizmeConstructorOptions {
   sampleRate?: number;
   maxRetries?: number;
   retryBaseMs?: number;
+  /**
+   * Persist the retry queue across page loads (default: false).
+   * `true`/`'auto'`/`'indexeddb'` use IndexedDB with a localStorage fallback,
+   * `'memory'` keeps it in-process (Node), or pass a custom storage adapter.
+   */
+  persistQueue?: boolean | 'auto' | 'indexeddb' | 'localstorage' | 'memory' | VizmeQueueStorage;
+  /** Maximum number of metrics kept in the retry queue (default: 100) */
+  maxQueueSize?: number;
+  /** Queued metrics older than this are dropped instead of replayed (default: 3600000, 1 hour) */
+  maxSampleAgeMs?: number;
+  /** Start the autoInteractions plugin (same as `autoTrack: { autoInteractions: true }`) */
   autoInteractions?: boolean;
   [key: string]: unknown;
 }
@@ -24,27 +186,36 @@ export interface VizmeConstructorOptions {
 export default class Vizme {
   constructor(options: VizmeConstructorOptions);
 
-  fetchMetricConfigs(): Promise<Record<string, { type?: string }>>;
+  /** Factories for the built-in plugins */
+  static plugins: {
+    [K in VizmeBuiltinPluginName]: () => VizmePlugin<VizmeBuiltinPluginOptions[K]>;
+  };
+
+  readonly client: VizmeClient;
+
+  /** Register a plugin, replacing any plugin with the same name */
+  use<TOptions>(plugin: VizmePlugin<TOptions>, options?: TOptions): this;
+
+  /** Tear down and remove a plugin; false when none has that name */
+  removePlugin(name: string): boolean;
+
+  getPlugin(name: string): VizmePlugin<any> | null;
+
+  fetchMetricConfigs(): Promise<Record<string, VizmeMetricConfig>>;
 
   track(name: string, value?: number, labels?: Record<string, unknown>): this;
 
-  increment(
-    name: string,
-    value?: number,
-    labels?: Record<string, unknown>
-  ): Promise<this>;
+  increment(name: string, value?: number, labels?: Record<string, unknown>): Promise<this>;
 
-  decrement(
-    name: string,
-    value?: number,
-    labels?: Record<string, unknown>
-  ): Promise<this>;
+  decrement(name: string, value?: number, labels?: Record<string, unknown>): Promise<this>;
 
   set(name: string, value: number, labels?: Record<string, unknown>): Promise<this>;
 
+  observe(name: string, value: number, labels?: Record<string, unknown>): Promise<this>;
+
   flush(): Promise<void>;
 
-  getStatus(): Record<string, unknown>;
+  getStatus(): VizmeStatus;
 
   destroy(): void;
 }